@@ -0,0 +1,214 @@
+// ============================================================================
+// BACKUP - database snapshots as gzipped NDJSON, and restore into an empty database
+// ============================================================================
+//
+// A snapshot is a directory under BACKUP_DIR named by its id (the UTC time it was
+// taken). It holds one <collection>.ndjson.gz per collection, one document per line
+// in canonical Extended JSON so ObjectIds, Dates and number types survive the round
+// trip, and a manifest.json with the document counts and index definitions.
+// Every collection in the database is dumped, which covers every Mongoose model.
+// Collections are read one after another, so writes made while a snapshot runs may
+// be only partly included.
+//
+//   node backup.js snapshot        take a snapshot of MONGODB_URI
+//   node backup.js list            list snapshots, newest first
+//   node backup.js restore <id>    restore into MONGODB_URI, which must be empty
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const readline = require('readline');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const mongoose = require('mongoose');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const BACKUP_DIR = process.env.BACKUP_DIR || path.join(__dirname, 'backups');
+const RESTORE_BATCH_SIZE = 500;
+const SNAPSHOT_ID = /^[0-9TZ-]+$/;
+
+const snapshotPath = (dir, id) => {
+  if (!SNAPSHOT_ID.test(String(id))) throw { status: 400, error: 'Invalid snapshot id' };
+  return path.join(dir, id);
+};
+
+const readManifest = async (dir, id) => {
+  try {
+    return JSON.parse(await fs.promises.readFile(path.join(snapshotPath(dir, id), 'manifest.json'), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') throw { status: 404, error: 'Snapshot not found' };
+    throw error;
+  }
+};
+
+const dumpCollection = async (collection, file) => {
+  let count = 0;
+  const lines = async function* () {
+    for await (const doc of collection.find({}).sort({ _id: 1 })) {
+      count += 1;
+      yield `${EJSON.stringify(doc, { relaxed: false })}\n`;
+    }
+  };
+  await pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(file));
+  return count;
+};
+
+// Writes into `<id>.partial` and renames when done, so a crash never leaves a
+// snapshot that looks complete. Returns the manifest.
+const createSnapshot = async (db, { reason = 'manual', dir = BACKUP_DIR } = {}) => {
+  const createdAt = new Date();
+  const id = createdAt.toISOString().replace(/[:.]/g, '-');
+  const target = snapshotPath(dir, id);
+  const partial = `${target}.partial`;
+  await fs.promises.mkdir(partial, { recursive: true });
+
+  try {
+    const collections = (await db.listCollections({}, { nameOnly: true }).toArray())
+      .map((info) => info.name)
+      .filter((name) => !name.startsWith('system.'))
+      .sort();
+
+    const manifest = { id, createdAt, reason, database: db.databaseName, collections: {} };
+    for (const name of collections) {
+      const collection = db.collection(name);
+      const file = `${name}.ndjson.gz`;
+      const count = await dumpCollection(collection, path.join(partial, file));
+      const indexes = (await collection.indexes())
+        .filter((index) => index.name !== '_id_')
+        .map(({ v, ns, ...index }) => index);
+      manifest.collections[name] = { file, count, indexes };
+    }
+
+    await fs.promises.writeFile(path.join(partial, 'manifest.json'), JSON.stringify(manifest, null, 2));
+    await fs.promises.rename(partial, target);
+    return manifest;
+  } catch (error) {
+    await fs.promises.rm(partial, { recursive: true, force: true });
+    throw error;
+  }
+};
+
+const listSnapshots = async ({ dir = BACKUP_DIR } = {}) => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const manifests = await Promise.all(entries
+    .filter((entry) => SNAPSHOT_ID.test(entry))
+    .map((id) => readManifest(dir, id).catch(() => null)));
+
+  return manifests
+    .filter(Boolean)
+    .map(({ id, createdAt, reason, database, collections }) => ({
+      id,
+      createdAt,
+      reason,
+      database,
+      collections: Object.keys(collections).length,
+      documents: Object.values(collections).reduce((sum, collection) => sum + collection.count, 0)
+    }))
+    .sort((a, b) => b.id.localeCompare(a.id));
+};
+
+// Refuses to touch a database that already has data in any collection the snapshot
+// holds, so a restore can never merge with or overwrite live records.
+const restoreSnapshot = async (db, id, { dir = BACKUP_DIR } = {}) => {
+  const manifest = await readManifest(dir, id);
+  const names = Object.keys(manifest.collections);
+
+  const occupied = [];
+  for (const name of names) {
+    if (await db.collection(name).findOne({}, { projection: { _id: 1 } })) occupied.push(name);
+  }
+  if (occupied.length) {
+    throw { status: 409, error: `Restore needs an empty database; these collections have data: ${occupied.join(', ')}` };
+  }
+
+  const restored = {};
+  for (const name of names) {
+    const { file, indexes } = manifest.collections[name];
+    const collection = db.collection(name);
+    const lines = readline.createInterface({
+      input: fs.createReadStream(path.join(snapshotPath(dir, id), file)).pipe(zlib.createGunzip()),
+      crlfDelay: Infinity
+    });
+
+    let batch = [];
+    let count = 0;
+    for await (const line of lines) {
+      if (!line) continue;
+      batch.push(EJSON.parse(line, { relaxed: false }));
+      if (batch.length === RESTORE_BATCH_SIZE) {
+        await collection.insertMany(batch, { ordered: true });
+        count += batch.length;
+        batch = [];
+      }
+    }
+    if (batch.length) {
+      await collection.insertMany(batch, { ordered: true });
+      count += batch.length;
+    }
+
+    if (!count) await db.createCollection(name).catch(() => {});
+    if (indexes.length) await collection.createIndexes(indexes);
+    restored[name] = count;
+  }
+
+  return { id, restored };
+};
+
+// Keeps the newest `keep` snapshots and deletes the rest. Returns the deleted ids.
+const pruneSnapshots = async (keep, { dir = BACKUP_DIR } = {}) => {
+  const expired = (await listSnapshots({ dir })).slice(Math.max(1, keep));
+  await Promise.all(expired.map((snapshot) => fs.promises.rm(snapshotPath(dir, snapshot.id), { recursive: true, force: true })));
+  return expired.map((snapshot) => snapshot.id);
+};
+
+module.exports = { BACKUP_DIR, createSnapshot, listSnapshots, restoreSnapshot, pruneSnapshots };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const [command, id] = process.argv.slice(2);
+  const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/lucky-triple';
+
+  const run = async () => {
+    if (command === 'list') {
+      const snapshots = await listSnapshots();
+      if (!snapshots.length) console.log(`No snapshots in ${BACKUP_DIR}`);
+      snapshots.forEach((snapshot) => {
+        console.log(`${snapshot.id}  ${snapshot.database}  ${snapshot.documents} docs in ${snapshot.collections} collections  (${snapshot.reason})`);
+      });
+      return;
+    }
+
+    if (command !== 'snapshot' && command !== 'restore') {
+      console.log('Usage: node backup.js snapshot | list | restore <id>');
+      process.exitCode = 1;
+      return;
+    }
+
+    await mongoose.connect(uri);
+    try {
+      if (command === 'snapshot') {
+        const manifest = await createSnapshot(mongoose.connection.db, { reason: 'cli' });
+        console.log(`✅ Snapshot ${manifest.id} written to ${path.join(BACKUP_DIR, manifest.id)}`);
+      } else {
+        const { restored } = await restoreSnapshot(mongoose.connection.db, id);
+        Object.entries(restored).forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+        console.log(`✅ Restored snapshot ${id} into ${mongoose.connection.db.databaseName}`);
+      }
+    } finally {
+      await mongoose.disconnect();
+    }
+  };
+
+  run().catch((error) => {
+    console.error('❌ Backup error:', error.error || error);
+    process.exitCode = 1;
+  });
+}
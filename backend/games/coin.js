@@ -0,0 +1,40 @@
+const { choiceGame, legacyPickSide } = require('./shared');
+
+// Coin flip: call heads or tails for one flip, or for two or three in a row. Flipping
+// stops at the first miss.
+
+const FLIPS = { one: 1, two: 2, three: 3 };
+
+module.exports = choiceGame({
+  id: 'coin',
+  name: 'Coin Flip',
+  emoji: '🪙',
+  enabledKey: 'coin',
+  model: 'fair-coin',
+  choices: [
+    { value: 'heads', label: 'HEADS', icon: '🪙' },
+    { value: 'tails', label: 'TAILS', icon: '✨' }
+  ],
+  bets: [
+    { value: 'one', label: '1 flip', chance: 50 },
+    { value: 'two', label: '2 in a row', chance: 25 },
+    { value: 'three', label: '3 in a row', chance: 12.5 }
+  ],
+  play: ({ choice, bet }, rng) => {
+    const flips = [];
+    do {
+      flips.push(rng() < 0.5 ? 'heads' : 'tails');
+    } while (flips.length < FLIPS[bet] && flips[flips.length - 1] === choice);
+    const won = flips.length === FLIPS[bet] && flips.every((flip) => flip === choice);
+    return { won, outcome: flips[flips.length - 1], flips };
+  },
+  legacy: legacyPickSide(['heads', 'tails']),
+  history: {
+    fields: {
+      flips: { type: [String], default: undefined }
+    }
+  },
+  lobby: { sticker: '💫 NEW', description: 'Heads or tails — call a streak to win more!', tag: '🪙 Quick', accent: 'gold' },
+  display: { subtitle: 'Heads or tails — call one flip or a streak for glory!', visual: 'coin', playLabel: 'FLIP COIN' },
+  message: ({ flips }) => (flips && flips.length > 1 ? `Flips: ${flips.join(', ')}` : undefined)
+});
@@ -0,0 +1,47 @@
+const { choiceGame, rollDie } = require('./shared');
+const { legacyDice } = require('./legacy');
+
+// Dice duel: two fair dice. High is a total of 8-12 and low 2-6; a 7 loses both.
+// Narrower bets need both dice on your side (4-6 or 1-3), or a double there.
+
+const inHalf = (side, die) => (side === 'high' ? die >= 4 : die <= 3);
+
+const WINS = {
+  sum: (side, [d1, d2]) => (side === 'high' ? d1 + d2 >= 8 : d1 + d2 <= 6),
+  both: (side, dice) => dice.every((die) => inHalf(side, die)),
+  double: (side, [d1, d2]) => d1 === d2 && inHalf(side, d1)
+};
+
+module.exports = choiceGame({
+  id: 'dice',
+  name: 'Dice Duel',
+  emoji: '🎲',
+  enabledKey: 'dice',
+  model: 'two-dice',
+  choices: [
+    { value: 'high', label: 'HIGH', icon: '📈' },
+    { value: 'low', label: 'LOW', icon: '📉' }
+  ],
+  outcomes: ['high', 'low', 'seven'],
+  bets: [
+    { value: 'sum', label: 'Total 8-12 / 2-6', chance: (15 / 36) * 100 },
+    { value: 'both', label: 'Both dice 4-6 / 1-3', chance: (9 / 36) * 100 },
+    { value: 'double', label: 'A double 4-6 / 1-3', chance: (3 / 36) * 100 }
+  ],
+  play: ({ choice, bet }, rng) => {
+    const diceRolls = [rollDie(rng), rollDie(rng)];
+    const diceRoll = diceRolls[0] + diceRolls[1];
+    const outcome = diceRoll >= 8 ? 'high' : diceRoll <= 6 ? 'low' : 'seven';
+    return { won: WINS[bet](choice, diceRolls), outcome, diceRolls, diceRoll };
+  },
+  legacy: legacyDice,
+  history: {
+    fields: {
+      diceRoll: { type: Number, required: true },
+      diceRolls: { type: [Number] }
+    },
+    summary: (h, betText) => `${h.choice.toUpperCase()} · ${betText} → ${h.diceRolls?.join(' + ') || '?'} = ${h.diceRoll}`
+  },
+  lobby: { sticker: '🎲 NEW', description: 'High or low — roll two real dice!', tag: '🎲 Luck', accent: 'emerald' },
+  display: { subtitle: 'High (8-12) or low (2-6)? A total of 7 loses. Roll and win!', visual: 'dice', playLabel: 'ROLL DICE' }
+});
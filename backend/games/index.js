@@ -0,0 +1,81 @@
+// ============================================================================
+// GAME REGISTRY
+// ============================================================================
+//
+// Every game is one module in this directory, listed in GAME_MODULES (lobby order).
+// server.js builds each game's Bet discriminator, its settings fields, its
+// provably-fair replay and its /api/games/:gameId routes from the module,
+// and the lobby and the admin settings form are drawn from GET /api/games.
+//
+// A module declares:
+//   id, name, emoji      id is used in URLs and stored on fairness rounds
+//   enabledKey           its key under GameSettings.gamesEnabled
+//   view                 which player screen renders it: 'triple' | 'prediction' | 'slots'
+//   lobby, display       lobby card and play-screen text
+//   params               the parameter schema shown to clients
+//   parseParams(body)    validated params, or throws { status: 400, error }
+//   settings             settings blocks: { key, label, hint?, fields }; each field is
+//                        { label, default, min?, max? } and becomes a number under
+//                        GameSettings[key]
+//   checkSettings(settings)         error text for settings the game can't play, or null (optional)
+//   odds(params, settings)          the model and odds in force for a round, stored on it
+//   outcome(params, odds, rng)      the round result, drawn only through `rng` from the
+//                                   game's real random model
+//   payoutTable(settings)           [{ key, label, chance, multiplier }]; each payout is
+//                                   priced from its true chance to return 100 - houseFee %
+//   payoutKey(params, result)       the payout table row the result hits, or null
+//   returns(settings)    the bets a player can make, for the RTP engine (see rtp.js) and
+//                        simulations (simulate.js): [{ key, label, params, outcomes:
+//                        [{ multiplier, chance }] }]; chance in %, params fixed by the bet
+//   history              how a round is stored as a Bet (see server.js): { fields,
+//                        record(params, result, { multiplier, winAmount, profit }),
+//                        params(bet), recorded(bet), summary(bet) }
+//   checkFairInputs(params, odds)   error text for a manual verification, or null
+//   message(result, payout), winSms(params, result, { winAmount, balance })   optional
+
+const GAME_MODULES = ['lucky-triple', 'spin', 'roulette', 'coin', 'dice', 'slots'];
+
+const REQUIRED_KEYS = [
+  'id', 'name', 'emoji', 'enabledKey', 'view', 'params', 'parseParams', 'settings',
+  'odds', 'outcome', 'payoutTable', 'payoutKey', 'returns', 'history', 'checkFairInputs'
+];
+
+const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard'];
+
+const GAMES = GAME_MODULES.map((file) => {
+  const game = require(`./${file}`);
+  const missing = REQUIRED_KEYS.filter((key) => game[key] === undefined);
+  if (missing.length) throw new Error(`Game module ${file} is missing: ${missing.join(', ')}`);
+  return game;
+});
+
+const GAMES_BY_ID = Object.fromEntries(GAMES.map((game) => [game.id, game]));
+
+const getGame = (id) => (Object.prototype.hasOwnProperty.call(GAMES_BY_ID, id) ? GAMES_BY_ID[id] : null);
+
+const SETTINGS_BLOCKS = GAMES.flatMap((game) => game.settings);
+
+// The house edge (%) each difficulty preset sets; every payout follows from it.
+const DIFFICULTY_PRESETS = {
+  easy: { houseFee: 3 },
+  medium: { houseFee: 6 },
+  hard: { houseFee: 10 }
+};
+
+// What clients need to draw a game: lobby card, play screen, parameter schema, settings
+// form and the payout table under the given settings.
+const describeGame = (game, settings) => ({
+  id: game.id,
+  name: game.name,
+  emoji: game.emoji,
+  enabledKey: game.enabledKey,
+  enabled: settings.gamesEnabled?.[game.enabledKey] !== false,
+  view: game.view,
+  lobby: game.lobby,
+  display: game.display,
+  params: game.params,
+  settings: game.settings.map(({ key, label, hint, fields }) => ({ key, label, hint, fields })),
+  payoutTable: game.payoutTable(settings)
+});
+
+module.exports = { GAMES, getGame, SETTINGS_BLOCKS, DIFFICULTY_LEVELS, DIFFICULTY_PRESETS, describeGame };
@@ -0,0 +1,109 @@
+const { pickRandom, randomDigit, shuffle, legacyPickSide } = require('./shared');
+
+// The outcome-first generators the games used before they drew from real models: each
+// decided win or loss (or the match count) from the configured chance first, then made
+// up numbers, dice or reels to fit. New rounds never use them; they only replay rounds
+// recorded back then (odds without a `model`) so those still verify. Kept exactly as
+// they were, quirks included.
+
+const generateTripleOutcome = (playerGuesses, chances, rng = Math.random) => {
+  const c3 = chances.threeMatch || 5;
+  const c2 = chances.twoMatch || 25;
+  const c1 = chances.oneMatch || 30;
+  const roll = rng() * 100;
+  let winningNumbers;
+  let targetMatches;
+
+  if (roll < c3) {
+    targetMatches = 3;
+    winningNumbers = [...playerGuesses];
+  } else if (roll < c3 + c2) {
+    targetMatches = 2;
+    const matchPositions = shuffle([0, 1, 2], rng).slice(0, 2);
+    winningNumbers = [randomDigit(rng), randomDigit(rng), randomDigit(rng)];
+    matchPositions.forEach((pos) => { winningNumbers[pos] = playerGuesses[pos]; });
+    for (let i = 0; i < 3; i++) {
+      if (!matchPositions.includes(i)) {
+        while (winningNumbers[i] === playerGuesses[i]) winningNumbers[i] = randomDigit(rng);
+      }
+    }
+  } else if (roll < c3 + c2 + c1) {
+    targetMatches = 1;
+    const matchPosition = Math.floor(rng() * 3);
+    winningNumbers = [randomDigit(rng), randomDigit(rng), randomDigit(rng)];
+    winningNumbers[matchPosition] = playerGuesses[matchPosition];
+    for (let i = 0; i < 3; i++) {
+      if (i !== matchPosition) {
+        while (winningNumbers[i] === playerGuesses[i]) winningNumbers[i] = randomDigit(rng);
+      }
+    }
+  } else {
+    targetMatches = 0;
+    winningNumbers = [randomDigit(rng), randomDigit(rng), randomDigit(rng)];
+    for (let i = 0; i < 3; i++) {
+      while (winningNumbers[i] === playerGuesses[i]) winningNumbers[i] = randomDigit(rng);
+    }
+  }
+
+  return { winningNumbers, targetMatches };
+};
+
+const rollDiceForOutcome = (outcome, rng = Math.random) => {
+  const targetSum = outcome === 'high'
+    ? Math.floor(rng() * 6) + 7
+    : Math.floor(rng() * 5) + 2;
+  let d1 = Math.min(6, Math.max(1, Math.floor(targetSum / 2)));
+  let d2 = targetSum - d1;
+  if (d2 < 1) { d2 = 1; d1 = targetSum - 1; }
+  if (d2 > 6) { d2 = 6; d1 = targetSum - 6; }
+  if (outcome === 'high' && d1 + d2 < 7) {
+    d1 = Math.floor(rng() * 3) + 4;
+    d2 = Math.floor(rng() * 3) + 1;
+    if (d1 + d2 < 7) d2 = 7 - d1;
+  }
+  if (outcome === 'low' && d1 + d2 > 6) {
+    d1 = Math.floor(rng() * 3) + 1;
+    d2 = Math.floor(rng() * 3) + 1;
+    if (d1 + d2 > 6) d2 = Math.max(1, 6 - d1);
+  }
+  return [d1, d2];
+};
+
+const SLOT_SYMBOLS = ['🍒', '🍋', '🔔', '💎', '7️⃣'];
+
+const generateSlotReelsForSymbol = (symbol, won, rng = Math.random) => {
+  if (won) return [symbol, symbol, symbol];
+  const reels = [];
+  while (reels.length < 3) reels.push(pickRandom(SLOT_SYMBOLS, rng));
+  if (reels.every((r) => r === symbol)) {
+    reels[2] = pickRandom(SLOT_SYMBOLS.filter((s) => s !== symbol), rng);
+  }
+  return reels;
+};
+
+// Old rounds of each game, replayed from their stored params and odds.
+const legacyTriple = ({ guesses }, { chances = {} }, rng) => {
+  const { winningNumbers } = generateTripleOutcome(guesses, chances, rng);
+  const matches = guesses.filter((guess, i) => guess === winningNumbers[i]).length;
+  return { winningNumbers, matches };
+};
+
+const legacyDice = (params, odds, rng) => {
+  const result = legacyPickSide(['high', 'low'])(params, odds, rng);
+  const diceRolls = rollDiceForOutcome(result.outcome, rng);
+  return { ...result, diceRolls, diceRoll: diceRolls[0] + diceRolls[1] };
+};
+
+const legacySlots = ({ symbol }, { winChance }, rng) => {
+  const won = rng() * 100 < winChance;
+  return { won, reels: generateSlotReelsForSymbol(symbol, won, rng) };
+};
+
+module.exports = {
+  generateTripleOutcome,
+  rollDiceForOutcome,
+  generateSlotReelsForSymbol,
+  legacyTriple,
+  legacyDice,
+  legacySlots
+};
@@ -0,0 +1,80 @@
+const { randomDigit, invalidParams, targetRtpOf, payoutFor, isLegacyRound } = require('./shared');
+const { legacyTriple } = require('./legacy');
+
+// Pick three digits; three digits are drawn, each uniformly from 0-9, and each one
+// matching your pick in the same position counts.
+
+// The chance (%) of exactly that many matches, and the share of the return paid on it.
+const TIERS = [
+  { key: 'threeMatches', label: '3 matches', matches: 3, chance: 0.1, share: 0.3 },
+  { key: 'twoMatches', label: '2 matches', matches: 2, chance: 2.7, share: 0.3 },
+  { key: 'oneMatch', label: '1 match', matches: 1, chance: 24.3, share: 0.4 }
+];
+
+const isDigit = (value) => Number.isInteger(value) && value >= 0 && value <= 9;
+
+const tierPayouts = (settings) => TIERS.map((tier) => ({
+  key: tier.key,
+  label: tier.label,
+  chance: tier.chance,
+  multiplier: payoutFor(targetRtpOf(settings) * tier.share, tier.chance)
+}));
+
+module.exports = {
+  id: 'lucky-triple',
+  name: 'Lucky Triple',
+  emoji: '🎰',
+  enabledKey: 'luckyTriple',
+  view: 'triple',
+  lobby: { sticker: '🔥 HOT', description: 'Pick 3 digits — match 2 or 3 to win BIG!', tag: '⭐ Popular', accent: 'gold' },
+  params: {
+    guesses: { type: 'digits', length: 3, min: 0, max: 9 }
+  },
+  parseParams: ({ guesses }) => {
+    if (!Array.isArray(guesses) || guesses.length !== 3) invalidParams();
+    const parsed = guesses.map((g) => parseInt(g));
+    if (!parsed.every(isDigit)) invalidParams();
+    return { guesses: parsed };
+  },
+  settings: [],
+  odds: () => ({ model: 'three-digits' }),
+  outcome: (params, odds, rng) => {
+    if (isLegacyRound(odds)) return legacyTriple(params, odds, rng);
+    const winningNumbers = [randomDigit(rng), randomDigit(rng), randomDigit(rng)];
+    const matches = params.guesses.filter((guess, i) => guess === winningNumbers[i]).length;
+    return { winningNumbers, matches };
+  },
+  payoutTable: tierPayouts,
+  payoutKey: (params, { matches }) => TIERS.find((tier) => tier.matches === matches)?.key || null,
+  returns: (settings) => [{
+    key: 'guesses',
+    label: 'Any pick',
+    params: {},
+    outcomes: tierPayouts(settings).map(({ multiplier, chance }) => ({ multiplier, chance }))
+  }],
+  history: {
+    fields: {
+      guesses: { type: [Number], required: true },
+      winningNumbers: { type: [Number], required: true },
+      matches: { type: Number, required: true }
+    },
+    record: ({ guesses }, { winningNumbers, matches }) => ({ guesses, winningNumbers, matches }),
+    params: (h) => ({ guesses: h.guesses }),
+    recorded: (h) => ({ winningNumbers: h.winningNumbers, matches: h.matches }),
+    summary: (h) => `${h.guesses.join('')} vs ${h.winningNumbers.join('')} · ${h.matches} match${h.matches === 1 ? '' : 'es'}`
+  },
+  checkFairInputs: ({ guesses }, odds) => {
+    if (!Array.isArray(guesses) || guesses.length !== 3 || !guesses.every(isDigit)) {
+      return 'guesses must be three digits from 0 to 9';
+    }
+    const chances = odds.chances || {};
+    if (isLegacyRound(odds) && !['threeMatch', 'twoMatch', 'oneMatch'].every((key) => typeof chances[key] === 'number')) {
+      return 'odds.chances needs threeMatch, twoMatch and oneMatch';
+    }
+    return null;
+  },
+  message: ({ matches }) => (matches > 0 ? 'You won!' : 'Better luck next time!'),
+  winSms: (params, { matches }, { winAmount, balance }) => (matches >= 2
+    ? `🎉 Congratulations! You won GHS ${winAmount.toFixed(2)} with ${matches} matches! Your new balance is GHS ${balance.toFixed(2)}. 🎰`
+    : null)
+};
@@ -0,0 +1,44 @@
+const { choiceGame, legacyPickSide } = require('./shared');
+
+// Golden roulette: a European wheel of 37 pockets, 0 to 36. Back red or black, and
+// optionally only its numbers from 19 or from 25 up. Zero is green and loses.
+
+const POCKETS = 37;
+const RED_NUMBERS = [1, 3, 5, 7, 9, 12, 14, 16, 18, 19, 21, 23, 25, 27, 30, 32, 34, 36];
+// The lowest number each bet covers; every range holds as many reds as blacks.
+const LOWEST = { color: 1, high: 19, top: 25 };
+
+const colorOf = (pocket) => (pocket === 0 ? 'green' : RED_NUMBERS.includes(pocket) ? 'red' : 'black');
+
+module.exports = choiceGame({
+  id: 'roulette',
+  name: 'Golden Roulette',
+  emoji: '🎡',
+  enabledKey: 'roulette',
+  model: 'european-wheel',
+  choices: [
+    { value: 'red', label: 'RED', icon: '🔴' },
+    { value: 'black', label: 'BLACK', icon: '⚫' }
+  ],
+  outcomes: ['red', 'black', 'green'],
+  bets: [
+    { value: 'color', label: 'Any number (1-36)', chance: (18 / POCKETS) * 100 },
+    { value: 'high', label: 'High numbers (19-36)', chance: (9 / POCKETS) * 100 },
+    { value: 'top', label: 'Top dozen (25-36)', chance: (6 / POCKETS) * 100 }
+  ],
+  play: ({ choice, bet }, rng) => {
+    const pocket = Math.floor(rng() * POCKETS);
+    const outcome = colorOf(pocket);
+    return { won: outcome === choice && pocket >= LOWEST[bet], outcome, pocket };
+  },
+  legacy: legacyPickSide(['red', 'black']),
+  history: {
+    fields: {
+      pocket: { type: Number, min: 0, max: 36 }
+    },
+    summary: (h, betText) => `${h.choice.toUpperCase()} · ${betText} → ${[h.pocket, h.outcome.toUpperCase()].filter((part) => part !== undefined).join(' ')}`
+  },
+  lobby: { sticker: '👑 VIP', description: 'Red or black on a real 37-pocket wheel!', tag: '🎡 Wheel', accent: 'violet' },
+  display: { subtitle: 'Red or black? Back the high numbers for a bigger payout. Zero is green and loses.', visual: 'wheel', playLabel: 'SPIN WHEEL' },
+  message: ({ pocket, outcome }) => (pocket === undefined ? undefined : `The ball landed on ${pocket} ${outcome}`)
+});
@@ -0,0 +1,44 @@
+const { GAMES } = require('./index');
+const { targetRtpOf } = require('./shared');
+
+// Return to player (RTP) under a set of GameSettings, from each module's
+// returns(settings): the bets a player can make, each with the chance (%) and payout
+// multiplier of every paying result. A bet's RTP is the sum of chance × multiplier.
+
+const MAX_RTP = 100;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const optionRtp = ({ key, label, outcomes }) => ({
+  key,
+  label,
+  rtp: round2(outcomes.reduce((sum, { multiplier, chance }) => sum + chance * multiplier, 0)),
+  hitRate: round2(outcomes.reduce((sum, { multiplier, chance }) => sum + (multiplier > 0 ? chance : 0), 0)),
+  topPayout: Math.max(...outcomes.map(({ multiplier }) => multiplier))
+});
+
+const gameRtp = (game, settings) => {
+  const options = game.returns(settings).map(optionRtp);
+  const maxRtp = Math.max(...options.map((option) => option.rtp));
+  return { id: game.id, name: game.name, emoji: game.emoji, options, maxRtp, overLimit: maxRtp > MAX_RTP };
+};
+
+const rtpReport = (settings) => ({
+  targetRtp: round2(targetRtpOf(settings)),
+  maxRtp: MAX_RTP,
+  games: GAMES.map((game) => gameRtp(game, settings))
+});
+
+// Error text naming every game whose best bet returns more than it takes in, or null.
+const rtpViolation = (report) => {
+  const over = report.games.filter((game) => game.overLimit);
+  if (!over.length) return null;
+  const list = over.map((game) => `${game.name} (${game.maxRtp}%)`).join(', ');
+  return `These settings would pay players more than they stake (RTP over ${MAX_RTP}%): ${list}`;
+};
+
+const checkHouseFee = (houseFee) => (typeof houseFee === 'number' && houseFee >= 0 && houseFee < 100
+  ? null
+  : 'House fee must be at least 0 and below 100%');
+
+module.exports = { MAX_RTP, checkHouseFee, gameRtp, rtpReport, rtpViolation };
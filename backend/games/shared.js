@@ -0,0 +1,139 @@
+// Helpers shared by the game modules. Every random draw goes through an injected
+// `rng` so rounds can be replayed from their provably-fair seeds.
+
+const pickRandom = (arr, rng = Math.random) => arr[Math.floor(rng() * arr.length)];
+const randomDigit = (rng) => Math.floor(rng() * 10);
+const rollDie = (rng) => Math.floor(rng() * 6) + 1;
+
+const shuffle = (arr, rng) => {
+  const copy = [...arr];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+const invalidParams = (error = 'Invalid game parameters') => {
+  throw { status: 400, error };
+};
+
+// The house edge (%) when GameSettings.houseFee is missing. Payouts are priced to
+// return 100 - houseFee percent.
+const DEFAULT_HOUSE_FEE = 6;
+const targetRtpOf = (settings) => 100 - (settings.houseFee ?? DEFAULT_HOUSE_FEE);
+
+// The multiplier that returns `rtp`% on a bet won with `chance`% probability, rounded
+// down to 0.01 so the real return never exceeds it. A bet that can't win pays nothing.
+const payoutFor = (rtp, chance) => (chance > 0 ? Math.floor((rtp / chance) * 100) / 100 : 0);
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Rounds played before the games drew real outcomes stored a win chance in `odds` and
+// no `model`. They are replayed with the old logic so they still verify.
+const isLegacyRound = (odds) => !odds.model;
+
+// Manual fairness checks replay with player-supplied odds, so they are bounds-checked first.
+const checkWinChance = (odds) => (typeof odds.winChance !== 'number' || odds.winChance < 0 || odds.winChance > 100
+  ? 'odds.winChance must be a number from 0 to 100'
+  : null);
+
+// The play body's `bet` is the stake, so the way a side is backed travels as `betType`.
+// Old clients pick x2/x3/x4 instead; those map onto a game's bets in order.
+const LEGACY_MULTIPLIERS = [2, 3, 4];
+const betFromBody = (body, bets) => body.betType ?? bets[LEGACY_MULTIPLIERS.indexOf(Number(body.multiplier))]?.value;
+
+// Builds the module for a two-way "pick a side, pick a bet" game. `bets` are the ways
+// to back the chosen side, each with its true chance (%) under the game's model, and
+// `play(params, rng)` draws a round from that model: { won, outcome, ...detail }.
+// Each bet pays the multiplier that returns 100 - houseFee percent at its chance.
+// `legacy(params, odds, rng)` replays rounds from before the real models, and
+// `history.summary(round, betText)` can replace the one-line summary of a round.
+const choiceGame = ({
+  id, name, enabledKey, model, choices, outcomes = choices.map((c) => c.value), bets, choiceField = 'choice',
+  play, legacy, history = {}, ...rest
+}) => {
+  const values = choices.map((c) => c.value);
+  const betValues = bets.map((b) => b.value);
+  const labelOf = (value) => choices.find((c) => c.value === value)?.label || String(value).toUpperCase();
+  const betLabelOf = (value) => bets.find((b) => b.value === value)?.label || value;
+  const detailKeys = Object.keys(history.fields || {});
+  const defaultSummary = (h, betText) => `${labelOf(h[choiceField])} · ${betText} → ${labelOf(h.outcome)}`;
+
+  return {
+    id,
+    name,
+    enabledKey,
+    view: 'prediction',
+    params: {
+      choice: { type: 'choice', options: choices },
+      betType: { type: 'bet', options: bets.map(({ value, label }) => ({ value, label })) }
+    },
+    parseParams: (body) => {
+      const choice = body.choice ?? body[choiceField];
+      const bet = betFromBody(body, bets);
+      if (!values.includes(choice) || !betValues.includes(bet)) invalidParams();
+      return { choice, bet };
+    },
+    settings: [],
+    odds: ({ bet }) => ({ model, chance: round2(bets.find((b) => b.value === bet).chance) }),
+    outcome: (params, odds, rng) => (isLegacyRound(odds) ? legacy(params, odds, rng) : play(params, rng)),
+    payoutTable: (settings) => bets.map((b) => ({
+      key: b.value,
+      label: b.label,
+      chance: round2(b.chance),
+      multiplier: payoutFor(targetRtpOf(settings), b.chance)
+    })),
+    payoutKey: ({ bet }, result) => (result.won ? bet : null),
+    returns: (settings) => bets.map((b) => ({
+      key: b.value,
+      label: b.label,
+      params: { betType: b.value },
+      outcomes: [{ multiplier: payoutFor(targetRtpOf(settings), b.chance), chance: b.chance }]
+    })),
+    history: {
+      fields: {
+        [choiceField]: { type: String, enum: values, required: true },
+        bet: { type: String, enum: betValues },
+        multiplier: { type: Number, required: true },
+        outcome: { type: String, enum: outcomes, required: true },
+        ...history.fields
+      },
+      record: ({ choice, bet }, { won, ...result }, { multiplier }) => ({ [choiceField]: choice, bet, multiplier, ...result }),
+      params: (h) => ({ choice: h[choiceField], bet: h.bet }),
+      recorded: (h) => ({ won: h.won, outcome: h.outcome, ...Object.fromEntries(detailKeys.map((key) => [key, h[key]])) }),
+      summary: (h) => (history.summary || defaultSummary)(h, h.bet ? betLabelOf(h.bet) : `×${h.multiplier}`)
+    },
+    checkFairInputs: (params, odds) => {
+      if (!values.includes(params.choice)) return 'Unknown choice';
+      if (isLegacyRound(odds)) return checkWinChance(odds);
+      return betValues.includes(params.bet) ? null : 'Unknown bet';
+    },
+    ...rest
+  };
+};
+
+// Replays an old two-way round: won with `winChance`%, landing on the chosen side if
+// won and the other side if not.
+const legacyPickSide = (values) => ({ choice }, { winChance }, rng) => {
+  const won = rng() * 100 < winChance;
+  return { won, outcome: won ? choice : values.find((value) => value !== choice) };
+};
+
+module.exports = {
+  pickRandom,
+  randomDigit,
+  rollDie,
+  shuffle,
+  invalidParams,
+  DEFAULT_HOUSE_FEE,
+  targetRtpOf,
+  payoutFor,
+  round2,
+  isLegacyRound,
+  checkWinChance,
+  LEGACY_MULTIPLIERS,
+  betFromBody,
+  choiceGame,
+  legacyPickSide
+};
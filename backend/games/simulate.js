@@ -0,0 +1,97 @@
+const { GAMES } = require('./index');
+const { gameRtp } = require('./rtp');
+const { pickRandom } = require('./shared');
+
+// Monte-Carlo runs of the games under a set of GameSettings. Each round goes through
+// the module's own parseParams, odds, outcome and payoutKey, exactly as a real round
+// does, with the player's picks drawn at random from its params schema. Every bet in
+// returns(settings) is simulated separately at a flat stake.
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// A random play for one bet: each param drawn from the schema, then the bet's own
+// params (e.g. { betType: 'third' }) on top.
+const randomBody = (game, betParams, rng) => ({
+  ...Object.fromEntries(Object.entries(game.params).map(([name, spec]) => {
+    if (spec.type === 'digits') {
+      return [name, Array.from({ length: spec.length }, () => spec.min + Math.floor(rng() * (spec.max - spec.min + 1)))];
+    }
+    const option = pickRandom(spec.options, rng);
+    return [name, option?.value ?? option];
+  })),
+  ...betParams
+});
+
+const simulateBet = (game, settings, bet, { rounds, stake, rngFor }) => {
+  const payouts = Object.fromEntries(game.payoutTable(settings).map((row) => [row.key, row.multiplier]));
+  let wagered = 0;
+  let returned = 0;
+  let hits = 0;
+  let house = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  // Running mean and sum of squared deviations of the player's net result (Welford)
+  let mean = 0;
+  let m2 = 0;
+
+  for (let i = 0; i < rounds; i++) {
+    const rng = rngFor(game.id, bet.key, i);
+    const params = game.parseParams(randomBody(game, bet.params, rng));
+    const result = game.outcome(params, game.odds(params, settings), rng);
+    const key = game.payoutKey(params, result);
+    const winAmount = key ? stake * (payouts[key] ?? 0) : 0;
+
+    wagered += stake;
+    returned += winAmount;
+    if (winAmount > 0) hits++;
+
+    // The house's running result, and its worst fall from a high point
+    house += stake - winAmount;
+    peak = Math.max(peak, house);
+    maxDrawdown = Math.max(maxDrawdown, peak - house);
+
+    const net = winAmount - stake;
+    const delta = net - mean;
+    mean += delta / (i + 1);
+    m2 += delta * (net - mean);
+  }
+
+  const variance = rounds > 1 ? m2 / (rounds - 1) : 0;
+  const rtp = wagered ? (returned / wagered) * 100 : 0;
+  return {
+    key: bet.key,
+    label: bet.label,
+    rounds,
+    hitRate: round2((hits / rounds) * 100),
+    rtp: round2(rtp),
+    theoreticalRtp: bet.theoreticalRtp,
+    variance: round2(variance),
+    stdDev: round2(Math.sqrt(variance)),
+    maxDrawdown: round2(maxDrawdown),
+    houseProfit: round2(wagered - returned),
+    houseProfitPer1000: round2(1000 * (1 - rtp / 100))
+  };
+};
+
+// Simulates `rounds` rounds of every bet in each of `gameIds` (all games by default)
+// at `stake` GHS a round. `rngFor(gameId, betKey, i)` gives the random source for
+// round i of a bet.
+const simulateGames = (settings, { gameIds, rounds, stake, rngFor = () => Math.random }) => {
+  const games = gameIds ? GAMES.filter((game) => gameIds.includes(game.id)) : GAMES;
+  return games.map((game) => {
+    const theory = Object.fromEntries(gameRtp(game, settings).options.map((option) => [option.key, option.rtp]));
+    const bets = game.returns(settings).map((bet) => simulateBet(
+      game,
+      settings,
+      { key: bet.key, label: bet.label, params: bet.params, theoreticalRtp: theory[bet.key] },
+      { rounds, stake, rngFor }
+    ));
+    return { id: game.id, name: game.name, emoji: game.emoji, bets };
+  });
+};
+
+// How many simulated rounds a run of `rounds` per bet comes to.
+const countSimulatedRounds = (settings, gameIds, rounds) => (gameIds ? GAMES.filter((game) => gameIds.includes(game.id)) : GAMES)
+  .reduce((total, game) => total + game.returns(settings).length * rounds, 0);
+
+module.exports = { simulateGames, countSimulatedRounds };
@@ -0,0 +1,130 @@
+const { invalidParams, targetRtpOf, payoutFor, round2, isLegacyRound, betFromBody, checkWinChance } = require('./shared');
+const { legacySlots } = require('./legacy');
+
+// Lucky slots: three reels, each spun independently over the same weighted strip.
+// Pick a symbol and a bet: at least one, two or all three reels landing on it.
+
+// `stops` is how many times the symbol appears on the default strip.
+const SYMBOLS = [
+  { key: 'cherry', value: '🍒', label: 'Cherry', stops: 6 },
+  { key: 'lemon', value: '🍋', label: 'Lemon', stops: 5 },
+  { key: 'bell', value: '🔔', label: 'Bell', stops: 4 },
+  { key: 'diamond', value: '💎', label: 'Diamond', stops: 3 },
+  { key: 'seven', value: '7️⃣', label: 'Lucky 7', stops: 2 }
+];
+const SLOT_SYMBOLS = SYMBOLS.map((symbol) => symbol.value);
+
+const BETS = [
+  { value: 'one', label: '1+ on the line', count: 1 },
+  { value: 'two', label: '2+ on the line', count: 2 },
+  { value: 'three', label: '3 on the line', count: 3 }
+];
+
+const STRIP_KEY = 'slotsReelStrip';
+
+const stripOf = (settings) => Object.fromEntries(SYMBOLS.map(({ key, stops }) => [key, settings[STRIP_KEY]?.[key] ?? stops]));
+
+// One reel: a stop drawn uniformly from the strip, so each symbol lands with
+// probability stops / total stops.
+const spinReel = (strip, rng) => {
+  const total = SYMBOLS.reduce((sum, { key }) => sum + strip[key], 0);
+  let stop = Math.floor(rng() * total);
+  for (const symbol of SYMBOLS) {
+    if (stop < strip[symbol.key]) return symbol.value;
+    stop -= strip[symbol.key];
+  }
+  return SYMBOLS[SYMBOLS.length - 1].value;
+};
+
+const binomial = (n, k) => (k === 0 || k === n ? 1 : binomial(n - 1, k - 1) + binomial(n - 1, k));
+
+// Chance (%) that at least `count` of the three reels land on the symbol.
+const chanceOf = (strip, symbolKey, count) => {
+  const total = SYMBOLS.reduce((sum, { key }) => sum + strip[key], 0);
+  const p = strip[symbolKey] / total;
+  let chance = 0;
+  for (let k = count; k <= 3; k++) chance += binomial(3, k) * p ** k * (1 - p) ** (3 - k);
+  return chance * 100;
+};
+
+// Every symbol and bet, with its exact chance (%) and the payout priced from it.
+const slotBets = (settings) => {
+  const strip = stripOf(settings);
+  return SYMBOLS.flatMap((symbol) => BETS.map((bet) => {
+    const chance = chanceOf(strip, symbol.key, bet.count);
+    return {
+      key: `${symbol.key}-${bet.value}`,
+      label: `${symbol.label} ${bet.label}`,
+      symbol: symbol.value,
+      bet: bet.value,
+      chance,
+      multiplier: payoutFor(targetRtpOf(settings), chance)
+    };
+  }));
+};
+
+const symbolKeyOf = (value) => SYMBOLS.find((symbol) => symbol.value === value)?.key;
+const betCountOf = (value) => BETS.find((bet) => bet.value === value)?.count;
+
+const checkStrip = (strip) => (SYMBOLS.every(({ key }) => Number.isInteger(strip?.[key]) && strip[key] >= 1)
+  ? null
+  : 'Every symbol needs a whole number of reel stops, at least 1');
+
+module.exports = {
+  id: 'slots',
+  name: 'Lucky Slots',
+  emoji: '🎰',
+  enabledKey: 'slots',
+  view: 'slots',
+  lobby: { sticker: '💎 JACKPOT', description: 'Cherries, bells & mega jackpots!', tag: '🎉 Slots', accent: 'ruby' },
+  display: { subtitle: 'Pick your symbol and how many reels it must land on, then spin!', playLabel: 'SPIN!' },
+  params: {
+    symbol: { type: 'choice', options: SYMBOLS.map(({ key, value, label }) => ({ key, value, label })) },
+    betType: { type: 'bet', options: BETS.map(({ value, label }) => ({ value, label })) }
+  },
+  parseParams: (body) => {
+    const bet = betFromBody(body, BETS);
+    if (!SLOT_SYMBOLS.includes(body.symbol) || !betCountOf(bet)) invalidParams('Pick a symbol and a bet');
+    return { symbol: body.symbol, bet };
+  },
+  settings: [{
+    key: STRIP_KEY,
+    label: 'Reel strip',
+    hint: 'How many stops each symbol has on every reel. Rarer symbols pay more; payouts follow from the strip and the house fee.',
+    fields: Object.fromEntries(SYMBOLS.map(({ key, value, label, stops }) => [key, { label: `${value} ${label}`, default: stops, min: 1 }]))
+  }],
+  checkSettings: (settings) => checkStrip(stripOf(settings)),
+  odds: (params, settings) => ({ model: 'reel-strip', strip: stripOf(settings) }),
+  outcome: (params, odds, rng) => {
+    if (isLegacyRound(odds)) return legacySlots(params, odds, rng);
+    const reels = [spinReel(odds.strip, rng), spinReel(odds.strip, rng), spinReel(odds.strip, rng)];
+    const hits = reels.filter((reel) => reel === params.symbol).length;
+    return { won: hits >= betCountOf(params.bet), reels };
+  },
+  payoutTable: (settings) => slotBets(settings).map((row) => ({ ...row, chance: round2(row.chance) })),
+  payoutKey: ({ symbol, bet }, { won }) => (won ? `${symbolKeyOf(symbol)}-${bet}` : null),
+  returns: (settings) => slotBets(settings).map((row) => ({
+    key: row.key,
+    label: row.label,
+    params: { symbol: row.symbol, betType: row.bet },
+    outcomes: [{ multiplier: row.multiplier, chance: row.chance }]
+  })),
+  history: {
+    fields: {
+      reels: [{ type: String }],
+      chosenSymbol: { type: String },
+      bet: { type: String, enum: BETS.map((bet) => bet.value) },
+      multiplier: { type: Number, default: 0 }
+    },
+    record: ({ symbol, bet }, { reels }, { multiplier }) => ({ reels, chosenSymbol: symbol, bet, multiplier }),
+    params: (h) => ({ symbol: h.chosenSymbol, bet: h.bet }),
+    recorded: (h) => ({ won: h.won, reels: h.reels }),
+    summary: (h) => `${h.reels.join(' ')} (picked ${h.chosenSymbol} ${h.bet ? BETS.find((bet) => bet.value === h.bet).label : `×${h.multiplier}`})`
+  },
+  checkFairInputs: ({ symbol, bet }, odds) => {
+    if (!SLOT_SYMBOLS.includes(symbol)) return 'Unknown slot symbol';
+    if (isLegacyRound(odds)) return checkWinChance(odds);
+    return betCountOf(bet) ? checkStrip(odds.strip) : 'Unknown bet';
+  },
+  message: ({ won }, { winAmount }) => (won ? `You won GHS ${winAmount.toFixed(2)}!` : 'No luck this spin!')
+};
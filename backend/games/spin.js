@@ -0,0 +1,48 @@
+const { choiceGame, legacyPickSide } = require('./shared');
+
+// Spin the bottle: call up or bottom, and how narrow a slice of the circle around it
+// the bottle has to stop in. The bottle stops at a uniformly random angle, in
+// hundredths of a degree clockwise from the top.
+
+const TICKS = 36000;
+const CENTRE = { up: 0, bottom: 18000 };
+const SECTOR = { half: 18000, third: 12000, quarter: 9000 };
+
+// Whether `ticks` falls in the `width`-wide sector centred on `centre`.
+const inSector = (ticks, centre, width) => (ticks - centre + TICKS + width / 2) % TICKS < width;
+
+module.exports = choiceGame({
+  id: 'spin',
+  name: 'Spin the Bottle',
+  emoji: '🍾',
+  enabledKey: 'spin',
+  model: 'bottle-angle',
+  // Rounds played before the registry stored the pick as `direction`.
+  choiceField: 'direction',
+  choices: [
+    { value: 'up', label: 'UP', icon: '⬆️' },
+    { value: 'bottom', label: 'BOTTOM', icon: '⬇️' }
+  ],
+  bets: [
+    { value: 'half', label: 'Half circle (180°)', chance: 50 },
+    { value: 'third', label: 'Third (120°)', chance: 100 / 3 },
+    { value: 'quarter', label: 'Quarter (90°)', chance: 25 }
+  ],
+  play: ({ choice, bet }, rng) => {
+    const ticks = Math.floor(rng() * TICKS);
+    const outcome = inSector(ticks, CENTRE.up, SECTOR.half) ? 'up' : 'bottom';
+    return { won: inSector(ticks, CENTRE[choice], SECTOR[bet]), outcome, angle: ticks / 100 };
+  },
+  legacy: legacyPickSide(['up', 'bottom']),
+  history: {
+    fields: {
+      angle: { type: Number }
+    }
+  },
+  lobby: { sticker: '⚡ FAST', description: 'Up or down — the narrower your call, the bigger the pay!', tag: '🎯 Classic', accent: 'emerald' },
+  display: { subtitle: 'Predict where the bottle stops — narrow it down for a bigger payout!', visual: 'bottle', playLabel: 'SPIN NOW' },
+  message: ({ angle }) => (angle === undefined ? undefined : `The bottle stopped at ${angle.toFixed(2)}°`),
+  winSms: ({ bet }, { won }, { winAmount, balance }) => (won && bet !== 'half'
+    ? `🍾 You won GHS ${winAmount.toFixed(2)} on Spin the Bottle! Balance: GHS ${balance.toFixed(2)}.`
+    : null)
+});
@@ -0,0 +1,110 @@
+// ============================================================================
+// MIGRATE BETS - copy the old per-game history collections into `bets`
+// ============================================================================
+//
+// Before the unified Bet model each game kept its rounds in its own collection. This
+// copies every round into `bets` under the same _id (commission records point at it),
+// tagged with its gameId, and fills in winAmount/won where the old schema lacked them.
+// Rounds already in `bets` are skipped, so the script can be re-run safely.
+//
+//   node migrate-bets.js                 copy, leaving the old collections in place
+//   node migrate-bets.js --drop-legacy   copy, then drop each old collection once
+//                                        all of its rounds are in `bets`
+//
+// Take a snapshot first (npm run backup).
+
+const mongoose = require('mongoose');
+
+const BATCH_SIZE = 500;
+
+// Old collection -> game id
+const LEGACY_COLLECTIONS = {
+  gamehistories: 'lucky-triple',
+  spingamehistories: 'spin',
+  roulettegamehistories: 'roulette',
+  coingamehistories: 'coin',
+  dicegamehistories: 'dice',
+  slotsgamehistories: 'slots'
+};
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+const toBet = (doc, gameId) => {
+  const winAmount = doc.winAmount ?? roundMoney(doc.betAmount + doc.profit);
+  return { ...doc, gameId, winAmount, won: doc.won ?? winAmount > 0 };
+};
+
+// Inserts a batch, skipping rounds that were copied by an earlier run.
+const insertBatch = async (bets, batch) => {
+  try {
+    const result = await bets.insertMany(batch, { ordered: false });
+    return result.insertedCount;
+  } catch (error) {
+    const failures = error.writeErrors || [];
+    if (!failures.length || failures.some((failure) => failure.code !== 11000)) throw error;
+    return error.insertedCount ?? error.result?.insertedCount ?? batch.length - failures.length;
+  }
+};
+
+const migrateBets = async (db, { dropLegacy = false } = {}) => {
+  const existing = new Set((await db.listCollections({}, { nameOnly: true }).toArray()).map((c) => c.name));
+  const bets = db.collection('bets');
+  const report = {};
+
+  for (const [name, gameId] of Object.entries(LEGACY_COLLECTIONS)) {
+    if (!existing.has(name)) continue;
+    const legacy = db.collection(name);
+    let found = 0;
+    let copied = 0;
+    let batch = [];
+
+    for await (const doc of legacy.find({})) {
+      found++;
+      batch.push(toBet(doc, gameId));
+      if (batch.length === BATCH_SIZE) {
+        copied += await insertBatch(bets, batch);
+        batch = [];
+      }
+    }
+    if (batch.length) copied += await insertBatch(bets, batch);
+
+    const ids = await legacy.distinct('_id');
+    const migrated = await bets.countDocuments({ _id: { $in: ids }, gameId });
+    let dropped = false;
+    if (dropLegacy && migrated === ids.length) {
+      await legacy.drop();
+      dropped = true;
+    }
+    report[name] = { gameId, found, copied, migrated, dropped };
+  }
+
+  return report;
+};
+
+module.exports = { LEGACY_COLLECTIONS, migrateBets };
+
+if (require.main === module) {
+  require('dotenv').config();
+  const uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/lucky-triple';
+  const dropLegacy = process.argv.includes('--drop-legacy');
+
+  const run = async () => {
+    await mongoose.connect(uri);
+    try {
+      const report = await migrateBets(mongoose.connection.db, { dropLegacy });
+      if (!Object.keys(report).length) console.log('No legacy game history collections found');
+      Object.entries(report).forEach(([name, r]) => {
+        const status = r.dropped ? 'dropped' : r.migrated === r.found ? 'kept' : 'kept, NOT fully migrated';
+        console.log(`  ${name} -> ${r.gameId}: ${r.found} rounds, ${r.copied} copied, ${r.migrated} in bets (${status})`);
+      });
+      console.log(`✅ Bets migrated in ${mongoose.connection.db.databaseName}`);
+    } finally {
+      await mongoose.disconnect();
+    }
+  };
+
+  run().catch((error) => {
+    console.error('❌ Migration error:', error.error || error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,161 @@
+// ============================================================================
+// MOCK PAYLOQA - local stand-in for the Payloqa payments, payouts and SMS APIs
+// ============================================================================
+//
+// Start it with `npm run mock:payloqa`, then point the backend at it:
+//
+//   PAYLOQA_PAYMENTS_URL=http://localhost:4010/api/v1/payments
+//   PAYLOQA_PAYOUTS_URL=http://localhost:4010/api/v1/payouts
+//   PAYLOQA_SMS_URL=http://localhost:4010/api/v1
+//   BACKEND_URL=http://localhost:5000
+//   PAYLOQA_WEBHOOK_SECRET=<same value for both processes>
+//
+// Deposits: any OTP except 000000 is accepted; the payment completes a moment later
+// and the payment webhook fires. Payouts settle the same way through the payout
+// webhook. The recipient number picks the outcome:
+//   ...0000  rejected up front (HTTP 400, never retried)
+//   ...9999  accepted, then fails
+//   ...5030  HTTP 503 on the first two attempts (exercises retries), then pays
+//   anything else pays
+
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+
+const SETTLE_DELAY_MS = Number(process.env.MOCK_PAYLOQA_DELAY_MS || 1500);
+const WEBHOOK_SECRET = process.env.PAYLOQA_WEBHOOK_SECRET || 'mock-webhook-secret';
+
+const createMockPayloqa = () => {
+  const app = express();
+  app.use(express.json());
+
+  const payments = new Map();
+  const payouts = new Map();
+  const payoutAttempts = new Map();
+  const sms = [];
+
+  const newId = (prefix) => `${prefix}_${crypto.randomBytes(6).toString('hex')}`;
+
+  // Signed the way the backend expects: HMAC-SHA256 of `${timestamp}.${raw body}`.
+  const sendWebhook = async (url, body) => {
+    if (!url) return;
+    const raw = JSON.stringify(body);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', WEBHOOK_SECRET).update(`${timestamp}.${raw}`).digest('hex');
+    try {
+      await axios.post(url, raw, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Payloqa-Timestamp': String(timestamp),
+          'X-Payloqa-Signature': signature,
+          'X-Payloqa-Event-Id': newId('evt'),
+        },
+      });
+    } catch (error) {
+      console.error('[mock-payloqa] webhook failed:', url, error.message);
+    }
+  };
+
+  const settleLater = (record, status, event) => {
+    setTimeout(() => {
+      record.status = status;
+      const idKey = event.startsWith('payout') ? 'payout_id' : 'payment_id';
+      sendWebhook(record.webhook_url, {
+        event,
+        data: {
+          [idKey]: record.id,
+          reference: record.reference,
+          status,
+          amount: record.amount,
+          metadata: record.metadata
+        }
+      });
+    }, SETTLE_DELAY_MS);
+  };
+
+  const view = (record) => {
+    const { id, ...rest } = record;
+    return { ...rest, [record.kind === 'payout' ? 'payout_id' : 'payment_id']: id };
+  };
+
+  // Payments (collections)
+  app.post('/api/v1/payments/create', (req, res) => {
+    const id = newId('pay');
+    payments.set(id, { id, kind: 'payment', status: 'pending_otp', ...req.body });
+    res.json({ success: true, data: { payment_id: id, otp_required: true, message: 'OTP sent (mock)' } });
+  });
+
+  app.post('/api/v1/payments/:id/verify-otp', (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment) return res.status(404).json({ success: false, error: { code: 'NOT_FOUND', message: 'Payment not found' } });
+    if (req.body.otp_code === '000000') {
+      return res.status(400).json({ success: false, error: { code: 'INVALID_OTP', message: 'Invalid OTP' } });
+    }
+    payment.status = 'processing';
+    settleLater(payment, 'completed', 'payment.status_changed');
+    res.json({ success: true, data: { payment_id: payment.id, status: payment.status } });
+  });
+
+  app.post('/api/v1/payments/:id/resend-otp', (req, res) => {
+    if (!payments.has(req.params.id)) return res.status(404).json({ success: false, error: { message: 'Payment not found' } });
+    res.json({ success: true, data: { message: 'OTP resent (mock)' } });
+  });
+
+  app.get('/api/v1/payments/:id', (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment) return res.status(404).json({ success: false, error: { message: 'Payment not found' } });
+    res.json({ success: true, data: view(payment) });
+  });
+
+  // Payouts (disbursements)
+  app.post('/api/v1/payouts/create', (req, res) => {
+    const { reference, phone_number: phone = '' } = req.body;
+
+    // Same reference, same payout: retries never pay twice.
+    const existing = [...payouts.values()].find((payout) => payout.reference === reference);
+    if (existing) return res.json({ success: true, data: view(existing) });
+
+    if (phone.endsWith('0000')) {
+      return res.status(400).json({ success: false, error: { code: 'INVALID_PHONE_NUMBER', message: 'Recipient wallet not found' } });
+    }
+
+    const attempt = (payoutAttempts.get(reference) || 0) + 1;
+    payoutAttempts.set(reference, attempt);
+    if (phone.endsWith('5030') && attempt <= 2) {
+      return res.status(503).json({ success: false, error: { code: 'UNAVAILABLE', message: 'Payout service busy' } });
+    }
+
+    const id = newId('po');
+    const payout = { id, kind: 'payout', status: 'processing', ...req.body };
+    payouts.set(id, payout);
+    settleLater(payout, phone.endsWith('9999') ? 'failed' : 'completed', 'payout.status_changed');
+    res.json({ success: true, data: view(payout) });
+  });
+
+  app.get('/api/v1/payouts/:id', (req, res) => {
+    const payout = payouts.get(req.params.id);
+    if (!payout) return res.status(404).json({ success: false, error: { message: 'Payout not found' } });
+    res.json({
+      success: true,
+      data: { ...view(payout), failure_reason: payout.status === 'failed' ? 'Recipient wallet rejected the transfer' : undefined }
+    });
+  });
+
+  // SMS
+  app.post('/api/v1/sms/send', (req, res) => {
+    sms.push(req.body);
+    console.log(`[mock-payloqa] SMS to ${req.body.recipient_number}: ${req.body.message}`);
+    res.json({ success: true, data: { message_id: newId('MSG'), status: 'sent', cost: 0 } });
+  });
+
+  return { app, payments, payouts, sms };
+};
+
+if (require.main === module) {
+  const port = process.env.MOCK_PAYLOQA_PORT || 4010;
+  createMockPayloqa().app.listen(port, () => {
+    console.log(`🧪 Mock Payloqa running on http://localhost:${port}/api/v1`);
+  });
+}
+
+module.exports = { createMockPayloqa };
@@ -8,6 +8,14 @@ const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const archiver = require('archiver');
+const { createSnapshot, listSnapshots, pruneSnapshots, BACKUP_DIR } = require('./backup');
+const { GAMES, getGame, SETTINGS_BLOCKS, DIFFICULTY_PRESETS, describeGame } = require('./games');
+const { checkHouseFee, rtpReport, rtpViolation } = require('./games/rtp');
+const { simulateGames, countSimulatedRounds } = require('./games/simulate');
+const { DEFAULT_HOUSE_FEE } = require('./games/shared');
 require('dotenv').config();
 
 // NOTE:
@@ -34,7 +42,12 @@ const app = express();
 // ============================================================================
 
 app.use(cors());
-app.use(express.json());
+// Keep the raw bytes so Payloqa webhook signatures can be checked against them.
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 
 // ============================================================================
 // PAYLOQA API CONFIGURATION
@@ -49,6 +62,9 @@ const PAYLOQA_CONFIG = {
   platformId: process.env.PAYLOQA_PLATFORM_ID || 'plat_xvadsq3rx0f',
   smsBaseURL: process.env.PAYLOQA_SMS_URL || 'https://sms.payloqa.com/api/v1',
   paymentsBaseURL: process.env.PAYLOQA_PAYMENTS_URL || PAYLOQA_PAYMENTS_URL_DEFAULT,
+  payoutsBaseURL: process.env.PAYLOQA_PAYOUTS_URL || 'https://payment.payloqa.com/api/v1/payouts',
+  webhookSecret: process.env.PAYLOQA_WEBHOOK_SECRET || '',
+  webhookToleranceSeconds: Number(process.env.PAYLOQA_WEBHOOK_TOLERANCE_SECONDS || 300),
 };
 
 const VALID_WALLET_NETWORKS = ['mtn', 'vodafone', 'airteltigo'];
@@ -78,14 +94,18 @@ const toPayloqaPhone = (phone) => {
   return formatted ? formatted.replace(/^\+/, '') : null;
 };
 
-const getPaymentsWebhookUrl = () => {
+const getBackendUrl = () => {
   const baseUrl = process.env.BACKEND_URL || process.env.BASE_URL || 'https://luckytriple-backend.onrender.com';
-  return `${baseUrl.replace(/\/$/, '')}/api/payments/webhook`;
+  return baseUrl.replace(/\/$/, '');
 };
 
+const getPaymentsWebhookUrl = () => `${getBackendUrl()}/api/payments/webhook`;
+
+const getPayoutsWebhookUrl = () => `${getBackendUrl()}/api/payouts/webhook`;
+
 const payloqaPaymentsAPI = {
   request: async (path, options = {}) => {
-    const url = `${PAYLOQA_CONFIG.paymentsBaseURL}${path}`;
+    const url = `${options.baseURL || PAYLOQA_CONFIG.paymentsBaseURL}${path}`;
     const method = options.method || 'GET';
 
     try {
@@ -129,6 +149,18 @@ const payloqaPaymentsAPI = {
   }),
 
   getStatus: (paymentId) => payloqaPaymentsAPI.request(`/${paymentId}`, { method: 'GET' }),
+
+  // Disbursements (mobile-money payouts) live on their own base URL.
+  createPayout: (payload) => payloqaPaymentsAPI.request('/create', {
+    baseURL: PAYLOQA_CONFIG.payoutsBaseURL,
+    method: 'POST',
+    body: JSON.stringify(payload),
+  }),
+
+  getPayoutStatus: (payoutId) => payloqaPaymentsAPI.request(`/${payoutId}`, {
+    baseURL: PAYLOQA_CONFIG.payoutsBaseURL,
+    method: 'GET',
+  }),
 };
 
 const payloqaAPI = {
@@ -136,7 +168,8 @@ const payloqaAPI = {
   // SMS FUNCTIONS
   // ============================================================================
 
-  sendSMS: async (phone, message) => {
+  // `sensitive` messages (one-time codes) are sent as usual but never written to the log.
+  sendSMS: async (phone, message, { sensitive = false } = {}) => {
     try {
       // Format phone number to E.164 format
       let formattedPhone = phone.replace(/\D/g, '');
@@ -152,7 +185,7 @@ const payloqaAPI = {
       }
 
       console.log('📱 Sending SMS to:', formattedPhone);
-      console.log('📱 Message:', message);
+      console.log('📱 Message:', sensitive ? '[redacted]' : message);
 
       const response = await axios.post(
         `${PAYLOQA_CONFIG.smsBaseURL}/sms/send`,
@@ -248,27 +281,105 @@ const payloqaAPI = {
 // DATABASE MODELS
 // ============================================================================
 
+// Player-set responsible-gambling caps in GHS over rolling windows; null means no cap.
+// Raising or removing a cap is queued in `pending` until its cooling-off period ends.
+const limitPeriodsSchema = new mongoose.Schema({
+  daily: { type: Number, default: null },
+  weekly: { type: Number, default: null },
+  monthly: { type: Number, default: null }
+}, { _id: false });
+
+const pendingLimitSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['deposit', 'loss', 'wager'], required: true },
+  period: { type: String, enum: ['daily', 'weekly', 'monthly'], required: true },
+  amount: { type: Number, default: null },
+  requestedAt: { type: Date, default: Date.now },
+  effectiveAt: { type: Date, required: true }
+}, { _id: false });
+
+const responsibleGamingSchema = new mongoose.Schema({
+  limits: {
+    deposit: { type: limitPeriodsSchema, default: () => ({}) },
+    loss: { type: limitPeriodsSchema, default: () => ({}) },
+    wager: { type: limitPeriodsSchema, default: () => ({}) }
+  },
+  pending: { type: [pendingLimitSchema], default: [] },
+  realityCheckMinutes: { type: Number, default: 60 }
+}, { _id: false });
+
+// TOTP two-factor settings, shared by staff users and referrers. Secrets are stored
+// sealed (see sealSecret) and, like the backup-code hashes, only loaded on request.
+const twoFactorSchema = new mongoose.Schema({
+  enabled: { type: Boolean, default: false },
+  secret: { type: String, select: false },
+  pendingSecret: { type: String, select: false },
+  backupCodeHashes: { type: [String], select: false },
+  // Last TOTP time step accepted, so the same code can't be used twice.
+  lastUsedStep: { type: Number, select: false },
+  failedAttempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date },
+  enabledAt: { type: Date }
+}, { _id: false });
+
 // User Model
 const userSchema = new mongoose.Schema({
   email: { type: String, required: true, unique: true },
   password: { type: String, required: true },
   phone: { type: String, required: true },
+  // Set when `phone` was confirmed by an SMS code; cleared if it changes unconfirmed.
+  phoneVerifiedAt: { type: Date },
+  // Bumped on every password reset or change; tokens signed with an older value are rejected.
+  tokenVersion: { type: Number, default: 0 },
   balance: { type: Number, default: 0 },
+  // Part of `balance` reserved for pending withdrawals; only the rest can be bet.
+  heldBalance: { type: Number, default: 0 },
+  // Staff accounts have a role (see ADMIN_ROLES); `isAdmin` is kept in step with it.
   isAdmin: { type: Boolean, default: false },
+  role: { type: String, enum: ['support', 'finance', 'game-ops', 'marketing', 'superadmin', null], default: null },
+  isBlocked: { type: Boolean, default: false },
+  twoFactor: { type: twoFactorSchema, default: () => ({}) },
   referredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Referrer', default: null }, // ADD THIS
+  responsibleGaming: { type: responsibleGamingSchema, default: () => ({}) },
+  // Player-chosen lockout; `until` is null for a permanent exclusion.
+  selfExclusion: {
+    since: { type: Date },
+    until: { type: Date },
+    permanent: { type: Boolean }
+  },
+  // Closed accounts stay for the ledger with their personal details scrubbed (see
+  // closeAccount). `deletedBy` is null when the player closed it themselves.
+  deletedAt: { type: Date, default: null },
+  deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  deletionReason: { type: String },
   createdAt: { type: Date, default: Date.now },
   lastLogin: { type: Date }
 });
 const User = mongoose.model('User', userSchema);
 
+// Progress of a withdrawal's mobile-money payout through Payloqa.
+const payoutSchema = new mongoose.Schema({
+  payoutId: { type: String },
+  // `sending` while one process has claimed the request to Payloqa (see sendPayout)
+  status: { type: String, enum: ['queued', 'sending', 'processing', 'paid', 'failed'], default: 'queued' },
+  attempts: { type: Number, default: 0 },
+  lastError: { type: String },
+  nextAttemptAt: { type: Date },
+  updatedAt: { type: Date }
+}, { _id: false });
+
 // Transaction Model
+// Withdrawals go pending -> processing (approved, payout in flight) -> paid | failed,
+// or pending -> rejected. `approved` is kept for withdrawals paid out by hand.
 const transactionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   type: { type: String, enum: ['deposit', 'withdrawal', 'bet', 'win', 'credit'], required: true },
   amount: { type: Number, required: true },
-  status: { type: String, enum: ['pending', 'completed', 'approved', 'rejected'], default: 'pending' },
+  status: { type: String, enum: ['pending', 'completed', 'approved', 'rejected', 'processing', 'paid', 'failed'], default: 'pending' },
   reference: { type: String },
   paymentDetails: { type: Object },
+  // Funds reserved on the user's wallet for a pending withdrawal.
+  heldAmount: { type: Number, default: 0 },
+  payout: { type: payoutSchema },
   createdAt: { type: Date, default: Date.now },
   processedAt: { type: Date },
   processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
@@ -276,364 +387,803 @@ const transactionSchema = new mongoose.Schema({
 
 const Transaction = mongoose.model('Transaction', transactionSchema);
 
-// Game History Model
-const gameHistorySchema = new mongoose.Schema({
+// Provably-fair inputs stored on every round so it can be recomputed later.
+// `odds` snapshots the win chances in force when the round was played.
+const roundFairnessSchema = new mongoose.Schema({
+  serverSeedHash: { type: String },
+  clientSeed: { type: String },
+  nonce: { type: Number },
+  odds: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+// Bet Model
+// One document per round of any game, in a single collection. `gameId` is the
+// discriminator: each game's module (see games/) adds its own fields on top of these.
+// Rounds from the old per-game history collections are copied in by migrate-bets.js.
+const betSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   betAmount: { type: Number, required: true },
-  guesses: { type: [Number], required: true },
-  winningNumbers: { type: [Number], required: true },
-  matches: { type: Number, required: true },
+  winAmount: { type: Number, default: 0 },
   profit: { type: Number, required: true },
+  won: { type: Boolean, default: false },
   balanceBefore: { type: Number },
   balanceAfter: { type: Number },
+  fairness: { type: roundFairnessSchema },
   createdAt: { type: Date, default: Date.now }
+}, { discriminatorKey: 'gameId' });
+
+betSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+betSchema.index({ gameId: 1, createdAt: -1 });
+
+const Bet = mongoose.model('Bet', betSchema);
+
+// Keyed by game id.
+const betModels = Object.fromEntries(GAMES.map((game) => [
+  game.id,
+  Bet.discriminator(`Bet:${game.id}`, new mongoose.Schema(game.history.fields), { value: game.id })
+]));
+
+// Payment Intent Model
+// Recorded when a deposit is initiated. Webhooks can only credit the user and amount
+// stored here, and only after Payloqa confirms the payment.
+// Deposits go initiated -> otp_verified -> completed | failed | expired.
+const paymentIntentSchema = new mongoose.Schema({
+  paymentId: { type: String, required: true, unique: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  amount: { type: Number, required: true },
+  currency: { type: String, default: 'GHS' },
+  phone: { type: String },
+  network: { type: String },
+  status: { type: String, enum: ['initiated', 'otp_verified', 'completed', 'failed', 'expired'], default: 'initiated' },
+  failureReason: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  otpVerifiedAt: { type: Date },
+  lastCheckedAt: { type: Date },
+  completedAt: { type: Date }
 });
 
-const GameHistory = mongoose.model('GameHistory', gameHistorySchema);
-
-// SMS Log Model
-const smsLogSchema = new mongoose.Schema({
-  phones: { type: [String], required: true },
-  message: { type: String, required: true },
-  status: { type: String, enum: ['sent', 'failed'], required: true },
-  sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  response: { type: Object },
-  createdAt: { type: Date, default: Date.now }
-});
+paymentIntentSchema.index({ status: 1, createdAt: 1 });
 
-const SMSLog = mongoose.model('SMSLog', smsLogSchema);
+const PaymentIntent = mongoose.model('PaymentIntent', paymentIntentSchema);
 
-// Spin Game History Model
-const spinGameHistorySchema = new mongoose.Schema({
+// Play Session Model
+// A stretch of play, opened at login or at the first bet after the last session went
+// idle. `lastCheckAt` is when the current reality-check interval started.
+const playSessionSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  betAmount: { type: Number, required: true },
-  direction: { type: String, enum: ['up', 'bottom'], required: true },
-  multiplier: { type: Number, enum: [2, 3, 4], required: true },
-  outcome: { type: String, enum: ['up', 'bottom'], required: true },
-  won: { type: Boolean, required: true },
-  profit: { type: Number, required: true },
-  balanceBefore: { type: Number },
-  balanceAfter: { type: Number },
-  createdAt: { type: Date, default: Date.now }
+  startedAt: { type: Date, default: Date.now },
+  lastActivityAt: { type: Date, default: Date.now },
+  lastCheckAt: { type: Date, default: Date.now },
+  checksAcknowledged: { type: Number, default: 0 },
+  endedAt: { type: Date, default: null }
 });
 
-const SpinGameHistory = mongoose.model('SpinGameHistory', spinGameHistorySchema);
+playSessionSchema.index({ userId: 1, endedAt: 1 });
 
-const slotsGameHistorySchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  betAmount: { type: Number, required: true },
-  reels: [{ type: String }],
-  chosenSymbol: { type: String },
-  winTier: { type: String, enum: ['jackpot', 'bigWin', 'smallWin', 'none'], default: 'none' },
-  multiplier: { type: Number, default: 0 },
-  won: { type: Boolean, default: false },
-  profit: { type: Number, required: true },
-  balanceBefore: { type: Number },
-  balanceAfter: { type: Number },
-  createdAt: { type: Date, default: Date.now }
+const PlaySession = mongoose.model('PlaySession', playSessionSchema);
+
+// Self Exclusion Model
+// One record per exclusion a player starts. Keeps the email and phone so they stay
+// blocked from signing up again even if the account itself is gone.
+const selfExclusionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  email: { type: String, required: true, index: true },
+  phone: { type: String, index: true },
+  period: { type: String, enum: ['24h', '7d', '30d', '6m', 'permanent'], required: true },
+  startsAt: { type: Date, default: Date.now },
+  endsAt: { type: Date, default: null }
 });
 
-const SlotsGameHistory = mongoose.model('SlotsGameHistory', slotsGameHistorySchema);
+const SelfExclusion = mongoose.model('SelfExclusion', selfExclusionSchema);
+
+// OTP Code Model
+// One row per (purpose, phone, user). Only a keyed hash of the code is stored; the
+// row outlives the code itself so resend throttling still applies after expiry.
+// `userId` holds the referrer's id for 'referrer-password-reset' and 'referrer-2fa' codes.
+const otpCodeSchema = new mongoose.Schema({
+  purpose: {
+    type: String,
+    enum: ['signup', 'wallet-phone', 'withdrawal', 'password-reset', 'referrer-password-reset', 'staff-2fa', 'referrer-2fa'],
+    required: true
+  },
+  phone: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  codeHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  attempts: { type: Number, default: 0 },
+  consumedAt: { type: Date, default: null },
+  lastSentAt: { type: Date },
+  sendCount: { type: Number, default: 0 },
+  windowStartedAt: { type: Date },
+  purgeAt: { type: Date, expires: 0 }
+});
 
-const rouletteGameHistorySchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  betAmount: { type: Number, required: true },
-  choice: { type: String, enum: ['red', 'black'], required: true },
-  multiplier: { type: Number, required: true },
-  outcome: { type: String, enum: ['red', 'black'], required: true },
-  won: { type: Boolean, default: false },
-  winAmount: { type: Number, default: 0 },
-  profit: { type: Number, required: true },
-  balanceBefore: { type: Number },
-  balanceAfter: { type: Number },
-  createdAt: { type: Date, default: Date.now }
+otpCodeSchema.index({ purpose: 1, phone: 1, userId: 1 }, { unique: true });
+
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+
+// Auth Session Model
+// One row per login on a device. Only a hash of the refresh token is kept, and it
+// is replaced on every refresh; the one before is remembered to spot a replayed token.
+const authSessionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  refreshTokenHash: { type: String, required: true },
+  previousTokenHash: { type: String },
+  rotatedAt: { type: Date },
+  scope: { type: String, enum: ['full', 'withdrawal'], default: 'full' },
+  // Set when this sign-in passed a second factor; staff tools refuse sessions without it.
+  mfaAt: { type: Date },
+  userAgent: { type: String },
+  ip: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true, expires: 0 },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String }
 });
 
-const RouletteGameHistory = mongoose.model('RouletteGameHistory', rouletteGameHistorySchema);
+const AuthSession = mongoose.model('AuthSession', authSessionSchema);
 
-const coinGameHistorySchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  betAmount: { type: Number, required: true },
-  choice: { type: String, enum: ['heads', 'tails'], required: true },
-  multiplier: { type: Number, required: true },
-  outcome: { type: String, enum: ['heads', 'tails'], required: true },
-  won: { type: Boolean, default: false },
-  winAmount: { type: Number, default: 0 },
-  profit: { type: Number, required: true },
-  balanceBefore: { type: Number },
-  balanceAfter: { type: Number },
-  createdAt: { type: Date, default: Date.now }
+// Webhook Event Model - ids of processed Payloqa webhooks, so replays are ignored.
+const webhookEventSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  event: { type: String },
+  receivedAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 30 }
 });
 
-const CoinGameHistory = mongoose.model('CoinGameHistory', coinGameHistorySchema);
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
 
-const diceGameHistorySchema = new mongoose.Schema({
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  betAmount: { type: Number, required: true },
-  choice: { type: String, enum: ['high', 'low'], required: true },
-  multiplier: { type: Number, required: true },
-  diceRoll: { type: Number, required: true },
-  outcome: { type: String, enum: ['high', 'low'], required: true },
-  won: { type: Boolean, default: false },
-  winAmount: { type: Number, default: 0 },
-  profit: { type: Number, required: true },
-  balanceBefore: { type: Number },
-  balanceAfter: { type: Number },
+// SMS Log Model
+const smsLogSchema = new mongoose.Schema({
+  phones: { type: [String], required: true },
+  message: { type: String, required: true },
+  status: { type: String, enum: ['sent', 'failed'], required: true },
+  sentBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  response: { type: Object },
   createdAt: { type: Date, default: Date.now }
 });
 
-const DiceGameHistory = mongoose.model('DiceGameHistory', diceGameHistorySchema);
+const SMSLog = mongoose.model('SMSLog', smsLogSchema);
 
 // Game Settings Model
 const gameSettingsSchema = new mongoose.Schema({
-  houseFee: { type: Number, default: 10 },
+  // House edge (%). Every game's payouts are priced from their true chances so each
+  // bet returns 100 - houseFee percent (see games/).
+  houseFee: { type: Number, default: DEFAULT_HOUSE_FEE },
   maxBet: { type: Number, default: 1000 },
   minBet: { type: Number, default: 1 },
   minDeposit: { type: Number, default: 1 },
   maxDeposit: { type: Number, default: 5000 },
   difficulty: { type: String, enum: ['easy', 'medium', 'hard'], default: 'medium' },
-  gamesEnabled: {
-    luckyTriple: { type: Boolean, default: true },
-    spin: { type: Boolean, default: true },
-    slots: { type: Boolean, default: true },
-    roulette: { type: Boolean, default: true },
-    coin: { type: Boolean, default: true },
-    dice: { type: Boolean, default: true }
-  },
-  payoutMultipliers: {
-    threeMatches: { type: Number, default: 100 },
-    twoMatches: { type: Number, default: 10 },
-    oneMatch: { type: Number, default: 2 }
-  },
-  tripleWinChances: {
-    threeMatch: { type: Number, default: 5 },
-    twoMatch: { type: Number, default: 25 },
-    oneMatch: { type: Number, default: 30 },
-    zeroMatch: { type: Number, default: 40 }
-  },
-  spinWinChances: {
-    x2: { type: Number, default: 45 },
-    x3: { type: Number, default: 30 },
-    x4: { type: Number, default: 20 }
-  },
+  gamesEnabled: Object.fromEntries(GAMES.map((game) => [game.enabledKey, { type: Boolean, default: true }])),
+  // Each game's settings blocks, e.g. slotsReelStrip: { cherry, lemon, ... }
+  ...Object.fromEntries(SETTINGS_BLOCKS.map((block) => [
+    block.key,
+    Object.fromEntries(Object.entries(block.fields).map(([field, { default: value }]) => [field, { type: Number, default: value }]))
+  ])),
+  // Tier odds and payouts from the old slots game; kept for stored settings, not used in play
   slotsWinChances: {
     jackpot: { type: Number, default: 3 },
     bigWin: { type: Number, default: 15 },
     smallWin: { type: Number, default: 35 }
   },
-  slotsMultiplierWinChances: {
-    x2: { type: Number, default: 45 },
-    x3: { type: Number, default: 30 },
-    x4: { type: Number, default: 20 }
-  },
   slotsPayouts: {
     jackpot: { type: Number, default: 50 },
     threeOfKind: { type: Number, default: 10 },
     twoOfKind: { type: Number, default: 2 }
   },
-  rouletteWinChances: {
-    x2: { type: Number, default: 45 },
-    x3: { type: Number, default: 30 },
-    x4: { type: Number, default: 20 }
-  },
-  coinWinChances: {
-    x2: { type: Number, default: 45 },
-    x3: { type: Number, default: 30 },
-    x4: { type: Number, default: 20 }
-  },
-  diceWinChances: {
-    x2: { type: Number, default: 45 },
-    x3: { type: Number, default: 30 },
-    x4: { type: Number, default: 20 }
-  },
+  // Credits and withdrawals above this (GHS) need a second admin; 0 turns it off
+  approvalThreshold: { type: Number, default: 1000 },
   updatedAt: { type: Date, default: Date.now },
   updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
 });
 
 const GameSettings = mongoose.model('GameSettings', gameSettingsSchema);
 
-const MULTI_CHANCE_EASY = { x2: 55, x3: 40, x4: 30 };
-const MULTI_CHANCE_MED = { x2: 45, x3: 30, x4: 20 };
-const MULTI_CHANCE_HARD = { x2: 35, x3: 22, x4: 12 };
+// ============================================================================
+// WALLET LEDGER
+// ============================================================================
 
-const DIFFICULTY_PRESETS = {
-  easy: { triple: { threeMatch: 8, twoMatch: 32, oneMatch: 35, zeroMatch: 25 }, spin: MULTI_CHANCE_EASY, slots: { jackpot: 5, bigWin: 22, smallWin: 45 }, slotsMultiplier: MULTI_CHANCE_EASY, roulette: MULTI_CHANCE_EASY, coin: MULTI_CHANCE_EASY, dice: MULTI_CHANCE_EASY },
-  medium: { triple: { threeMatch: 5, twoMatch: 25, oneMatch: 30, zeroMatch: 40 }, spin: MULTI_CHANCE_MED, slots: { jackpot: 3, bigWin: 15, smallWin: 35 }, slotsMultiplier: MULTI_CHANCE_MED, roulette: MULTI_CHANCE_MED, coin: MULTI_CHANCE_MED, dice: MULTI_CHANCE_MED },
-  hard: { triple: { threeMatch: 2, twoMatch: 15, oneMatch: 23, zeroMatch: 60 }, spin: MULTI_CHANCE_HARD, slots: { jackpot: 1, bigWin: 8, smallWin: 22 }, slotsMultiplier: MULTI_CHANCE_HARD, roulette: MULTI_CHANCE_HARD, coin: MULTI_CHANCE_HARD, dice: MULTI_CHANCE_HARD }
+// Every wallet movement is journalled as one balanced entry of debit/credit legs.
+// User wallets are `user:<id>` accounts; the house side uses the fixed accounts below.
+// `User.balance` is a cache of the wallet's ledger sum, kept in step by `postEntry`.
+const LEDGER_ACCOUNTS = {
+  cash: 'house:cash',
+  games: 'house:games',
+  promotions: 'house:promotions',
+  opening: 'house:opening'
 };
 
-const CHOICE_OPPOSITES = {
-  up: 'bottom', bottom: 'up',
-  red: 'black', black: 'red',
-  heads: 'tails', tails: 'heads',
-  high: 'low', low: 'high'
-};
+const ledgerLegSchema = new mongoose.Schema({
+  account: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  debit: { type: Number, default: 0 },
+  credit: { type: Number, default: 0 },
+  balanceAfter: { type: Number }
+}, { _id: false });
+
+const ledgerEntrySchema = new mongoose.Schema({
+  type: { type: String, enum: ['deposit', 'withdrawal', 'game', 'credit', 'opening'], required: true },
+  legs: { type: [ledgerLegSchema], required: true },
+  reference: { type: String },
+  memo: { type: String },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  createdAt: { type: Date, default: Date.now }
+});
 
-const SLOT_SYMBOLS = ['🍒', '🍋', '🔔', '💎', '7️⃣'];
+ledgerEntrySchema.index({ 'legs.userId': 1, createdAt: -1 });
 
-const calcMultiplierPayout = (bet, multiplier, won) => {
-  const winAmount = won ? bet * multiplier : 0;
-  const profit = won ? winAmount - bet : -bet;
-  return { winAmount: Math.round(winAmount * 100) / 100, profit: Math.round(profit * 100) / 100 };
+const rejectLedgerMutation = function (next) {
+  next(new Error('Ledger entries are immutable'));
 };
 
-const playChoiceMultiplierGame = async ({
-  user, bet, choice, multiplier, validChoices, winChances, HistoryModel, gameName, enabledCheck, extraFields = () => ({})
-}) => {
-  if (!validChoices.includes(choice) || ![2, 3, 4].includes(multiplier)) {
-    throw { status: 400, error: 'Invalid game parameters' };
-  }
+ledgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return rejectLedgerMutation(next);
+  next();
+});
+ledgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectLedgerMutation
+);
 
-  const winChance = winChances[`x${multiplier}`] ?? 45;
-  const won = Math.random() * 100 <= winChance;
-  const outcome = won ? choice : CHOICE_OPPOSITES[choice];
-  const { winAmount, profit } = calcMultiplierPayout(bet, multiplier, won);
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
 
-  const extras = typeof extraFields === 'function' ? extraFields(won, outcome) : {};
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
 
-  const history = new HistoryModel({
-    userId: user._id,
-    betAmount: bet,
-    choice,
-    multiplier,
-    outcome,
-    won,
-    winAmount,
-    profit,
-    ...extras
+const walletLeg = (userId, { debit = 0, credit = 0 }) => ({ account: `user:${userId}`, userId, debit, credit });
+const houseLeg = (account, { debit = 0, credit = 0 }) => ({ account, debit, credit });
+
+// Transactions need a replica set. On a standalone server (local dev) the first attempt
+// fails with IllegalOperation; after that, work runs without a session and relies on
+// the guarded $inc in postEntry to keep wallets from being overdrawn.
+let transactionsSupported = true;
+
+const isTransactionUnsupported = (error) =>
+  error?.code === 20 || /replica set member or mongos/i.test(error?.message || '');
+
+// Runs `work(session)` as one all-or-nothing unit. Mongoose retries the callback on
+// transient write conflicts, so `work` must be safe to run more than once.
+const runAtomic = async (work) => {
+  if (!transactionsSupported) return work(null);
+  try {
+    return await mongoose.connection.transaction((session) => work(session));
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+    transactionsSupported = false;
+    console.warn('⚠️ MongoDB transactions unavailable; falling back to guarded updates');
+    return work(null);
+  }
+};
+
+// Single entry point for moving money. Validates that debits equal credits, applies the
+// net change to each wallet with an atomic $inc and journals the entry with the
+// resulting balances. A wallet is only debited if its balance covers every debit leg
+// in the entry, so a stake can never be paid for out of its own winnings. Held funds
+// are not spendable; `releaseHolds` (userId -> amount) frees part of a hold in the same
+// update, which is how an approved withdrawal pays out of its own reservation.
+// Returns the entry and a map of userId -> balance after posting.
+const postEntry = async ({ type, legs, reference, memo, createdBy, releaseHolds = {}, session = null }) => {
+  const normalizedLegs = legs
+    .map((leg) => ({ ...leg, debit: roundMoney(leg.debit || 0), credit: roundMoney(leg.credit || 0) }))
+    .filter((leg) => leg.debit > 0 || leg.credit > 0);
+
+  const totalDebit = normalizedLegs.reduce((sum, leg) => sum + leg.debit, 0);
+  const totalCredit = normalizedLegs.reduce((sum, leg) => sum + leg.credit, 0);
+
+  if (normalizedLegs.length === 0 || Math.abs(totalDebit - totalCredit) > 0.001) {
+    throw new Error(`Unbalanced ledger entry (${type}): debits ${totalDebit} vs credits ${totalCredit}`);
+  }
+
+  const wallets = new Map();
+  normalizedLegs.forEach((leg) => {
+    if (!leg.userId) return;
+    const key = String(leg.userId);
+    const wallet = wallets.get(key) || { debits: 0, delta: 0 };
+    wallet.debits += leg.debit;
+    wallet.delta += leg.credit - leg.debit;
+    wallets.set(key, wallet);
   });
 
-  const newBalance = await processGamePayout(user, bet, profit, winAmount, history, gameName);
-  return { outcome, won, winAmount, profit, newBalance, multiplier, ...extras };
-};
-
-const pickRandom = (arr) => arr[Math.floor(Math.random() * arr.length)];
-
-const generateTripleOutcome = (playerGuesses, chances) => {
-  const c3 = chances.threeMatch || 5;
-  const c2 = chances.twoMatch || 25;
-  const c1 = chances.oneMatch || 30;
-  const roll = Math.random() * 100;
-  let winningNumbers;
-  let targetMatches;
-
-  if (roll < c3) {
-    targetMatches = 3;
-    winningNumbers = [...playerGuesses];
-  } else if (roll < c3 + c2) {
-    targetMatches = 2;
-    const positions = [0, 1, 2].sort(() => Math.random() - 0.5);
-    const matchPositions = positions.slice(0, 2);
-    winningNumbers = [Math.floor(Math.random() * 10), Math.floor(Math.random() * 10), Math.floor(Math.random() * 10)];
-    matchPositions.forEach((pos) => { winningNumbers[pos] = playerGuesses[pos]; });
-    for (let i = 0; i < 3; i++) {
-      if (!matchPositions.includes(i)) {
-        while (winningNumbers[i] === playerGuesses[i]) winningNumbers[i] = Math.floor(Math.random() * 10);
-      }
+  const balances = {};
+  for (const [userId, { debits, delta }] of wallets) {
+    const release = roundMoney(releaseHolds[userId] || 0);
+    const filter = { _id: userId };
+    if (release > 0) filter.heldBalance = { $gte: release };
+    if (debits > 0) {
+      filter.$expr = { $gte: [{ $subtract: ['$balance', { $ifNull: ['$heldBalance', 0] }] }, roundMoney(debits - release)] };
     }
-  } else if (roll < c3 + c2 + c1) {
-    targetMatches = 1;
-    const matchPosition = Math.floor(Math.random() * 3);
-    winningNumbers = [Math.floor(Math.random() * 10), Math.floor(Math.random() * 10), Math.floor(Math.random() * 10)];
-    winningNumbers[matchPosition] = playerGuesses[matchPosition];
-    for (let i = 0; i < 3; i++) {
-      if (i !== matchPosition) {
-        while (winningNumbers[i] === playerGuesses[i]) winningNumbers[i] = Math.floor(Math.random() * 10);
-      }
-    }
-  } else {
-    targetMatches = 0;
-    winningNumbers = [Math.floor(Math.random() * 10), Math.floor(Math.random() * 10), Math.floor(Math.random() * 10)];
-    for (let i = 0; i < 3; i++) {
-      while (winningNumbers[i] === playerGuesses[i]) winningNumbers[i] = Math.floor(Math.random() * 10);
+    const update = { $inc: { balance: roundMoney(delta) } };
+    if (release > 0) update.$inc.heldBalance = -release;
+    const wallet = await User.findOneAndUpdate(
+      filter,
+      update,
+      { new: true, projection: { balance: 1 }, session }
+    );
+    if (!wallet) {
+      const exists = await User.exists({ _id: userId }).session(session);
+      if (!exists) throw new Error(`Ledger wallet not found: ${userId}`);
+      throw { status: 400, error: 'Insufficient balance' };
     }
+    balances[userId] = wallet.balance;
   }
 
-  return { winningNumbers, targetMatches };
+  normalizedLegs.forEach((leg) => {
+    if (leg.userId) leg.balanceAfter = balances[String(leg.userId)];
+  });
+
+  const [entry] = await LedgerEntry.create(
+    [{ type, legs: normalizedLegs, reference, memo, createdBy }],
+    { session }
+  );
+  return { entry, balances };
 };
 
-const generateSlotReelsForSymbol = (symbol, won) => {
-  if (won) return [symbol, symbol, symbol];
-  const reels = [];
-  while (reels.length < 3) reels.push(pickRandom(SLOT_SYMBOLS));
-  if (reels.every((r) => r === symbol)) {
-    reels[2] = pickRandom(SLOT_SYMBOLS.filter((s) => s !== symbol));
-  }
-  return reels;
+const availableBalance = (user) => roundMoney((user.balance || 0) - (user.heldBalance || 0));
+
+// Reserves funds for a pending withdrawal. The money stays in the wallet (no ledger
+// entry) but can no longer be bet until the hold is released or paid out.
+const placeHold = async (userId, amount, session = null) => {
+  const held = await User.findOneAndUpdate(
+    { _id: userId, $expr: { $gte: [{ $subtract: ['$balance', { $ifNull: ['$heldBalance', 0] }] }, roundMoney(amount)] } },
+    { $inc: { heldBalance: roundMoney(amount) } },
+    { new: true, session }
+  );
+  if (!held) throw { status: 400, error: 'Insufficient balance' };
+  return held;
 };
 
-const rollDiceForOutcome = (outcome) => {
-  const targetSum = outcome === 'high'
-    ? Math.floor(Math.random() * 6) + 7
-    : Math.floor(Math.random() * 5) + 2;
-  let d1 = Math.min(6, Math.max(1, Math.floor(targetSum / 2)));
-  let d2 = targetSum - d1;
-  if (d2 < 1) { d2 = 1; d1 = targetSum - 1; }
-  if (d2 > 6) { d2 = 6; d1 = targetSum - 6; }
-  if (outcome === 'high' && d1 + d2 < 7) {
-    d1 = Math.floor(Math.random() * 3) + 4;
-    d2 = Math.floor(Math.random() * 3) + 1;
-    if (d1 + d2 < 7) d2 = 7 - d1;
+const releaseHold = (userId, amount, session = null) => User.findOneAndUpdate(
+  { _id: userId, heldBalance: { $gte: roundMoney(amount) } },
+  { $inc: { heldBalance: -roundMoney(amount) } },
+  { new: true, session }
+);
+
+// Wallet fields returned to the player's own client.
+const publicUser = (user) => ({
+  _id: user._id,
+  email: user.email,
+  phone: user.phone,
+  balance: user.balance,
+  heldBalance: user.heldBalance || 0,
+  availableBalance: availableBalance(user),
+  isAdmin: user.isAdmin,
+  role: user.role || null,
+  permissions: permissionsFor(user),
+  selfExclusion: activeSelfExclusion(user)
+});
+
+// Settles one round as a single atomic unit: the guarded wallet debit/credit, the
+// game's history document, the bet/win Transaction rows and any referral commission.
+// Throws { status: 400, error: 'Insufficient balance' } if the stake is not covered.
+const processGamePayout = (user, bet, profit, winAmount, historyDoc, gameRef) => runAtomic(async (session) => {
+  const { balances } = await postEntry({
+    type: 'game',
+    reference: gameRef,
+    session,
+    legs: [
+      walletLeg(user._id, { debit: bet, credit: winAmount }),
+      houseLeg(LEDGER_ACCOUNTS.games, { debit: winAmount, credit: bet })
+    ]
+  });
+  user.balance = balances[String(user._id)];
+  historyDoc.balanceBefore = roundMoney(user.balance - profit);
+  historyDoc.balanceAfter = user.balance;
+  await historyDoc.save({ session });
+
+  const processedAt = new Date();
+  const rows = [{ userId: user._id, type: 'bet', amount: bet, status: 'completed', reference: gameRef, processedAt }];
+  if (winAmount > 0) {
+    rows.push({ userId: user._id, type: 'win', amount: winAmount, status: 'completed', reference: gameRef, processedAt });
+  }
+  await Transaction.create(rows, { session, ordered: true });
+
+  if (winAmount > 0) {
+    await calculateAndPayCommission(user._id, historyDoc._id, winAmount, session);
   }
-  if (outcome === 'low' && d1 + d2 > 6) {
-    d1 = Math.floor(Math.random() * 3) + 1;
-    d2 = Math.floor(Math.random() * 3) + 1;
-    if (d1 + d2 > 6) d2 = Math.max(1, 6 - d1);
+  return user.balance;
+});
+
+// ============================================================================
+// PROVABLY FAIR
+// ============================================================================
+
+// Each player has one active seed pair. The server seed stays secret (only its
+// SHA-256 hash is shown) until the player rotates it; every round consumes one nonce.
+// Round outcomes are read from HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}:${cursor}`).
+const fairnessSeedSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  serverSeed: { type: String, required: true, select: false },
+  serverSeedHash: { type: String, required: true, index: true },
+  clientSeed: { type: String, required: true },
+  nonce: { type: Number, default: 0 },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now },
+  revealedAt: { type: Date }
+});
+
+fairnessSeedSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { active: true } });
+
+const FairnessSeed = mongoose.model('FairnessSeed', fairnessSeedSchema);
+
+const CLIENT_SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Turns a seed pair + nonce into a stream of floats in [0, 1). Each HMAC digest gives
+// eight floats (4 bytes each); the cursor moves to a fresh digest when one runs out.
+const createFairRng = (serverSeed, clientSeed, nonce) => {
+  let cursor = 0;
+  let digest = null;
+  let offset = 0;
+
+  return () => {
+    if (!digest || offset >= digest.length) {
+      digest = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}:${cursor}`).digest();
+      cursor += 1;
+      offset = 0;
+    }
+    const value = digest[offset] / 256
+      + digest[offset + 1] / 256 ** 2
+      + digest[offset + 2] / 256 ** 3
+      + digest[offset + 3] / 256 ** 4;
+    offset += 4;
+    return value;
+  };
+};
+
+const createFairnessSeed = async (userId, clientSeed) => {
+  const serverSeed = crypto.randomBytes(32).toString('hex');
+  try {
+    return await FairnessSeed.create({
+      userId,
+      serverSeed,
+      serverSeedHash: sha256(serverSeed),
+      clientSeed: clientSeed || crypto.randomBytes(8).toString('hex')
+    });
+  } catch (error) {
+    // Another request created the active seed first.
+    if (error.code === 11000) return FairnessSeed.findOne({ userId, active: true });
+    throw error;
   }
-  return [d1, d2];
 };
 
-const generateSlotReels = (tier) => {
-  if (tier === 'jackpot') {
-    const sym = pickRandom(['7️⃣', '💎']);
-    return [sym, sym, sym];
+const getActiveSeed = async (userId) =>
+  (await FairnessSeed.findOne({ userId, active: true })) || createFairnessSeed(userId);
+
+// Claims the next nonce on the player's active seed and returns an rng bound to it,
+// plus the public fairness fields to store on the round.
+const startFairRound = async (userId) => {
+  let seed = await FairnessSeed.findOneAndUpdate(
+    { userId, active: true },
+    { $inc: { nonce: 1 } },
+    { new: true }
+  ).select('+serverSeed');
+
+  if (!seed) {
+    await getActiveSeed(userId);
+    return startFairRound(userId);
   }
-  if (tier === 'bigWin') {
-    const sym = pickRandom(['🍒', '🍋', '🔔']);
-    return [sym, sym, sym];
+
+  const nonce = seed.nonce - 1;
+  return {
+    rng: createFairRng(seed.serverSeed, seed.clientSeed, nonce),
+    fairness: { serverSeedHash: seed.serverSeedHash, clientSeed: seed.clientSeed, nonce }
+  };
+};
+
+const publicSeed = (seed, reveal = false) => ({
+  serverSeedHash: seed.serverSeedHash,
+  clientSeed: seed.clientSeed,
+  nonce: seed.nonce,
+  createdAt: seed.createdAt,
+  ...(reveal ? { serverSeed: seed.serverSeed, revealedAt: seed.revealedAt } : {})
+});
+
+// ============================================================================
+// RESPONSIBLE GAMBLING
+// ============================================================================
+
+// Limits are checked against rolling windows: deposits from PaymentIntents that are
+// open or completed, wagers and net losses from the player's game ledger legs.
+const LIMIT_KINDS = ['deposit', 'loss', 'wager'];
+const LIMIT_PERIODS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+  monthly: 30 * 24 * 60 * 60 * 1000
+};
+const LIMIT_COOLING_OFF_MS = Number(process.env.LIMIT_COOLING_OFF_HOURS || 24) * 60 * 60 * 1000;
+
+// The limits in force right now: stored limits with any due pending change applied.
+const effectiveLimits = (user, now = new Date()) => {
+  const rg = user.responsibleGaming || {};
+  const limits = {};
+  for (const kind of LIMIT_KINDS) {
+    limits[kind] = {};
+    for (const period of Object.keys(LIMIT_PERIODS)) {
+      limits[kind][period] = rg.limits?.[kind]?.[period] ?? null;
+    }
   }
-  if (tier === 'smallWin') {
-    const sym = pickRandom(SLOT_SYMBOLS);
-    const pos = Math.floor(Math.random() * 3);
-    const reels = SLOT_SYMBOLS.filter((s) => s !== sym).slice(0, 3);
-    while (reels.length < 3) reels.push(pickRandom(SLOT_SYMBOLS.filter((s) => s !== sym)));
-    reels[pos] = sym;
-    reels[(pos + 1) % 3] = sym;
-    reels[(pos + 2) % 3] = pickRandom(SLOT_SYMBOLS.filter((s) => s !== sym));
-    return reels;
+  for (const change of rg.pending || []) {
+    if (change.effectiveAt <= now) limits[change.kind][change.period] = change.amount;
   }
-  const reels = [];
-  while (reels.length < 3) {
-    const sym = pickRandom(SLOT_SYMBOLS);
-    if (reels.filter((r) => r === sym).length >= 2) continue;
-    reels.push(sym);
+  return limits;
+};
+
+// Writes due pending changes into the stored limits. Returns true if anything moved.
+const applyDueLimitChanges = (user, now = new Date()) => {
+  const rg = user.responsibleGaming;
+  const due = (rg?.pending || []).filter((change) => change.effectiveAt <= now);
+  if (due.length === 0) return false;
+  for (const change of due) rg.limits[change.kind][change.period] = change.amount;
+  rg.pending = rg.pending.filter((change) => change.effectiveAt > now);
+  return true;
+};
+
+// Amounts deposited, wagered and lost in each rolling window.
+const limitUsage = async (userId, now = new Date()) => {
+  const since = Object.fromEntries(
+    Object.entries(LIMIT_PERIODS).map(([period, ms]) => [period, new Date(now.getTime() - ms)])
+  );
+  const inWindow = (period, value) => ({ $sum: { $cond: [{ $gte: ['$createdAt', since[period]] }, value, 0] } });
+  const sums = (fields) => Object.fromEntries(Object.keys(LIMIT_PERIODS).flatMap((period) =>
+    Object.entries(fields).map(([name, value]) => [`${name}_${period}`, inWindow(period, value)])
+  ));
+
+  const [play] = await LedgerEntry.aggregate([
+    { $match: { type: 'game', 'legs.userId': userId, createdAt: { $gte: since.monthly } } },
+    { $unwind: '$legs' },
+    { $match: { 'legs.userId': userId } },
+    { $group: { _id: null, ...sums({ wager: '$legs.debit', loss: { $subtract: ['$legs.debit', '$legs.credit'] } }) } }
+  ]);
+  const [deposits] = await PaymentIntent.aggregate([
+    { $match: { userId, status: { $in: ['initiated', 'otp_verified', 'completed'] }, createdAt: { $gte: since.monthly } } },
+    { $group: { _id: null, ...sums({ deposit: '$amount' }) } }
+  ]);
+
+  const usage = {};
+  for (const kind of LIMIT_KINDS) {
+    usage[kind] = {};
+    for (const period of Object.keys(LIMIT_PERIODS)) {
+      usage[kind][period] = roundMoney((kind === 'deposit' ? deposits : play)?.[`${kind}_${period}`] || 0);
+    }
   }
-  if (reels[0] === reels[1] || reels[1] === reels[2] || reels[0] === reels[2]) {
-    return generateSlotReels('none');
+  return usage;
+};
+
+// Checks a deposit or a stake against the player's limits. A stake counts fully towards
+// the wager limit and, as its worst case, towards the loss limit.
+// Returns an error message, or null when the amount fits.
+const checkPlayerLimits = async (user, { deposit = 0, stake = 0 }) => {
+  const limits = effectiveLimits(user);
+  const usage = await limitUsage(user._id);
+  const adding = { deposit, wager: stake, loss: stake };
+
+  for (const kind of LIMIT_KINDS) {
+    if (!adding[kind]) continue;
+    for (const period of Object.keys(LIMIT_PERIODS)) {
+      const limit = limits[kind][period];
+      if (limit === null) continue;
+      if (usage[kind][period] + adding[kind] > limit + 0.0001) {
+        const left = Math.max(0, roundMoney(limit - usage[kind][period]));
+        return `This would exceed your ${period} ${kind} limit of GHS ${limit} (GHS ${left} left)`;
+      }
+    }
   }
-  return reels;
+  return null;
 };
 
-const processGamePayout = async (user, bet, profit, winAmount, historyDoc, gameRef) => {
-  const balanceBefore = user.balance;
-  user.balance += profit;
-  await user.save();
-  historyDoc.balanceBefore = balanceBefore;
-  historyDoc.balanceAfter = user.balance;
-  await historyDoc.save();
+const SELF_EXCLUSION_PERIODS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  '6m': 182 * 24 * 60 * 60 * 1000,
+  permanent: null
+};
 
-  await Transaction.create({ userId: user._id, type: 'bet', amount: bet, status: 'completed', reference: gameRef, processedAt: new Date() });
-  if (winAmount > 0) {
-    await Transaction.create({ userId: user._id, type: 'win', amount: winAmount, status: 'completed', reference: gameRef, processedAt: new Date() });
-    await calculateAndPayCommission(user._id, historyDoc._id, winAmount);
+// The player's running self-exclusion, or null once it has ended.
+const activeSelfExclusion = (user, now = new Date()) => {
+  const exclusion = user.selfExclusion;
+  if (!exclusion?.since) return null;
+  if (!exclusion.permanent && !(exclusion.until > now)) return null;
+  return { since: exclusion.since, until: exclusion.permanent ? null : exclusion.until, permanent: Boolean(exclusion.permanent) };
+};
+
+const selfExclusionMessage = (exclusion) => (exclusion.permanent
+  ? 'You have permanently self-excluded from playing'
+  : `You are self-excluded until ${exclusion.until.toISOString()}`);
+
+// Finds a running exclusion recorded against an email or phone (used at signup).
+const findExclusionFor = ({ email, phone }) => {
+  const identities = [{ email: String(email).toLowerCase().trim() }];
+  if (phone) identities.push({ phone: formatGhanaPhone(phone) || phone });
+  return SelfExclusion.findOne({
+    $and: [
+      { $or: identities },
+      { $or: [{ endsAt: null }, { endsAt: { $gt: new Date() } }] }
+    ]
+  });
+};
+
+// ============================================================================
+// PLAY SESSIONS & REALITY CHECKS
+// ============================================================================
+
+// Every N minutes (N chosen by the player) a session is paused until the player has
+// seen how long they have played and what they have won or lost.
+const REALITY_CHECK_OPTIONS = [15, 30, 45, 60, 90, 120];
+const PLAY_SESSION_IDLE_MS = 30 * 60 * 1000;
+
+// Ends any open session and starts a fresh one (at login).
+const startPlaySession = async (userId) => {
+  const now = new Date();
+  await PlaySession.updateMany({ userId, endedAt: null }, { $set: { endedAt: now } });
+  return PlaySession.create({ userId, startedAt: now, lastActivityAt: now, lastCheckAt: now });
+};
+
+// The open session, or null. A session idle for too long is closed at its last activity.
+const findPlaySession = async (userId) => {
+  const session = await PlaySession.findOne({ userId, endedAt: null }).sort({ startedAt: -1 });
+  if (!session) return null;
+  if (Date.now() - session.lastActivityAt.getTime() > PLAY_SESSION_IDLE_MS) {
+    await PlaySession.updateOne({ _id: session._id }, { $set: { endedAt: session.lastActivityAt } });
+    return null;
   }
-  return user.balance;
+  return session;
+};
+
+// Time played plus rounds, stakes and net result across every game since the
+// session started.
+const playSessionSummary = async (session, user) => {
+  const intervalMinutes = user.responsibleGaming?.realityCheckMinutes || 60;
+  const nextCheckAt = new Date(session.lastCheckAt.getTime() + intervalMinutes * 60 * 1000);
+  const [summary = { rounds: 0, wagered: 0, netResult: 0 }] = await Bet.aggregate([
+    { $match: { userId: session.userId, createdAt: { $gte: session.startedAt } } },
+    { $group: { _id: null, rounds: { $sum: 1 }, wagered: { $sum: '$betAmount' }, netResult: { $sum: '$profit' } } }
+  ]);
+
+  return {
+    startedAt: session.startedAt,
+    minutesPlayed: Math.floor((Date.now() - session.startedAt.getTime()) / 60000),
+    rounds: summary.rounds,
+    wagered: roundMoney(summary.wagered),
+    netResult: roundMoney(summary.netResult),
+    intervalMinutes,
+    nextCheckAt,
+    due: nextCheckAt <= new Date()
+  };
+};
+
+// Called before each bet. Opens a session if needed and returns the summary when a
+// reality check is due (the bet must wait for it to be acknowledged), otherwise null.
+const realityCheckBeforeBet = async (user) => {
+  const session = await findPlaySession(user._id) || await startPlaySession(user._id);
+  const summary = await playSessionSummary(session, user);
+  if (summary.due) return summary;
+  await PlaySession.updateOne({ _id: session._id }, { $set: { lastActivityAt: new Date() } });
+  return null;
 };
 
 // ============================================================================
 // MIDDLEWARE - AUTH
 // ============================================================================
 
+// Routes a self-excluded player can still reach with a withdrawal-only login.
+const WITHDRAWAL_SCOPE_ROUTES = [
+  '/api/auth/me',
+  '/api/otp/request',
+  '/api/withdrawals/request',
+  '/api/withdrawals/my-withdrawals',
+  '/api/user/wallet-phone',
+  '/api/payments/my-deposits',
+  '/api/responsible-gaming',
+  '/api/auth/sessions',
+  '/api/auth/sessions/:id',
+  '/api/auth/logout',
+  '/api/auth/logout-all',
+  '/api/user/export',
+  '/api/user/close-account'
+];
+
+// Players get a short-lived access token plus a refresh token tied to an AuthSession.
+// The refresh token is `<session id>.<secret>` and rotates on every use, so revoking
+// the session signs that device out within one access-token lifetime at most.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const WITHDRAWAL_SESSION_TTL_MS = 60 * 60 * 1000;
+// Two tabs refreshing at once both present the same token; only later replays count as theft.
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
+
+const signAccessToken = (user, session) => jwt.sign(
+  {
+    id: user._id,
+    email: user.email,
+    isAdmin: user.isAdmin,
+    sid: session._id,
+    tv: user.tokenVersion || 0,
+    ...(session.scope === 'withdrawal' && { scope: 'withdrawal' })
+  },
+  JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Starts a session for this device and returns the token pair for the response.
+const openAuthSession = async (user, req, { scope = 'full', mfa = false } = {}) => {
+  const secret = newRefreshSecret();
+  const session = await AuthSession.create({
+    userId: user._id,
+    refreshTokenHash: sha256(secret),
+    scope,
+    mfaAt: mfa ? new Date() : undefined,
+    userAgent: (req.get('user-agent') || '').slice(0, 256),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + (scope === 'withdrawal' ? WITHDRAWAL_SESSION_TTL_MS : REFRESH_TOKEN_TTL_MS))
+  });
+  return { token: signAccessToken(user, session), refreshToken: `${session._id}.${secret}` };
+};
+
+const revokeAuthSessions = (filter, reason) => AuthSession.updateMany(
+  { ...filter, revokedAt: null },
+  { $set: { revokedAt: new Date(), revokedReason: reason } }
+);
+
+// Swaps a refresh token for a new pair. Throws { status: 401 } when it is unknown,
+// expired or revoked; a replayed old token revokes the whole session.
+const rotateAuthSession = async (refreshToken, req) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw { status: 401, error: 'Session expired. Please log in again.' };
+  }
+
+  const now = new Date();
+  const hash = sha256(secret);
+  const nextSecret = newRefreshSecret();
+  const session = await AuthSession.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: sha256(nextSecret),
+        previousTokenHash: hash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        userAgent: (req.get('user-agent') || '').slice(0, 256),
+        ip: req.ip
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const replayed = await AuthSession.findOne({ _id: sessionId, previousTokenHash: hash, revokedAt: null });
+    if (replayed && now - replayed.rotatedAt > REFRESH_REUSE_GRACE_MS) {
+      await revokeAuthSessions({ _id: replayed._id }, 'refresh-token-reuse');
+      console.warn(`⚠️ Refresh token reused for session ${replayed._id}; session revoked`);
+    }
+    throw { status: 401, error: 'Session expired. Please log in again.' };
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || user.isBlocked) {
+    await revokeAuthSessions({ _id: session._id }, user ? 'blocked' : 'deleted');
+    throw { status: 401, error: 'Session expired. Please log in again.' };
+  }
+
+  return { user, token: signAccessToken(user, session), refreshToken: `${session._id}.${nextSecret}` };
+};
+
+// `mfa` marks a token issued after a second factor; without it only 2FA setup is allowed.
+const signReferrerToken = (referrer, { mfa = false } = {}) => jwt.sign(
+  { id: referrer._id, email: referrer.email, isReferrer: true, tv: referrer.tokenVersion || 0, ...(mfa && { mfa: true }) },
+  JWT_SECRET,
+  { expiresIn: '7d' }
+);
+
+const isCurrentToken = async (Model, payload) => {
+  const account = await Model.findById(payload.id).select('tokenVersion').lean();
+  return Boolean(account) && (account.tokenVersion || 0) === (payload.tv || 0);
+};
+
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -642,22 +1192,121 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ success: false, error: 'Access token required' });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
+  jwt.verify(token, JWT_SECRET, async (err, user) => {
+    if (err?.name === 'TokenExpiredError') {
+      // The client swaps its refresh token for a new pair and retries.
+      return res.status(401).json({ success: false, error: 'Access token expired', tokenExpired: true });
+    }
+    // 2FA challenge and step-up tokens share the secret but are never access tokens.
+    if (err || user.purpose) {
       return res.status(403).json({ success: false, error: 'Invalid or expired token' });
     }
+    const withdrawalRoute = WITHDRAWAL_SCOPE_ROUTES.includes(req.route?.path);
+    if (user.scope === 'withdrawal' && !withdrawalRoute) {
+      return res.status(403).json({ success: false, error: 'This session can only be used to withdraw your balance' });
+    }
+    try {
+      // The account and session are rechecked on every request, so blocking, deleting
+      // or revoking takes effect immediately rather than when the token expires.
+      const [account, session] = await Promise.all([
+        User.findById(user.id).select('tokenVersion isBlocked selfExclusion isAdmin role deletedAt').lean(),
+        user.sid ? AuthSession.findById(user.sid).select('revokedAt mfaAt').lean() : null
+      ]);
+      if (!account || account.deletedAt || !session || session.revokedAt || (account.tokenVersion || 0) !== (user.tv || 0)) {
+        return res.status(401).json({ success: false, error: 'Session expired. Please log in again.' });
+      }
+      if (account.isBlocked) {
+        return res.status(403).json({ success: false, error: 'Your account has been blocked. Please contact support.' });
+      }
+      const exclusion = activeSelfExclusion(account);
+      if (exclusion && !withdrawalRoute) {
+        return res.status(403).json({ success: false, error: selfExclusionMessage(exclusion), selfExclusion: exclusion });
+      }
+      user.isAdmin = account.isAdmin;
+      user.role = account.role || null;
+      user.mfaAt = session.mfaAt || null;
+    } catch (error) {
+      console.error('Token check error:', error);
+      return res.status(500).json({ success: false, error: 'Server error' });
+    }
     req.user = user;
     next();
   });
 };
 
-const requireAdmin = (req, res, next) => {
-  if (!req.user.isAdmin) {
-    return res.status(403).json({ success: false, error: 'Admin access required' });
+// ============================================================================
+// MIDDLEWARE - ADMIN PERMISSIONS
+// ============================================================================
+
+// Each staff role grants a fixed set of permissions; every /api/admin route asks for one.
+const ADMIN_PERMISSIONS = {
+  'users.view': 'View players and self-exclusions',
+  'users.manage': 'Block and remove players',
+  'users.credit': 'Credit player balances',
+  'withdrawals.view': 'View withdrawal requests',
+  'withdrawals.approve': 'Approve and reject withdrawals',
+  'approvals.configure': 'Set the second-approval threshold',
+  'games.settings': 'Edit game settings',
+  'games.history': 'View game history',
+  'sms.send': 'Send SMS and view SMS logs',
+  'referrers.manage': 'Manage referrers',
+  'reports.view': 'View stats and ledger reconciliation',
+  'ledger.manage': 'Record opening balances',
+  'data.backup': 'Take and list database backups',
+  'data.wipe': 'Wipe all data',
+  'roles.manage': 'Assign staff roles',
+  'audit.view': 'View the audit log'
+};
+
+const ADMIN_ROLES = {
+  support: ['users.view', 'users.manage', 'withdrawals.view', 'games.history', 'sms.send'],
+  finance: ['users.view', 'users.credit', 'withdrawals.view', 'withdrawals.approve', 'reports.view', 'ledger.manage'],
+  'game-ops': ['games.settings', 'games.history', 'reports.view'],
+  marketing: ['users.view', 'sms.send', 'referrers.manage'],
+  superadmin: Object.keys(ADMIN_PERMISSIONS)
+};
+
+const permissionsFor = (user) => (user?.isAdmin && ADMIN_ROLES[user.role]) || [];
+
+const rolesWithPermission = (permission) => Object.keys(ADMIN_ROLES)
+  .filter((role) => ADMIN_ROLES[role].includes(permission));
+
+// Runs after authenticateToken, which loads the caller's current role. Staff tools also
+// need a session that passed two-factor authentication at sign-in. Given a list, any one
+// of the permissions is enough.
+const requirePermission = (permission) => (req, res, next) => {
+  const granted = permissionsFor(req.user);
+  if (!granted.some((held) => [].concat(permission).includes(held))) {
+    return res.status(403).json({ success: false, error: 'You do not have permission to do this' });
+  }
+  if (!req.user.mfaAt) {
+    return res.status(403).json({ success: false, error: 'Set up two-factor authentication to use staff tools', twoFactorRequired: true });
   }
   next();
 };
 
+// Admins from before roles existed keep full access. SUPERADMIN_EMAIL bootstraps the
+// first superadmin on a fresh install, since signup never creates staff accounts.
+const migrateAdminRoles = async () => {
+  const legacy = await User.find({ isAdmin: true, role: null }).select('email');
+  if (legacy.length) {
+    await User.updateMany({ _id: { $in: legacy.map((admin) => admin._id) } }, { $set: { role: 'superadmin' } });
+    console.warn(`⚠️ Gave the superadmin role to legacy admins: ${legacy.map((admin) => admin.email).join(', ')}`);
+  }
+
+  const bootstrapEmail = process.env.SUPERADMIN_EMAIL;
+  if (bootstrapEmail) {
+    const result = await User.updateOne(
+      { email: bootstrapEmail, role: { $ne: 'superadmin' } },
+      { $set: { isAdmin: true, role: 'superadmin' } }
+    );
+    if (result.modifiedCount) console.log(`👑 ${bootstrapEmail} is now a superadmin`);
+  }
+};
+
+// Routes a referrer can reach before turning on 2FA, so they can set it up.
+const REFERRER_2FA_SETUP_ROUTES = ['/api/referral/me', '/api/referral/2fa/setup', '/api/referral/2fa/enable'];
+
 const authenticateReferrer = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1];
@@ -666,39 +1315,843 @@ const authenticateReferrer = (req, res, next) => {
     return res.status(401).json({ success: false, error: 'Access token required' });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, referrer) => {
+  jwt.verify(token, JWT_SECRET, async (err, referrer) => {
     if (err || !referrer.isReferrer) {
       return res.status(403).json({ success: false, error: 'Invalid referrer token' });
     }
+    if (!referrer.mfa && !REFERRER_2FA_SETUP_ROUTES.includes(req.route?.path)) {
+      return res.status(403).json({ success: false, error: 'Set up two-factor authentication to continue', twoFactorRequired: true });
+    }
+    try {
+      if (!await isCurrentToken(Referrer, referrer)) {
+        return res.status(401).json({ success: false, error: 'Session expired. Please log in again.' });
+      }
+    } catch (error) {
+      console.error('Referrer token check error:', error);
+      return res.status(500).json({ success: false, error: 'Server error' });
+    }
     req.referrer = referrer;
     next();
   });
 };
 
 // ============================================================================
-// ROUTES - AUTHENTICATION
+// ADMIN AUDIT LOG
 // ============================================================================
 
-// Sign Up
-app.post('/api/auth/signup', async (req, res) => {
-  await connectToDatabase();
-  
-  try {
-    const { email, password, phone, referralCode } = req.body;
-
-    if (!email || !password || !phone) {
-      return res.status(400).json({ success: false, error: 'All fields are required' });
-    }
+// Append-only trail of privileged actions: who did what to which record, from where,
+// and which fields changed. Entries can't be edited or deleted; the wipe keeps them.
+const auditChangeSchema = new mongoose.Schema({
+  field: { type: String, required: true },
+  before: { type: mongoose.Schema.Types.Mixed },
+  after: { type: mongoose.Schema.Types.Mixed }
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  actorEmail: { type: String },
+  actorRole: { type: String },
+  action: { type: String, required: true },
+  targetType: { type: String, required: true },
+  targetId: { type: String },
+  targetLabel: { type: String },
+  changes: { type: [auditChangeSchema], default: [] },
+  metadata: { type: mongoose.Schema.Types.Mixed },
+  ip: { type: String },
+  userAgent: { type: String },
+  createdAt: { type: Date, default: Date.now }
+});
 
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ success: false, error: 'Email already exists' });
-    }
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
 
-    const hashedPassword = await bcrypt.hash(password, 10);
+const rejectAuditMutation = function (next) {
+  next(new Error('Audit log entries are immutable'));
+};
 
-    let referrerId = null;
-    if (referralCode) {
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectAuditMutation(next);
+  next();
+});
+auditLogSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectAuditMutation
+);
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+const AUDIT_IGNORED_FIELDS = new Set(['_id', '__v', 'password', 'tokenVersion', 'twoFactor', 'updatedAt']);
+
+// Nested plain objects become dotted paths so a diff names the exact setting changed.
+const flattenForAudit = (value, prefix = '', out = {}) => {
+  const plain = value?.toObject ? value.toObject() : value;
+  if (plain && plain.constructor === Object) {
+    Object.entries(plain).forEach(([key, child]) => flattenForAudit(child, prefix ? `${prefix}.${key}` : key, out));
+  } else if (prefix) {
+    out[prefix] = plain;
+  }
+  return out;
+};
+
+const auditChanges = (before, after) => {
+  const from = flattenForAudit(before || {});
+  const to = flattenForAudit(after || {});
+  return [...new Set([...Object.keys(from), ...Object.keys(to)])]
+    .filter((field) => !AUDIT_IGNORED_FIELDS.has(field.split('.')[0]))
+    .filter((field) => JSON.stringify(from[field]) !== JSON.stringify(to[field]))
+    .map((field) => ({ field, before: from[field] ?? null, after: to[field] ?? null }));
+};
+
+// Called by every state-changing /api/admin handler once the action has succeeded.
+// A failed write is logged rather than thrown: the action itself already happened.
+const recordAudit = async (req, { action, targetType, targetId, targetLabel, before, after, metadata }) => {
+  try {
+    await AuditLog.create({
+      actorId: req.user.id,
+      actorEmail: req.user.email,
+      actorRole: req.user.role,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : undefined,
+      targetLabel,
+      changes: auditChanges(before, after),
+      metadata,
+      ip: req.ip,
+      userAgent: (req.get('user-agent') || '').slice(0, 256)
+    });
+  } catch (error) {
+    console.error(`Audit log write failed for ${action}:`, error);
+  }
+};
+
+// ============================================================================
+// MIDDLEWARE - IDEMPOTENCY
+// ============================================================================
+
+// A client may send an `Idempotency-Key` header on any state-changing request. The first
+// request with a key is processed and its response stored; a retry with the same key and
+// body replays that response instead of running the handler again. Keys expire after 24h.
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  scope: { type: String, required: true },
+  key: { type: String, required: true },
+  fingerprint: { type: String, required: true },
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, default: () => new Date(Date.now() + IDEMPOTENCY_TTL_MS) }
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+// Must run after authenticateToken / authenticateReferrer so keys are scoped per caller.
+const idempotent = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+  if (!key) return next();
+  if (key.length > 255) {
+    return res.status(400).json({ success: false, error: 'Idempotency-Key is too long' });
+  }
+
+  const scope = req.referrer ? `referrer:${req.referrer.id}` : `user:${req.user?.id || 'anonymous'}`;
+  const fingerprint = sha256(`${req.method} ${req.baseUrl}${req.path} ${JSON.stringify(req.body || {})}`);
+
+  try {
+    await IdempotencyKey.create({ scope, key, fingerprint });
+  } catch (error) {
+    if (error.code !== 11000) {
+      console.error('Idempotency key error:', error);
+      return res.status(500).json({ success: false, error: 'Failed to process request' });
+    }
+
+    const existing = await IdempotencyKey.findOne({ scope, key });
+    if (!existing) return res.status(409).json({ success: false, error: 'Request is being retried, try again' });
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({ success: false, error: 'Idempotency-Key was already used for a different request' });
+    }
+    if (existing.status === 'processing') {
+      return res.status(409).json({ success: false, error: 'A request with this Idempotency-Key is still in progress' });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  // Store the response before sending it so a retry never re-runs a completed request.
+  // Server errors release the key instead, so the client can safely try again.
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    const statusCode = res.statusCode;
+    const persist = statusCode >= 500
+      ? IdempotencyKey.deleteOne({ scope, key })
+      : IdempotencyKey.updateOne({ scope, key }, { $set: { status: 'completed', responseStatus: statusCode, responseBody: body } });
+
+    persist
+      .catch((error) => console.error('Idempotency store error:', error))
+      .then(() => sendJson(body));
+    return res;
+  };
+
+  next();
+};
+
+// ============================================================================
+// MIDDLEWARE - PAYLOQA WEBHOOKS
+// ============================================================================
+
+// Payloqa signs each webhook: X-Payloqa-Signature is the hex HMAC-SHA256 of
+// `${X-Payloqa-Timestamp}.${raw body}` with the shared webhook secret. Requests that
+// are unsigned, tampered with or outside the timestamp window are refused, and an
+// event id that was already processed is acknowledged without running again.
+const verifyPayloqaWebhook = async (req, res, next) => {
+  if (!PAYLOQA_CONFIG.webhookSecret) {
+    console.error('❌ PAYLOQA_WEBHOOK_SECRET is not set; refusing webhook');
+    return res.status(503).json({ success: false, error: 'Webhook verification not configured' });
+  }
+
+  const signature = String(req.headers['x-payloqa-signature'] || '');
+  const timestamp = Number(req.headers['x-payloqa-timestamp']);
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+
+  if (!signature || !Number.isFinite(timestamp)) {
+    return res.status(401).json({ success: false, error: 'Missing webhook signature' });
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > PAYLOQA_CONFIG.webhookToleranceSeconds) {
+    return res.status(401).json({ success: false, error: 'Webhook timestamp outside tolerance' });
+  }
+
+  const expected = crypto
+    .createHmac('sha256', PAYLOQA_CONFIG.webhookSecret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+  const valid = signature.length === expected.length
+    && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  if (!valid) {
+    return res.status(401).json({ success: false, error: 'Invalid webhook signature' });
+  }
+
+  const eventId = String(req.headers['x-payloqa-event-id'] || req.body?.event_id || req.body?.id || sha256(rawBody));
+  try {
+    await WebhookEvent.create({ eventId, event: req.body?.event });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(200).json({ success: true, message: 'Duplicate event — already processed' });
+    }
+    console.error('Webhook event store error:', error);
+    return res.status(500).json({ success: false, error: 'Failed to record webhook event' });
+  }
+
+  // Lets a handler give the event back when processing fails, so Payloqa's retry runs.
+  req.releaseWebhookEvent = () => WebhookEvent.deleteOne({ eventId });
+  next();
+};
+
+// ============================================================================
+// OTP VERIFICATION
+// ============================================================================
+
+// Six-digit SMS codes that prove the player holds a phone number. Codes expire,
+// allow a few guesses, are single use, and can't be re-sent too often.
+const OTP_TTL_MS = 10 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_INTERVAL_MS = 60 * 1000;
+const OTP_SEND_WINDOW_MS = 60 * 60 * 1000;
+const OTP_MAX_SENDS_PER_WINDOW = 5;
+
+const hashOtp = (purpose, phone, code) => crypto
+  .createHmac('sha256', JWT_SECRET)
+  .update(`${purpose}:${phone}:${code}`)
+  .digest('hex');
+
+// Sends a fresh code, replacing any earlier one for the same purpose/phone/user.
+// Throws { status: 429 } when asked again too soon or too often.
+const issueOtp = async ({ purpose, phone, userId = null }) => {
+  const now = Date.now();
+  const existing = await OtpCode.findOne({ purpose, phone, userId });
+
+  if (existing?.lastSentAt && now - existing.lastSentAt.getTime() < OTP_RESEND_INTERVAL_MS) {
+    const wait = Math.ceil((OTP_RESEND_INTERVAL_MS - (now - existing.lastSentAt.getTime())) / 1000);
+    throw { status: 429, error: `Please wait ${wait}s before requesting another code` };
+  }
+
+  const windowOpen = existing?.windowStartedAt && now - existing.windowStartedAt.getTime() < OTP_SEND_WINDOW_MS;
+  const sendCount = windowOpen ? existing.sendCount : 0;
+  if (sendCount >= OTP_MAX_SENDS_PER_WINDOW) {
+    throw { status: 429, error: 'Too many codes requested. Please try again later.' };
+  }
+
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+  const expiresAt = new Date(now + OTP_TTL_MS);
+  await OtpCode.findOneAndUpdate(
+    { purpose, phone, userId },
+    {
+      $set: { codeHash: hashOtp(purpose, phone, code), expiresAt, attempts: 0, consumedAt: null },
+      $setOnInsert: { purgeAt: new Date(now + OTP_SEND_WINDOW_MS) }
+    },
+    { upsert: true }
+  );
+
+  try {
+    await payloqaAPI.sendSMS(
+      phone,
+      `Your Lucky Triple verification code is ${code}. It expires in 10 minutes. Never share it with anyone.`,
+      { sensitive: true }
+    );
+  } catch (smsError) {
+    console.error('OTP SMS failed:', smsError);
+    throw { status: 502, error: 'Could not send the verification code. Please try again.' };
+  }
+
+  // Only a code that was actually sent counts towards the resend wait and the send limit.
+  await OtpCode.updateOne(
+    { purpose, phone, userId },
+    {
+      $set: {
+        lastSentAt: new Date(now),
+        sendCount: sendCount + 1,
+        windowStartedAt: windowOpen ? existing.windowStartedAt : new Date(now),
+        purgeAt: new Date(now + OTP_SEND_WINDOW_MS)
+      }
+    }
+  );
+
+  return { expiresAt };
+};
+
+// Checks and uses up a code. Throws { status: 400 } when it is missing, wrong,
+// expired, already used or out of attempts. Only using the code up joins `session`:
+// a failed attempt still counts when the surrounding transaction is rolled back.
+const consumeOtp = async ({ purpose, phone, userId = null, code, session = null }) => {
+  if (!code || !/^\d{6}$/.test(String(code).trim())) {
+    throw { status: 400, error: 'Enter the 6-digit code we sent to your phone' };
+  }
+
+  const record = await OtpCode.findOneAndUpdate(
+    { purpose, phone, userId, consumedAt: null, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!record) {
+    throw { status: 400, error: 'This code has expired or has been tried too many times. Request a new one.' };
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const given = Buffer.from(hashOtp(purpose, phone, String(code).trim()), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    const left = OTP_MAX_ATTEMPTS - record.attempts;
+    throw { status: 400, error: left > 0 ? `Incorrect code. ${left} attempt${left === 1 ? '' : 's'} left.` : 'Incorrect code. Request a new one.' };
+  }
+
+  const used = await OtpCode.updateOne({ _id: record._id, consumedAt: null }, { $set: { consumedAt: new Date() } }, { session });
+  if (!used.modifiedCount) {
+    throw { status: 400, error: 'This code has already been used' };
+  }
+};
+
+// Request a signup code for a phone number not yet registered
+app.post('/api/auth/otp/request', async (req, res) => {
+  try {
+    const phone = formatGhanaPhone(req.body.phone);
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'Enter a valid Ghana phone number (e.g. 024XXXXXXX)' });
+    }
+
+    const { expiresAt } = await issueOtp({ purpose: 'signup', phone });
+    res.json({ success: true, message: 'Verification code sent', expiresAt });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Signup OTP error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send verification code' });
+  }
+});
+
+// Request a code for changing the wallet phone or withdrawing to a new number
+app.post('/api/otp/request', authenticateToken, async (req, res) => {
+  try {
+    const { purpose } = req.body;
+    const phone = formatGhanaPhone(req.body.phone);
+    if (!['wallet-phone', 'withdrawal'].includes(purpose)) {
+      return res.status(400).json({ success: false, error: 'Invalid verification purpose' });
+    }
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'Enter a valid Ghana phone number (e.g. 024XXXXXXX)' });
+    }
+
+    const { expiresAt } = await issueOtp({ purpose, phone, userId: req.user.id });
+    res.json({ success: true, message: `Verification code sent to ${phone}`, expiresAt });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('OTP request error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send verification code' });
+  }
+});
+
+// ============================================================================
+// PASSWORD RESET
+// ============================================================================
+
+// Players and referrers recover an account with an SMS code sent to the phone on
+// file. Resetting or changing a password bumps tokenVersion, so every existing
+// session has to log in again.
+const PASSWORD_MIN_LENGTH = 6;
+
+const validateNewPassword = (password) => {
+  if (!password || String(password).length < PASSWORD_MIN_LENGTH) {
+    throw { status: 400, error: `Password must be at least ${PASSWORD_MIN_LENGTH} characters` };
+  }
+};
+
+const findAccountByEmail = (Model, email) => (
+  email ? Model.findOne({ email: String(email).trim() }) : null
+);
+
+const accountPhone = (account) => formatGhanaPhone(account.phone) || account.phone;
+
+const setAccountPassword = async (Model, accountId, password) => Model.findByIdAndUpdate(
+  accountId,
+  { $set: { password: await bcrypt.hash(password, 10) }, $inc: { tokenVersion: 1 } },
+  { new: true }
+);
+
+// Never throws, so the response can't be used to tell which emails are registered.
+const sendPasswordResetCode = async (Model, purpose, email) => {
+  try {
+    const account = await findAccountByEmail(Model, email);
+    if (!account?.phone) return;
+    await issueOtp({ purpose, phone: accountPhone(account), userId: account._id });
+  } catch (error) {
+    console.error('Password reset code error:', error.error || error);
+  }
+};
+
+const resetAccountPassword = async (Model, purpose, { email, code, newPassword }) => {
+  validateNewPassword(newPassword);
+  const account = await findAccountByEmail(Model, email);
+  if (!account?.phone) {
+    throw { status: 400, error: 'This code has expired or has been tried too many times. Request a new one.' };
+  }
+  await consumeOtp({ purpose, phone: accountPhone(account), userId: account._id, code });
+  return setAccountPassword(Model, account._id, newPassword);
+};
+
+const changeAccountPassword = async (Model, accountId, { currentPassword, newPassword }) => {
+  validateNewPassword(newPassword);
+  const account = await Model.findById(accountId);
+  if (!account) throw { status: 404, error: 'Account not found' };
+  if (!currentPassword || !await bcrypt.compare(currentPassword, account.password)) {
+    throw { status: 400, error: 'Current password is incorrect' };
+  }
+  return setAccountPassword(Model, account._id, newPassword);
+};
+
+const PASSWORD_RESET_SENT = 'If that email is registered, a reset code has been sent to its phone number';
+
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================================================
+
+// Staff and referrers sign in with a password plus a second factor: a TOTP code from an
+// authenticator app (RFC 6238: HMAC-SHA1, 30s steps, 6 digits), one of ten single-use
+// backup codes, or an SMS code sent to the phone on file. Risky actions additionally
+// need a fresh code from the last few minutes (see requireStepUp).
+const TOTP_ISSUER = 'Lucky Triple';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Codes from the step before and after are accepted too, for phones with drifting clocks.
+const TOTP_DRIFT_STEPS = 1;
+const BACKUP_CODE_COUNT = 10;
+const TWO_FACTOR_MAX_FAILURES = 5;
+const TWO_FACTOR_LOCK_MS = 15 * 60 * 1000;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const STEP_UP_TTL_SECONDS = 5 * 60;
+
+const TWO_FACTOR_OTP_PURPOSE = { User: 'staff-2fa', Referrer: 'referrer-2fa' };
+const TWO_FACTOR_SECRET_FIELDS = '+twoFactor.secret +twoFactor.backupCodeHashes +twoFactor.lastUsedStep';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator apps take the shared key as unpadded base32.
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+// RFC 4226 HOTP; TOTP is HOTP with the current time step as the counter.
+const hotp = (key, counter) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Returns the time step the code belongs to, or null when it matches none in the window.
+const matchTotpStep = (key, code, now = Date.now()) => {
+  if (!/^\d{6}$/.test(code)) return null;
+  const current = Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+  for (let step = current - TOTP_DRIFT_STEPS; step <= current + TOTP_DRIFT_STEPS; step += 1) {
+    if (crypto.timingSafeEqual(Buffer.from(hotp(key, step)), Buffer.from(code))) return step;
+  }
+  return null;
+};
+
+// TOTP keys are stored encrypted with AES-256-GCM, so a copy of the database alone can't
+// produce codes. Set TWO_FACTOR_KEY to keep this key separate from JWT_SECRET.
+const TWO_FACTOR_KEY = crypto.createHash('sha256').update(process.env.TWO_FACTOR_KEY || JWT_SECRET).digest();
+
+const sealSecret = (key) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', TWO_FACTOR_KEY, iv);
+  const sealed = Buffer.concat([cipher.update(key), cipher.final()]);
+  return [iv, cipher.getAuthTag(), sealed].map((part) => part.toString('base64url')).join('.');
+};
+
+const openSecret = (sealed) => {
+  const [iv, tag, data] = sealed.split('.').map((part) => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', TWO_FACTOR_KEY, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+};
+
+const newBackupCodes = () => Array.from({ length: BACKUP_CODE_COUNT }, () => {
+  const hex = crypto.randomBytes(4).toString('hex');
+  return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+});
+
+// Case, spaces and the dash don't matter when a backup code is typed back in.
+const hashBackupCode = (code) => sha256(String(code).toLowerCase().replace(/[^0-9a-f]/g, ''));
+
+// Starts (or restarts) enrollment with a fresh key. Nothing changes for sign-in until
+// a code from the new key is confirmed with confirmTwoFactorSetup.
+const beginTwoFactorSetup = async (Model, accountId) => {
+  const account = await Model.findById(accountId).select('email twoFactor.enabled');
+  if (!account) throw { status: 404, error: 'Account not found' };
+  if (account.twoFactor?.enabled) throw { status: 400, error: 'Two-factor authentication is already on' };
+
+  const key = crypto.randomBytes(20);
+  await Model.updateOne({ _id: account._id }, { $set: { 'twoFactor.pendingSecret': sealSecret(key) } });
+
+  const secret = base32Encode(key);
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${account.email}`);
+  const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}`
+    + `&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_STEP_SECONDS}`;
+  return { secret, otpauthUrl, qrCode: await QRCode.toDataURL(otpauthUrl) };
+};
+
+// Turns 2FA on once the authenticator shows a valid code. The backup codes are returned
+// only this once; just their hashes are kept.
+const confirmTwoFactorSetup = async (Model, accountId, code) => {
+  const account = await Model.findById(accountId).select('+twoFactor.pendingSecret');
+  if (!account) throw { status: 404, error: 'Account not found' };
+  if (account.twoFactor?.enabled) throw { status: 400, error: 'Two-factor authentication is already on' };
+  if (!account.twoFactor?.pendingSecret) throw { status: 400, error: 'Start two-factor setup first' };
+
+  const step = matchTotpStep(openSecret(account.twoFactor.pendingSecret), String(code || '').trim());
+  if (step === null) {
+    throw { status: 400, error: 'Incorrect code. Check the time on your phone and try again.' };
+  }
+
+  const backupCodes = newBackupCodes();
+  const updated = await Model.findOneAndUpdate(
+    { _id: account._id, 'twoFactor.enabled': { $ne: true } },
+    {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': account.twoFactor.pendingSecret,
+        'twoFactor.backupCodeHashes': backupCodes.map(hashBackupCode),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.failedAttempts': 0,
+        'twoFactor.enabledAt': new Date()
+      },
+      $unset: { 'twoFactor.pendingSecret': 1 }
+    },
+    { new: true }
+  );
+  if (!updated) throw { status: 400, error: 'Two-factor authentication is already on' };
+  return { account: updated, backupCodes };
+};
+
+// Texts a one-off code to the phone on file, for when the authenticator isn't to hand.
+const sendTwoFactorSms = async (Model, accountId) => {
+  const account = await Model.findById(accountId).select('phone twoFactor.enabled');
+  if (!account?.twoFactor?.enabled) throw { status: 400, error: 'Two-factor authentication is not set up' };
+  if (!account.phone) throw { status: 400, error: 'There is no phone number on this account' };
+  return issueOtp({ purpose: TWO_FACTOR_OTP_PURPOSE[Model.modelName], phone: accountPhone(account), userId: account._id });
+};
+
+// Checks a second factor. `method` is 'totp', 'backup' or 'sms'; when it is left out a
+// six-digit code is read as TOTP and anything else as a backup code. Throws
+// { status: 400 } for a wrong code and { status: 429 } while locked out after repeated misses.
+const verifySecondFactor = async (Model, accountId, { method, code }) => {
+  const account = await Model.findById(accountId).select(TWO_FACTOR_SECRET_FIELDS);
+  if (!account?.twoFactor?.enabled) throw { status: 400, error: 'Two-factor authentication is not set up' };
+
+  const { twoFactor } = account;
+  if (twoFactor.lockedUntil > new Date()) {
+    throw { status: 429, error: 'Too many incorrect codes. Please try again in a few minutes.' };
+  }
+
+  const given = String(code || '').trim();
+  const kind = method || (/^\d{6}$/.test(given) ? 'totp' : 'backup');
+  if (!['totp', 'backup', 'sms'].includes(kind)) {
+    throw { status: 400, error: 'Invalid verification method' };
+  }
+
+  // SMS codes carry their own attempt limit.
+  if (kind === 'sms') {
+    await consumeOtp({ purpose: TWO_FACTOR_OTP_PURPOSE[Model.modelName], phone: accountPhone(account), userId: account._id, code: given });
+    return account;
+  }
+
+  let accepted = false;
+  if (kind === 'totp') {
+    const step = matchTotpStep(openSecret(twoFactor.secret), given);
+    // Each time step is accepted once, so a code seen over a shoulder can't be replayed.
+    accepted = step !== null && (await Model.updateOne(
+      { _id: account._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+      { $set: { 'twoFactor.lastUsedStep': step, 'twoFactor.failedAttempts': 0 } }
+    )).modifiedCount === 1;
+  } else {
+    const hash = hashBackupCode(given);
+    accepted = (await Model.updateOne(
+      { _id: account._id, 'twoFactor.backupCodeHashes': hash },
+      { $pull: { 'twoFactor.backupCodeHashes': hash }, $set: { 'twoFactor.failedAttempts': 0 } }
+    )).modifiedCount === 1;
+  }
+
+  if (!accepted) {
+    const lockOut = (twoFactor.failedAttempts || 0) + 1 >= TWO_FACTOR_MAX_FAILURES;
+    await Model.updateOne({ _id: account._id }, lockOut
+      ? { $set: { 'twoFactor.failedAttempts': 0, 'twoFactor.lockedUntil': new Date(Date.now() + TWO_FACTOR_LOCK_MS) } }
+      : { $inc: { 'twoFactor.failedAttempts': 1 } });
+    throw { status: 400, error: kind === 'backup' ? 'That backup code is not valid or was already used' : 'Incorrect code' };
+  }
+  return account;
+};
+
+// Replaces every backup code; needs a valid second factor first.
+const regenerateBackupCodes = async (Model, accountId, factor) => {
+  await verifySecondFactor(Model, accountId, factor);
+  const backupCodes = newBackupCodes();
+  await Model.updateOne({ _id: accountId }, { $set: { 'twoFactor.backupCodeHashes': backupCodes.map(hashBackupCode) } });
+  return backupCodes;
+};
+
+// Issued after a correct password when a second factor is still needed. It is only
+// accepted by the /2fa/login routes and expires after a few minutes.
+const signTwoFactorChallenge = (account, kind) => jwt.sign(
+  { id: account._id, purpose: '2fa-login', kind, tv: account.tokenVersion || 0 },
+  JWT_SECRET,
+  { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+);
+
+const readTwoFactorChallenge = (token, kind) => {
+  try {
+    const payload = jwt.verify(String(token || ''), JWT_SECRET);
+    if (payload.purpose === '2fa-login' && payload.kind === kind) return payload;
+  } catch {
+    // Expired or tampered with; refused below.
+  }
+  throw { status: 401, error: 'Your sign-in attempt has expired. Please log in again.' };
+};
+
+// A step-up token is bound to the player session or referrer that earned it.
+const stepUpSubject = (req) => (req.referrer ? `referrer:${req.referrer.id}` : `session:${req.user.sid}`);
+
+const signStepUpToken = (req) => jwt.sign(
+  { sub: stepUpSubject(req), purpose: 'step-up' },
+  JWT_SECRET,
+  { expiresIn: STEP_UP_TTL_SECONDS }
+);
+
+// Guards high-risk actions. The client trades a fresh 2FA code for a step-up token at
+// /2fa/step-up and sends it as X-Step-Up-Token. Runs after the auth middleware and
+// before `idempotent`, so a refused attempt doesn't use up the Idempotency-Key.
+const requireStepUp = (req, res, next) => {
+  try {
+    const payload = jwt.verify(String(req.headers['x-step-up-token'] || ''), JWT_SECRET);
+    if (payload.purpose === 'step-up' && payload.sub === stepUpSubject(req)) return next();
+  } catch {
+    // Missing or expired; ask for a code below.
+  }
+  res.status(403).json({ success: false, error: 'Confirm this action with your two-factor code', stepUpRequired: true });
+};
+
+// ============================================================================
+// ACCOUNT CLOSURE & DATA EXPORT
+// ============================================================================
+
+// Closed accounts are never removed: transactions, game rounds and ledger entries stay
+// for the books, and only the personal details on the account are scrubbed. Throws
+// { status, error } while a withdrawal is still in flight.
+const closeAccount = async (user, { closedBy = null, reason } = {}) => {
+  const inFlight = await Transaction.exists({ userId: user._id, type: 'withdrawal', status: { $in: ['pending', 'processing'] } });
+  if (inFlight) throw { status: 409, error: 'Settle pending withdrawals before closing this account' };
+
+  const phones = [...new Set([user.phone, formatGhanaPhone(user.phone)].filter(Boolean))];
+  const placeholder = `deleted-${user._id}`;
+
+  user.email = `${placeholder}@deleted.invalid`;
+  user.phone = placeholder;
+  user.phoneVerifiedAt = undefined;
+  user.password = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  user.twoFactor = {};
+  user.deletedAt = new Date();
+  user.deletedBy = closedBy;
+  user.deletionReason = reason;
+  await user.save();
+
+  // SelfExclusion rows keep their email and phone on purpose: they stop a closed
+  // account's owner from signing up again while excluded. Deposits and withdrawals keep
+  // their amounts and status for the books, but not the number they were paid from or to.
+  await Promise.all([
+    AuthSession.deleteMany({ userId: user._id }),
+    OtpCode.deleteMany({ userId: user._id }),
+    PaymentIntent.updateMany({ userId: user._id, phone: { $ne: null } }, { $set: { phone: placeholder } }),
+    Transaction.updateMany(
+      { userId: user._id, 'paymentDetails.phone': { $exists: true } },
+      { $set: { 'paymentDetails.phone': placeholder } }
+    ),
+    SMSLog.updateMany(
+      { phones: { $in: phones } },
+      { $set: { 'phones.$[phone]': placeholder } },
+      { arrayFilters: [{ phone: { $in: phones } }] }
+    )
+  ]);
+};
+
+// Everything stored about a player, for /api/user/export.
+const collectAccountData = async (userId) => {
+  const byUser = { userId };
+  const [profile, transactions, deposits, selfExclusions, sessions, ...gameRounds] = await Promise.all([
+    User.findById(userId).select('-password -tokenVersion').lean(),
+    Transaction.find(byUser).sort({ createdAt: 1 }).lean(),
+    PaymentIntent.find(byUser).sort({ createdAt: 1 }).lean(),
+    SelfExclusion.find(byUser).sort({ startsAt: 1 }).lean(),
+    AuthSession.find(byUser).select('userAgent ip createdAt lastUsedAt revokedAt').sort({ createdAt: 1 }).lean(),
+    ...GAMES.map((game) => betModels[game.id].find(byUser).sort({ createdAt: 1 }).lean())
+  ]);
+  if (!profile) throw { status: 404, error: 'User not found' };
+
+  const phones = [...new Set([profile.phone, formatGhanaPhone(profile.phone)].filter(Boolean))];
+  const smsMessages = await SMSLog.find({ phones: { $in: phones } })
+    .select('message status createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    transactions,
+    deposits,
+    games: Object.fromEntries(GAMES.map((game, i) => [game.id, gameRounds[i]])),
+    selfExclusions,
+    sessions,
+    smsMessages
+  };
+};
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString()
+    : Array.isArray(value) ? JSON.stringify(value)
+      : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per record; nested fields become dotted column names.
+const toCsv = (rows) => {
+  const flat = rows.map((row) => flattenForAudit(row));
+  const columns = [...new Set(flat.flatMap((row) => Object.keys(row)))];
+  return [columns, ...flat.map((row) => columns.map((column) => row[column]))]
+    .map((cells) => cells.map(csvCell).join(','))
+    .join('\r\n');
+};
+
+// Zip of the full JSON export plus a CSV per table, streamed to the response.
+const sendAccountArchive = (res, data) => {
+  const stamp = data.exportedAt.toISOString().slice(0, 10);
+  res.attachment(`account-export-${stamp}.zip`);
+
+  const archive = archiver('zip');
+  archive.on('error', (error) => {
+    console.error('Export archive error:', error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  archive.append(JSON.stringify(data, null, 2), { name: 'account.json' });
+  archive.append(toCsv([data.profile]), { name: 'profile.csv' });
+  ['transactions', 'deposits', 'selfExclusions', 'sessions', 'smsMessages'].forEach((table) => {
+    archive.append(toCsv(data[table]), { name: `${table}.csv` });
+  });
+  Object.entries(data.games).forEach(([game, rounds]) => {
+    archive.append(toCsv(rounds), { name: `games/${game}.csv` });
+  });
+  return archive.finalize();
+};
+
+// ============================================================================
+// ROUTES - AUTHENTICATION
+// ============================================================================
+
+// Sign Up
+app.post('/api/auth/signup', async (req, res) => {
+  await connectToDatabase();
+  
+  try {
+    const { email, password, referralCode, otpCode } = req.body;
+    const phone = formatGhanaPhone(req.body.phone);
+
+    if (!email || !password || !req.body.phone) {
+      return res.status(400).json({ success: false, error: 'All fields are required' });
+    }
+
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'Enter a valid Ghana phone number (e.g. 024XXXXXXX)' });
+    }
+
+    const existingUser = await User.findOne({ email });
+    if (existingUser) {
+      return res.status(400).json({ success: false, error: 'Email already exists' });
+    }
+
+    const exclusion = await findExclusionFor({ email, phone });
+    if (exclusion) {
+      return res.status(403).json({
+        success: false,
+        error: exclusion.endsAt
+          ? `This email or phone number is self-excluded until ${exclusion.endsAt.toISOString()}`
+          : 'This email or phone number is permanently self-excluded'
+      });
+    }
+
+    // Proves the player holds the phone before the account exists.
+    await consumeOtp({ purpose: 'signup', phone, code: otpCode });
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    let referrerId = null;
+    if (referralCode) {
       const referrer = await Referrer.findOne({ 
         referralCode: referralCode.toUpperCase().trim(),
         isApproved: true,
@@ -717,8 +2170,8 @@ app.post('/api/auth/signup', async (req, res) => {
       email,
       password: hashedPassword,
       phone,
-      referredBy: referrerId,
-      isAdmin: email.toLowerCase().includes('admin')
+      phoneVerifiedAt: new Date(),
+      referredBy: referrerId
     });
 
     await user.save();
@@ -739,29 +2192,38 @@ app.post('/api/auth/signup', async (req, res) => {
       console.error('Welcome SMS failed:', smsError);
     }
 
-    const token = jwt.sign(
-      { id: user._id, email: user.email, isAdmin: user.isAdmin },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const { token, refreshToken } = await openAuthSession(user, req);
 
     res.json({
       success: true,
-      user: {
-        _id: user._id,
-        email: user.email,
-        phone: user.phone,
-        balance: user.balance,
-        isAdmin: user.isAdmin
-      },
-      token
+      user: publicUser(user),
+      token,
+      refreshToken
     });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
     console.error('Signup error:', error);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
+// Opens the session once the password (and any second factor) has been checked.
+// Self-excluded players only get a withdrawal session.
+const finishUserLogin = async (user, req, { mfa = false } = {}) => {
+  const exclusion = activeSelfExclusion(user);
+  user.lastLogin = new Date();
+  await user.save();
+  if (!exclusion) await startPlaySession(user._id);
+
+  const { token, refreshToken } = await openAuthSession(user, req, { scope: exclusion ? 'withdrawal' : 'full', mfa });
+  return {
+    success: true,
+    user: { ...publicUser(user), twoFactor: { enabled: Boolean(user.twoFactor?.enabled), verified: mfa } },
+    token,
+    refreshToken
+  };
+};
+
 // Login
 app.post('/api/auth/login', async (req, res) => {
   try {
@@ -781,26 +2243,22 @@ app.post('/api/auth/login', async (req, res) => {
       return res.status(400).json({ success: false, error: 'Invalid credentials' });
     }
 
-    user.lastLogin = new Date();
-    await user.save();
+    // Self-excluded players can't log in to play, only to withdraw what is left.
+    const exclusion = activeSelfExclusion(user);
+    if (exclusion && req.body.purpose !== 'withdrawal') {
+      return res.status(403).json({
+        success: false,
+        error: `${selfExclusionMessage(exclusion)}. You can still log in to withdraw your balance.`,
+        selfExclusion: exclusion
+      });
+    }
 
-    const token = jwt.sign(
-      { id: user._id, email: user.email, isAdmin: user.isAdmin },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Accounts with 2FA on finish signing in at /api/auth/2fa/login.
+    if (user.twoFactor?.enabled) {
+      return res.json({ success: true, twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user, 'user') });
+    }
 
-    res.json({
-      success: true,
-      user: {
-        _id: user._id,
-        email: user.email,
-        phone: user.phone,
-        balance: user.balance,
-        isAdmin: user.isAdmin
-      },
-      token
-    });
+    res.json(await finishUserLogin(user, req));
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({ success: false, error: 'Server error' });
@@ -811,16 +2269,250 @@ app.post('/api/auth/login', async (req, res) => {
 app.get('/api/auth/me', authenticateToken, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
-    res.json({ success: true, user });
-  } catch (error) {
-    res.status(500).json({ success: false, error: 'Server error' });
+    res.json({
+      success: true,
+      user: {
+        ...user.toObject(),
+        availableBalance: availableBalance(user),
+        permissions: permissionsFor(user),
+        selfExclusion: activeSelfExclusion(user),
+        twoFactor: { enabled: Boolean(user.twoFactor?.enabled), verified: Boolean(req.user.mfaAt) }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Forgot Password - texts a reset code to the phone on the account
+app.post('/api/auth/forgot-password', async (req, res) => {
+  await sendPasswordResetCode(User, 'password-reset', req.body.email);
+  res.json({ success: true, message: PASSWORD_RESET_SENT });
+});
+
+// Reset Password - with the texted code; signs out every existing session
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const user = await resetAccountPassword(User, 'password-reset', req.body);
+    await revokeAuthSessions({ userId: user._id }, 'password-reset');
+    res.json({ success: true, message: 'Password reset. Please log in with your new password.' });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Change Password - signs out every session and starts a fresh one for this device,
+// keeping the current session's scope and 2FA check
+app.post('/api/auth/change-password', authenticateToken, idempotent, async (req, res) => {
+  try {
+    const user = await changeAccountPassword(User, req.user.id, req.body);
+    await revokeAuthSessions({ userId: user._id }, 'password-change');
+    const { token, refreshToken } = await openAuthSession(user, req, {
+      scope: req.user.scope === 'withdrawal' ? 'withdrawal' : 'full',
+      mfa: Boolean(req.user.mfaAt)
+    });
+    res.json({ success: true, message: 'Password changed', token, refreshToken });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Change password error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Refresh - trade a refresh token for a new access/refresh pair
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const { token, refreshToken } = await rotateAuthSession(req.body.refreshToken, req);
+    res.json({ success: true, token, refreshToken });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Refresh error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// List the devices signed in to this account
+app.get('/api/auth/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await AuthSession.find({ userId: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .sort({ lastUsedAt: -1 })
+      .lean();
+
+    res.json({
+      success: true,
+      sessions: sessions.map((session) => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        scope: session.scope,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        current: String(session._id) === String(req.user.sid)
+      }))
+    });
+  } catch (error) {
+    console.error('Sessions error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Sign out one device
+app.delete('/api/auth/sessions/:id', authenticateToken, idempotent, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    const result = await revokeAuthSessions({ _id: req.params.id, userId: req.user.id }, 'user-revoked');
+    if (!result.modifiedCount) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+    res.json({ success: true, message: 'Device signed out' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Sign out this device
+app.post('/api/auth/logout', authenticateToken, idempotent, async (req, res) => {
+  try {
+    await revokeAuthSessions({ _id: req.user.sid }, 'logout');
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Sign out every device, this one included
+app.post('/api/auth/logout-all', authenticateToken, idempotent, async (req, res) => {
+  try {
+    const result = await revokeAuthSessions({ userId: req.user.id }, 'logout-all');
+    res.json({ success: true, message: `Signed out of ${result.modifiedCount} session(s)` });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Second step of login for accounts with 2FA on
+app.post('/api/auth/2fa/login', async (req, res) => {
+  try {
+    const challenge = readTwoFactorChallenge(req.body.challengeToken, 'user');
+    await verifySecondFactor(User, challenge.id, req.body);
+
+    const user = await User.findById(challenge.id);
+    if (!user || (user.tokenVersion || 0) !== (challenge.tv || 0)) {
+      return res.status(401).json({ success: false, error: 'Your sign-in attempt has expired. Please log in again.' });
+    }
+    if (user.isBlocked) {
+      return res.status(403).json({ success: false, error: 'Your account has been blocked. Please contact support.' });
+    }
+
+    res.json(await finishUserLogin(user, req, { mfa: true }));
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('2FA login error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Text a sign-in code instead of using the authenticator app
+app.post('/api/auth/2fa/login/sms', async (req, res) => {
+  try {
+    const challenge = readTwoFactorChallenge(req.body.challengeToken, 'user');
+    const { expiresAt } = await sendTwoFactorSms(User, challenge.id);
+    res.json({ success: true, message: 'A sign-in code has been sent to your phone', expiresAt });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('2FA SMS error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send sign-in code' });
+  }
+});
+
+// Start 2FA enrollment - returns the key as a QR code and as text
+app.post('/api/auth/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (!permissionsFor(req.user).length) {
+      return res.status(403).json({ success: false, error: 'Two-factor authentication is only available for staff accounts' });
+    }
+    const setup = await beginTwoFactorSetup(User, req.user.id);
+    res.json({ success: true, ...setup });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('2FA setup error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Finish 2FA enrollment. This session counts as verified; every other one is signed out.
+// Not idempotent on purpose: the stored response would keep the backup codes in plain text.
+app.post('/api/auth/2fa/enable', authenticateToken, async (req, res) => {
+  try {
+    const { account, backupCodes } = await confirmTwoFactorSetup(User, req.user.id, req.body.code);
+    await AuthSession.updateOne({ _id: req.user.sid }, { $set: { mfaAt: new Date() } });
+    await revokeAuthSessions({ userId: account._id, _id: { $ne: req.user.sid } }, '2fa-enabled');
+    await recordAudit(req, {
+      action: 'staff.2fa-enabled',
+      targetType: 'user',
+      targetId: account._id,
+      targetLabel: account.email
+    });
+    res.json({ success: true, message: 'Two-factor authentication is on', backupCodes });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('2FA enable error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Replace the backup codes (needs a current code)
+app.post('/api/auth/2fa/backup-codes', authenticateToken, async (req, res) => {
+  try {
+    const backupCodes = await regenerateBackupCodes(User, req.user.id, req.body);
+    await recordAudit(req, {
+      action: 'staff.2fa-backup-codes',
+      targetType: 'user',
+      targetId: req.user.id,
+      targetLabel: req.user.email
+    });
+    res.json({ success: true, message: 'New backup codes created. The old ones no longer work.', backupCodes });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('2FA backup codes error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Trade a fresh 2FA code for a short-lived step-up token (see requireStepUp)
+app.post('/api/auth/2fa/step-up', authenticateToken, async (req, res) => {
+  try {
+    await verifySecondFactor(User, req.user.id, req.body);
+    res.json({ success: true, stepUpToken: signStepUpToken(req), expiresIn: STEP_UP_TTL_SECONDS });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('2FA step-up error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+app.post('/api/auth/2fa/step-up/sms', authenticateToken, async (req, res) => {
+  try {
+    const { expiresAt } = await sendTwoFactorSms(User, req.user.id);
+    res.json({ success: true, message: 'A confirmation code has been sent to your phone', expiresAt });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('2FA step-up SMS error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send confirmation code' });
   }
 });
 
 // Save wallet phone/network before deposits or withdrawals
-app.put('/api/user/wallet-phone', authenticateToken, async (req, res) => {
+app.put('/api/user/wallet-phone', authenticateToken, idempotent, async (req, res) => {
   try {
-    const { phone, network } = req.body;
+    const { phone, network, otpCode } = req.body;
     const formattedPhone = formatGhanaPhone(phone);
 
     if (!formattedPhone) {
@@ -839,101 +2531,257 @@ app.put('/api/user/wallet-phone', authenticateToken, async (req, res) => {
       return res.status(404).json({ success: false, error: 'User not found' });
     }
 
+    // A different (or never confirmed) number must be confirmed by SMS first.
+    if (formattedPhone !== user.phone || !user.phoneVerifiedAt) {
+      if (!otpCode) {
+        return res.status(403).json({ success: false, error: 'Confirm the new number with the code we send to it', otpRequired: true });
+      }
+      await consumeOtp({ purpose: 'wallet-phone', phone: formattedPhone, userId: user._id, code: otpCode });
+      user.phoneVerifiedAt = new Date();
+    }
+
     user.phone = formattedPhone;
     await user.save();
 
     res.json({
       success: true,
-      user: {
-        _id: user._id,
-        email: user.email,
-        phone: user.phone,
-        balance: user.balance,
-        isAdmin: user.isAdmin,
-      },
+      user: publicUser(user),
       network: network || null,
     });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
     console.error('Wallet phone update error:', error);
     res.status(500).json({ success: false, error: 'Failed to save wallet phone number' });
   }
 });
 
+// Export My Data - everything stored about the player; ?format=zip for a JSON + CSV archive
+app.get('/api/user/export', authenticateToken, async (req, res) => {
+  try {
+    const data = await collectAccountData(req.user.id);
+    if (req.query.format === 'zip') return await sendAccountArchive(res, data);
+    res.json({ success: true, export: data });
+  } catch (error) {
+    if (res.headersSent) return;
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Account export error:', error);
+    res.status(500).json({ success: false, error: 'Failed to export your data' });
+  }
+});
+
+// Close Account - the player asks for their account to be closed and their details erased
+app.post('/api/user/close-account', authenticateToken, idempotent, async (req, res) => {
+  try {
+    const { password, confirmation } = req.body;
+
+    if (confirmation !== 'CLOSE MY ACCOUNT') {
+      return res.status(400).json({ success: false, error: 'Confirmation text must be exactly: CLOSE MY ACCOUNT' });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    if (user.isAdmin) {
+      return res.status(403).json({ success: false, error: 'Staff accounts can only be closed after their role is removed' });
+    }
+
+    const isValidPassword = await bcrypt.compare(String(password || ''), user.password);
+    if (!isValidPassword) {
+      return res.status(400).json({ success: false, error: 'Password is incorrect' });
+    }
+
+    if (user.balance > 0) {
+      return res.status(409).json({
+        success: false,
+        error: `Withdraw your balance of GHS ${user.balance.toFixed(2)} before closing your account`
+      });
+    }
+
+    await closeAccount(user, { reason: 'Closed by player' });
+    console.log(`🗑️ Account ${user._id} closed by its owner`);
+
+    res.json({ success: true, message: 'Your account has been closed and your personal details removed' });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Close account error:', error);
+    res.status(500).json({ success: false, error: 'Failed to close account' });
+  }
+});
+
 // ============================================================================
 // ROUTES - PAYMENTS & DEPOSITS
 // ============================================================================
 
-// Payment Callback (Webhook from Payloqa — event: payment.status_changed)
-app.post('/api/payments/webhook', async (req, res) => {
+// Credits a confirmed deposit exactly once. The wallet and amount come from the
+// PaymentIntent recorded at initiation, never from the webhook body.
+// Returns { intent, balance } or null if it was already credited.
+const completePaymentIntent = (intent, source) => runAtomic(async (session) => {
+  const claimed = await PaymentIntent.findOneAndUpdate(
+    { _id: intent._id, status: { $ne: 'completed' } },
+    { $set: { status: 'completed', completedAt: new Date() }, $unset: { failureReason: 1 } },
+    { new: true, session }
+  );
+  if (!claimed) return null;
+
+  // Deposits recorded by the older client-reported path already carry this reference.
+  if (await Transaction.exists({ reference: claimed.paymentId }).session(session)) return null;
+
+  const { balances } = await postEntry({
+    type: 'deposit',
+    reference: claimed.paymentId,
+    memo: `Payloqa deposit (${source})`,
+    legs: [
+      walletLeg(claimed.userId, { credit: claimed.amount }),
+      houseLeg(LEDGER_ACCOUNTS.cash, { debit: claimed.amount })
+    ],
+    session
+  });
+
+  await Transaction.create([{
+    userId: claimed.userId,
+    type: 'deposit',
+    amount: claimed.amount,
+    status: 'completed',
+    processedAt: new Date(),
+    reference: claimed.paymentId,
+    paymentDetails: { phone: claimed.phone, network: claimed.network, source },
+  }], { session });
+
+  return { intent: claimed, balance: balances[String(claimed.userId)] };
+});
+
+// Checks Payloqa's own record of a payment against the intent before it is credited.
+// Returns the reason it does not match, or null when it does.
+const paymentMismatch = (intent, payment) => {
+  if (Math.abs(Number(payment.amount) - intent.amount) > 0.009) {
+    return `Amount mismatch: initiated ${intent.amount}, Payloqa reports ${payment.amount}`;
+  }
+  const reportedUser = payment.metadata?.user_id;
+  if (reportedUser && reportedUser !== String(intent.userId)) {
+    return `User mismatch: initiated by ${intent.userId}, Payloqa reports ${reportedUser}`;
+  }
+  return null;
+};
+
+const DEPOSIT_OTP_TTL_MS = 15 * 60 * 1000;
+const DEPOSIT_CONFIRM_TTL_MS = 24 * 60 * 60 * 1000;
+const DEPOSIT_POLL_INTERVAL_MS = 60 * 1000;
+const OPEN_DEPOSIT_STATUSES = ['initiated', 'otp_verified'];
+
+// Moves a deposit that is still open to failed/expired; no-op once it has left those states.
+const closePaymentIntent = (intent, status, failureReason) => PaymentIntent.updateOne(
+  { _id: intent._id, status: { $in: OPEN_DEPOSIT_STATUSES } },
+  { $set: { status, failureReason } }
+);
+
+const notifyDeposit = async (intent, balance) => {
+  const user = await User.findById(intent.userId);
+  console.log(`✅ Balance updated for ${user?.email}: GHS ${balance}`);
   try {
-    console.log('📨 Webhook received:', req.body);
+    await payloqaAPI.sendSMS(
+      user.phone,
+      `Your deposit of GHS ${intent.amount.toFixed(2)} was successful! Your new balance is GHS ${balance.toFixed(2)}. 🎰`
+    );
+  } catch (smsError) {
+    console.error('❌ Deposit SMS failed:', smsError);
+  }
+};
 
-    const payload = req.body?.data || req.body;
-    const event = req.body?.event || payload?.event || 'payment.status_changed';
-    const status = payload?.status || req.body?.status;
-    const amount = payload?.amount ?? req.body?.amount;
-    const metadata = payload?.metadata || req.body?.metadata || {};
-    const paymentId = payload?.payment_id || req.body?.payment_id;
+// Re-reads a payment from Payloqa and moves its intent along: credited when completed,
+// failed/expired when Payloqa says so, expired when it has been open too long.
+// Returns { intent, payment } with the intent as stored afterwards, or null when
+// Payloqa could not be reached.
+const syncPaymentIntent = async (intent, source) => {
+  await PaymentIntent.updateOne({ _id: intent._id }, { $set: { lastCheckedAt: new Date() } });
+
+  const confirmation = await payloqaPaymentsAPI.getStatus(intent.paymentId);
+  if (!confirmation.ok || !confirmation.data?.success) return null;
+  const payment = confirmation.data.data;
+
+  if (payment.status === 'completed') {
+    const mismatch = paymentMismatch(intent, payment);
+    if (mismatch) {
+      console.error(`❌ Payment ${intent.paymentId} not credited. ${mismatch}`);
+      await closePaymentIntent(intent, 'failed', mismatch);
+    } else {
+      const credited = await completePaymentIntent(intent, source);
+      if (credited) await notifyDeposit(credited.intent, credited.balance);
+    }
+  } else if (['failed', 'cancelled', 'expired'].includes(payment.status)) {
+    await closePaymentIntent(intent, payment.status === 'expired' ? 'expired' : 'failed', `Payment ${payment.status}`);
+  } else {
+    const ttl = intent.status === 'otp_verified' ? DEPOSIT_CONFIRM_TTL_MS : DEPOSIT_OTP_TTL_MS;
+    if (Date.now() - intent.createdAt.getTime() > ttl) {
+      await closePaymentIntent(intent, 'expired', 'Payment was not confirmed in time');
+    }
+  }
 
-    console.log('Payment event:', event, 'status:', status, 'payment_id:', paymentId, 'user_id:', metadata?.user_id);
+  return { intent: await PaymentIntent.findById(intent._id), payment };
+};
 
-    if (status === 'completed') {
-      const user = await User.findById(metadata.user_id);
+// Catches deposits whose webhook never arrived. Runs on an interval after startup.
+const processOpenDeposits = async () => {
+  const settled = new Date(Date.now() - DEPOSIT_POLL_INTERVAL_MS);
+  const open = await PaymentIntent.find({
+    status: { $in: OPEN_DEPOSIT_STATUSES },
+    createdAt: { $lte: settled },
+    $or: [{ lastCheckedAt: { $exists: false } }, { lastCheckedAt: { $lte: settled } }]
+  }).sort({ createdAt: 1 }).limit(20);
 
-      if (!user) {
-        console.error('❌ User not found:', metadata.user_id);
-        return res.status(200).json({ success: true, message: 'User not found — acknowledged' });
-      }
+  for (const intent of open) {
+    try {
+      const synced = await syncPaymentIntent(intent, 'poller');
+      if (!synced) console.warn(`⚠️ Could not reach Payloqa for deposit ${intent.paymentId}`);
+    } catch (error) {
+      console.error(`Deposit poller error (${intent.paymentId}):`, error);
+    }
+  }
+};
 
-      const numAmount = parseFloat(amount);
-      const paymentRef = paymentId || metadata?.order_reference;
-
-      const existing = paymentRef
-        ? await Transaction.findOne({ reference: paymentRef })
-        : null;
-
-      if (!existing) {
-        user.balance = Number(user.balance) + numAmount;
-        await user.save();
-
-        if (paymentRef) {
-          await Transaction.create({
-            userId: user._id,
-            type: 'deposit',
-            amount: numAmount,
-            status: 'completed',
-            processedAt: new Date(),
-            reference: paymentRef,
-            paymentDetails: {
-              phone: user.phone,
-              source: 'webhook',
-            },
-          });
-        }
+// Deposit fields returned to the player's own client.
+const publicDeposit = (intent) => ({
+  paymentId: intent.paymentId,
+  amount: intent.amount,
+  currency: intent.currency,
+  phone: intent.phone,
+  network: intent.network,
+  status: intent.status,
+  failureReason: intent.failureReason,
+  createdAt: intent.createdAt,
+  completedAt: intent.completedAt
+});
 
-        console.log(`✅ Balance updated for ${user.email}: GHS ${user.balance}`);
-      } else {
-        console.log(`ℹ️ Deposit already recorded for reference ${paymentRef}`);
-      }
+// Payment Callback (Webhook from Payloqa — event: payment.status_changed)
+// Only signed, fresh, unseen events get here. The body just names the payment; its
+// status and amount are confirmed with Payloqa before anything is credited.
+app.post('/api/payments/webhook', verifyPayloqaWebhook, async (req, res) => {
+  try {
+    const payload = req.body?.data || req.body;
+    const event = req.body?.event || payload?.event || 'payment.status_changed';
+    const paymentId = payload?.payment_id || req.body?.payment_id;
 
-      try {
-        await payloqaAPI.sendSMS(
-          user.phone,
-          `Your deposit of GHS ${numAmount.toFixed(2)} was successful! Your new balance is GHS ${user.balance.toFixed(2)}. 🎰`
-        );
-      } catch (smsError) {
-        console.error('❌ Deposit SMS failed:', smsError);
-      }
-    } else if (status === 'failed') {
-      console.log('❌ Payment failed:', paymentId);
-    } else {
-      console.log('⏳ Payment update:', status);
+    console.log('📨 Payment webhook:', event, 'payment_id:', paymentId, 'status:', payload?.status);
+
+    const intent = paymentId ? await PaymentIntent.findOne({ paymentId }) : null;
+    if (!intent) {
+      console.error('❌ Webhook for unknown payment:', paymentId);
+      return res.status(200).json({ success: true, message: 'Unknown payment — acknowledged' });
+    }
+
+    const synced = await syncPaymentIntent(intent, 'webhook');
+    if (!synced) {
+      await req.releaseWebhookEvent();
+      return res.status(502).json({ success: false, error: 'Could not confirm payment with Payloqa' });
     }
 
+    console.log(`ℹ️ Deposit ${paymentId}: Payloqa ${synced.payment.status}, intent ${synced.intent.status}`);
     res.status(200).json({ success: true, message: 'Webhook acknowledged' });
   } catch (error) {
     console.error('❌ Webhook error:', error);
-    res.status(200).json({ success: true, message: 'Webhook acknowledged with error logged' });
+    await req.releaseWebhookEvent().catch(() => {});
+    res.status(500).json({ success: false, error: 'Webhook processing failed' });
   }
 });
 
@@ -942,9 +2790,9 @@ app.post('/api/payments/webhook', async (req, res) => {
 // ============================================================================
 
 // Request Withdrawal
-app.post('/api/withdrawals/request', authenticateToken, async (req, res) => {
+app.post('/api/withdrawals/request', authenticateToken, idempotent, async (req, res) => {
   try {
-    const { amount, phone, network } = req.body;
+    const { amount, phone, network, otpCode } = req.body;
     const user = await User.findById(req.user.id);
     const formattedPhone = formatGhanaPhone(phone || user.phone);
     const payoutNetwork = network || 'mtn';
@@ -964,25 +2812,45 @@ app.post('/api/withdrawals/request', authenticateToken, async (req, res) => {
       return res.status(400).json({ success: false, error: 'Invalid mobile network' });
     }
 
-    if (user.balance < amount) {
+    if (availableBalance(user) < amount) {
       return res.status(400).json({ success: false, error: 'Insufficient balance' });
     }
 
-    user.phone = formattedPhone;
-    await user.save();
+    // Paying out to a number the player hasn't confirmed needs an SMS code sent to it.
+    const confirmingPhone = formattedPhone !== user.phone || !user.phoneVerifiedAt;
+    if (confirmingPhone && !otpCode) {
+      return res.status(403).json({ success: false, error: 'Confirm this number with the code we send to it', otpRequired: true });
+    }
 
-    const transaction = new Transaction({
-      userId: user._id,
-      type: 'withdrawal',
-      amount,
-      status: 'pending',
-      reference: `WTH_${Date.now()}_${user._id}`,
-      paymentDetails: {
-        phone: formattedPhone,
-        network: payoutNetwork,
-      },
+    // Reserve the funds together with the pending request so they cannot be bet away
+    // while the withdrawal waits for approval. The code and the new wallet number are
+    // used up in the same unit, so a hold that fails leaves both as they were.
+    const transaction = await runAtomic(async (session) => {
+      if (confirmingPhone) {
+        await consumeOtp({ purpose: 'withdrawal', phone: formattedPhone, userId: user._id, code: otpCode, session });
+        const phoneVerifiedAt = new Date();
+        await User.updateOne({ _id: user._id }, { $set: { phone: formattedPhone, phoneVerifiedAt } }, { session });
+        user.phone = formattedPhone;
+        user.phoneVerifiedAt = phoneVerifiedAt;
+      }
+      const held = await placeHold(user._id, amount, session);
+      user.balance = held.balance;
+      user.heldBalance = held.heldBalance;
+
+      const [pending] = await Transaction.create([{
+        userId: user._id,
+        type: 'withdrawal',
+        amount,
+        status: 'pending',
+        heldAmount: amount,
+        reference: `WTH_${Date.now()}_${user._id}`,
+        paymentDetails: {
+          phone: formattedPhone,
+          network: payoutNetwork,
+        },
+      }], { session });
+      return pending;
     });
-    await transaction.save();
 
     // ✅ Send SMS to user
     try {
@@ -997,7 +2865,7 @@ app.post('/api/withdrawals/request', authenticateToken, async (req, res) => {
 
     // ✅ Notify all admins
     try {
-      const admins = await User.find({ isAdmin: true });
+      const admins = await User.find({ isAdmin: true, role: { $in: rolesWithPermission('withdrawals.approve') } });
       for (const admin of admins) {
         await payloqaAPI.sendSMS(
           admin.phone,
@@ -1013,15 +2881,10 @@ app.post('/api/withdrawals/request', authenticateToken, async (req, res) => {
       success: true,
       message: 'Withdrawal request submitted. You will receive an SMS when processed.',
       transaction,
-      user: {
-        _id: user._id,
-        email: user.email,
-        phone: user.phone,
-        balance: user.balance,
-        isAdmin: user.isAdmin,
-      },
+      user: publicUser(user),
     });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
     console.error('Withdrawal request error:', error);
     res.status(500).json({ success: false, error: 'Failed to submit withdrawal request' });
   }
@@ -1045,405 +2908,649 @@ app.get('/api/withdrawals/my-withdrawals', authenticateToken, async (req, res) =
 // ROUTES - GAME
 // ============================================================================
 
-// Play Game
-// Play Game
-app.post('/api/game/play', authenticateToken, async (req, res) => {
-  try {
-    const { bet, guesses } = req.body;
-    const user = await User.findById(req.user.id);
-
-    if (!bet || bet <= 0 || !guesses || guesses.length !== 3) {
-      return res.status(400).json({ success: false, error: 'Invalid game parameters' });
-    }
-
-    let settings = await GameSettings.findOne();
-    if (!settings) {
-      settings = await GameSettings.create({});
-    }
-
-    if (bet < settings.minBet || bet > settings.maxBet) {
-      return res.status(400).json({
-        success: false,
-        error: `Bet must be between GHS ${settings.minBet} and GHS ${settings.maxBet}`
-      });
-    }
-
-    if (user.balance < bet) {
-      return res.status(400).json({ success: false, error: 'Insufficient balance' });
-    }
+const GAME_HISTORY_LIMIT = 50;
 
-    if (settings.gamesEnabled?.luckyTriple === false) {
-      return res.status(403).json({ success: false, error: 'Lucky Triple is currently disabled' });
-    }
+// Paths from before the game registry, kept so older clients keep working.
+const LEGACY_GAME_ROUTES = {
+  'lucky-triple': { play: '/api/game/play', history: '/api/game/history' },
+  spin: { play: '/api/game/spin', history: '/api/game/spin-history', adminHistory: '/api/admin/spin-history' },
+  slots: { play: '/api/game/slots', history: '/api/game/slots-history', adminHistory: '/api/admin/slots-history' },
+  roulette: { play: '/api/game/roulette', history: '/api/game/roulette-history', adminHistory: '/api/admin/roulette-history' },
+  coin: { play: '/api/game/coin', history: '/api/game/coin-history', adminHistory: '/api/admin/coin-history' },
+  dice: { play: '/api/game/dice', history: '/api/game/dice-history', adminHistory: '/api/admin/dice-history' }
+};
 
-    const playerGuesses = guesses.map((g) => parseInt(g));
-    const chances = settings.tripleWinChances || DIFFICULTY_PRESETS.medium.triple;
-    const { winningNumbers } = generateTripleOutcome(playerGuesses, chances);
+// Up-front checks shared by every game. The balance check here is only a fast path;
+// processGamePayout re-checks it atomically when the stake is actually taken.
+const validateBetAndSettings = async (user, bet, settings, gameEnabledKey, gameLabel) => {
+  if (!bet || bet <= 0) return { error: 'Invalid bet amount', status: 400 };
+  if (!settings) settings = await GameSettings.create({});
+  if (settings.gamesEnabled?.[gameEnabledKey] === false) {
+    return { error: `${gameLabel} is currently disabled`, status: 403 };
+  }
+  if (bet < settings.minBet || bet > settings.maxBet) {
+    return { error: `Bet must be between GHS ${settings.minBet} and GHS ${settings.maxBet}`, status: 400 };
+  }
+  const exclusion = activeSelfExclusion(user);
+  if (exclusion) return { error: selfExclusionMessage(exclusion), status: 403 };
+  if (availableBalance(user) < bet) return { error: 'Insufficient balance', status: 400 };
+  const limitError = await checkPlayerLimits(user, { stake: bet });
+  if (limitError) return { error: limitError, status: 403 };
+  const realityCheck = await realityCheckBeforeBet(user);
+  if (realityCheck) {
+    return { error: 'Reality check: review your session before your next bet', status: 428, realityCheck };
+  }
+  return { settings };
+};
 
-    let matches = 0;
-    playerGuesses.forEach((guess, i) => { if (guess === winningNumbers[i]) matches++; });
+// Plays one round of a registered game: checks the params and the stake, draws the
+// outcome from the player's provably-fair seed, pays from the game's payout table and
+// stores the round in the game's history.
+const playGameRound = async (game, user, bet, body) => {
+  const params = game.parseParams(body);
+  const validation = await validateBetAndSettings(user, bet, await GameSettings.findOne(), game.enabledKey, game.name);
+  if (validation.error) {
+    throw { status: validation.status, error: validation.error, realityCheck: validation.realityCheck };
+  }
+  const { settings } = validation;
 
-    // Calculate winnings
-    let winAmount = 0;
-    if (matches === 3) winAmount = bet * settings.payoutMultipliers.threeMatches;
-    else if (matches === 2) winAmount = bet * settings.payoutMultipliers.twoMatches;
-    else if (matches === 1) winAmount = bet * settings.payoutMultipliers.oneMatch;
+  const odds = game.odds(params, settings);
+  const round = await startFairRound(user._id);
+  const result = game.outcome(params, odds, round.rng);
+  const payoutKey = game.payoutKey(params, result);
+  const multiplier = payoutKey ? game.payoutTable(settings).find((row) => row.key === payoutKey).multiplier : 0;
+  const winAmount = roundMoney(bet * multiplier);
+  const profit = roundMoney(winAmount - bet);
 
-    const profit = Math.round((winAmount - bet) * 100) / 100;
-    const balanceBefore = user.balance;
-
-    user.balance += profit;
-    await user.save();
-
-    const gameHistory = new GameHistory({
-      userId: user._id,
-      betAmount: bet,
-      guesses: playerGuesses,
-      winningNumbers,
-      matches,
-      profit,
-      balanceBefore,
-      balanceAfter: user.balance
-    });
-    await gameHistory.save();
-
-    await Transaction.create({
-      userId: user._id,
-      type: 'bet',
-      amount: bet,
-      status: 'completed',
-      processedAt: new Date()
-    });
+  const history = new betModels[game.id]({
+    userId: user._id,
+    betAmount: bet,
+    ...game.history.record(params, result, { multiplier, winAmount, profit }),
+    winAmount,
+    profit,
+    won: winAmount > 0,
+    fairness: { ...round.fairness, odds }
+  });
 
-    if (winAmount > 0) {
-      await Transaction.create({
-        userId: user._id,
-        type: 'win',
-        amount: winAmount,
-        status: 'completed',
-        processedAt: new Date()
-      });
+  const newBalance = await processGamePayout(user, bet, profit, winAmount, history, game.name);
 
-      // ADD THIS LINE:
-      await calculateAndPayCommission(user._id, gameHistory._id, winAmount);
+  const sms = game.winSms?.(params, result, { winAmount, balance: newBalance });
+  if (sms) {
+    try {
+      await payloqaAPI.sendSMS(user.phone, sms);
+    } catch (smsError) {
+      console.error('Win SMS failed:', smsError);
     }
+  }
 
-    // Send SMS for big wins
-    if (matches >= 2) {
-      try {
-        await payloqaAPI.sendSMS(
-          user.phone,
-          `🎉 Congratulations! You won GHS ${winAmount.toFixed(2)} with ${matches} matches! Your new balance is GHS ${user.balance.toFixed(2)}. 🎰`
-        );
-      } catch (smsError) {
-        console.error('Win SMS failed:', smsError);
-      }
-    }
+  console.log(`🎲 ${game.name} result: profit GHS ${profit.toFixed(2)}`);
 
-    console.log(`🎲 Game result: ${matches} matches, Profit: GHS ${profit.toFixed(2)}`);
+  return {
+    ...params,
+    won: winAmount > 0,
+    ...result,
+    winAmount,
+    profit,
+    newBalance,
+    roundId: history._id,
+    game: game.id,
+    fairness: round.fairness,
+    message: game.message ? game.message(result, { winAmount, profit }) : undefined
+  };
+};
 
-    res.json({
-      success: true,
-      winningNumbers,
-      matches,
-      winAmount,
-      profit,
-      newBalance: user.balance,
-      message: matches > 0 ? 'You won!' : 'Better luck next time!'
-    });
+const playRoute = (gameIdOf) => async (req, res) => {
+  try {
+    const game = getGame(gameIdOf(req));
+    if (!game) {
+      return res.status(404).json({ success: false, error: 'Unknown game' });
+    }
+    const user = await User.findById(req.user.id);
+    const result = await playGameRound(game, user, Number(req.body.bet), req.body);
+    res.json({ success: true, ...result });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.error, realityCheck: error.realityCheck });
+    }
     console.error('Game play error:', error);
     res.status(500).json({ success: false, error: 'Game error occurred' });
   }
-});
+};
 
-// Get Game History
-app.get('/api/game/history', authenticateToken, async (req, res) => {
+const historyRoute = (gameIdOf) => async (req, res) => {
   try {
-    const history = await GameHistory.find({ userId: req.user.id })
+    const game = getGame(gameIdOf(req));
+    if (!game) {
+      return res.status(404).json({ success: false, error: 'Unknown game' });
+    }
+    const history = await betModels[game.id].find({ userId: req.user.id })
       .sort({ createdAt: -1 })
-      .limit(50);
+      .limit(GAME_HISTORY_LIMIT);
 
     res.json({ success: true, history });
   } catch (error) {
     res.status(500).json({ success: false, error: 'Failed to fetch game history' });
   }
-});
+};
 
-// Spin the Bottle Play
-app.post('/api/game/spin', authenticateToken, async (req, res) => {
+// Registered games with their lobby card, params, settings form and payout table
+app.get('/api/games', async (req, res) => {
   try {
-    const { bet, direction, multiplier } = req.body;
-    const user = await User.findById(req.user.id);
-
-    if (!bet || bet <= 0 || !['up', 'bottom'].includes(direction) || ![2, 3, 4].includes(Number(multiplier))) {
-      return res.status(400).json({ success: false, error: 'Invalid game parameters' });
+    let settings = await GameSettings.findOne();
+    if (!settings) {
+      settings = await GameSettings.create({});
     }
+    res.json({ success: true, games: GAMES.map((game) => describeGame(game, settings)) });
+  } catch (error) {
+    res.status(500).json({ success: false, error: 'Failed to fetch games' });
+  }
+});
 
-    let settings = await GameSettings.findOne();
-    if (!settings) settings = await GameSettings.create({});
+// Play a round of any registered game
+app.post('/api/games/:gameId/play', authenticateToken, idempotent, playRoute((req) => req.params.gameId));
+
+// Get the player's recent rounds of one game
+app.get('/api/games/:gameId/history', authenticateToken, historyRoute((req) => req.params.gameId));
+
+Object.entries(LEGACY_GAME_ROUTES).forEach(([gameId, paths]) => {
+  app.post(paths.play, authenticateToken, idempotent, playRoute(() => gameId));
+  app.get(paths.history, authenticateToken, historyRoute(() => gameId));
+});
+
+const BETS_PAGE_SIZE = 25;
+const BETS_MAX_PAGE_SIZE = 100;
 
-    if (bet < settings.minBet || bet > settings.maxBet) {
-      return res.status(400).json({ success: false, error: `Bet must be between GHS ${settings.minBet} and GHS ${settings.maxBet}` });
+// The cursor is the createdAt and _id of the last bet on the previous page, so pages
+// stay stable while new bets come in.
+const encodeBetCursor = (bet) => Buffer.from(`${bet.createdAt.getTime()}|${bet._id}`).toString('base64url');
+
+const decodeBetCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const createdAt = new Date(Number(time));
+  if (!time || Number.isNaN(createdAt.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    throw { status: 400, error: 'Invalid cursor' };
+  }
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+const parseFilterDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw { status: 400, error: `Invalid ${name} date` };
+  return date;
+};
+
+const parseFilterAmount = (value, name) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) throw { status: 400, error: `Invalid ${name}` };
+  return amount;
+};
+
+// Get the player's bets across every game, newest first. Filters: game, from/to
+// (dates, `to` inclusive of that whole day when given as a date), result=won|lost and
+// minAmount/maxAmount on the stake. Pass the returned nextCursor to get the next page.
+app.get('/api/bets', authenticateToken, async (req, res) => {
+  try {
+    const { game: gameId, from, to, result, minAmount, maxAmount, cursor } = req.query;
+    const filter = { userId: req.user.id };
+
+    if (gameId) {
+      const game = getGame(gameId);
+      if (!game) {
+        return res.status(400).json({ success: false, error: 'Unknown game' });
+      }
+      filter.gameId = game.id;
     }
-    if (user.balance < bet) {
-      return res.status(400).json({ success: false, error: 'Insufficient balance' });
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = parseFilterDate(from, 'from');
+      if (to) {
+        const end = parseFilterDate(to, 'to');
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) end.setUTCDate(end.getUTCDate() + 1);
+        filter.createdAt.$lt = end;
+      }
     }
-    if (settings.gamesEnabled?.spin === false) {
-      return res.status(403).json({ success: false, error: 'Spin the Bottle is currently disabled' });
+    if (result) {
+      if (result !== 'won' && result !== 'lost') {
+        return res.status(400).json({ success: false, error: 'result must be won or lost' });
+      }
+      filter.won = result === 'won';
+    }
+    if (minAmount !== undefined || maxAmount !== undefined) {
+      filter.betAmount = {};
+      if (minAmount !== undefined) filter.betAmount.$gte = parseFilterAmount(minAmount, 'minAmount');
+      if (maxAmount !== undefined) filter.betAmount.$lte = parseFilterAmount(maxAmount, 'maxAmount');
+    }
+    if (cursor) {
+      const after = decodeBetCursor(cursor);
+      filter.$or = [
+        { createdAt: { $lt: after.createdAt } },
+        { createdAt: after.createdAt, _id: { $lt: after._id } }
+      ];
     }
 
-    const winChances = settings.spinWinChances || MULTI_CHANCE_MED;
-    const won = Math.random() * 100 <= (winChances[`x${multiplier}`] ?? 45);
-    const outcome = won ? direction : CHOICE_OPPOSITES[direction];
-    const { winAmount, profit } = calcMultiplierPayout(bet, multiplier, won);
-
-    const spinHistory = new SpinGameHistory({
-      userId: user._id,
-      betAmount: bet,
-      direction,
-      multiplier,
-      outcome,
-      won,
-      profit
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || BETS_PAGE_SIZE, 1), BETS_MAX_PAGE_SIZE);
+    const page = await Bet.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+    const hasMore = page.length > limit;
+    const bets = page.slice(0, limit).map((bet) => {
+      const game = getGame(bet.gameId);
+      return { ...bet, gameName: game?.name || bet.gameId, summary: game ? game.history.summary(bet) : '' };
     });
 
-    const newBalance = await processGamePayout(user, bet, profit, winAmount, spinHistory, 'Spin the Bottle');
-
-    if (won && multiplier >= 3) {
-      try {
-        await payloqaAPI.sendSMS(user.phone, `🍾 You won GHS ${winAmount.toFixed(2)} on Spin the Bottle (x${multiplier})! Balance: GHS ${newBalance.toFixed(2)}.`);
-      } catch (e) { /* ignore */ }
+    res.json({
+      success: true,
+      bets,
+      nextCursor: hasMore ? encodeBetCursor(bets[bets.length - 1]) : null
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.error });
     }
+    console.error('Bets fetch error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch bets' });
+  }
+});
 
-    res.json({ success: true, outcome, won, winAmount, profit, multiplier, newBalance });
+// Get Game Settings
+app.get('/api/game/settings', async (req, res) => {
+  try {
+    let settings = await GameSettings.findOne();
+    if (!settings) {
+      settings = await GameSettings.create({});
+    }
+    res.json({ success: true, settings });
   } catch (error) {
-    console.error('Spin game error:', error);
-    res.status(500).json({ success: false, error: 'Spin game error occurred' });
+    res.status(500).json({ success: false, error: 'Failed to fetch settings' });
   }
 });
 
-// Get Spin Game History
-app.get('/api/game/spin-history', authenticateToken, async (req, res) => {
+// ============================================================================
+// ROUTES - PROVABLY FAIR
+// ============================================================================
+
+const FAIR_HISTORY_LIMIT = 20;
+
+// Get current seed pair (server seed hidden) and previously revealed seeds
+app.get('/api/fairness/seed', authenticateToken, async (req, res) => {
   try {
-    const history = await SpinGameHistory.find({ userId: req.user.id })
-      .sort({ createdAt: -1 })
-      .limit(50);
+    const current = await getActiveSeed(req.user.id);
+    const revealed = await FairnessSeed.find({ userId: req.user.id, active: false })
+      .select('+serverSeed')
+      .sort({ revealedAt: -1 })
+      .limit(10);
 
-    res.json({ success: true, history });
+    res.json({
+      success: true,
+      current: publicSeed(current),
+      revealed: revealed.map((seed) => publicSeed(seed, true))
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to fetch spin history' });
+    console.error('Fairness seed error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch seeds' });
   }
 });
 
-// Play Lucky Slots
-app.post('/api/game/slots', authenticateToken, async (req, res) => {
+// Change the client seed on the active pair. Takes effect from the next round.
+app.put('/api/fairness/client-seed', authenticateToken, idempotent, async (req, res) => {
   try {
-    const { bet, symbol, multiplier } = req.body;
-    const user = await User.findById(req.user.id);
-
-    if (!bet || bet <= 0) {
-      return res.status(400).json({ success: false, error: 'Invalid bet amount' });
-    }
-    if (!SLOT_SYMBOLS.includes(symbol) || ![2, 3, 4].includes(Number(multiplier))) {
-      return res.status(400).json({ success: false, error: 'Pick a symbol and multiplier (x2, x3, or x4)' });
+    const clientSeed = String(req.body.clientSeed || '').trim();
+    if (!CLIENT_SEED_PATTERN.test(clientSeed)) {
+      return res.status(400).json({ success: false, error: 'Client seed must be 1-64 letters, numbers, - or _' });
     }
 
-    let settings = await GameSettings.findOne();
-    if (!settings) settings = await GameSettings.create({});
-
-    if (settings.gamesEnabled?.slots === false) {
-      return res.status(403).json({ success: false, error: 'Lucky Slots is currently disabled' });
-    }
+    await getActiveSeed(req.user.id);
+    const seed = await FairnessSeed.findOneAndUpdate(
+      { userId: req.user.id, active: true },
+      { $set: { clientSeed } },
+      { new: true }
+    );
 
-    if (bet < settings.minBet || bet > settings.maxBet) {
-      return res.status(400).json({ success: false, error: `Bet must be between GHS ${settings.minBet} and GHS ${settings.maxBet}` });
-    }
+    res.json({ success: true, current: publicSeed(seed) });
+  } catch (error) {
+    console.error('Client seed update error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update client seed' });
+  }
+});
 
-    if (user.balance < bet) {
-      return res.status(400).json({ success: false, error: 'Insufficient balance' });
+// Reveal the active server seed and start a fresh pair
+app.post('/api/fairness/rotate', authenticateToken, idempotent, async (req, res) => {
+  try {
+    const clientSeed = req.body.clientSeed ? String(req.body.clientSeed).trim() : null;
+    if (clientSeed && !CLIENT_SEED_PATTERN.test(clientSeed)) {
+      return res.status(400).json({ success: false, error: 'Client seed must be 1-64 letters, numbers, - or _' });
     }
 
-    const winChances = settings.slotsMultiplierWinChances || MULTI_CHANCE_MED;
-    const won = Math.random() * 100 <= (winChances[`x${multiplier}`] ?? 45);
-    const reels = generateSlotReelsForSymbol(symbol, won);
-    const { winAmount, profit } = calcMultiplierPayout(bet, Number(multiplier), won);
-
-    const history = new SlotsGameHistory({
-      userId: user._id,
-      betAmount: bet,
-      reels,
-      winTier: won ? 'jackpot' : 'none',
-      multiplier: Number(multiplier),
-      won,
-      profit,
-      chosenSymbol: symbol
-    });
-
-    const newBalance = await processGamePayout(user, bet, profit, winAmount, history, 'Lucky Slots');
+    const previous = await FairnessSeed.findOneAndUpdate(
+      { userId: req.user.id, active: true },
+      { $set: { active: false, revealedAt: new Date() } },
+      { new: true }
+    ).select('+serverSeed');
+    const current = await createFairnessSeed(req.user.id, clientSeed || previous?.clientSeed);
 
     res.json({
       success: true,
-      reels,
-      symbol,
-      multiplier: Number(multiplier),
-      won,
-      winAmount,
-      profit,
-      newBalance,
-      message: won ? `You won GHS ${winAmount.toFixed(2)}!` : 'No luck this spin!'
+      revealed: previous ? publicSeed(previous, true) : null,
+      current: publicSeed(current)
     });
   } catch (error) {
-    console.error('Slots game error:', error);
-    res.status(500).json({ success: false, error: 'Slots game error occurred' });
+    console.error('Seed rotation error:', error);
+    res.status(500).json({ success: false, error: 'Failed to rotate seed' });
   }
 });
 
-// Get Slots History
-app.get('/api/game/slots-history', authenticateToken, async (req, res) => {
+// Recent provably-fair rounds across every game
+app.get('/api/fairness/rounds', authenticateToken, async (req, res) => {
   try {
-    const history = await SlotsGameHistory.find({ userId: req.user.id }).sort({ createdAt: -1 }).limit(50);
-    res.json({ success: true, history });
+    const rounds = (await Bet.find({ userId: req.user.id, 'fairness.serverSeedHash': { $exists: true } })
+      .sort({ createdAt: -1 })
+      .limit(FAIR_HISTORY_LIMIT)
+      .lean())
+      .map((round) => ({
+        game: round.gameId,
+        roundId: round._id,
+        createdAt: round.createdAt,
+        betAmount: round.betAmount,
+        profit: round.profit,
+        ...round.fairness
+      }));
+
+    const revealedHashes = new Set((await FairnessSeed.find({
+      serverSeedHash: { $in: [...new Set(rounds.map((r) => r.serverSeedHash))] },
+      revealedAt: { $exists: true }
+    }).select('serverSeedHash')).map((seed) => seed.serverSeedHash));
+
+    res.json({
+      success: true,
+      rounds: rounds.map((round) => ({ ...round, revealed: revealedHashes.has(round.serverSeedHash) }))
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to fetch slots history' });
+    console.error('Fairness rounds error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch rounds' });
   }
 });
 
-const validateBetAndSettings = async (user, bet, settings, gameEnabledKey, gameLabel) => {
-  if (!bet || bet <= 0) return { error: 'Invalid bet amount', status: 400 };
-  if (!settings) settings = await GameSettings.create({});
-  if (settings.gamesEnabled?.[gameEnabledKey] === false) {
-    return { error: `${gameLabel} is currently disabled`, status: 403 };
-  }
-  if (bet < settings.minBet || bet > settings.maxBet) {
-    return { error: `Bet must be between GHS ${settings.minBet} and GHS ${settings.maxBet}`, status: 400 };
-  }
-  if (user.balance < bet) return { error: 'Insufficient balance', status: 400 };
-  return { settings };
-};
-
-// Play Golden Roulette
-app.post('/api/game/roulette', authenticateToken, async (req, res) => {
+// Verify a round (public). Either pass { game, roundId } for a stored round whose
+// seed has been revealed, or { game, serverSeed, clientSeed, nonce, params, odds }.
+app.post('/api/fairness/verify', async (req, res) => {
   try {
-    const { bet, choice, multiplier } = req.body;
-    const user = await User.findById(req.user.id);
-    let settings = await GameSettings.findOne();
-    const validation = await validateBetAndSettings(user, bet, settings, 'roulette', 'Golden Roulette');
-    if (validation.error) return res.status(validation.status).json({ success: false, error: validation.error });
-    settings = validation.settings;
+    const { game, roundId } = req.body;
+    const fairGame = getGame(game);
+    if (!fairGame) {
+      return res.status(400).json({ success: false, error: 'Unknown game' });
+    }
 
-    const result = await playChoiceMultiplierGame({
-      user, bet, choice, multiplier,
-      validChoices: ['red', 'black'],
-      winChances: settings.rouletteWinChances || MULTI_CHANCE_MED,
-      HistoryModel: RouletteGameHistory,
-      gameName: 'Golden Roulette'
-    });
+    if (roundId) {
+      if (!mongoose.Types.ObjectId.isValid(roundId)) {
+        return res.status(400).json({ success: false, error: 'Invalid round id' });
+      }
+      const round = await betModels[game].findById(roundId).lean();
+      if (!round) {
+        return res.status(404).json({ success: false, error: 'Round not found' });
+      }
+      if (!round.fairness?.serverSeedHash) {
+        return res.status(400).json({ success: false, error: 'This round was played before provably-fair seeds were introduced' });
+      }
 
-    res.json({ success: true, ...result });
+      const seed = await FairnessSeed.findOne({ serverSeedHash: round.fairness.serverSeedHash }).select('+serverSeed');
+      if (!seed || !seed.revealedAt) {
+        return res.status(400).json({ success: false, error: 'Server seed not revealed yet. Rotate your seed pair to verify this round.' });
+      }
+
+      const { clientSeed, nonce, odds } = round.fairness;
+      const params = fairGame.history.params(round);
+      const result = fairGame.outcome(params, odds, createFairRng(seed.serverSeed, clientSeed, nonce));
+      const recorded = fairGame.history.recorded(round);
+      const verified = Object.keys(recorded)
+        .every((key) => JSON.stringify(recorded[key]) === JSON.stringify(result[key]));
+
+      return res.json({
+        success: true,
+        verified,
+        game,
+        roundId,
+        serverSeed: seed.serverSeed,
+        serverSeedHash: seed.serverSeedHash,
+        clientSeed,
+        nonce,
+        params,
+        odds,
+        result,
+        recorded
+      });
+    }
+
+    const { serverSeed, clientSeed, params, odds } = req.body;
+    const nonce = Number(req.body.nonce);
+    if (!serverSeed || !clientSeed || !Number.isInteger(nonce) || nonce < 0) {
+      return res.status(400).json({ success: false, error: 'serverSeed, clientSeed and a non-negative integer nonce are required' });
+    }
+    // Player-supplied inputs are checked before they are replayed.
+    const inputError = !params || !odds ? 'params and odds are required' : fairGame.checkFairInputs(params, odds);
+    if (inputError) {
+      return res.status(400).json({ success: false, error: inputError });
+    }
+
+    const result = fairGame.outcome(params, odds, createFairRng(String(serverSeed), String(clientSeed), nonce));
+    res.json({
+      success: true,
+      game,
+      serverSeedHash: sha256(String(serverSeed)),
+      clientSeed,
+      nonce,
+      params,
+      odds,
+      result
+    });
   } catch (error) {
-    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
-    console.error('Roulette game error:', error);
-    res.status(500).json({ success: false, error: 'Roulette game error occurred' });
+    console.error('Fairness verify error:', error);
+    res.status(500).json({ success: false, error: 'Verification failed' });
   }
 });
 
-// Play Coin Flip
-app.post('/api/game/coin', authenticateToken, async (req, res) => {
+// ============================================================================
+// ROUTES - RESPONSIBLE GAMBLING
+// ============================================================================
+
+const responsibleGamingView = async (user) => ({
+  limits: effectiveLimits(user),
+  realityCheckMinutes: user.responsibleGaming?.realityCheckMinutes || 60,
+  realityCheckOptions: REALITY_CHECK_OPTIONS,
+  pending: (user.responsibleGaming?.pending || []).filter((change) => change.effectiveAt > new Date()),
+  usage: await limitUsage(user._id),
+  coolingOffHours: LIMIT_COOLING_OFF_MS / (60 * 60 * 1000)
+});
+
+// Get limits, queued increases and current usage
+app.get('/api/responsible-gaming', authenticateToken, async (req, res) => {
   try {
-    const { bet, choice, multiplier } = req.body;
     const user = await User.findById(req.user.id);
-    let settings = await GameSettings.findOne();
-    const validation = await validateBetAndSettings(user, bet, settings, 'coin', 'Coin Flip');
-    if (validation.error) return res.status(validation.status).json({ success: false, error: validation.error });
-    settings = validation.settings;
-
-    const result = await playChoiceMultiplierGame({
-      user, bet, choice, multiplier,
-      validChoices: ['heads', 'tails'],
-      winChances: settings.coinWinChances || MULTI_CHANCE_MED,
-      HistoryModel: CoinGameHistory,
-      gameName: 'Coin Flip'
-    });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    if (applyDueLimitChanges(user)) await user.save();
 
-    res.json({ success: true, ...result });
+    res.json({ success: true, ...(await responsibleGamingView(user)) });
   } catch (error) {
-    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
-    console.error('Coin game error:', error);
-    res.status(500).json({ success: false, error: 'Coin game error occurred' });
+    console.error('Get limits error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch limits' });
   }
 });
 
-// Play Dice Duel
-app.post('/api/game/dice', authenticateToken, async (req, res) => {
+// Set limits. Body: { limits: { deposit: { daily: 100, weekly: null }, ... } }
+// A tighter limit (or a new one) applies at once; a looser one, or removing one,
+// waits out the cooling-off period. Periods left out of the body are unchanged.
+app.put('/api/responsible-gaming/limits', authenticateToken, idempotent, async (req, res) => {
   try {
-    const { bet, choice, multiplier } = req.body;
+    const requested = req.body?.limits;
+    if (!requested || typeof requested !== 'object') {
+      return res.status(400).json({ success: false, error: 'limits object is required' });
+    }
+
+    const changes = [];
+    for (const [kind, periods] of Object.entries(requested)) {
+      if (!LIMIT_KINDS.includes(kind) || !periods || typeof periods !== 'object') {
+        return res.status(400).json({ success: false, error: `Unknown limit type: ${kind}` });
+      }
+      for (const [period, value] of Object.entries(periods)) {
+        if (!LIMIT_PERIODS[period]) {
+          return res.status(400).json({ success: false, error: `Unknown limit period: ${period}` });
+        }
+        const amount = value === null || value === '' ? null : Number(value);
+        if (amount !== null && (!Number.isFinite(amount) || amount <= 0)) {
+          return res.status(400).json({ success: false, error: `${period} ${kind} limit must be a positive amount` });
+        }
+        changes.push({ kind, period, amount: amount === null ? null : roundMoney(amount) });
+      }
+    }
+
     const user = await User.findById(req.user.id);
-    let settings = await GameSettings.findOne();
-    const validation = await validateBetAndSettings(user, bet, settings, 'dice', 'Dice Duel');
-    if (validation.error) return res.status(validation.status).json({ success: false, error: validation.error });
-    settings = validation.settings;
-
-    const result = await playChoiceMultiplierGame({
-      user, bet, choice, multiplier,
-      validChoices: ['high', 'low'],
-      winChances: settings.diceWinChances || MULTI_CHANCE_MED,
-      HistoryModel: DiceGameHistory,
-      gameName: 'Dice Duel',
-      extraFields: (won, outcome) => {
-        const diceRolls = rollDiceForOutcome(outcome);
-        return { diceRolls, diceRoll: diceRolls[0] + diceRolls[1] };
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const now = new Date();
+    applyDueLimitChanges(user, now);
+    const rg = user.responsibleGaming;
+    const queued = [];
+
+    for (const { kind, period, amount } of changes) {
+      const current = rg.limits[kind][period];
+      const others = rg.pending.filter((change) => change.kind !== kind || change.period !== period);
+      if (amount === current) {
+        rg.pending = others;
+      } else if (current === null || (amount !== null && amount < current)) {
+        // Stricter: applies now and drops any queued increase for the same limit.
+        rg.limits[kind][period] = amount;
+        rg.pending = others;
+      } else {
+        const effectiveAt = new Date(now.getTime() + LIMIT_COOLING_OFF_MS);
+        rg.pending = [...others, { kind, period, amount, requestedAt: now, effectiveAt }];
+        queued.push({ kind, period, amount, effectiveAt });
       }
-    });
+    }
 
-    res.json({ success: true, ...result });
+    user.markModified('responsibleGaming');
+    await user.save();
+
+    res.json({
+      success: true,
+      message: queued.length > 0
+        ? `Saved. Increases take effect after the ${LIMIT_COOLING_OFF_MS / (60 * 60 * 1000)}-hour cooling-off period.`
+        : 'Limits updated',
+      queued,
+      ...(await responsibleGamingView(user))
+    });
   } catch (error) {
-    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
-    console.error('Dice game error:', error);
-    res.status(500).json({ success: false, error: 'Dice game error occurred' });
+    console.error('Set limits error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update limits' });
   }
 });
 
-// Get Roulette History
-app.get('/api/game/roulette-history', authenticateToken, async (req, res) => {
+// Current play session (null when none is open) with its reality-check figures
+app.get('/api/play-session', authenticateToken, async (req, res) => {
   try {
-    const history = await RouletteGameHistory.find({ userId: req.user.id }).sort({ createdAt: -1 }).limit(50);
-    res.json({ success: true, history });
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    const session = await findPlaySession(user._id);
+    res.json({ success: true, session: session ? await playSessionSummary(session, user) : null });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to fetch roulette history' });
+    console.error('Get play session error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch play session' });
   }
 });
 
-// Get Coin History
-app.get('/api/game/coin-history', authenticateToken, async (req, res) => {
+// Acknowledge a reality check; starts the next interval
+app.post('/api/play-session/acknowledge', authenticateToken, idempotent, async (req, res) => {
   try {
-    const history = await CoinGameHistory.find({ userId: req.user.id }).sort({ createdAt: -1 }).limit(50);
-    res.json({ success: true, history });
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    const now = new Date();
+    const session = await PlaySession.findOneAndUpdate(
+      { userId: user._id, endedAt: null },
+      { $set: { lastCheckAt: now, lastActivityAt: now }, $inc: { checksAcknowledged: 1 } },
+      { new: true, sort: { startedAt: -1 } }
+    );
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'No open play session' });
+    }
+    res.json({ success: true, session: await playSessionSummary(session, user) });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to fetch coin history' });
+    console.error('Acknowledge reality check error:', error);
+    res.status(500).json({ success: false, error: 'Failed to acknowledge reality check' });
   }
 });
 
-// Get Dice History
-app.get('/api/game/dice-history', authenticateToken, async (req, res) => {
+// Set how often the reality check appears
+app.put('/api/responsible-gaming/reality-check', authenticateToken, idempotent, async (req, res) => {
   try {
-    const history = await DiceGameHistory.find({ userId: req.user.id }).sort({ createdAt: -1 }).limit(50);
-    res.json({ success: true, history });
+    const minutes = Number(req.body.minutes);
+    if (!REALITY_CHECK_OPTIONS.includes(minutes)) {
+      return res.status(400).json({ success: false, error: `Choose one of ${REALITY_CHECK_OPTIONS.join(', ')} minutes` });
+    }
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { $set: { 'responsibleGaming.realityCheckMinutes': minutes } },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, message: `Reality check every ${minutes} minutes`, realityCheckMinutes: minutes });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to fetch dice history' });
+    console.error('Set reality check error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update reality check' });
   }
 });
 
-// Get Game Settings
-app.get('/api/game/settings', async (req, res) => {
+// Self-exclude for one of SELF_EXCLUSION_PERIODS. An exclusion can be extended but
+// never shortened or lifted early.
+app.post('/api/responsible-gaming/self-exclude', authenticateToken, idempotent, async (req, res) => {
   try {
-    let settings = await GameSettings.findOne();
-    if (!settings) {
-      settings = await GameSettings.create({});
+    const { period } = req.body;
+    if (!Object.prototype.hasOwnProperty.call(SELF_EXCLUSION_PERIODS, period)) {
+      return res.status(400).json({ success: false, error: 'Choose 24h, 7d, 30d, 6m or permanent' });
     }
-    res.json({ success: true, settings });
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const now = new Date();
+    const permanent = period === 'permanent';
+    const until = permanent ? null : new Date(now.getTime() + SELF_EXCLUSION_PERIODS[period]);
+    const current = activeSelfExclusion(user, now);
+    if (current && (current.permanent || (!permanent && until <= current.until))) {
+      return res.status(409).json({ success: false, error: `${selfExclusionMessage(current)}. It can only be extended.` });
+    }
+
+    user.selfExclusion = { since: current?.since || now, until, permanent };
+    await user.save();
+    await SelfExclusion.create({
+      userId: user._id,
+      email: user.email.toLowerCase(),
+      phone: formatGhanaPhone(user.phone) || user.phone,
+      period,
+      startsAt: now,
+      endsAt: until
+    });
+
+    console.log(`🔒 ${user.email} self-excluded (${period})`);
+
+    res.json({
+      success: true,
+      message: `${selfExclusionMessage(activeSelfExclusion(user))}. You can still withdraw your balance.`,
+      user: publicUser(user)
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to fetch settings' });
+    console.error('Self-exclusion error:', error);
+    res.status(500).json({ success: false, error: 'Failed to start self-exclusion' });
   }
 });
 
@@ -1465,6 +3572,8 @@ const referrerSchema = new mongoose.Schema({
   isActive: { type: Boolean, default: true },
   approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
   approvedAt: { type: Date },
+  tokenVersion: { type: Number, default: 0 },
+  twoFactor: { type: twoFactorSchema, default: () => ({}) },
   createdAt: { type: Date, default: Date.now },
   lastLogin: { type: Date }
 });
@@ -1483,104 +3592,758 @@ const referralStatsSchema = new mongoose.Schema({
 
 const ReferralStats = mongoose.model('ReferralStats', referralStatsSchema);
 
-const commissionTransactionSchema = new mongoose.Schema({
-  referrerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Referrer', required: true, index: true },
-  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  gameId: { type: mongoose.Schema.Types.ObjectId, ref: 'GameHistory', required: true },
-  winAmount: { type: Number, required: true },
-  commissionAmount: { type: Number, required: true },
-  commissionRate: { type: Number, required: true },
-  status: { type: String, enum: ['pending', 'paid'], default: 'pending' },
-  createdAt: { type: Date, default: Date.now }
+const commissionTransactionSchema = new mongoose.Schema({
+  referrerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Referrer', required: true, index: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  gameId: { type: mongoose.Schema.Types.ObjectId, ref: 'Bet', required: true },
+  winAmount: { type: Number, required: true },
+  commissionAmount: { type: Number, required: true },
+  commissionRate: { type: Number, required: true },
+  status: { type: String, enum: ['pending', 'paid'], default: 'pending' },
+  createdAt: { type: Date, default: Date.now }
+});
+
+const CommissionTransaction = mongoose.model('CommissionTransaction', commissionTransactionSchema);
+
+const referrerWithdrawalSchema = new mongoose.Schema({
+  referrerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Referrer', required: true },
+  amount: { type: Number, required: true },
+  status: { type: String, enum: ['pending', 'approved', 'rejected', 'processing', 'paid', 'failed'], default: 'pending' },
+  reference: { type: String },
+  paymentDetails: { type: Object },
+  payout: { type: payoutSchema },
+  rejectionReason: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  processedAt: { type: Date },
+  processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+});
+
+const ReferrerWithdrawal = mongoose.model('ReferrerWithdrawal', referrerWithdrawalSchema);
+
+// ============================================================================
+// HELPER FUNCTIONS - REFERRAL
+// ============================================================================
+
+// What a referrer's own dashboard gets back at login.
+const publicReferrer = (referrer) => ({
+  _id: referrer._id,
+  name: referrer.name,
+  email: referrer.email,
+  phone: referrer.phone,
+  referralCode: referrer.referralCode,
+  commissionBalance: referrer.commissionBalance,
+  totalEarnings: referrer.totalEarnings,
+  commissionRate: referrer.commissionRate,
+  twoFactor: { enabled: Boolean(referrer.twoFactor?.enabled) }
+});
+
+function generateReferralCode() {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code = 'REF_';
+  for (let i = 0; i < 8; i++) {
+    code += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return code;
+}
+
+// Pays the referrer's share of a win. When called inside a settlement transaction the
+// error is rethrown so the whole round rolls back instead of committing half of it.
+async function calculateAndPayCommission(userId, gameId, winAmount, session = null) {
+  try {
+    const user = await User.findById(userId).populate('referredBy').session(session);
+    
+    if (!user.referredBy) return;
+
+    const referrer = user.referredBy;
+    
+    if (!referrer.isApproved || !referrer.isActive) {
+      console.log('Referrer not approved or inactive');
+      return;
+    }
+
+    const commissionRate = referrer.commissionRate / 100;
+    const commissionAmount = winAmount * commissionRate;
+
+    await Referrer.updateOne(
+      { _id: referrer._id },
+      { $inc: { commissionBalance: commissionAmount, totalEarnings: commissionAmount } },
+      { session }
+    );
+
+    await CommissionTransaction.create([{
+      referrerId: referrer._id,
+      userId: user._id,
+      gameId: gameId,
+      winAmount: winAmount,
+      commissionAmount: commissionAmount,
+      commissionRate: referrer.commissionRate,
+      status: 'pending'
+    }], { session });
+
+    await ReferralStats.updateOne(
+      { referrerId: referrer._id, userId: user._id },
+      {
+        $inc: { totalWins: 1, totalWinAmount: winAmount, commissionEarned: commissionAmount, totalGames: 1 },
+        $set: { lastActivity: new Date() }
+      },
+      { upsert: true, session }
+    );
+
+    console.log(`💰 Commission: GHS ${commissionAmount.toFixed(2)} → ${referrer.email}`);
+  } catch (error) {
+    console.error('Commission error:', error);
+    if (session) throw error;
+  }
+}
+
+// ============================================================================
+// PAYOUTS
+// ============================================================================
+
+// Approved withdrawals are paid to the recipient's mobile-money wallet via Payloqa.
+// Network errors and 5xx responses are retried with exponential backoff; a 4xx or the
+// last failed attempt marks the payout failed. Payloqa reports the final result via
+// /api/payouts/webhook, and a background poll catches any webhook that never arrives.
+const PAYOUT_MAX_ATTEMPTS = 5;
+const PAYOUT_RETRY_BASE_MS = 60 * 1000;
+const PAYOUT_POLL_INTERVAL_MS = 60 * 1000;
+// How long a claimed send may take before the queue assumes it died and sends again.
+const PAYOUT_SEND_LEASE_MS = 5 * 60 * 1000;
+
+const mapPayloqaPayoutStatus = (status) => {
+  const normalized = String(status || '').toLowerCase();
+  if (['completed', 'successful', 'success', 'paid'].includes(normalized)) return 'paid';
+  if (['failed', 'rejected', 'cancelled', 'reversed'].includes(normalized)) return 'failed';
+  return 'processing';
+};
+
+// Per kind of withdrawal: where it is stored, who receives the money and how the
+// balances settle once the payout succeeds or fails.
+const PAYOUT_KINDS = {
+  user: {
+    Model: Transaction,
+    recipient: async (record) => {
+      const user = await User.findById(record.userId);
+      return {
+        phone: record.paymentDetails?.phone || user?.phone,
+        network: record.paymentDetails?.network || 'mtn',
+        notifyPhone: user?.phone
+      };
+    },
+    // The wallet is debited only once the money has actually left, out of its hold.
+    settlePaid: (record, session) => postEntry({
+      type: 'withdrawal',
+      reference: record.reference,
+      memo: 'Payloqa payout',
+      createdBy: record.processedBy,
+      releaseHolds: { [String(record.userId)]: record.heldAmount || 0 },
+      legs: [
+        walletLeg(record.userId, { debit: record.amount }),
+        houseLeg(LEDGER_ACCOUNTS.cash, { credit: record.amount })
+      ],
+      session
+    }),
+    settleFailed: (record, session) => (record.heldAmount > 0
+      ? releaseHold(record.userId, record.heldAmount, session)
+      : null)
+  },
+  referrer: {
+    Model: ReferrerWithdrawal,
+    recipient: async (record) => {
+      const referrer = await Referrer.findById(record.referrerId);
+      return {
+        phone: record.paymentDetails?.phone || referrer?.phone,
+        network: record.paymentDetails?.network || 'mtn',
+        notifyPhone: referrer?.phone
+      };
+    },
+    // Commission was deducted when the referrer asked for it.
+    settlePaid: async () => {},
+    settleFailed: (record, session) => Referrer.updateOne(
+      { _id: record.referrerId },
+      { $inc: { commissionBalance: record.amount } },
+      { session }
+    )
+  }
+};
+
+const notifyPayoutResult = async (kind, record) => {
+  try {
+    const { notifyPhone } = await PAYOUT_KINDS[kind].recipient(record);
+    if (!notifyPhone) return;
+    const message = record.status === 'paid'
+      ? `Your withdrawal of GHS ${record.amount.toFixed(2)} has been sent to your mobile money wallet. 💰`
+      : `Your withdrawal of GHS ${record.amount.toFixed(2)} could not be sent and has been returned to your balance. Please check your payout number or contact support.`;
+    await payloqaAPI.sendSMS(notifyPhone, message);
+  } catch (smsError) {
+    console.error('Payout SMS failed:', smsError);
+  }
+};
+
+// Moves a processing withdrawal to its final state exactly once and settles balances.
+const settlePayout = async (kind, recordId, outcome, reason = null) => {
+  const { Model, settlePaid, settleFailed } = PAYOUT_KINDS[kind];
+
+  const settled = await runAtomic(async (session) => {
+    const record = await Model.findOneAndUpdate(
+      { _id: recordId, status: 'processing' },
+      {
+        $set: { status: outcome, 'payout.status': outcome, 'payout.lastError': reason, 'payout.updatedAt': new Date() },
+        $unset: { 'payout.nextAttemptAt': 1 }
+      },
+      { new: true, session }
+    );
+    if (!record) return null;
+
+    try {
+      await (outcome === 'paid' ? settlePaid : settleFailed)(record, session);
+    } catch (error) {
+      // Without a transaction the claim above is already written; put it back.
+      if (!session) {
+        await Model.updateOne(
+          { _id: recordId },
+          {
+            $set: {
+              status: 'processing',
+              // A payout Payloqa never took goes back in the send queue, otherwise it's polled.
+              'payout.status': record.payout?.payoutId ? 'processing' : 'queued',
+              'payout.nextAttemptAt': new Date()
+            }
+          }
+        );
+      }
+      throw error;
+    }
+    return record;
+  });
+
+  if (settled) {
+    console.log(`💸 Payout ${settled.reference} ${outcome}${reason ? `: ${reason}` : ''}`);
+    await notifyPayoutResult(kind, settled);
+  }
+  return settled;
+};
+
+// Asks Payloqa to send the money for a processing withdrawal that has no payout yet.
+// The send is claimed first, so the approval request and the payout queue never both
+// call Payloqa for one withdrawal; whoever loses the claim gets the record as it stands.
+const sendPayout = async (kind, recordId) => {
+  const { Model, recipient } = PAYOUT_KINDS[kind];
+  const now = new Date();
+  const record = await Model.findOneAndUpdate(
+    {
+      _id: recordId,
+      status: 'processing',
+      'payout.payoutId': null,
+      $or: [{ 'payout.status': 'queued' }, { 'payout.status': 'sending', 'payout.nextAttemptAt': { $lte: now } }]
+    },
+    {
+      $set: {
+        'payout.status': 'sending',
+        'payout.updatedAt': now,
+        'payout.nextAttemptAt': new Date(now.getTime() + PAYOUT_SEND_LEASE_MS)
+      }
+    },
+    { new: true }
+  );
+  if (!record) return Model.findById(recordId);
+
+  const { phone, network } = await recipient(record);
+  const attempts = (record.payout?.attempts || 0) + 1;
+  let result = null;
+  let requestError = null;
+
+  try {
+    result = await payloqaPaymentsAPI.createPayout({
+      amount: record.amount,
+      currency: 'GHS',
+      payment_method: 'mobile_money',
+      phone_number: toPayloqaPhone(phone),
+      network,
+      // The same reference on every attempt, so Payloqa can match a retry to an
+      // earlier attempt whose response was lost.
+      reference: record.reference,
+      description: 'Lucky Triple withdrawal',
+      webhook_url: getPayoutsWebhookUrl(),
+      metadata: { kind, record_id: String(record._id) },
+    });
+  } catch (error) {
+    requestError = error.message;
+  }
+
+  const payoutId = result?.ok && result.data?.success ? result.data.data?.payout_id : null;
+  if (payoutId) {
+    await Model.updateOne({ _id: record._id }, {
+      $set: {
+        'payout.payoutId': payoutId,
+        'payout.status': 'processing',
+        'payout.attempts': attempts,
+        'payout.updatedAt': new Date(),
+        'payout.nextAttemptAt': new Date(Date.now() + PAYOUT_POLL_INTERVAL_MS)
+      }
+    });
+    const outcome = mapPayloqaPayoutStatus(result.data.data.status);
+    if (outcome !== 'processing') return settlePayout(kind, record._id, outcome);
+    return Model.findById(record._id);
+  }
+
+  const reason = requestError
+    || result?.data?.error?.message
+    || result?.data?.message
+    || `Payloqa responded with HTTP ${result?.status}`;
+  const rejected = result && result.status >= 400 && result.status < 500;
+
+  if (rejected || attempts >= PAYOUT_MAX_ATTEMPTS) {
+    await Model.updateOne({ _id: record._id }, { $set: { 'payout.attempts': attempts } });
+    return settlePayout(kind, record._id, 'failed', reason);
+  }
+
+  await Model.updateOne({ _id: record._id }, {
+    $set: {
+      'payout.status': 'queued',
+      'payout.attempts': attempts,
+      'payout.lastError': reason,
+      'payout.updatedAt': new Date(),
+      'payout.nextAttemptAt': new Date(Date.now() + PAYOUT_RETRY_BASE_MS * 2 ** (attempts - 1))
+    }
+  });
+  console.warn(`⚠️ Payout ${record.reference} attempt ${attempts} failed, will retry: ${reason}`);
+  return Model.findById(record._id);
+};
+
+// Reads the authoritative payout status from Payloqa and settles it if final.
+const syncPayoutStatus = async (kind, record) => {
+  const result = await payloqaPaymentsAPI.getPayoutStatus(record.payout.payoutId);
+  const outcome = result.ok && result.data?.success ? mapPayloqaPayoutStatus(result.data.data?.status) : 'processing';
+
+  if (outcome !== 'processing') {
+    const reason = outcome === 'failed' ? result.data.data?.failure_reason || result.data.data?.message : null;
+    return settlePayout(kind, record._id, outcome, reason);
+  }
+
+  await PAYOUT_KINDS[kind].Model.updateOne(
+    { _id: record._id },
+    { $set: { 'payout.nextAttemptAt': new Date(Date.now() + PAYOUT_POLL_INTERVAL_MS) } }
+  );
+  return null;
+};
+
+// Background worker: retries queued payouts and polls in-flight ones that are due.
+// A run that outlasts the poll interval is not overlapped by the next one.
+let payoutQueueRunning = false;
+
+const processPayoutQueue = async () => {
+  if (payoutQueueRunning) return;
+  payoutQueueRunning = true;
+  try {
+    for (const [kind, { Model }] of Object.entries(PAYOUT_KINDS)) {
+      const due = await Model.find({ status: 'processing', 'payout.nextAttemptAt': { $lte: new Date() } }).limit(20);
+      for (const record of due) {
+        try {
+          if (record.payout?.payoutId) await syncPayoutStatus(kind, record);
+          else await sendPayout(kind, record._id);
+        } catch (error) {
+          console.error(`Payout queue error (${record.reference}):`, error);
+        }
+      }
+    }
+  } finally {
+    payoutQueueRunning = false;
+  }
+};
+
+// Payout Webhook (from Payloqa — event: payout.status_changed)
+// The body only tells us which payout changed; the status itself is re-read from Payloqa.
+app.post('/api/payouts/webhook', verifyPayloqaWebhook, async (req, res) => {
+  try {
+    const payload = req.body?.data || req.body;
+    const payoutId = payload?.payout_id;
+    const reference = payload?.reference;
+    console.log('📨 Payout webhook received:', payoutId, reference, payload?.status);
+
+    if (!payoutId && !reference) {
+      return res.status(200).json({ success: true, message: 'No payout reference — acknowledged' });
+    }
+
+    for (const [kind, { Model }] of Object.entries(PAYOUT_KINDS)) {
+      const record = await Model.findOne(payoutId ? { 'payout.payoutId': payoutId } : { reference });
+      if (record && record.status === 'processing' && record.payout?.payoutId) {
+        await syncPayoutStatus(kind, record);
+        break;
+      }
+    }
+
+    res.status(200).json({ success: true, message: 'Webhook acknowledged' });
+  } catch (error) {
+    console.error('❌ Payout webhook error:', error);
+    await req.releaseWebhookEvent().catch(() => {});
+    res.status(500).json({ success: false, error: 'Webhook processing failed' });
+  }
+});
+
+// ============================================================================
+// MAKER-CHECKER APPROVALS
+// ============================================================================
+
+// Credits and payouts above GameSettings.approvalThreshold need two admins: the first
+// one's request is queued here and the action only runs once a different admin approves.
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'cancelled', 'failed'];
+
+const approvalRequestSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['credit', 'withdrawal', 'referrer-withdrawal'], required: true },
+  amount: { type: Number, required: true },
+  targetId: { type: String, required: true },
+  targetLabel: { type: String },
+  payload: { type: mongoose.Schema.Types.Mixed },
+  // Withdrawals can only have one pending request each
+  lockKey: { type: String },
+  status: { type: String, enum: APPROVAL_STATUSES, default: 'pending' },
+  requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  requestedByEmail: { type: String },
+  requestedAt: { type: Date, default: Date.now },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  reviewedByEmail: { type: String },
+  reviewedAt: { type: Date },
+  reviewNote: { type: String }
+});
+
+approvalRequestSchema.index({ status: 1, requestedAt: -1 });
+approvalRequestSchema.index(
+  { lockKey: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending', lockKey: { $exists: true } } }
+);
+
+const ApprovalRequest = mongoose.model('ApprovalRequest', approvalRequestSchema);
+
+const getApprovalThreshold = async () => {
+  const settings = await GameSettings.findOne().select('approvalThreshold');
+  return (settings || new GameSettings()).approvalThreshold;
+};
+
+const needsSecondApproval = (amount, threshold) => threshold > 0 && amount > threshold;
+
+const creditPlayer = async (req, { userId, amount, reason, approvalId }) => {
+  const user = await User.findById(userId);
+  if (!user || user.deletedAt) throw { status: 404, error: 'User not found' };
+
+  const balanceBefore = user.balance;
+  const { balances } = await postEntry({
+    type: 'credit',
+    reference: reason || 'Admin credit',
+    createdBy: req.user.id,
+    legs: [
+      walletLeg(user._id, { credit: amount }),
+      houseLeg(LEDGER_ACCOUNTS.promotions, { debit: amount })
+    ]
+  });
+  user.balance = balances[String(user._id)];
+
+  await recordAudit(req, {
+    action: 'user.credit',
+    targetType: 'user',
+    targetId: user._id,
+    targetLabel: user.email,
+    before: { balance: balanceBefore },
+    after: { balance: user.balance },
+    metadata: { amount, reason: reason || null, approvalId }
+  });
+
+  await Transaction.create({
+    userId: user._id,
+    type: 'credit',
+    amount,
+    status: 'completed',
+    processedAt: new Date(),
+    processedBy: req.user.id,
+    reference: reason || 'Admin credit'
+  });
+
+  try {
+    const message = `Your account has been credited with GHS ${amount.toFixed(2)}! ${reason ? `Reason: ${reason}` : ''} New balance: GHS ${user.balance.toFixed(2)} 🎁`;
+    const smsResponse = await payloqaAPI.sendSMS(user.phone, message);
+
+    await SMSLog.create({
+      phones: [user.phone],
+      message: message,
+      status: smsResponse.success ? 'sent' : 'failed',
+      sentBy: req.user.id,
+      response: smsResponse
+    });
+  } catch (smsError) {
+    console.error('Credit SMS failed:', smsError);
+  }
+
+  return { message: 'User credited successfully', newBalance: user.balance };
+};
+
+const approvePlayerWithdrawal = async (req, transactionId, approvalId) => {
+  const transaction = await Transaction.findById(transactionId).populate('userId');
+  if (!transaction) throw { status: 404, error: 'Transaction not found' };
+  if (transaction.status !== 'pending') throw { status: 400, error: 'Transaction already processed' };
+
+  const user = transaction.userId;
+
+  // Approval queues the payout; the funds stay on hold until Payloqa confirms it.
+  // Requests made before holds existed have no reservation, so one is placed now.
+  await runAtomic(async (session) => {
+    const claimed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'pending' },
+      {
+        $set: {
+          status: 'processing',
+          processedAt: new Date(),
+          processedBy: req.user.id,
+          payout: { status: 'queued', attempts: 0, nextAttemptAt: new Date() }
+        }
+      },
+      { new: true, session }
+    );
+    if (!claimed) throw { status: 400, error: 'Transaction already processed' };
+    if (claimed.heldAmount > 0) return;
+
+    try {
+      await placeHold(user._id, claimed.amount, session);
+      await Transaction.updateOne({ _id: claimed._id }, { $set: { heldAmount: claimed.amount } }, { session });
+    } catch (error) {
+      // Without a transaction the claim above is already written; put it back.
+      if (!session) {
+        await Transaction.updateOne(
+          { _id: claimed._id },
+          { $set: { status: 'pending' }, $unset: { processedAt: 1, processedBy: 1, payout: 1 } }
+        );
+      }
+      if (error.error === 'Insufficient balance') throw { status: 400, error: 'User has insufficient balance' };
+      throw error;
+    }
+  });
+
+  const processed = await sendPayout('user', transaction._id);
+
+  await recordAudit(req, {
+    action: 'withdrawal.approve',
+    targetType: 'withdrawal',
+    targetId: transaction._id,
+    targetLabel: user.email,
+    before: { status: 'pending' },
+    after: { status: processed?.status || 'processing' },
+    metadata: { amount: transaction.amount, phone: transaction.paymentDetails?.phone, approvalId }
+  });
+
+  return {
+    message: processed?.status === 'failed'
+      ? `Payout failed: ${processed.payout?.lastError || 'rejected by Payloqa'}. Funds were returned to the user.`
+      : 'Withdrawal approved. Payout sent to Payloqa.',
+    status: processed?.status,
+    payout: processed?.payout
+  };
+};
+
+const approveReferrerPayout = async (req, withdrawalId, approvalId) => {
+  const withdrawal = await ReferrerWithdrawal.findById(withdrawalId).populate('referrerId');
+  if (!withdrawal) throw { status: 404, error: 'Withdrawal not found' };
+  if (withdrawal.status !== 'pending') throw { status: 400, error: 'Already processed' };
+
+  const claimed = await ReferrerWithdrawal.findOneAndUpdate(
+    { _id: withdrawal._id, status: 'pending' },
+    {
+      $set: {
+        status: 'processing',
+        processedAt: new Date(),
+        processedBy: req.user.id,
+        payout: { status: 'queued', attempts: 0, nextAttemptAt: new Date() }
+      }
+    }
+  );
+  if (!claimed) throw { status: 400, error: 'Already processed' };
+
+  const processed = await sendPayout('referrer', withdrawal._id);
+
+  await recordAudit(req, {
+    action: 'referrer-withdrawal.approve',
+    targetType: 'referrer-withdrawal',
+    targetId: withdrawal._id,
+    targetLabel: withdrawal.referrerId?.email,
+    before: { status: 'pending' },
+    after: { status: processed?.status || 'processing' },
+    metadata: { amount: withdrawal.amount, approvalId }
+  });
+
+  return {
+    message: processed?.status === 'failed'
+      ? `Payout failed: ${processed.payout?.lastError || 'rejected by Payloqa'}. Commission was returned to the referrer.`
+      : 'Withdrawal approved. Payout sent to Payloqa.',
+    status: processed?.status,
+    payout: processed?.payout
+  };
+};
+
+// What each kind of request runs once approved, and who may approve it.
+const APPROVAL_KINDS = {
+  credit: {
+    permission: 'users.credit',
+    run: (req, approval) => creditPlayer(req, { ...approval.payload, approvalId: approval._id })
+  },
+  withdrawal: {
+    permission: 'withdrawals.approve',
+    run: (req, approval) => approvePlayerWithdrawal(req, approval.targetId, approval._id)
+  },
+  'referrer-withdrawal': {
+    permission: 'withdrawals.approve',
+    run: (req, approval) => approveReferrerPayout(req, approval.targetId, approval._id)
+  }
+};
+
+const APPROVER_PERMISSIONS = [...new Set(Object.values(APPROVAL_KINDS).map((kind) => kind.permission))];
+
+const queueApproval = async (req, { kind, amount, targetId, targetLabel, payload, lockKey }) => {
+  let approval;
+  try {
+    approval = await ApprovalRequest.create({
+      kind,
+      amount,
+      targetId: String(targetId),
+      targetLabel,
+      payload,
+      lockKey,
+      requestedBy: req.user.id,
+      requestedByEmail: req.user.email
+    });
+  } catch (error) {
+    if (error.code === 11000) throw { status: 409, error: 'This is already waiting for a second approval' };
+    throw error;
+  }
+
+  await recordAudit(req, {
+    action: 'approval.request',
+    targetType: 'approval',
+    targetId: approval._id,
+    targetLabel,
+    metadata: { kind, amount, targetId: approval.targetId }
+  });
+  return approval;
+};
+
+const sendPendingApproval = (res, approval, threshold) => res.status(202).json({
+  success: true,
+  pendingApproval: true,
+  message: `Amounts over GHS ${threshold.toFixed(2)} need a second admin. Sent to the approvals queue.`,
+  approval
 });
 
-const CommissionTransaction = mongoose.model('CommissionTransaction', commissionTransactionSchema);
+// Rejecting a withdrawal directly closes any request still waiting on it.
+const cancelPendingApprovals = (req, lockKey, note) => ApprovalRequest.updateMany(
+  { lockKey, status: 'pending' },
+  { $set: { status: 'cancelled', reviewedBy: req.user.id, reviewedByEmail: req.user.email, reviewedAt: new Date(), reviewNote: note } }
+);
 
-const referrerWithdrawalSchema = new mongoose.Schema({
-  referrerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Referrer', required: true },
-  amount: { type: Number, required: true },
-  status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
-  reference: { type: String },
-  paymentDetails: { type: Object },
-  rejectionReason: { type: String },
-  createdAt: { type: Date, default: Date.now },
-  processedAt: { type: Date },
-  processedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
-});
+// ============================================================================
+// DATABASE BACKUPS
+// ============================================================================
 
-const ReferrerWithdrawal = mongoose.model('ReferrerWithdrawal', referrerWithdrawalSchema);
+// Snapshots are taken every BACKUP_INTERVAL_HOURS (0 turns the schedule off), on demand
+// from the admin dashboard, and before every wipe. Restores run from the command line
+// (`node backup.js restore <id>`) against an empty database; see backup.js.
+const BACKUP_INTERVAL_MS = Number(process.env.BACKUP_INTERVAL_HOURS ?? 24) * 60 * 60 * 1000;
+const BACKUP_KEEP = Number(process.env.BACKUP_KEEP || 14);
+
+const runScheduledBackup = async () => {
+  const manifest = await createSnapshot(mongoose.connection.db, { reason: 'scheduled' });
+  const pruned = await pruneSnapshots(BACKUP_KEEP);
+  console.log(`💾 Snapshot ${manifest.id} taken${pruned.length ? `, removed ${pruned.length} old snapshot(s)` : ''}`);
+};
 
 // ============================================================================
-// HELPER FUNCTIONS - REFERRAL
+// ROUTES - ADMIN
 // ============================================================================
 
-function generateReferralCode() {
-  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
-  let code = 'REF_';
-  for (let i = 0; i < 8; i++) {
-    code += chars.charAt(Math.floor(Math.random() * chars.length));
+// Roles, their permissions and the current staff accounts
+app.get('/api/admin/roles', authenticateToken, requirePermission('roles.manage'), async (req, res) => {
+  try {
+    const staff = await User.find({ isAdmin: true }).select('email role lastLogin').sort({ email: 1 });
+    res.json({ success: true, roles: ADMIN_ROLES, permissions: ADMIN_PERMISSIONS, staff });
+  } catch (error) {
+    console.error('Fetch roles error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch roles' });
   }
-  return code;
-}
+});
 
-async function calculateAndPayCommission(userId, gameId, winAmount) {
+// Give an account a staff role, or pass role: null to remove its staff access
+app.put('/api/admin/staff-role', authenticateToken, requirePermission('roles.manage'), requireStepUp, idempotent, async (req, res) => {
   try {
-    const user = await User.findById(userId).populate('referredBy');
-    
-    if (!user.referredBy) return;
+    const { email } = req.body;
+    const role = req.body.role || null;
 
-    const referrer = user.referredBy;
-    
-    if (!referrer.isApproved || !referrer.isActive) {
-      console.log('Referrer not approved or inactive');
-      return;
+    if (role && !ADMIN_ROLES[role]) {
+      return res.status(400).json({ success: false, error: 'Unknown role' });
     }
 
-    const commissionRate = referrer.commissionRate / 100;
-    const commissionAmount = winAmount * commissionRate;
+    const user = await User.findOne({ email: String(email || '').trim() });
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
 
-    referrer.commissionBalance += commissionAmount;
-    referrer.totalEarnings += commissionAmount;
-    await referrer.save();
+    // Keeps at least one superadmin: the caller always is one.
+    if (String(user._id) === String(req.user.id)) {
+      return res.status(400).json({ success: false, error: 'You cannot change your own role' });
+    }
 
-    await CommissionTransaction.create({
-      referrerId: referrer._id,
-      userId: user._id,
-      gameId: gameId,
-      winAmount: winAmount,
-      commissionAmount: commissionAmount,
-      commissionRate: referrer.commissionRate,
-      status: 'pending'
+    const before = { role: user.role || null, isAdmin: user.isAdmin };
+    user.role = role;
+    user.isAdmin = Boolean(role);
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'staff.role',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email,
+      before,
+      after: { role: user.role, isAdmin: user.isAdmin }
     });
 
-    let stats = await ReferralStats.findOne({ referrerId: referrer._id, userId: user._id });
-    if (!stats) {
-      stats = new ReferralStats({
-        referrerId: referrer._id,
-        userId: user._id
-      });
+    console.log(`👑 ${req.user.email} set ${user.email} to ${role || 'no staff role'}`);
+    res.json({ success: true, message: `${user.email} is now ${role || 'a regular player'}`, user: { _id: user._id, email: user.email, role: user.role } });
+  } catch (error) {
+    console.error('Set staff role error:', error);
+    res.status(500).json({ success: false, error: 'Failed to update role' });
+  }
+});
+
+// Audit log, newest first. Filters: action, actor (email), targetType, targetId, from, to.
+app.get('/api/admin/audit-log', authenticateToken, requirePermission('audit.view'), async (req, res) => {
+  try {
+    const { action, actor, targetType, targetId, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 25));
+
+    const filter = {};
+    if (action) filter.action = action;
+    if (actor) filter.actorEmail = String(actor).trim();
+    if (targetType) filter.targetType = targetType;
+    if (targetId) filter.targetId = String(targetId);
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
     }
-    stats.totalWins += 1;
-    stats.totalWinAmount += winAmount;
-    stats.commissionEarned += commissionAmount;
-    stats.totalGames += 1;
-    stats.lastActivity = new Date();
-    await stats.save();
 
-    console.log(`💰 Commission: GHS ${commissionAmount.toFixed(2)} → ${referrer.email}`);
+    const [entries, total, actions] = await Promise.all([
+      AuditLog.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+      AuditLog.countDocuments(filter),
+      AuditLog.distinct('action')
+    ]);
+
+    res.json({ success: true, entries, total, page, pages: Math.max(1, Math.ceil(total / limit)), actions: actions.sort() });
   } catch (error) {
-    console.error('Commission error:', error);
+    console.error('Audit log error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch audit log' });
   }
-}
-
-// ============================================================================
-// ROUTES - ADMIN
-// ============================================================================
+});
 
 // Get All Users
-app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/users', authenticateToken, requirePermission('users.view'), async (req, res) => {
   try {
-    const users = await User.find({ isAdmin: false })
+    const users = await User.find({ isAdmin: false, deletedAt: null })
       .select('-password')
       .sort({ createdAt: -1 });
 
@@ -1590,8 +4353,30 @@ app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
+// Self-exclusions (read-only: admins cannot lift them)
+app.get('/api/admin/self-exclusions', authenticateToken, requirePermission('users.view'), async (req, res) => {
+  try {
+    const exclusions = await SelfExclusion.find()
+      .sort({ startsAt: -1 })
+      .limit(200)
+      .lean();
+
+    const now = new Date();
+    res.json({
+      success: true,
+      exclusions: exclusions.map((exclusion) => ({
+        ...exclusion,
+        active: exclusion.endsAt === null || exclusion.endsAt > now
+      }))
+    });
+  } catch (error) {
+    console.error('Get self-exclusions error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch self-exclusions' });
+  }
+});
+
 // Credit User
-app.post('/api/admin/credit-user', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/credit-user', authenticateToken, requirePermission('users.credit'), requireStepUp, idempotent, async (req, res) => {
   try {
     const { userId, amount, reason } = req.body;
 
@@ -1599,52 +4384,33 @@ app.post('/api/admin/credit-user', authenticateToken, requireAdmin, async (req,
       return res.status(400).json({ success: false, error: 'Invalid parameters' });
     }
 
-    const user = await User.findById(userId);
-    if (!user) {
-      return res.status(404).json({ success: false, error: 'User not found' });
-    }
-
-    user.balance += amount;
-    await user.save();
-
-    await Transaction.create({
-      userId: user._id,
-      type: 'credit',
-      amount,
-      status: 'completed',
-      processedAt: new Date(),
-      processedBy: req.user.id,
-      reference: reason || 'Admin credit'
-    });
-
-    try {
-      const message = `Your account has been credited with GHS ${amount.toFixed(2)}! ${reason ? `Reason: ${reason}` : ''} New balance: GHS ${user.balance.toFixed(2)} 🎁`;
-      const smsResponse = await payloqaAPI.sendSMS(user.phone, message);
+    const threshold = await getApprovalThreshold();
+    if (needsSecondApproval(amount, threshold)) {
+      const user = await User.findById(userId).select('email deletedAt');
+      if (!user || user.deletedAt) {
+        return res.status(404).json({ success: false, error: 'User not found' });
+      }
 
-      await SMSLog.create({
-        phones: [user.phone],
-        message: message,
-        status: smsResponse.success ? 'sent' : 'failed',
-        sentBy: req.user.id,
-        response: smsResponse
+      const approval = await queueApproval(req, {
+        kind: 'credit',
+        amount,
+        targetId: user._id,
+        targetLabel: user.email,
+        payload: { userId: String(user._id), amount, reason: reason || null }
       });
-    } catch (smsError) {
-      console.error('Credit SMS failed:', smsError);
+      return sendPendingApproval(res, approval, threshold);
     }
 
-    res.json({
-      success: true,
-      message: 'User credited successfully',
-      newBalance: user.balance
-    });
+    res.json({ success: true, ...await creditPlayer(req, { userId, amount, reason }) });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
     console.error('Credit user error:', error);
     res.status(500).json({ success: false, error: 'Failed to credit user' });
   }
 });
 
 // Get All Withdrawals
-app.get('/api/admin/withdrawals', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/withdrawals', authenticateToken, requirePermission('withdrawals.view'), async (req, res) => {
   try {
     const withdrawals = await Transaction.find({ type: 'withdrawal' })
       .populate('userId', 'email phone')
@@ -1657,11 +4423,11 @@ app.get('/api/admin/withdrawals', authenticateToken, requireAdmin, async (req, r
 });
 
 // Approve Withdrawal
-app.post('/api/admin/approve-withdrawal', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/approve-withdrawal', authenticateToken, requirePermission('withdrawals.approve'), requireStepUp, idempotent, async (req, res) => {
   try {
     const { transactionId } = req.body;
 
-    const transaction = await Transaction.findById(transactionId).populate('userId');
+    const transaction = await Transaction.findById(transactionId).populate('userId', 'email');
     if (!transaction) {
       return res.status(404).json({ success: false, error: 'Transaction not found' });
     }
@@ -1670,47 +4436,28 @@ app.post('/api/admin/approve-withdrawal', authenticateToken, requireAdmin, async
       return res.status(400).json({ success: false, error: 'Transaction already processed' });
     }
 
-    const user = transaction.userId;
-
-    if (user.balance < transaction.amount) {
-      return res.status(400).json({ success: false, error: 'User has insufficient balance' });
-    }
-
-    user.balance -= transaction.amount;
-    await user.save();
-
-    transaction.status = 'approved';
-    transaction.processedAt = new Date();
-    transaction.processedBy = req.user.id;
-    await transaction.save();
-
-    try {
-      const message = `Your withdrawal request of GHS ${transaction.amount.toFixed(2)} has been approved! The funds will be sent to your account within 24 hours. 💰`;
-      const smsResponse = await payloqaAPI.sendSMS(user.phone, message);
-
-      await SMSLog.create({
-        phones: [user.phone],
-        message: message,
-        status: smsResponse.success ? 'sent' : 'failed',
-        sentBy: req.user.id,
-        response: smsResponse
+    const threshold = await getApprovalThreshold();
+    if (needsSecondApproval(transaction.amount, threshold)) {
+      const approval = await queueApproval(req, {
+        kind: 'withdrawal',
+        amount: transaction.amount,
+        targetId: transaction._id,
+        targetLabel: transaction.userId?.email,
+        lockKey: `withdrawal:${transaction._id}`
       });
-    } catch (smsError) {
-      console.error('Withdrawal approval SMS failed:', smsError);
+      return sendPendingApproval(res, approval, threshold);
     }
 
-    res.json({
-      success: true,
-      message: 'Withdrawal approved successfully'
-    });
+    res.json({ success: true, ...await approvePlayerWithdrawal(req, transaction._id) });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
     console.error('Approve withdrawal error:', error);
     res.status(500).json({ success: false, error: 'Failed to approve withdrawal' });
   }
 });
 
 // Reject Withdrawal
-app.post('/api/admin/reject-withdrawal', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/reject-withdrawal', authenticateToken, requirePermission('withdrawals.approve'), idempotent, async (req, res) => {
   try {
     const { transactionId, reason } = req.body;
 
@@ -1723,11 +4470,27 @@ app.post('/api/admin/reject-withdrawal', authenticateToken, requireAdmin, async
       return res.status(400).json({ success: false, error: 'Transaction already processed' });
     }
 
-    transaction.status = 'rejected';
-    transaction.processedAt = new Date();
-    transaction.processedBy = req.user.id;
-    transaction.reference = reason || 'Rejected by admin';
-    await transaction.save();
+    // Mark the request rejected and hand the reserved funds back in one step.
+    await runAtomic(async (session) => {
+      const claimed = await Transaction.findOneAndUpdate(
+        { _id: transaction._id, status: 'pending' },
+        { $set: { status: 'rejected', processedAt: new Date(), processedBy: req.user.id, reference: reason || 'Rejected by admin' } },
+        { new: true, session }
+      );
+      if (!claimed) throw { status: 400, error: 'Transaction already processed' };
+      if (claimed.heldAmount > 0) await releaseHold(claimed.userId, claimed.heldAmount, session);
+    });
+    await cancelPendingApprovals(req, `withdrawal:${transaction._id}`, 'Withdrawal was rejected');
+
+    await recordAudit(req, {
+      action: 'withdrawal.reject',
+      targetType: 'withdrawal',
+      targetId: transaction._id,
+      targetLabel: transaction.userId?.email,
+      before: { status: 'pending' },
+      after: { status: 'rejected' },
+      metadata: { amount: transaction.amount, reason: reason || null }
+    });
 
     try {
       const message = `Your withdrawal request of GHS ${transaction.amount.toFixed(2)} has been rejected. ${reason ? `Reason: ${reason}` : 'Please contact support for more information.'}`;
@@ -1749,66 +4512,288 @@ app.post('/api/admin/reject-withdrawal', authenticateToken, requireAdmin, async
       message: 'Withdrawal rejected'
     });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
     console.error('Reject withdrawal error:', error);
     res.status(500).json({ success: false, error: 'Failed to reject withdrawal' });
   }
 });
 
+// Get Approvals Queue
+app.get('/api/admin/approvals', authenticateToken, requirePermission(APPROVER_PERMISSIONS), async (req, res) => {
+  try {
+    const { status } = req.query;
+    const filter = APPROVAL_STATUSES.includes(status) ? { status } : {};
+
+    const approvals = await ApprovalRequest.find(filter).sort({ requestedAt: -1 }).limit(200);
+
+    res.json({ success: true, approvals, threshold: await getApprovalThreshold() });
+  } catch (error) {
+    console.error('Get approvals error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch approvals' });
+  }
+});
+
+// Approve Queued Request
+app.post('/api/admin/approvals/:id/approve', authenticateToken, requirePermission(APPROVER_PERMISSIONS), requireStepUp, idempotent, async (req, res) => {
+  try {
+    const approval = await ApprovalRequest.findById(req.params.id);
+    if (!approval) {
+      return res.status(404).json({ success: false, error: 'Approval request not found' });
+    }
+
+    const kind = APPROVAL_KINDS[approval.kind];
+    if (!permissionsFor(req.user).includes(kind.permission)) {
+      return res.status(403).json({ success: false, error: 'You do not have permission to do this' });
+    }
+    if (String(approval.requestedBy) === String(req.user.id)) {
+      return res.status(403).json({ success: false, error: 'A different admin must approve your request' });
+    }
+
+    const claimed = await ApprovalRequest.findOneAndUpdate(
+      { _id: approval._id, status: 'pending' },
+      { $set: { status: 'approved', reviewedBy: req.user.id, reviewedByEmail: req.user.email, reviewedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ success: false, error: 'Request already reviewed' });
+    }
+
+    let result;
+    try {
+      result = await kind.run(req, claimed);
+    } catch (error) {
+      await ApprovalRequest.updateOne(
+        { _id: claimed._id },
+        { $set: { status: 'failed', reviewNote: error.error || 'Action failed' } }
+      );
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: 'approval.approve',
+      targetType: 'approval',
+      targetId: claimed._id,
+      targetLabel: claimed.targetLabel,
+      before: { status: 'pending' },
+      after: { status: 'approved' },
+      metadata: { kind: claimed.kind, amount: claimed.amount, requestedBy: claimed.requestedByEmail }
+    });
+
+    res.json({ success: true, ...result, approval: claimed });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Approve request error:', error);
+    res.status(500).json({ success: false, error: 'Failed to approve request' });
+  }
+});
+
+// Reject Queued Request (the requester may cancel their own)
+app.post('/api/admin/approvals/:id/reject', authenticateToken, requirePermission(APPROVER_PERMISSIONS), idempotent, async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    const approval = await ApprovalRequest.findById(req.params.id);
+    if (!approval) {
+      return res.status(404).json({ success: false, error: 'Approval request not found' });
+    }
+
+    const own = String(approval.requestedBy) === String(req.user.id);
+    if (!own && !permissionsFor(req.user).includes(APPROVAL_KINDS[approval.kind].permission)) {
+      return res.status(403).json({ success: false, error: 'You do not have permission to do this' });
+    }
+
+    const status = own ? 'cancelled' : 'rejected';
+    const claimed = await ApprovalRequest.findOneAndUpdate(
+      { _id: approval._id, status: 'pending' },
+      { $set: { status, reviewedBy: req.user.id, reviewedByEmail: req.user.email, reviewedAt: new Date(), reviewNote: reason || undefined } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(400).json({ success: false, error: 'Request already reviewed' });
+    }
+
+    await recordAudit(req, {
+      action: own ? 'approval.cancel' : 'approval.reject',
+      targetType: 'approval',
+      targetId: claimed._id,
+      targetLabel: claimed.targetLabel,
+      before: { status: 'pending' },
+      after: { status },
+      metadata: { kind: claimed.kind, amount: claimed.amount, reason: reason || null }
+    });
+
+    res.json({ success: true, message: own ? 'Request cancelled' : 'Request rejected', approval: claimed });
+  } catch (error) {
+    console.error('Reject request error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reject request' });
+  }
+});
+
+// Applies the odds side of a settings update to `settings` (house fee, each game's
+// settings blocks, a difficulty preset) without saving, and returns the RTP report
+// for the result.
+const applyOddsSettings = (settings, body) => {
+  const { houseFee, applyDifficultyPreset } = body;
+
+  if (houseFee !== undefined) {
+    const houseFeeError = checkHouseFee(Number(houseFee));
+    if (houseFeeError) throw { status: 400, error: houseFeeError };
+    settings.houseFee = Number(houseFee);
+  }
+  // Each game's settings blocks (see games/), plus the old slots tier settings
+  [...SETTINGS_BLOCKS.map((block) => block.key), 'slotsWinChances', 'slotsPayouts'].forEach((key) => {
+    if (body[key]) settings[key] = { ...settings[key]?.toObject?.() || settings[key] || {}, ...body[key] };
+  });
+
+  if (applyDifficultyPreset && DIFFICULTY_PRESETS[applyDifficultyPreset]) {
+    settings.difficulty = applyDifficultyPreset;
+    settings.houseFee = DIFFICULTY_PRESETS[applyDifficultyPreset].houseFee;
+  }
+
+  GAMES.forEach((game) => {
+    const settingsError = game.checkSettings?.(settings);
+    if (settingsError) throw { status: 400, error: `${game.name}: ${settingsError}` };
+  });
+
+  return rtpReport(settings);
+};
+
+// Preview the RTP of unsaved game settings
+app.post('/api/admin/game-settings/preview', authenticateToken, requirePermission('games.settings'), async (req, res) => {
+  try {
+    const settings = (await GameSettings.findOne()) || new GameSettings();
+    const report = applyOddsSettings(settings, req.body);
+
+    res.json({
+      success: true,
+      report,
+      violation: rtpViolation(report),
+      blocks: Object.fromEntries(SETTINGS_BLOCKS.map((block) => [block.key, settings[block.key]]))
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.error });
+    }
+    console.error('Preview settings error:', error);
+    res.status(500).json({ success: false, error: 'Failed to preview settings' });
+  }
+});
+
+const SIMULATION_ROUNDS = 10000;
+const SIMULATION_STAKE = 10;
+const MAX_SIMULATION_ROUNDS = 100000;
+// Simulations run inline on the request, so one run is capped at a second or two of work.
+const MAX_SIMULATED_ROUNDS_TOTAL = 200000;
+
+// Simulate rounds of the games under proposed (unsaved) settings. Body: settings (as for
+// PUT /api/admin/game-settings, including applyDifficultyPreset), rounds per bet, stake
+// (GHS a round), games (ids, default all) and seed to repeat an earlier run.
+app.post('/api/admin/simulate', authenticateToken, requirePermission('games.settings'), async (req, res) => {
+  try {
+    const { settings: proposed = {}, games: gameIds, seed } = req.body;
+    const rounds = req.body.rounds === undefined ? SIMULATION_ROUNDS : Number(req.body.rounds);
+    const stake = req.body.stake === undefined ? SIMULATION_STAKE : Number(req.body.stake);
+
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > MAX_SIMULATION_ROUNDS) {
+      return res.status(400).json({ success: false, error: `Rounds must be a whole number from 1 to ${MAX_SIMULATION_ROUNDS}` });
+    }
+    if (!Number.isFinite(stake) || stake <= 0) {
+      return res.status(400).json({ success: false, error: 'Stake must be more than 0' });
+    }
+    if (gameIds !== undefined && (!Array.isArray(gameIds) || !gameIds.length || !gameIds.every((id) => getGame(id)))) {
+      return res.status(400).json({ success: false, error: 'Unknown game' });
+    }
+
+    const settings = (await GameSettings.findOne()) || new GameSettings();
+    const report = applyOddsSettings(settings, proposed);
+
+    if (countSimulatedRounds(settings, gameIds, rounds) > MAX_SIMULATED_ROUNDS_TOTAL) {
+      return res.status(400).json({
+        success: false,
+        error: `That is over ${MAX_SIMULATED_ROUNDS_TOTAL} rounds in total; pick fewer games or rounds`
+      });
+    }
+
+    // Same random source as real rounds, under a throwaway server seed
+    const serverSeed = typeof seed === 'string' && seed ? seed : crypto.randomBytes(32).toString('hex');
+    const games = simulateGames(settings, {
+      gameIds,
+      rounds,
+      stake,
+      rngFor: (gameId, betKey, nonce) => createFairRng(serverSeed, `simulate:${gameId}:${betKey}`, nonce)
+    });
+
+    res.json({ success: true, seed: serverSeed, rounds, stake, violation: rtpViolation(report), games });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.error });
+    }
+    console.error('Simulation error:', error);
+    res.status(500).json({ success: false, error: 'Simulation failed' });
+  }
+});
+
 // Update Game Settings
-app.put('/api/admin/game-settings', authenticateToken, requireAdmin, async (req, res) => {
+app.put('/api/admin/game-settings', authenticateToken, requirePermission('games.settings'), idempotent, async (req, res) => {
   try {
     const {
-      houseFee, maxBet, minBet, minDeposit, maxDeposit, difficulty, gamesEnabled,
-      payoutMultipliers, tripleWinChances, spinWinChances,
-      slotsWinChances, slotsMultiplierWinChances, slotsPayouts, rouletteWinChances, coinWinChances, diceWinChances,
-      applyDifficultyPreset
+      maxBet, minBet, minDeposit, maxDeposit, difficulty, gamesEnabled,
+      applyDifficultyPreset, approvalThreshold
     } = req.body;
 
     let settings = await GameSettings.findOne();
     if (!settings) settings = new GameSettings();
+    const before = settings.toObject();
+
+    // The threshold guards payouts, so game-ops staff can't lower it along with the odds.
+    if (approvalThreshold !== undefined && Number(approvalThreshold) !== settings.approvalThreshold) {
+      if (!permissionsFor(req.user).includes('approvals.configure')) {
+        return res.status(403).json({ success: false, error: 'You do not have permission to change the approval threshold' });
+      }
+      if (!Number.isFinite(Number(approvalThreshold)) || Number(approvalThreshold) < 0) {
+        return res.status(400).json({ success: false, error: 'Approval threshold must be zero or more' });
+      }
+      settings.approvalThreshold = Number(approvalThreshold);
+    }
 
-    if (houseFee !== undefined) settings.houseFee = houseFee;
     if (maxBet !== undefined) settings.maxBet = maxBet;
     if (minBet !== undefined) settings.minBet = minBet;
     if (minDeposit !== undefined) settings.minDeposit = minDeposit;
     if (maxDeposit !== undefined) settings.maxDeposit = maxDeposit;
     if (difficulty !== undefined) settings.difficulty = difficulty;
     if (gamesEnabled) settings.gamesEnabled = { ...settings.gamesEnabled?.toObject?.() || settings.gamesEnabled || {}, ...gamesEnabled };
-    if (payoutMultipliers) settings.payoutMultipliers = { ...settings.payoutMultipliers?.toObject?.() || settings.payoutMultipliers || {}, ...payoutMultipliers };
-    if (tripleWinChances) settings.tripleWinChances = { ...settings.tripleWinChances?.toObject?.() || settings.tripleWinChances || {}, ...tripleWinChances };
-    if (spinWinChances) settings.spinWinChances = { ...settings.spinWinChances?.toObject?.() || settings.spinWinChances || {}, ...spinWinChances };
-    if (slotsWinChances) settings.slotsWinChances = { ...settings.slotsWinChances?.toObject?.() || settings.slotsWinChances || {}, ...slotsWinChances };
-    if (slotsMultiplierWinChances) settings.slotsMultiplierWinChances = { ...settings.slotsMultiplierWinChances?.toObject?.() || settings.slotsMultiplierWinChances || {}, ...slotsMultiplierWinChances };
-    if (slotsPayouts) settings.slotsPayouts = { ...settings.slotsPayouts?.toObject?.() || settings.slotsPayouts || {}, ...slotsPayouts };
-    if (rouletteWinChances) settings.rouletteWinChances = { ...settings.rouletteWinChances?.toObject?.() || settings.rouletteWinChances || {}, ...rouletteWinChances };
-    if (coinWinChances) settings.coinWinChances = { ...settings.coinWinChances?.toObject?.() || settings.coinWinChances || {}, ...coinWinChances };
-    if (diceWinChances) settings.diceWinChances = { ...settings.diceWinChances?.toObject?.() || settings.diceWinChances || {}, ...diceWinChances };
-
-    if (applyDifficultyPreset && DIFFICULTY_PRESETS[applyDifficultyPreset]) {
-      const preset = DIFFICULTY_PRESETS[applyDifficultyPreset];
-      settings.difficulty = applyDifficultyPreset;
-      settings.tripleWinChances = preset.triple;
-      settings.spinWinChances = preset.spin;
-      settings.slotsWinChances = preset.slots;
-      settings.slotsMultiplierWinChances = preset.slotsMultiplier;
-      settings.rouletteWinChances = preset.roulette;
-      settings.coinWinChances = preset.coin;
-      settings.diceWinChances = preset.dice;
+
+    // No game may be set to pay out more than it takes in.
+    const violation = rtpViolation(applyOddsSettings(settings, req.body));
+    if (violation) {
+      return res.status(400).json({ success: false, error: violation });
     }
 
     settings.updatedAt = new Date();
     settings.updatedBy = req.user.id;
     await settings.save();
 
+    await recordAudit(req, {
+      action: 'game-settings.update',
+      targetType: 'game-settings',
+      targetId: settings._id,
+      before,
+      after: settings.toObject(),
+      metadata: applyDifficultyPreset ? { preset: applyDifficultyPreset } : undefined
+    });
+
     res.json({ success: true, message: 'Game settings updated successfully', settings });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ success: false, error: error.error });
+    }
     console.error('Update settings error:', error);
     res.status(500).json({ success: false, error: 'Failed to update settings' });
   }
 });
 
 // Send SMS to Users
-app.post('/api/admin/send-sms', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/send-sms', authenticateToken, requirePermission('sms.send'), idempotent, async (req, res) => {
   try {
     const { userIds, message } = req.body;
 
@@ -1829,6 +4814,12 @@ app.post('/api/admin/send-sms', authenticateToken, requireAdmin, async (req, res
       response: smsResponse
     });
 
+    await recordAudit(req, {
+      action: 'sms.send',
+      targetType: 'users',
+      metadata: { recipients: phones.length, userIds: users.map((u) => u._id), message }
+    });
+
     res.json({
       success: true,
       message: `SMS sent to ${phones.length} users`,
@@ -1854,7 +4845,7 @@ app.post('/api/admin/send-sms', authenticateToken, requireAdmin, async (req, res
 });
 
 // Send SMS to All Users
-app.post('/api/admin/send-sms-all', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/send-sms-all', authenticateToken, requirePermission('sms.send'), idempotent, async (req, res) => {
   try {
     const { message } = req.body;
 
@@ -1862,7 +4853,7 @@ app.post('/api/admin/send-sms-all', authenticateToken, requireAdmin, async (req,
       return res.status(400).json({ success: false, error: 'Message is required' });
     }
 
-    const users = await User.find({ isAdmin: false });
+    const users = await User.find({ isAdmin: false, deletedAt: null });
     const phones = users.map(u => u.phone);
 
     if (phones.length === 0) {
@@ -1879,6 +4870,12 @@ app.post('/api/admin/send-sms-all', authenticateToken, requireAdmin, async (req,
       response: smsResponse
     });
 
+    await recordAudit(req, {
+      action: 'sms.send-all',
+      targetType: 'users',
+      metadata: { recipients: phones.length, message }
+    });
+
     res.json({
       success: true,
       message: `SMS sent to all ${phones.length} users`,
@@ -1891,7 +4888,7 @@ app.post('/api/admin/send-sms-all', authenticateToken, requireAdmin, async (req,
 });
 
 // Get SMS Logs
-app.get('/api/admin/sms-logs', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/sms-logs', authenticateToken, requirePermission('sms.send'), async (req, res) => {
   try {
     const logs = await SMSLog.find()
       .populate('sentBy', 'email')
@@ -1905,9 +4902,9 @@ app.get('/api/admin/sms-logs', authenticateToken, requireAdmin, async (req, res)
 });
 
 // Get Dashboard Stats
-app.get('/api/admin/stats', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/stats', authenticateToken, requirePermission('reports.view'), async (req, res) => {
   try {
-    const totalUsers = await User.countDocuments({ isAdmin: false });
+    const totalUsers = await User.countDocuments({ isAdmin: false, deletedAt: null });
     const totalBalance = await User.aggregate([
       { $match: { isAdmin: false } },
       { $group: { _id: null, total: { $sum: '$balance' } } }
@@ -1918,8 +4915,9 @@ app.get('/api/admin/stats', authenticateToken, requireAdmin, async (req, res) =>
       { $group: { _id: null, total: { $sum: '$amount' } } }
     ]);
 
+    // Payouts end as `paid`; `approved` rows are withdrawals paid out by hand before that.
     const totalWithdrawals = await Transaction.aggregate([
-      { $match: { type: 'withdrawal', status: 'approved' } },
+      { $match: { type: 'withdrawal', status: { $in: ['paid', 'approved'] } } },
       { $group: { _id: null, total: { $sum: '$amount' } } }
     ]);
 
@@ -1956,68 +4954,119 @@ app.get('/api/admin/stats', authenticateToken, requireAdmin, async (req, res) =>
   }
 });
 
-// Admin Get All Spin History
-app.get('/api/admin/spin-history', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const history = await SpinGameHistory.find()
-      .populate('userId', 'email phone')
-      .sort({ createdAt: -1 })
-      .limit(100);
-
-    res.json({ success: true, history });
-  } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to fetch admin spin history' });
-  }
-});
-
-// Admin Get All Slots History
-app.get('/api/admin/slots-history', authenticateToken, requireAdmin, async (req, res) => {
+// Ledger Reconciliation — compare each cached wallet balance with its journal sum
+app.get('/api/admin/ledger/reconcile', authenticateToken, requirePermission('reports.view'), async (req, res) => {
   try {
-    const history = await SlotsGameHistory.find()
-      .populate('userId', 'email phone')
-      .sort({ createdAt: -1 })
-      .limit(100);
-    res.json({ success: true, history });
-  } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to fetch admin slots history' });
-  }
-});
+    const ledgerTotals = await LedgerEntry.aggregate([
+      { $unwind: '$legs' },
+      { $match: { 'legs.userId': { $ne: null } } },
+      {
+        $group: {
+          _id: '$legs.userId',
+          credits: { $sum: '$legs.credit' },
+          debits: { $sum: '$legs.debit' },
+          entries: { $sum: 1 }
+        }
+      }
+    ]);
+    const totalsByUser = new Map(ledgerTotals.map((row) => [String(row._id), row]));
+
+    const users = await User.find().select('email phone balance');
+    const drifts = [];
+
+    users.forEach((user) => {
+      const totals = totalsByUser.get(String(user._id));
+      const ledgerBalance = roundMoney(totals ? totals.credits - totals.debits : 0);
+      const cachedBalance = roundMoney(user.balance || 0);
+      const drift = roundMoney(cachedBalance - ledgerBalance);
+
+      if (Math.abs(drift) >= 0.01) {
+        drifts.push({
+          userId: user._id,
+          email: user.email,
+          phone: user.phone,
+          cachedBalance,
+          ledgerBalance,
+          drift,
+          ledgerEntries: totals?.entries || 0
+        });
+      }
+    });
 
-// Admin Get All Roulette History
-app.get('/api/admin/roulette-history', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const history = await RouletteGameHistory.find()
-      .populate('userId', 'email phone')
-      .sort({ createdAt: -1 })
-      .limit(100);
-    res.json({ success: true, history });
+    res.json({
+      success: true,
+      checkedUsers: users.length,
+      driftCount: drifts.length,
+      drifts
+    });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to fetch admin roulette history' });
+    console.error('Ledger reconcile error:', error);
+    res.status(500).json({ success: false, error: 'Failed to reconcile ledger' });
   }
 });
 
-// Admin Get Coin History
-app.get('/api/admin/coin-history', authenticateToken, requireAdmin, async (req, res) => {
+// Ledger Opening Balances — journal balances that predate the ledger so they reconcile
+app.post('/api/admin/ledger/opening-balances', authenticateToken, requirePermission('ledger.manage'), idempotent, async (req, res) => {
   try {
-    const history = await CoinGameHistory.find().populate('userId', 'email phone').sort({ createdAt: -1 }).limit(100);
-    res.json({ success: true, history });
+    const journalled = await LedgerEntry.distinct('legs.userId');
+    const users = await User.find({ _id: { $nin: journalled }, balance: { $ne: 0 } }).select('balance');
+
+    // These entries record balances that already exist, so they are written directly
+    // rather than through postEntry (which would credit the wallet a second time).
+    for (const user of users) {
+      const amount = roundMoney(user.balance);
+      await LedgerEntry.create({
+        type: 'opening',
+        memo: 'Opening balance',
+        createdBy: req.user.id,
+        legs: [
+          { ...walletLeg(user._id, amount >= 0 ? { credit: amount } : { debit: -amount }), balanceAfter: amount },
+          houseLeg(LEDGER_ACCOUNTS.opening, amount >= 0 ? { debit: amount } : { credit: -amount })
+        ]
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'ledger.opening-balances',
+      targetType: 'ledger',
+      metadata: { count: users.length, userIds: users.map((user) => user._id) }
+    });
+
+    res.json({ success: true, message: `Opening balances recorded for ${users.length} user(s)`, count: users.length });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to fetch admin coin history' });
+    console.error('Ledger opening balances error:', error);
+    res.status(500).json({ success: false, error: 'Failed to record opening balances' });
   }
 });
 
-// Admin Get Dice History
-app.get('/api/admin/dice-history', authenticateToken, requireAdmin, async (req, res) => {
+const ADMIN_GAME_HISTORY_LIMIT = 100;
+
+const adminHistoryRoute = (gameIdOf) => async (req, res) => {
   try {
-    const history = await DiceGameHistory.find().populate('userId', 'email phone').sort({ createdAt: -1 }).limit(100);
+    const game = getGame(gameIdOf(req));
+    if (!game) {
+      return res.status(404).json({ success: false, error: 'Unknown game' });
+    }
+    const history = await betModels[game.id].find()
+      .populate('userId', 'email phone')
+      .sort({ createdAt: -1 })
+      .limit(ADMIN_GAME_HISTORY_LIMIT);
+
     res.json({ success: true, history });
   } catch (error) {
-    res.status(500).json({ success: false, error: 'Failed to fetch admin dice history' });
+    res.status(500).json({ success: false, error: 'Failed to fetch admin game history' });
   }
+};
+
+// Admin Get Recent Rounds of One Game
+app.get('/api/admin/games/:gameId/history', authenticateToken, requirePermission('games.history'), adminHistoryRoute((req) => req.params.gameId));
+
+Object.entries(LEGACY_GAME_ROUTES).filter(([, paths]) => paths.adminHistory).forEach(([gameId, paths]) => {
+  app.get(paths.adminHistory, authenticateToken, requirePermission('games.history'), adminHistoryRoute(() => gameId));
 });
 
 // Toggle Block User
-app.post('/api/admin/toggle-block-user', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/toggle-block-user', authenticateToken, requirePermission('users.manage'), idempotent, async (req, res) => {
   try {
     const { userId } = req.body;
     const user = await User.findById(userId);
@@ -2032,6 +5081,16 @@ app.post('/api/admin/toggle-block-user', authenticateToken, requireAdmin, async
 
     user.isBlocked = !user.isBlocked;
     await user.save();
+    if (user.isBlocked) await revokeAuthSessions({ userId: user._id }, 'blocked');
+
+    await recordAudit(req, {
+      action: user.isBlocked ? 'user.block' : 'user.unblock',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: user.email,
+      before: { isBlocked: !user.isBlocked },
+      after: { isBlocked: user.isBlocked }
+    });
 
     res.json({ success: true, message: `User ${user.isBlocked ? 'blocked' : 'unblocked'} successfully`, isBlocked: user.isBlocked });
   } catch (error) {
@@ -2039,13 +5098,13 @@ app.post('/api/admin/toggle-block-user', authenticateToken, requireAdmin, async
   }
 });
 
-// Delete User
-app.delete('/api/admin/users/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Delete User - closes the account and scrubs its personal details. Transactions,
+// game history and ledger entries are kept.
+app.delete('/api/admin/users/:id', authenticateToken, requirePermission('users.manage'), idempotent, async (req, res) => {
   try {
-    const userId = req.params.id;
-    const user = await User.findById(userId);
+    const user = await User.findById(req.params.id);
 
-    if (!user) {
+    if (!user || user.deletedAt) {
       return res.status(404).json({ success: false, error: 'User not found' });
     }
 
@@ -2053,22 +5112,64 @@ app.delete('/api/admin/users/:id', authenticateToken, requireAdmin, async (req,
       return res.status(403).json({ success: false, error: 'Cannot delete administrative accounts' });
     }
 
-    // Clean up related data to prevent orphaned records.
-    await Transaction.deleteMany({ userId: user._id });
-    await GameHistory.deleteMany({ userId: user._id });
-
-    // Actually delete the user
-    await User.findByIdAndDelete(userId);
+    const email = user.email;
+    const before = { balance: user.balance, isBlocked: user.isBlocked, deletedAt: null };
+    await closeAccount(user, { closedBy: req.user.id, reason: req.body?.reason || 'Removed by admin' });
+
+    await recordAudit(req, {
+      action: 'user.delete',
+      targetType: 'user',
+      targetId: user._id,
+      targetLabel: email,
+      before,
+      after: { balance: user.balance, isBlocked: user.isBlocked, deletedAt: user.deletedAt }
+    });
 
-    res.json({ success: true, message: 'User and associated data completely removed from system' });
+    res.json({ success: true, message: 'User account closed. Personal details were removed; financial records are kept.' });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
     console.error('Failed to delete user:', error);
     res.status(500).json({ success: false, error: 'Failed to remove user' });
   }
 });
 
+// List Backups
+app.get('/api/admin/backups', authenticateToken, requirePermission('data.backup'), async (req, res) => {
+  try {
+    const snapshots = await listSnapshots();
+    res.json({
+      success: true,
+      snapshots,
+      schedule: { intervalHours: BACKUP_INTERVAL_MS / (60 * 60 * 1000), keep: BACKUP_KEEP, dir: BACKUP_DIR }
+    });
+  } catch (error) {
+    console.error('List backups error:', error);
+    res.status(500).json({ success: false, error: 'Failed to list backups' });
+  }
+});
+
+// Take Backup Now
+app.post('/api/admin/backups', authenticateToken, requirePermission('data.backup'), idempotent, async (req, res) => {
+  try {
+    const manifest = await createSnapshot(mongoose.connection.db, { reason: `manual by ${req.user.email}` });
+    const documents = Object.values(manifest.collections).reduce((sum, collection) => sum + collection.count, 0);
+
+    await recordAudit(req, {
+      action: 'database.backup',
+      targetType: 'database',
+      targetLabel: manifest.id,
+      metadata: { collections: Object.keys(manifest.collections).length, documents }
+    });
+
+    res.json({ success: true, message: `Snapshot ${manifest.id} taken (${documents} documents)`, snapshot: manifest.id });
+  } catch (error) {
+    console.error('Backup error:', error);
+    res.status(500).json({ success: false, error: 'Failed to take backup' });
+  }
+});
+
 // Wipe all database data except admin accounts
-app.post('/api/admin/wipe-database', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/wipe-database', authenticateToken, requirePermission('data.wipe'), requireStepUp, idempotent, async (req, res) => {
   try {
     const { confirmation } = req.body;
 
@@ -2089,55 +5190,76 @@ app.post('/api/admin/wipe-database', authenticateToken, requireAdmin, async (req
       });
     }
 
+    // Nothing is deleted until this request has snapshotted everything it is about to delete.
+    let snapshot;
+    try {
+      snapshot = await createSnapshot(mongoose.connection.db, { reason: `before wipe by ${req.user.email}` });
+    } catch (error) {
+      console.error('Pre-wipe backup failed:', error);
+      return res.status(503).json({ success: false, error: 'Could not take a backup first, so nothing was deleted' });
+    }
+
     const [
       transactionsDeleted,
-      gameHistoryDeleted,
+      betsDeleted,
       smsLogsDeleted,
-      spinHistoryDeleted,
-      slotsHistoryDeleted,
-      rouletteHistoryDeleted,
-      coinHistoryDeleted,
-      diceHistoryDeleted,
       referrersDeleted,
       referralStatsDeleted,
       commissionTransactionsDeleted,
       referrerWithdrawalsDeleted,
+      ledgerEntriesDeleted,
+      fairnessSeedsDeleted,
+      paymentIntentsDeleted,
+      playSessionsDeleted,
       usersDeleted,
     ] = await Promise.all([
       Transaction.deleteMany({}),
-      GameHistory.deleteMany({}),
+      Bet.deleteMany({}),
       SMSLog.deleteMany({}),
-      SpinGameHistory.deleteMany({}),
-      SlotsGameHistory.deleteMany({}),
-      RouletteGameHistory.deleteMany({}),
-      CoinGameHistory.deleteMany({}),
-      DiceGameHistory.deleteMany({}),
       Referrer.deleteMany({}),
       ReferralStats.deleteMany({}),
       CommissionTransaction.deleteMany({}),
       ReferrerWithdrawal.deleteMany({}),
+      // The ledger model rejects deletes, so the wipe goes straight to the collection.
+      LedgerEntry.collection.deleteMany({}),
+      FairnessSeed.deleteMany({}),
+      PaymentIntent.deleteMany({}),
+      PlaySession.deleteMany({}),
       User.deleteMany({ isAdmin: { $ne: true } }),
     ]);
 
-    console.log(`🗑️ Database wiped by admin ${req.user.email}. Kept ${adminCount} admin account(s).`);
+    console.log(`🗑️ Database wiped by admin ${req.user.email}. Kept ${adminCount} admin account(s). Backup: ${snapshot.id}`);
+
+    await recordAudit(req, {
+      action: 'database.wipe',
+      targetType: 'database',
+      metadata: {
+        users: usersDeleted.deletedCount,
+        transactions: transactionsDeleted.deletedCount,
+        ledgerEntries: ledgerEntriesDeleted.deletedCount,
+        referrers: referrersDeleted.deletedCount,
+        preservedAdmins: adminUsers.map((admin) => admin.email),
+        backup: snapshot.id
+      }
+    });
 
     res.json({
       success: true,
-      message: `All data wiped. ${adminCount} admin account(s) preserved.`,
+      message: `All data wiped. ${adminCount} admin account(s) preserved. Backup ${snapshot.id} was taken first.`,
+      backup: snapshot.id,
       deleted: {
         users: usersDeleted.deletedCount,
         transactions: transactionsDeleted.deletedCount,
-        gameHistory: gameHistoryDeleted.deletedCount,
+        bets: betsDeleted.deletedCount,
         smsLogs: smsLogsDeleted.deletedCount,
-        spinHistory: spinHistoryDeleted.deletedCount,
-        slotsHistory: slotsHistoryDeleted.deletedCount,
-        rouletteHistory: rouletteHistoryDeleted.deletedCount,
-        coinHistory: coinHistoryDeleted.deletedCount,
-        diceHistory: diceHistoryDeleted.deletedCount,
         referrers: referrersDeleted.deletedCount,
         referralStats: referralStatsDeleted.deletedCount,
         commissionTransactions: commissionTransactionsDeleted.deletedCount,
         referrerWithdrawals: referrerWithdrawalsDeleted.deletedCount,
+        ledgerEntries: ledgerEntriesDeleted.deletedCount,
+        fairnessSeeds: fairnessSeedsDeleted.deletedCount,
+        paymentIntents: paymentIntentsDeleted.deletedCount,
+        playSessions: playSessionsDeleted.deletedCount,
       },
       preservedAdmins: adminUsers.map((admin) => admin.email),
     });
@@ -2237,35 +5359,173 @@ app.post('/api/referral/login', async (req, res) => {
       return res.status(403).json({ success: false, error: 'Account deactivated. Contact admin.' });
     }
 
+    // With 2FA on, sign-in finishes at /api/referral/2fa/login. Without it the token only
+    // reaches 2FA setup (see authenticateReferrer).
+    if (referrer.twoFactor?.enabled) {
+      return res.json({ success: true, twoFactorRequired: true, challengeToken: signTwoFactorChallenge(referrer, 'referrer') });
+    }
+
     referrer.lastLogin = new Date();
     await referrer.save();
 
-    const token = jwt.sign(
-      { id: referrer._id, email: referrer.email, isReferrer: true },
-      JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    res.json({ success: true, referrer: publicReferrer(referrer), token: signReferrerToken(referrer) });
+  } catch (error) {
+    console.error('Referrer login error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Referrer Forgot Password
+app.post('/api/referral/forgot-password', async (req, res) => {
+  await connectToDatabase();
+  await sendPasswordResetCode(Referrer, 'referrer-password-reset', req.body.email);
+  res.json({ success: true, message: PASSWORD_RESET_SENT });
+});
+
+// Referrer Reset Password
+app.post('/api/referral/reset-password', async (req, res) => {
+  await connectToDatabase();
+
+  try {
+    await resetAccountPassword(Referrer, 'referrer-password-reset', req.body);
+    res.json({ success: true, message: 'Password reset. Please log in with your new password.' });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Referrer reset password error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Referrer Change Password
+app.post('/api/referral/change-password', authenticateReferrer, idempotent, async (req, res) => {
+  await connectToDatabase();
+
+  try {
+    const referrer = await changeAccountPassword(Referrer, req.referrer.id, req.body);
+    res.json({ success: true, message: 'Password changed', token: signReferrerToken(referrer, { mfa: true }) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Referrer change password error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Referrer 2FA - second step of login
+app.post('/api/referral/2fa/login', async (req, res) => {
+  await connectToDatabase();
+
+  try {
+    const challenge = readTwoFactorChallenge(req.body.challengeToken, 'referrer');
+    await verifySecondFactor(Referrer, challenge.id, req.body);
+
+    const referrer = await Referrer.findById(challenge.id);
+    if (!referrer || (referrer.tokenVersion || 0) !== (challenge.tv || 0)) {
+      return res.status(401).json({ success: false, error: 'Your sign-in attempt has expired. Please log in again.' });
+    }
+    if (!referrer.isActive) {
+      return res.status(403).json({ success: false, error: 'Account deactivated. Contact admin.' });
+    }
+
+    referrer.lastLogin = new Date();
+    await referrer.save();
+
+    res.json({ success: true, referrer: publicReferrer(referrer), token: signReferrerToken(referrer, { mfa: true }) });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Referrer 2FA login error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+app.post('/api/referral/2fa/login/sms', async (req, res) => {
+  await connectToDatabase();
 
+  try {
+    const challenge = readTwoFactorChallenge(req.body.challengeToken, 'referrer');
+    const { expiresAt } = await sendTwoFactorSms(Referrer, challenge.id);
+    res.json({ success: true, message: 'A sign-in code has been sent to your phone', expiresAt });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Referrer 2FA SMS error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send sign-in code' });
+  }
+});
+
+// Referrer 2FA - start enrollment
+app.post('/api/referral/2fa/setup', authenticateReferrer, async (req, res) => {
+  await connectToDatabase();
+
+  try {
+    const setup = await beginTwoFactorSetup(Referrer, req.referrer.id);
+    res.json({ success: true, ...setup });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Referrer 2FA setup error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Referrer 2FA - finish enrollment. Older tokens are invalidated; this device gets a
+// verified one back.
+app.post('/api/referral/2fa/enable', authenticateReferrer, async (req, res) => {
+  await connectToDatabase();
+
+  try {
+    const { backupCodes } = await confirmTwoFactorSetup(Referrer, req.referrer.id, req.body.code);
+    const referrer = await Referrer.findByIdAndUpdate(req.referrer.id, { $inc: { tokenVersion: 1 } }, { new: true });
     res.json({
       success: true,
-      referrer: {
-        _id: referrer._id,
-        name: referrer.name,
-        email: referrer.email,
-        phone: referrer.phone,
-        referralCode: referrer.referralCode,
-        commissionBalance: referrer.commissionBalance,
-        totalEarnings: referrer.totalEarnings,
-        commissionRate: referrer.commissionRate
-      },
-      token
+      message: 'Two-factor authentication is on',
+      backupCodes,
+      token: signReferrerToken(referrer, { mfa: true })
     });
   } catch (error) {
-    console.error('Referrer login error:', error);
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Referrer 2FA enable error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+app.post('/api/referral/2fa/backup-codes', authenticateReferrer, async (req, res) => {
+  await connectToDatabase();
+
+  try {
+    const backupCodes = await regenerateBackupCodes(Referrer, req.referrer.id, req.body);
+    res.json({ success: true, message: 'New backup codes created. The old ones no longer work.', backupCodes });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Referrer 2FA backup codes error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// Referrer 2FA - step-up token for withdrawals
+app.post('/api/referral/2fa/step-up', authenticateReferrer, async (req, res) => {
+  await connectToDatabase();
+
+  try {
+    await verifySecondFactor(Referrer, req.referrer.id, req.body);
+    res.json({ success: true, stepUpToken: signStepUpToken(req), expiresIn: STEP_UP_TTL_SECONDS });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Referrer 2FA step-up error:', error);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
+app.post('/api/referral/2fa/step-up/sms', authenticateReferrer, async (req, res) => {
+  await connectToDatabase();
+
+  try {
+    const { expiresAt } = await sendTwoFactorSms(Referrer, req.referrer.id);
+    res.json({ success: true, message: 'A confirmation code has been sent to your phone', expiresAt });
+  } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
+    console.error('Referrer 2FA step-up SMS error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send confirmation code' });
+  }
+});
+
 // Get Referrer Info
 app.get('/api/referral/me', authenticateReferrer, async (req, res) => {
   await connectToDatabase();
@@ -2384,12 +5644,14 @@ app.get('/api/referral/commissions', authenticateReferrer, async (req, res) => {
 });
 
 // Request Withdrawal
-app.post('/api/referral/withdraw', authenticateReferrer, async (req, res) => {
+app.post('/api/referral/withdraw', authenticateReferrer, requireStepUp, idempotent, async (req, res) => {
   await connectToDatabase();
   
   try {
-    const { amount } = req.body;
+    const { amount, phone, network } = req.body;
     const referrer = await Referrer.findById(req.referrer.id);
+    const payoutPhone = formatGhanaPhone(phone || referrer.phone);
+    const payoutNetwork = network || 'mtn';
 
     const MIN_WITHDRAWAL = 50;
 
@@ -2400,6 +5662,14 @@ app.post('/api/referral/withdraw', authenticateReferrer, async (req, res) => {
       });
     }
 
+    if (!payoutPhone) {
+      return res.status(400).json({ success: false, error: 'Enter a valid Ghana phone number for your withdrawal' });
+    }
+
+    if (!VALID_WALLET_NETWORKS.includes(payoutNetwork)) {
+      return res.status(400).json({ success: false, error: 'Invalid mobile network' });
+    }
+
     if (referrer.commissionBalance < amount) {
       return res.status(400).json({ success: false, error: 'Insufficient balance' });
     }
@@ -2411,7 +5681,8 @@ app.post('/api/referral/withdraw', authenticateReferrer, async (req, res) => {
       referrerId: referrer._id,
       amount,
       reference: `RWTD_${Date.now()}_${referrer._id}`,
-      status: 'pending'
+      status: 'pending',
+      paymentDetails: { phone: payoutPhone, network: payoutNetwork }
     });
     await withdrawal.save();
 
@@ -2426,7 +5697,7 @@ app.post('/api/referral/withdraw', authenticateReferrer, async (req, res) => {
 
     // Notify all admins
     try {
-      const admins = await User.find({ isAdmin: true });
+      const admins = await User.find({ isAdmin: true, role: { $in: rolesWithPermission('withdrawals.approve') } });
       for (const admin of admins) {
         await payloqaAPI.sendSMS(
           admin.phone,
@@ -2469,7 +5740,7 @@ app.get('/api/referral/withdrawals', authenticateReferrer, async (req, res) => {
 // ============================================================================
 
 // Get All Referrers
-app.get('/api/admin/referrers', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/referrers', authenticateToken, requirePermission('referrers.manage'), async (req, res) => {
   await connectToDatabase();
   
   try {
@@ -2501,7 +5772,7 @@ app.get('/api/admin/referrers', authenticateToken, requireAdmin, async (req, res
 });
 
 // Approve Referrer
-app.post('/api/admin/approve-referrer', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/approve-referrer', authenticateToken, requirePermission('referrers.manage'), idempotent, async (req, res) => {
   await connectToDatabase();
   
   try {
@@ -2521,6 +5792,15 @@ app.post('/api/admin/approve-referrer', authenticateToken, requireAdmin, async (
     referrer.approvedAt = new Date();
     await referrer.save();
 
+    await recordAudit(req, {
+      action: 'referrer.approve',
+      targetType: 'referrer',
+      targetId: referrer._id,
+      targetLabel: referrer.email,
+      before: { isApproved: false },
+      after: { isApproved: true }
+    });
+
     try {
       await payloqaAPI.sendSMS(
         referrer.phone,
@@ -2541,7 +5821,7 @@ app.post('/api/admin/approve-referrer', authenticateToken, requireAdmin, async (
 });
 
 // Update Referrer Settings
-app.put('/api/admin/referrer/:id', authenticateToken, requireAdmin, async (req, res) => {
+app.put('/api/admin/referrer/:id', authenticateToken, requirePermission('referrers.manage'), idempotent, async (req, res) => {
   await connectToDatabase();
   
   try {
@@ -2552,6 +5832,7 @@ app.put('/api/admin/referrer/:id', authenticateToken, requireAdmin, async (req,
       return res.status(404).json({ success: false, error: 'Referrer not found' });
     }
 
+    const before = { commissionRate: referrer.commissionRate, isActive: referrer.isActive };
     if (commissionRate !== undefined) {
       referrer.commissionRate = commissionRate;
     }
@@ -2561,6 +5842,15 @@ app.put('/api/admin/referrer/:id', authenticateToken, requireAdmin, async (req,
 
     await referrer.save();
 
+    await recordAudit(req, {
+      action: 'referrer.update',
+      targetType: 'referrer',
+      targetId: referrer._id,
+      targetLabel: referrer.email,
+      before,
+      after: { commissionRate: referrer.commissionRate, isActive: referrer.isActive }
+    });
+
     res.json({
       success: true,
       message: 'Referrer updated successfully',
@@ -2573,7 +5863,7 @@ app.put('/api/admin/referrer/:id', authenticateToken, requireAdmin, async (req,
 });
 
 // Get Referrer Withdrawals (Admin)
-app.get('/api/admin/referrer-withdrawals', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/referrer-withdrawals', authenticateToken, requirePermission('withdrawals.view'), async (req, res) => {
   await connectToDatabase();
   
   try {
@@ -2588,13 +5878,13 @@ app.get('/api/admin/referrer-withdrawals', authenticateToken, requireAdmin, asyn
 });
 
 // Approve Referrer Withdrawal
-app.post('/api/admin/approve-referrer-withdrawal', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/approve-referrer-withdrawal', authenticateToken, requirePermission('withdrawals.approve'), requireStepUp, idempotent, async (req, res) => {
   await connectToDatabase();
   
   try {
     const { withdrawalId } = req.body;
 
-    const withdrawal = await ReferrerWithdrawal.findById(withdrawalId).populate('referrerId');
+    const withdrawal = await ReferrerWithdrawal.findById(withdrawalId).populate('referrerId', 'email');
     if (!withdrawal) {
       return res.status(404).json({ success: false, error: 'Withdrawal not found' });
     }
@@ -2603,34 +5893,28 @@ app.post('/api/admin/approve-referrer-withdrawal', authenticateToken, requireAdm
       return res.status(400).json({ success: false, error: 'Already processed' });
     }
 
-    const referrer = withdrawal.referrerId;
-
-    withdrawal.status = 'approved';
-    withdrawal.processedAt = new Date();
-    withdrawal.processedBy = req.user.id;
-    await withdrawal.save();
-
-    try {
-      await payloqaAPI.sendSMS(
-        referrer.phone,
-        `Your withdrawal of GHS ${withdrawal.amount.toFixed(2)} has been approved! Funds will be sent within 24 hours. 💰`
-      );
-    } catch (smsError) {
-      console.error('Approval SMS failed:', smsError);
+    const threshold = await getApprovalThreshold();
+    if (needsSecondApproval(withdrawal.amount, threshold)) {
+      const approval = await queueApproval(req, {
+        kind: 'referrer-withdrawal',
+        amount: withdrawal.amount,
+        targetId: withdrawal._id,
+        targetLabel: withdrawal.referrerId?.email,
+        lockKey: `referrer-withdrawal:${withdrawal._id}`
+      });
+      return sendPendingApproval(res, approval, threshold);
     }
 
-    res.json({
-      success: true,
-      message: 'Withdrawal approved successfully'
-    });
+    res.json({ success: true, ...await approveReferrerPayout(req, withdrawal._id) });
   } catch (error) {
+    if (error.status) return res.status(error.status).json({ success: false, error: error.error });
     console.error('Approve withdrawal error:', error);
     res.status(500).json({ success: false, error: 'Failed to approve withdrawal' });
   }
 });
 
 // Reject Referrer Withdrawal
-app.post('/api/admin/reject-referrer-withdrawal', authenticateToken, requireAdmin, async (req, res) => {
+app.post('/api/admin/reject-referrer-withdrawal', authenticateToken, requirePermission('withdrawals.approve'), idempotent, async (req, res) => {
   await connectToDatabase();
   
   try {
@@ -2654,6 +5938,17 @@ app.post('/api/admin/reject-referrer-withdrawal', authenticateToken, requireAdmi
     const referrer = withdrawal.referrerId;
     referrer.commissionBalance += withdrawal.amount;
     await referrer.save();
+    await cancelPendingApprovals(req, `referrer-withdrawal:${withdrawal._id}`, 'Withdrawal was rejected');
+
+    await recordAudit(req, {
+      action: 'referrer-withdrawal.reject',
+      targetType: 'referrer-withdrawal',
+      targetId: withdrawal._id,
+      targetLabel: referrer.email,
+      before: { status: 'pending' },
+      after: { status: 'rejected' },
+      metadata: { amount: withdrawal.amount, reason: reason || null }
+    });
 
     try {
       await payloqaAPI.sendSMS(
@@ -2675,7 +5970,7 @@ app.post('/api/admin/reject-referrer-withdrawal', authenticateToken, requireAdmi
 });
 
 // Get Referral System Stats (Admin)
-app.get('/api/admin/referral-system-stats', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/admin/referral-system-stats', authenticateToken, requirePermission('referrers.manage'), async (req, res) => {
   await connectToDatabase();
   
   try {
@@ -2722,10 +6017,23 @@ const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/lucky-
 mongoose.connect(MONGODB_URI)
   .then(() => {
     console.log('✅ Connected to MongoDB');
+    migrateAdminRoles().catch((error) => console.error('Admin role migration error:', error));
+    setInterval(() => {
+      processPayoutQueue().catch((error) => console.error('Payout queue error:', error));
+    }, PAYOUT_POLL_INTERVAL_MS);
+    setInterval(() => {
+      processOpenDeposits().catch((error) => console.error('Deposit poller error:', error));
+    }, DEPOSIT_POLL_INTERVAL_MS);
+    if (BACKUP_INTERVAL_MS > 0) {
+      setInterval(() => {
+        runScheduledBackup().catch((error) => console.error('Scheduled backup error:', error));
+      }, BACKUP_INTERVAL_MS);
+    }
     app.listen(PORT, () => {
       console.log(`🚀 Server running on port ${PORT}`);
       console.log(`📡 API: http://localhost:${PORT}/api`);
       console.log(`💳 Payloqa payments: ${PAYLOQA_CONFIG.paymentsBaseURL}`);
+      console.log(`💸 Payloqa payouts: ${PAYLOQA_CONFIG.payoutsBaseURL}`);
       console.log(`🌐 Webhook URL: ${process.env.BACKEND_URL || 'http://localhost:5000'}/api/payments/webhook`);
     });
   })
@@ -2738,74 +6046,16 @@ process.on('unhandledRejection', (err) => {
   console.error('Unhandled Promise Rejection:', err);
 });
 
-app.post('/api/payments/deposit', authenticateToken, async (req, res) => {
-  await connectToDatabase();
-  try {
-    const { amount, network, paymentId, reference, phone } = req.body;
-    const user = await User.findById(req.user.id);
-
-    if (!user) {
-      return res.status(404).json({ success: false, error: 'User not found' });
-    }
-
-    const formattedPhone = formatGhanaPhone(phone);
-    if (formattedPhone) {
-      user.phone = formattedPhone;
-    }
-
-    const paymentRef = reference || paymentId;
-    const existing = paymentRef
-      ? await Transaction.findOne({ reference: paymentRef })
-      : null;
-
-    if (existing) {
-      const freshUser = await User.findById(req.user.id);
-      return res.json({
-        success: true,
-        message: 'Already recorded',
-        user: {
-          _id: freshUser._id,
-          email: freshUser.email,
-          phone: freshUser.phone,
-          balance: freshUser.balance,
-          isAdmin: freshUser.isAdmin,
-        },
-      });
-    }
-
-    user.balance += parseFloat(amount);
-    await user.save();
-
-    await Transaction.create({
-      userId: user._id,
-      type: 'deposit',
-      amount: parseFloat(amount),
-      status: 'completed',
-      processedAt: new Date(),
-      reference: paymentRef,
-      paymentDetails: formattedPhone || network
-        ? { phone: formattedPhone || user.phone, network: network || null }
-        : undefined,
-    });
-
-    res.json({
-      success: true,
-      message: 'Deposit recorded',
-      user: {
-        _id: user._id,
-        email: user.email,
-        phone: user.phone,
-        balance: user.balance,
-        isAdmin: user.isAdmin,
-      }
-    });
-  } catch (error) {
-    console.error('Deposit error:', error);
-    res.status(500).json({ success: false, error: 'Failed to record deposit' });
-  }
+// Retired: deposits used to be credited with whatever amount the client reported here.
+// They are now credited only from a confirmed PaymentIntent (webhook, status check or poller).
+app.post('/api/payments/deposit', authenticateToken, (req, res) => {
+  res.status(410).json({
+    success: false,
+    error: 'Deposits are confirmed by the server. Check progress with /api/payments/status/:paymentId'
+  });
 });
 
-app.post('/api/payments/initiate', authenticateToken, async (req, res) => {
+app.post('/api/payments/initiate', authenticateToken, idempotent, async (req, res) => {
   try {
     const { amount, phone, network } = req.body;
     const user = await User.findById(req.user.id);
@@ -2845,8 +6095,15 @@ app.post('/api/payments/initiate', authenticateToken, async (req, res) => {
       return res.status(400).json({ success: false, error: 'Invalid mobile network' });
     }
 
-    user.phone = formattedPhone;
-    await user.save();
+    const exclusion = activeSelfExclusion(user);
+    if (exclusion) {
+      return res.status(403).json({ success: false, error: selfExclusionMessage(exclusion) });
+    }
+
+    const limitError = await checkPlayerLimits(user, { deposit: depositAmount });
+    if (limitError) {
+      return res.status(403).json({ success: false, error: limitError });
+    }
 
     const redirectUrl = process.env.FRONTEND_URL || 'https://luckytriplegame.com';
     const result = await payloqaPaymentsAPI.createPayment({
@@ -2876,6 +6133,14 @@ app.post('/api/payments/initiate', authenticateToken, async (req, res) => {
       });
     }
 
+    await PaymentIntent.create({
+      paymentId: result.data.data.payment_id,
+      userId: user._id,
+      amount: depositAmount,
+      phone: formattedPhone,
+      network: paymentNetwork,
+    });
+
     res.json({
       success: true,
       paymentId: result.data.data.payment_id,
@@ -2888,16 +6153,30 @@ app.post('/api/payments/initiate', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/payments/verify-otp', authenticateToken, async (req, res) => {
+app.post('/api/payments/verify-otp', authenticateToken, idempotent, async (req, res) => {
   try {
     const { paymentId, phone, otpCode } = req.body;
-    const formattedPhone = formatGhanaPhone(phone);
-    const payloqaPhone = toPayloqaPhone(phone);
 
     if (!paymentId) {
       return res.status(400).json({ success: false, error: 'Payment ID is required' });
     }
 
+    const intent = await PaymentIntent.findOne({ paymentId, userId: req.user.id });
+    if (!intent) {
+      return res.status(404).json({ success: false, error: 'Deposit not found' });
+    }
+    if (intent.status !== 'initiated') {
+      return res.status(409).json({ success: false, error: `Deposit is already ${intent.status.replace('_', ' ')}` });
+    }
+
+    const exclusion = activeSelfExclusion(await User.findById(req.user.id));
+    if (exclusion) {
+      return res.status(403).json({ success: false, error: selfExclusionMessage(exclusion) });
+    }
+
+    const formattedPhone = formatGhanaPhone(phone || intent.phone);
+    const payloqaPhone = toPayloqaPhone(phone || intent.phone);
+
     if (!formattedPhone || !payloqaPhone) {
       return res.status(400).json({ success: false, error: 'Valid phone number is required' });
     }
@@ -2921,6 +6200,11 @@ app.post('/api/payments/verify-otp', authenticateToken, async (req, res) => {
       });
     }
 
+    await PaymentIntent.updateOne(
+      { _id: intent._id, status: 'initiated' },
+      { $set: { status: 'otp_verified', otpVerifiedAt: new Date() } }
+    );
+
     res.json({
       success: true,
       message: result.data.data?.message || 'OTP verified',
@@ -2933,16 +6217,21 @@ app.post('/api/payments/verify-otp', authenticateToken, async (req, res) => {
   }
 });
 
-app.post('/api/payments/resend-otp', authenticateToken, async (req, res) => {
+app.post('/api/payments/resend-otp', authenticateToken, idempotent, async (req, res) => {
   try {
     const { paymentId, phone } = req.body;
-    const formattedPhone = formatGhanaPhone(phone);
-    const payloqaPhone = toPayloqaPhone(phone);
+    const intent = paymentId ? await PaymentIntent.findOne({ paymentId, userId: req.user.id }) : null;
+    const formattedPhone = formatGhanaPhone(phone || intent?.phone);
+    const payloqaPhone = toPayloqaPhone(phone || intent?.phone);
 
     if (!paymentId || !formattedPhone || !payloqaPhone) {
       return res.status(400).json({ success: false, error: 'Payment ID and phone are required' });
     }
 
+    if (!intent || intent.status !== 'initiated') {
+      return res.status(404).json({ success: false, error: 'No deposit is waiting for an OTP' });
+    }
+
     const result = await payloqaPaymentsAPI.resendOTP(paymentId, {
       phone_number: payloqaPhone,
     });
@@ -2964,21 +6253,31 @@ app.post('/api/payments/resend-otp', authenticateToken, async (req, res) => {
   }
 });
 
+// Deposit status for the player's own payment. Open deposits are re-checked with
+// Payloqa (and credited if completed) on every call.
 app.get('/api/payments/status/:paymentId', authenticateToken, async (req, res) => {
   try {
-    const { paymentId } = req.params;
-    const result = await payloqaPaymentsAPI.getStatus(paymentId);
+    const intent = await PaymentIntent.findOne({ paymentId: req.params.paymentId, userId: req.user.id });
+    if (!intent) {
+      return res.status(404).json({ success: false, error: 'Deposit not found' });
+    }
 
-    if (!result.ok || !result.data?.success) {
-      return res.status(400).json({
-        success: false,
-        error: result.data?.error?.message || result.data?.message || 'Failed to fetch payment status',
-      });
+    let current = intent;
+    let payment;
+    if (OPEN_DEPOSIT_STATUSES.includes(intent.status)) {
+      const synced = await syncPaymentIntent(intent, 'status-check');
+      if (!synced) {
+        return res.status(502).json({ success: false, error: 'Could not reach Payloqa. Try again shortly.' });
+      }
+      ({ intent: current, payment } = synced);
     }
 
+    const user = await User.findById(req.user.id);
     res.json({
       success: true,
-      payment: result.data.data,
+      deposit: publicDeposit(current),
+      payment,
+      user: user ? publicUser(user) : undefined,
     });
   } catch (error) {
     console.error('Payment status error:', error);
@@ -2986,4 +6285,18 @@ app.get('/api/payments/status/:paymentId', authenticateToken, async (req, res) =
   }
 });
 
+// Get User Deposits
+app.get('/api/payments/my-deposits', authenticateToken, async (req, res) => {
+  try {
+    const deposits = await PaymentIntent.find({ userId: req.user.id })
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({ success: true, deposits: deposits.map(publicDeposit) });
+  } catch (error) {
+    console.error('Get deposits error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch deposits' });
+  }
+});
+
 
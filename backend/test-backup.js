@@ -0,0 +1,69 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { check } = require('./test-harness');
+const { createSnapshot, listSnapshots, restoreSnapshot, pruneSnapshots } = require('./backup');
+
+// Round-trips a snapshot through an in-memory MongoDB (mongodb-memory-server): seeds a
+// database, snapshots it, restores into a second database and compares the two. Run
+// with `node test-backup.js`; a failed check sets a non-zero exit code.
+const testBackup = async () => {
+  const mongo = await MongoMemoryServer.create();
+  const source = mongoose.createConnection(mongo.getUri('lucky-triple-backup-test'));
+  const target = mongoose.createConnection(mongo.getUri('lucky-triple-restore-test'));
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'lucky-triple-backups-'));
+
+  try {
+    await Promise.all([source.asPromise(), target.asPromise()]);
+
+    const users = source.db.collection('users');
+    await users.createIndex({ email: 1 }, { unique: true });
+    await users.insertMany([
+      { email: 'a@example.com', balance: 12.5, createdAt: new Date('2024-01-01T00:00:00Z'), tags: ['vip'] },
+      { email: 'b@example.com', balance: 0, twoFactor: { enabled: false } }
+    ]);
+    const entries = source.db.collection('ledgerentries');
+    await entries.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await entries.insertMany(Array.from({ length: 1200 }, (_, i) => ({ seq: i, amount: i / 100 })));
+    await source.db.createCollection('emptythings');
+
+    const manifest = await createSnapshot(source.db, { reason: 'test', dir });
+    console.log('Snapshot counts:', Object.entries(manifest.collections).map(([name, c]) => `${name}=${c.count}`).join(', '));
+    console.log('Listed:', (await listSnapshots({ dir })).map((s) => `${s.id} (${s.documents} docs)`).join(', '));
+
+    const { restored } = await restoreSnapshot(target.db, manifest.id, { dir });
+    console.log('Restored:', Object.entries(restored).map(([name, count]) => `${name}=${count}`).join(', '));
+
+    const dump = async (db, name) => mongoose.mongo.BSON.EJSON.stringify(
+      await db.collection(name).find({}).sort({ _id: 1 }).toArray(),
+      { relaxed: false }
+    );
+    for (const name of Object.keys(manifest.collections)) {
+      check(`Identical ${name}`, (await dump(source.db, name)) === (await dump(target.db, name)));
+    }
+    const indexNames = async (db) => (await db.collection('users').indexes()).map((index) => index.name).sort().join(',');
+    check('Indexes restored', (await indexNames(source.db)) === (await indexNames(target.db)));
+
+    try {
+      await restoreSnapshot(target.db, manifest.id, { dir });
+      check('Restore into non-empty database refused', false, 'it was allowed');
+    } catch (error) {
+      check('Restore into non-empty database refused', error.status === 409, error.error || error.message);
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await createSnapshot(source.db, { reason: 'test', dir });
+    check('Pruned', (await pruneSnapshots(1, { dir })).includes(manifest.id));
+  } finally {
+    await Promise.all([source.close(), target.close()]);
+    await mongo.stop();
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+};
+
+testBackup().catch((error) => {
+  console.error('Backup test error:', error.error || error.message);
+  process.exitCode = 1;
+});
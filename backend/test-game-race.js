@@ -0,0 +1,71 @@
+const { startTestServer, createUser, loginAs, ledgerBalance, check } = require('./test-harness');
+
+// Fires a burst of concurrent coin plays at a wallet that can only cover a few of them,
+// once with transactions (single-node replica set) and once on a standalone server where
+// processGamePayout falls back to the guarded $inc. The wallet must never go below zero
+// and must match its ledger afterwards. Needs mongodb-memory-server (a devDependency);
+// run with `node test-game-race.js`.
+const OPENING_BALANCE = 30;
+const STAKE = 10;
+const PLAYS = 25;
+
+const raceCoinPlays = async (replicaSet) => {
+  const mode = replicaSet ? 'replica set' : 'standalone';
+  const server = await startTestServer({ replicaSet });
+  try {
+    const userId = await createUser(server.db, {
+      email: 'racer@example.com',
+      phone: '233241234567',
+      balance: OPENING_BALANCE
+    });
+    const player = await loginAs(server, 'racer@example.com');
+    // Create the fairness seed up front so the burst only races on the wallet.
+    await player.get('/fairness/seed');
+
+    const responses = await Promise.all(Array.from({ length: PLAYS }, () => player.post('/game/coin', {
+      choice: 'heads',
+      betType: 'one',
+      bet: STAKE
+    })));
+    const played = responses.filter((response) => response.status === 200 && response.data.success);
+    const refused = responses.filter((response) => response.status === 400 && response.data.error === 'Insufficient balance');
+    console.log(`[${mode}] ${played.length} played, ${refused.length} refused for balance, ${PLAYS - played.length - refused.length} other`);
+    check(`[${mode}] Every play either settled or was refused for balance`, played.length + refused.length === PLAYS,
+      responses.filter((response) => !played.includes(response) && !refused.includes(response))
+        .map((response) => `${response.status} ${response.data.error}`).join('; '));
+
+    const user = await server.db.collection('users').findOne({ _id: userId });
+    const bets = await server.db.collection('bets').find({ userId }).toArray();
+    const entries = await server.db.collection('ledgerentries').find({ 'legs.account': `user:${userId}` }).toArray();
+    const walletLegs = entries.flatMap((entry) => entry.legs.filter((leg) => leg.account === `user:${userId}`));
+    const gameEntries = entries.filter((entry) => entry.type === 'game');
+
+    check(`[${mode}] Balance not negative`, user.balance >= 0, `balance ${user.balance}`);
+    check(`[${mode}] No ledger leg below zero`, walletLegs.every((leg) => leg.balanceAfter >= 0));
+    check(`[${mode}] No round below zero`, bets.every((bet) => bet.balanceBefore >= 0 && bet.balanceAfter >= 0));
+    check(`[${mode}] Nothing left on hold`, (user.heldBalance || 0) === 0);
+    check(`[${mode}] One round and one ledger entry per settled play`,
+      bets.length === played.length && gameEntries.length === played.length,
+      `${played.length} played, ${bets.length} rounds, ${gameEntries.length} entries`);
+
+    const won = bets.reduce((total, bet) => total + bet.winAmount, 0);
+    const expected = Math.round((OPENING_BALANCE + won - STAKE * bets.length) * 100) / 100;
+    check(`[${mode}] Balance equals opening + wins - stakes`, user.balance === expected, `${user.balance} vs ${expected}`);
+    const fromLedger = await ledgerBalance(server.db, userId);
+    check(`[${mode}] Ledger sums match the wallet`, fromLedger === user.balance, `ledger ${fromLedger}, wallet ${user.balance}`);
+  } finally {
+    await server.stop();
+  }
+};
+
+const testGameRace = async () => {
+  try {
+    await raceCoinPlays(true);
+    await raceCoinPlays(false);
+  } catch (error) {
+    console.error('Game race test error:', error.error || error.message);
+    process.exitCode = 1;
+  }
+};
+
+testGameRace();
@@ -0,0 +1,161 @@
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+const axios = require('axios');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet, MongoMemoryServer } = require('mongodb-memory-server');
+
+// Shared setup for the end-to-end tests: runs server.js as its own process against an
+// in-memory MongoDB (mongodb-memory-server), so requests go through the real routes,
+// middleware and ledger. A single-node replica set gives the server transactions; a
+// standalone server exercises its guarded-update fallback instead.
+
+const SERVER_READY_TIMEOUT_MS = 30 * 1000;
+// Nothing listens here, so a test never reaches the real Payloqa by accident.
+const UNREACHABLE_URL = 'http://127.0.0.1:9';
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const waitForServer = async (url, child, logs) => {
+  const deadline = Date.now() + SERVER_READY_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    if (child.exitCode !== null) throw new Error(`server.js exited with code ${child.exitCode}:\n${logs.join('')}`);
+    try {
+      const response = await axios.get(`${url}/api/games`, { timeout: 1000 });
+      if (response.status === 200) return;
+    } catch {
+      // Not listening yet.
+    }
+    await new Promise((resolve) => setTimeout(resolve, 200));
+  }
+  throw new Error(`server.js did not start within ${SERVER_READY_TIMEOUT_MS / 1000}s:\n${logs.join('')}`);
+};
+
+// Starts MongoDB and server.js. `env` is added to the server's environment (e.g. the
+// Payloqa URLs of a mock). Call stop() when done.
+const startTestServer = async ({ replicaSet = true, env = {} } = {}) => {
+  const mongo = replicaSet
+    ? await MongoMemoryReplSet.create({ replSet: { count: 1 } })
+    : await MongoMemoryServer.create();
+  const uri = mongo.getUri('lucky-triple-test');
+  const port = await freePort();
+  const url = `http://localhost:${port}`;
+
+  const logs = [];
+  const child = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+    cwd: __dirname,
+    env: {
+      ...process.env,
+      MONGODB_URI: uri,
+      PORT: String(port),
+      BACKEND_URL: url,
+      JWT_SECRET: 'test-secret',
+      BACKUP_INTERVAL_HOURS: '0',
+      PAYLOQA_PAYMENTS_URL: UNREACHABLE_URL,
+      PAYLOQA_PAYOUTS_URL: UNREACHABLE_URL,
+      PAYLOQA_SMS_URL: UNREACHABLE_URL,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', (chunk) => logs.push(chunk.toString()));
+  child.stderr.on('data', (chunk) => logs.push(chunk.toString()));
+
+  const connection = mongoose.createConnection(uri);
+  const stop = async () => {
+    if (child.exitCode === null) {
+      const exited = new Promise((resolve) => child.once('exit', resolve));
+      child.kill();
+      await exited;
+    }
+    await connection.close();
+    await mongo.stop();
+  };
+
+  try {
+    await connection.asPromise();
+    await waitForServer(url, child, logs);
+  } catch (error) {
+    await stop();
+    throw error;
+  }
+
+  return {
+    url,
+    db: connection.db,
+    logs,
+    api: axios.create({ baseURL: `${url}/api`, validateStatus: () => true }),
+    stop
+  };
+};
+
+// Inserts an account (a player unless `fields` say otherwise) whose opening balance is
+// journalled the way migrated wallets are, so the wallet and the ledger agree from the start.
+const createUser = async (db, { email, phone, password = 'password123', balance = 0, ...fields }) => {
+  const now = new Date();
+  const { insertedId } = await db.collection('users').insertOne({
+    email,
+    phone,
+    phoneVerifiedAt: now,
+    password: await bcrypt.hash(password, 10),
+    balance,
+    heldBalance: 0,
+    tokenVersion: 0,
+    isAdmin: false,
+    role: null,
+    isBlocked: false,
+    twoFactor: { enabled: false, failedAttempts: 0 },
+    deletedAt: null,
+    createdAt: now,
+    ...fields
+  });
+  if (balance > 0) {
+    await db.collection('ledgerentries').insertOne({
+      type: 'opening',
+      legs: [
+        { account: `user:${insertedId}`, userId: insertedId, debit: 0, credit: balance, balanceAfter: balance },
+        { account: 'house:opening', debit: balance, credit: 0 }
+      ],
+      memo: 'Test opening balance',
+      createdAt: now
+    });
+  }
+  return insertedId;
+};
+
+// Logs in and returns an axios instance that sends the access token.
+const loginAs = async (server, email, password = 'password123') => {
+  const response = await server.api.post('/auth/login', { email, password });
+  if (!response.data.token) throw new Error(`Login failed for ${email}: ${JSON.stringify(response.data)}`);
+  return axios.create({
+    baseURL: `${server.url}/api`,
+    headers: { Authorization: `Bearer ${response.data.token}` },
+    validateStatus: () => true
+  });
+};
+
+// The wallet's balance as the ledger has it: every credit minus every debit on its account.
+const ledgerBalance = async (db, userId) => {
+  const [row] = await db.collection('ledgerentries').aggregate([
+    { $unwind: '$legs' },
+    { $match: { 'legs.account': `user:${userId}` } },
+    { $group: { _id: null, total: { $sum: { $subtract: ['$legs.credit', '$legs.debit'] } } } }
+  ]).toArray();
+  return Math.round((row?.total || 0) * 100) / 100;
+};
+
+// Prints one check the way test-backup.js does, and fails the run if it doesn't hold.
+const check = (label, ok, detail = '') => {
+  console.log(`${label}:`, ok, detail);
+  if (!ok) process.exitCode = 1;
+};
+
+module.exports = { startTestServer, createUser, loginAs, ledgerBalance, check };
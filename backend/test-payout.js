@@ -0,0 +1,144 @@
+// The mock reads these when it loads; server.js gets the same secret below.
+process.env.MOCK_PAYLOQA_DELAY_MS = process.env.MOCK_PAYLOQA_DELAY_MS || '200';
+process.env.PAYLOQA_WEBHOOK_SECRET = process.env.PAYLOQA_WEBHOOK_SECRET || 'payout-test-secret';
+
+const crypto = require('crypto');
+const { ObjectId } = require('mongoose').Types;
+const { createMockPayloqa } = require('./mock-payloqa');
+const { startTestServer, createUser, loginAs, ledgerBalance, check } = require('./test-harness');
+
+// Drives withdrawals through server.js with Payloqa replaced by the local mock: request
+// (funds held), admin approval, payout, signed webhook, settlement. Checks the
+// withdrawal's status and the wallet, hold and ledger after a paid, a failed, a rejected
+// and a retried payout. Needs mongodb-memory-server (a devDependency); run with
+// `node test-payout.js`. The mock picks each payout's outcome from the number's last
+// digits (see mock-payloqa.js).
+const SETTLE_TIMEOUT_MS = 15 * 1000;
+
+const backupCode = () => crypto.randomBytes(4).toString('hex');
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Signs a finance admin in with 2FA and returns a client that can approve withdrawals.
+const signInApprover = async (server) => {
+    const codes = [backupCode(), backupCode()];
+    await createUser(server.db, {
+        email: 'finance@example.com',
+        phone: '233201111111',
+        isAdmin: true,
+        role: 'finance',
+        twoFactor: { enabled: true, failedAttempts: 0, backupCodeHashes: codes.map(sha256) }
+    });
+
+    const login = await server.api.post('/auth/login', { email: 'finance@example.com', password: 'password123' });
+    const verified = await server.api.post('/auth/2fa/login', { challengeToken: login.data.challengeToken, code: codes[0] });
+    if (!verified.data.token) throw new Error(`Admin 2FA login failed: ${JSON.stringify(verified.data)}`);
+    const headers = { Authorization: `Bearer ${verified.data.token}` };
+
+    const stepUp = await server.api.post('/auth/2fa/step-up', { code: codes[1] }, { headers });
+    if (!stepUp.data.stepUpToken) throw new Error(`Step-up failed: ${JSON.stringify(stepUp.data)}`);
+    return (transactionId) => server.api.post(
+        '/admin/approve-withdrawal',
+        { transactionId },
+        { headers: { ...headers, 'X-Step-Up-Token': stepUp.data.stepUpToken } }
+    );
+};
+
+const testPayouts = async () => {
+    const mock = createMockPayloqa();
+    const mockServer = mock.app.listen(0);
+    const mockURL = `http://localhost:${mockServer.address().port}/api/v1`;
+    let server = null;
+
+    try {
+        server = await startTestServer({
+            env: {
+                PAYLOQA_PAYMENTS_URL: `${mockURL}/payments`,
+                PAYLOQA_PAYOUTS_URL: `${mockURL}/payouts`,
+                PAYLOQA_SMS_URL: mockURL,
+                PAYLOQA_WEBHOOK_SECRET: process.env.PAYLOQA_WEBHOOK_SECRET
+            }
+        });
+        const { db } = server;
+        const approve = await signInApprover(server);
+
+        const wallet = (userId) => db.collection('users').findOne({ _id: userId });
+        const withdrawal = (id) => db.collection('transactions').findOne({ _id: id });
+        const waitForSettlement = async (id) => {
+            const deadline = Date.now() + SETTLE_TIMEOUT_MS;
+            let record = await withdrawal(id);
+            while (record.status === 'processing' && Date.now() < deadline) {
+                await new Promise((resolve) => setTimeout(resolve, 100));
+                record = await withdrawal(id);
+            }
+            return record;
+        };
+        const request = async (player, body) => {
+            const response = await player.post('/withdrawals/request', body);
+            if (!response.data.success) throw new Error(`Withdrawal request failed: ${JSON.stringify(response.data)}`);
+            return new ObjectId(response.data.transaction._id);
+        };
+        const checkWallet = async (label, userId, balance, heldBalance) => {
+            const user = await wallet(userId);
+            check(`${label}: balance`, user.balance === balance, `${user.balance}, expected ${balance}`);
+            check(`${label}: held`, (user.heldBalance || 0) === heldBalance, `${user.heldBalance}, expected ${heldBalance}`);
+            const fromLedger = await ledgerBalance(db, userId);
+            check(`${label}: ledger matches wallet`, fromLedger === user.balance, `ledger ${fromLedger}`);
+        };
+
+        // Paid: the hold turns into a withdrawal ledger entry once the webhook confirms it.
+        const payeeId = await createUser(db, { email: 'payee@example.com', phone: '233241234567', balance: 100 });
+        const payee = await loginAs(server, 'payee@example.com');
+        const paidId = await request(payee, { amount: 40 });
+        await checkWallet('Requested', payeeId, 100, 40);
+
+        const approved = await approve(paidId);
+        console.log('Approved:', approved.status, approved.data.message);
+        const paid = await waitForSettlement(paidId);
+        check('Paid: status', paid.status === 'paid', paid.status);
+        check('Paid: payout status', paid.payout?.status === 'paid', paid.payout?.status);
+        check('Paid: ledger entry', Boolean(await db.collection('ledgerentries').findOne({ type: 'withdrawal', reference: paid.reference })));
+        await checkWallet('Paid', payeeId, 60, 0);
+
+        // Failed: a new number (confirmed by SMS code) whose payout Payloqa accepts and then fails.
+        const otp = await payee.post('/otp/request', { purpose: 'withdrawal', phone: '0249999999' });
+        console.log('OTP requested:', otp.status, otp.data.message);
+        const code = [...mock.sms].reverse().find((message) => message.recipient_number === '+233249999999')?.message.match(/\b\d{6}\b/)?.[0];
+        const failedId = await request(payee, { amount: 25, phone: '0249999999', otpCode: code });
+        await checkWallet('Requested to new number', payeeId, 60, 25);
+        check('New number saved', (await wallet(payeeId)).phone === '233249999999');
+
+        await approve(failedId);
+        const failed = await waitForSettlement(failedId);
+        check('Failed: status', failed.status === 'failed', failed.status);
+        console.log('Failed: reason:', failed.payout?.lastError);
+        check('Failed: no ledger entry', !(await db.collection('ledgerentries').findOne({ reference: failed.reference })));
+        await checkWallet('Failed', payeeId, 60, 0);
+
+        // Rejected up front: settled as failed by the approval itself, hold released.
+        const rejectedUserId = await createUser(db, { email: 'rejected@example.com', phone: '233240000000', balance: 50 });
+        const rejectedId = await request(await loginAs(server, 'rejected@example.com'), { amount: 20 });
+        const rejectedApproval = await approve(rejectedId);
+        check('Rejected: failed on approval', rejectedApproval.data.status === 'failed', rejectedApproval.data.message);
+        check('Rejected: status', (await withdrawal(rejectedId)).status === 'failed');
+        await checkWallet('Rejected', rejectedUserId, 50, 0);
+
+        // Busy: Payloqa answers 503, so the payout is queued for a retry with the hold kept.
+        // The retry itself runs from the payout queue a minute later and isn't waited for.
+        const busyUserId = await createUser(db, { email: 'busy@example.com', phone: '233241235030', balance: 50 });
+        const busyId = await request(await loginAs(server, 'busy@example.com'), { amount: 10 });
+        await approve(busyId);
+        const busy = await withdrawal(busyId);
+        check('Busy: still processing', busy.status === 'processing', busy.status);
+        check('Busy: queued after one attempt', busy.payout?.status === 'queued' && busy.payout?.attempts === 1,
+            `${busy.payout?.status}, ${busy.payout?.attempts} attempt(s)`);
+        await checkWallet('Busy', busyUserId, 50, 10);
+    } catch (error) {
+        console.error('Payout test error:', error.error || error.message);
+        process.exitCode = 1;
+    } finally {
+        if (server) await server.stop();
+        mockServer.close();
+    }
+};
+
+testPayouts();
@@ -2,6 +2,7 @@ import { useEffect } from 'react'
 import { Routes, Route, useNavigate, useLocation } from "react-router-dom";
 import LuckyTripleGame from './LuckyTripleGame'
 import { ReferralApp } from './components/referral/ReferralApp';
+import { FairnessPage } from './components/pages/FairnessPage';
 
 function App() {
   const navigate = useNavigate();
@@ -23,6 +24,7 @@ function App() {
       {/* Main Game Route */}
       <Route path="/" element={<LuckyTripleGame />} />
       <Route path="/signup" element={<LuckyTripleGame />} />
+      <Route path="/fairness" element={<FairnessPage />} />
       
       {/* Referral Portal Route */}
       <Route path="/referral/*" element={<ReferralApp />} />
@@ -2,8 +2,9 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { AuthPage } from './components/pages/AuthPage';
 import { GamePage } from './components/pages/GamePage';
 import { AdminDashboard } from './components/admin/Dashboard';
+import { StaffTwoFactorSetup } from './components/admin/StaffSecurity';
 import { LoadingScreen } from './components/ui/LoadingScreen';
-import { API } from './api-helper';
+import { API, clearSession } from './api-helper';
 
 // ============================================================================
 // MAIN APP
@@ -17,6 +18,13 @@ export default function LuckyTripleGame() {
     checkAuth();
   }, []);
 
+  // Fired by the API helper when the session was revoked or can't be refreshed.
+  useEffect(() => {
+    const handleSessionEnded = () => setUser(null);
+    window.addEventListener('session-ended', handleSessionEnded);
+    return () => window.removeEventListener('session-ended', handleSessionEnded);
+  }, []);
+
   const checkAuth = async () => {
     const token = localStorage.getItem('token');
     if (token) {
@@ -26,7 +34,7 @@ export default function LuckyTripleGame() {
           setUser(response.user);
         }
       } catch (error) {
-        localStorage.removeItem('token');
+        clearSession();
       }
     }
     setLoading(false);
@@ -36,9 +44,14 @@ export default function LuckyTripleGame() {
     setUser(loggedInUser);
   };
 
-  const handleLogout = () => {
+  const handleLogout = async () => {
+    try {
+      await API.logout();
+    } catch (error) {
+      console.error('Logout failed:', error);
+    }
     setUser(null);
-    localStorage.removeItem('token');
+    clearSession();
   };
 
   const handleUpdateUser = useCallback((updates) => {
@@ -57,6 +70,16 @@ export default function LuckyTripleGame() {
   }
 
   if (user.isAdmin) {
+    // Staff finish 2FA enrollment before the dashboard loads anything.
+    if (user.permissions?.length && !user.twoFactor?.verified) {
+      return (
+        <StaffTwoFactorSetup
+          user={user}
+          onComplete={() => handleUpdateUser({ twoFactor: { enabled: true, verified: true } })}
+          onLogout={handleLogout}
+        />
+      );
+    }
     return <AdminDashboard user={user} onLogout={handleLogout} />;
   }
 
@@ -10,25 +10,242 @@ console.log('🔗 API Base URL:', API_BASE_URL);
 // Configure axios defaults
 axios.defaults.baseURL = API_BASE_URL;
 
+// Unique key per logical request. crypto.randomUUID needs a secure context, so fall
+// back to random bytes on plain-http dev hosts.
+export const createIdempotencyKey = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+// The referral portal talks to the API with plain fetch and its own token. This posts
+// JSON and throws the server's message when the request fails.
+export const referralPost = async (endpoint, body = {}) => {
+  const token = localStorage.getItem('referrerToken');
+  const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+    method: 'POST',
+    headers: {
+      ...(token && { 'Authorization': `Bearer ${token}` }),
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+  if (!data.success) throw new Error(data.error || 'An error occurred');
+  return data;
+};
+
+// The access token is short-lived; the refresh token is swapped for a new pair when
+// it expires. Both rotate, so always keep the latest pair together.
+export const storeSession = ({ token, refreshToken }) => {
+  localStorage.setItem('token', token);
+  if (refreshToken) localStorage.setItem('refreshToken', refreshToken);
+};
+
+// High-risk admin actions answer 403 { stepUpRequired } until a fresh 2FA code is given.
+// StepUpPrompt listens for 'step-up-required' and resolves once it has stored a step-up
+// token; the request is then replayed with it. The token is reused until it expires.
+let stepUp = null;
+
+export const storeStepUpToken = ({ stepUpToken, expiresIn }) => {
+  stepUp = { token: stepUpToken, expiresAt: Date.now() + expiresIn * 1000 };
+};
+
+const requestStepUp = () => new Promise((resolve, reject) => {
+  window.dispatchEvent(new CustomEvent('step-up-required', { detail: { resolve, reject } }));
+});
+
+export const clearSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  stepUp = null;
+};
+
+// One refresh at a time: concurrent 401s all wait on the same request.
+let refreshing = null;
+const refreshSession = () => {
+  if (!refreshing) {
+    const refreshToken = localStorage.getItem('refreshToken');
+    refreshing = axios.post('/auth/refresh', { refreshToken }, { skipAuthRefresh: true })
+      .then((response) => storeSession(response.data))
+      .catch((error) => {
+        // Another tab may have rotated the pair already; only give up if it hasn't.
+        if (localStorage.getItem('refreshToken') !== refreshToken) return;
+        clearSession();
+        window.dispatchEvent(new CustomEvent('session-ended'));
+        throw error;
+      })
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+};
+
 // Add token to requests
 axios.interceptors.request.use((config) => {
   const token = localStorage.getItem('token');
   if (token) {
     config.headers.Authorization = `Bearer ${token}`;
   }
+  if (stepUp && stepUp.expiresAt > Date.now()) {
+    config.headers['X-Step-Up-Token'] = stepUp.token;
+  }
+  // State-changing requests carry an Idempotency-Key so a retry is replayed, not re-run.
+  const method = (config.method || 'get').toLowerCase();
+  if (method !== 'get' && !config.headers['Idempotency-Key']) {
+    config.headers['Idempotency-Key'] = createIdempotencyKey();
+  }
   return config;
 });
 
+// Retry once when the request never got a response (dropped mobile connection).
+// The retry reuses the same config, and therefore the same Idempotency-Key.
+// A 428 means a reality check is due; GamePage listens for the event and shows it.
+// An expired access token is refreshed once and the request replayed, and so is a
+// request that needed a 2FA step-up once the code has been confirmed.
+// Downloads ask for a Blob, so a JSON error body is decoded first.
+axios.interceptors.response.use(
+  (response) => response,
+  async (error) => {
+    const body = error.response?.data;
+    if (body instanceof Blob && body.type.includes('json')) {
+      try {
+        error.response.data = JSON.parse(await body.text());
+      } catch {
+        // Leave the body as it is.
+      }
+    }
+    if (error.response?.status === 428 && error.response.data?.realityCheck) {
+      window.dispatchEvent(new CustomEvent('reality-check', { detail: error.response.data.realityCheck }));
+    }
+    const config = error.config;
+    if (
+      config && error.response?.status === 401 && error.response.data?.tokenExpired
+      && !config.skipAuthRefresh && !config.authRetried && localStorage.getItem('refreshToken')
+    ) {
+      config.authRetried = true;
+      await refreshSession();
+      return axios(config);
+    }
+    if (config && error.response?.status === 403 && error.response.data?.stepUpRequired && !config.stepUpRetried) {
+      config.stepUpRetried = true;
+      try {
+        await requestStepUp();
+      } catch {
+        return Promise.reject(error);
+      }
+      return axios(config);
+    }
+    // Revoked, blocked or deleted: the session is over.
+    if (error.response?.status === 401 && !config?.skipAuthRefresh && localStorage.getItem('token')) {
+      clearSession();
+      window.dispatchEvent(new CustomEvent('session-ended'));
+    }
+    if (config && !error.response && config.headers?.['Idempotency-Key'] && !config.idempotentRetry) {
+      config.idempotentRetry = true;
+      return axios(config);
+    }
+    return Promise.reject(error);
+  }
+);
+
 // API functions
 export const API = {
   // Auth
-  login: async (email, password) => {
-    const response = await axios.post('/auth/login', { email, password });
+  // purpose 'withdrawal' lets a self-excluded player sign in to withdraw only.
+  login: async (email, password, purpose) => {
+    const response = await axios.post('/auth/login', { email, password, purpose });
+    return response.data;
+  },
+
+  signup: async (email, password, phone, referralCode, otpCode) => {
+    const response = await axios.post('/auth/signup', { email, password, phone, referralCode, otpCode });
+    return response.data;
+  },
+
+  requestSignupOtp: async (phone) => {
+    const response = await axios.post('/auth/otp/request', { phone });
+    return response.data;
+  },
+
+  // purpose: 'wallet-phone' | 'withdrawal'
+  requestOtp: async (purpose, phone) => {
+    const response = await axios.post('/otp/request', { purpose, phone });
+    return response.data;
+  },
+
+  forgotPassword: async (email) => {
+    const response = await axios.post('/auth/forgot-password', { email });
+    return response.data;
+  },
+
+  resetPassword: async (email, code, newPassword) => {
+    const response = await axios.post('/auth/reset-password', { email, code, newPassword });
+    return response.data;
+  },
+
+  // Signs out every other session; the response carries a fresh token for this one.
+  changePassword: async (currentPassword, newPassword) => {
+    const response = await axios.post('/auth/change-password', { currentPassword, newPassword });
+    return response.data;
+  },
+
+  // Second step of login when the response had twoFactorRequired.
+  // method: 'totp' | 'backup' | 'sms'; left out, the server infers it from the code.
+  verifyTwoFactorLogin: async (challengeToken, code, method) => {
+    const response = await axios.post('/auth/2fa/login', { challengeToken, code, method });
+    return response.data;
+  },
+
+  sendTwoFactorLoginSms: async (challengeToken) => {
+    const response = await axios.post('/auth/2fa/login/sms', { challengeToken });
+    return response.data;
+  },
+
+  // Returns { secret, otpauthUrl, qrCode } for the authenticator app.
+  startTwoFactorSetup: async () => {
+    const response = await axios.post('/auth/2fa/setup');
+    return response.data;
+  },
+
+  enableTwoFactor: async (code) => {
+    const response = await axios.post('/auth/2fa/enable', { code });
+    return response.data;
+  },
+
+  regenerateBackupCodes: async (code, method) => {
+    const response = await axios.post('/auth/2fa/backup-codes', { code, method });
+    return response.data;
+  },
+
+  stepUp: async (code, method) => {
+    const response = await axios.post('/auth/2fa/step-up', { code, method });
     return response.data;
   },
 
-  signup: async (email, password, phone, referralCode) => {
-    const response = await axios.post('/auth/signup', { email, password, phone, referralCode });
+  sendStepUpSms: async () => {
+    const response = await axios.post('/auth/2fa/step-up/sms');
+    return response.data;
+  },
+
+  logout: async () => {
+    const response = await axios.post('/auth/logout');
+    return response.data;
+  },
+
+  getSessions: async () => {
+    const response = await axios.get('/auth/sessions');
+    return response.data;
+  },
+
+  revokeSession: async (sessionId) => {
+    const response = await axios.delete(`/auth/sessions/${sessionId}`);
+    return response.data;
+  },
+
+  logoutEverywhere: async () => {
+    const response = await axios.post('/auth/logout-all');
     return response.data;
   },
 
@@ -37,6 +254,18 @@ export const API = {
     return response.data;
   },
 
+  // format 'json' or 'zip' (JSON plus a CSV per table); resolves to a Blob to save.
+  exportMyData: async (format = 'json') => {
+    const response = await axios.get('/user/export', { params: { format }, responseType: 'blob' });
+    return response.data;
+  },
+
+  // confirmation must be exactly 'CLOSE MY ACCOUNT'.
+  closeAccount: async (password, confirmation) => {
+    const response = await axios.post('/user/close-account', { password, confirmation });
+    return response.data;
+  },
+
   // Payments (server-side Payloqa API — avoids browser widget URL issues)
   initiatePayment: async (amount, phone, network) => {
     const response = await axios.post('/payments/initiate', { amount, phone, network });
@@ -58,13 +287,8 @@ export const API = {
     return response.data;
   },
 
-  recordDeposit: async ({ amount, network, paymentId, reference }) => {
-    const response = await axios.post('/payments/deposit', {
-      amount,
-      network,
-      paymentId,
-      reference,
-    });
+  getMyDeposits: async () => {
+    const response = await axios.get('/payments/my-deposits');
     return response.data;
   },
 
@@ -74,8 +298,8 @@ export const API = {
   },
 
   // Withdrawals
-  requestWithdrawal: async (amount, phone, network) => {
-    const response = await axios.post('/withdrawals/request', { amount, phone, network });
+  requestWithdrawal: async (amount, phone, network, otpCode) => {
+    const response = await axios.post('/withdrawals/request', { amount, phone, network, otpCode });
     return response.data;
   },
 
@@ -84,14 +308,20 @@ export const API = {
     return response.data;
   },
 
-  // Game
-  playGame: async (bet, guesses) => {
-    const response = await axios.post('/game/play', { bet, guesses });
+  // Games (see backend/games)
+  getGames: async () => {
+    const response = await axios.get('/games');
+    return response.data;
+  },
+
+  playGameRound: async (gameId, bet, params) => {
+    const response = await axios.post(`/games/${gameId}/play`, { ...params, bet });
     return response.data;
   },
 
-  getGameHistory: async () => {
-    const response = await axios.get('/game/history');
+  // Filters: game, from, to, result ('won' | 'lost'), minAmount, maxAmount, cursor, limit
+  getBets: async (params) => {
+    const response = await axios.get('/bets', { params });
     return response.data;
   },
 
@@ -100,44 +330,60 @@ export const API = {
     return response.data;
   },
 
-  // Spin Game
-  playSpinGame: async (bet, direction, multiplier) => {
-    const response = await axios.post('/game/spin', { bet, direction, multiplier });
+  // Provably fair
+  getFairnessSeed: async () => {
+    const response = await axios.get('/fairness/seed');
     return response.data;
   },
 
-  getSpinGameHistory: async () => {
-    const response = await axios.get('/game/spin-history');
+  setClientSeed: async (clientSeed) => {
+    const response = await axios.put('/fairness/client-seed', { clientSeed });
     return response.data;
   },
 
-  playSlotsGame: async (bet, symbol, multiplier) => {
-    const response = await axios.post('/game/slots', { bet, symbol, multiplier });
+  rotateSeed: async (clientSeed) => {
+    const response = await axios.post('/fairness/rotate', { clientSeed });
     return response.data;
   },
 
-  getSlotsGameHistory: async () => {
-    const response = await axios.get('/game/slots-history');
+  getFairRounds: async () => {
+    const response = await axios.get('/fairness/rounds');
     return response.data;
   },
 
-  playRouletteGame: async (bet, choice, multiplier) => {
-    const response = await axios.post('/game/roulette', { bet, choice, multiplier });
+  verifyRound: async (payload) => {
+    const response = await axios.post('/fairness/verify', payload);
     return response.data;
   },
 
-  playCoinGame: async (bet, choice, multiplier) => {
-    const response = await axios.post('/game/coin', { bet, choice, multiplier });
+  // Responsible gaming
+  getResponsibleGaming: async () => {
+    const response = await axios.get('/responsible-gaming');
     return response.data;
   },
 
-  playDiceGame: async (bet, choice, multiplier) => {
-    const response = await axios.post('/game/dice', { bet, choice, multiplier });
+  setGamingLimits: async (limits) => {
+    const response = await axios.put('/responsible-gaming/limits', { limits });
     return response.data;
   },
 
-  getRouletteGameHistory: async () => {
-    const response = await axios.get('/game/roulette-history');
+  setRealityCheckInterval: async (minutes) => {
+    const response = await axios.put('/responsible-gaming/reality-check', { minutes });
+    return response.data;
+  },
+
+  getPlaySession: async () => {
+    const response = await axios.get('/play-session');
+    return response.data;
+  },
+
+  acknowledgeRealityCheck: async () => {
+    const response = await axios.post('/play-session/acknowledge');
+    return response.data;
+  },
+
+  selfExclude: async (period) => {
+    const response = await axios.post('/responsible-gaming/self-exclude', { period });
     return response.data;
   },
 
@@ -147,6 +393,11 @@ export const API = {
     return response.data;
   },
 
+  getSelfExclusions: async () => {
+    const response = await axios.get('/admin/self-exclusions');
+    return response.data;
+  },
+
   creditUser: async (userId, amount, reason) => {
     const response = await axios.post('/admin/credit-user', { userId, amount, reason });
     return response.data;
@@ -167,33 +418,41 @@ export const API = {
     return response.data;
   },
 
-  getAdminSpinHistory: async () => {
-    const response = await axios.get('/admin/spin-history');
+  // status: pending, approved, rejected, cancelled, failed; omit for all
+  getApprovals: async (status) => {
+    const response = await axios.get('/admin/approvals', { params: { status } });
+    return response.data;
+  },
+
+  approveRequest: async (approvalId) => {
+    const response = await axios.post(`/admin/approvals/${approvalId}/approve`);
     return response.data;
   },
 
-  getAdminSlotsHistory: async () => {
-    const response = await axios.get('/admin/slots-history');
+  // Rejects someone else's request, or cancels your own.
+  rejectApprovalRequest: async (approvalId, reason) => {
+    const response = await axios.post(`/admin/approvals/${approvalId}/reject`, { reason });
     return response.data;
   },
 
-  getAdminRouletteHistory: async () => {
-    const response = await axios.get('/admin/roulette-history');
+  getAdminGameHistory: async (gameId) => {
+    const response = await axios.get(`/admin/games/${gameId}/history`);
     return response.data;
   },
 
-  getAdminCoinHistory: async () => {
-    const response = await axios.get('/admin/coin-history');
+  updateGameSettings: async (settings) => {
+    const response = await axios.put('/admin/game-settings', settings);
     return response.data;
   },
 
-  getAdminDiceHistory: async () => {
-    const response = await axios.get('/admin/dice-history');
+  previewGameSettings: async (settings) => {
+    const response = await axios.post('/admin/game-settings/preview', settings);
     return response.data;
   },
 
-  updateGameSettings: async (settings) => {
-    const response = await axios.put('/admin/game-settings', settings);
+  // { settings, rounds, stake, games, seed }
+  simulateGameSettings: async (options) => {
+    const response = await axios.post('/admin/simulate', options);
     return response.data;
   },
 
@@ -227,11 +486,38 @@ export const API = {
     return response.data;
   },
 
+  getBackups: async () => {
+    const response = await axios.get('/admin/backups');
+    return response.data;
+  },
+
+  createBackup: async () => {
+    const response = await axios.post('/admin/backups');
+    return response.data;
+  },
+
   wipeDatabase: async (confirmation) => {
     const response = await axios.post('/admin/wipe-database', { confirmation });
     return response.data;
   },
 
+  getAdminRoles: async () => {
+    const response = await axios.get('/admin/roles');
+    return response.data;
+  },
+
+  // filters: action, actor, targetType, targetId, from, to, page, limit
+  getAuditLog: async (filters = {}) => {
+    const response = await axios.get('/admin/audit-log', { params: filters });
+    return response.data;
+  },
+
+  // role null removes the account's staff access.
+  setStaffRole: async (email, role) => {
+    const response = await axios.put('/admin/staff-role', { email, role });
+    return response.data;
+  },
+
   // Referral Admin Routes
   getReferrers: async () => {
     const response = await axios.get('/admin/referrers');
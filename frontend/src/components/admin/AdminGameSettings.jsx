@@ -1,11 +1,17 @@
+import { useState, useEffect } from 'react';
 import { API } from '../../api-helper';
+import { SimulatePanel } from './Simulate';
 
+// Each preset sets the house fee (see DIFFICULTY_PRESETS in backend/games).
 const DIFFICULTY_OPTIONS = [
-  { id: 'easy', label: '😊 Easy (more wins)' },
-  { id: 'medium', label: '🎲 Medium (balanced)' },
-  { id: 'hard', label: '🔥 Hard (house edge)' },
+  { id: 'easy', label: '😊 Easy (3% house edge)' },
+  { id: 'medium', label: '🎲 Medium (6% house edge)' },
+  { id: 'hard', label: '🔥 Hard (10% house edge)' },
 ];
 
+// How long the form waits after an edit before asking the server for the new RTP.
+const RTP_PREVIEW_DELAY_MS = 400;
+
 const updateNested = (settings, key, subKey, value) => ({
   ...settings,
   [key]: { ...(settings[key] || {}), [subKey]: value },
@@ -18,16 +24,6 @@ const SettingInput = ({ label, value, onChange, min, max }) => (
   </div>
 );
 
-const MultiplierChances = ({ title, chancesKey, s, setGameSettings }) => (
-  <>
-    <h4>{title}</h4>
-    <SettingInput label="x2 Win %" value={s[chancesKey]?.x2} onChange={(v) => setGameSettings(updateNested(s, chancesKey, 'x2', v))} max={100} />
-    <SettingInput label="x3 Win %" value={s[chancesKey]?.x3} onChange={(v) => setGameSettings(updateNested(s, chancesKey, 'x3', v))} max={100} />
-    <SettingInput label="x4 Win %" value={s[chancesKey]?.x4} onChange={(v) => setGameSettings(updateNested(s, chancesKey, 'x4', v))} max={100} />
-    <p className="settings-hint">Win pays: bet × multiplier. Lose costs full bet.</p>
-  </>
-);
-
 const Toggle = ({ label, checked, onChange }) => (
   <label className="game-toggle">
     <input type="checkbox" checked={!!checked} onChange={(e) => onChange(e.target.checked)} />
@@ -35,10 +31,74 @@ const Toggle = ({ label, checked, onChange }) => (
   </label>
 );
 
-export const AdminGameSettings = ({ gameSettings, setGameSettings, onSave }) => {
+// One settings block of a game, as declared by its module in backend/games.
+const SettingsBlock = ({ block, s, setGameSettings }) => (
+  <>
+    <h5>{block.label}</h5>
+    {Object.entries(block.fields).map(([field, { label, min, max }]) => (
+      <SettingInput
+        key={field}
+        label={label}
+        value={s[block.key]?.[field]}
+        min={min}
+        max={max}
+        onChange={(v) => setGameSettings(updateNested(s, block.key, field, v))}
+      />
+    ))}
+    {block.hint && <p className="settings-hint">{block.hint}</p>}
+  </>
+);
+
+// Theoretical return to player of each bet in a game, from the RTP preview. Payouts are
+// priced from each bet's true win chance, so they move with the house fee.
+const RtpTable = ({ rtp, maxRtp }) => (
+  <>
+    <h5>Return to player</h5>
+    <table className="rtp-table">
+      <thead>
+        <tr><th>Bet</th><th>Win chance</th><th>Pays</th><th>RTP</th></tr>
+      </thead>
+      <tbody>
+        {rtp.options.map((option) => (
+          <tr key={option.key} className={option.rtp > maxRtp ? 'rtp-over' : ''}>
+            <td>{option.label}</td>
+            <td>{option.hitRate}%</td>
+            <td>up to ×{option.topPayout}</td>
+            <td>{option.rtp}%</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </>
+);
+
+export const AdminGameSettings = ({ gameSettings, setGameSettings, onSave, canSetApprovalThreshold }) => {
+  const [games, setGames] = useState([]);
+
+  useEffect(() => {
+    API.getGames()
+      .then((response) => response.success && setGames(response.games))
+      .catch((error) => console.error('Failed to load games:', error));
+  }, []);
+
+  // Recomputes the RTP of the unsaved form on the server, shortly after each edit.
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    if (!gameSettings) return undefined;
+    const timer = setTimeout(() => {
+      API.previewGameSettings(gameSettings)
+        .then((response) => response.success && setPreview(response))
+        .catch((error) => setPreview({ error: error.response?.data?.error || 'Failed to compute RTP' }));
+    }, RTP_PREVIEW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [gameSettings]);
+
   const s = gameSettings;
   if (!s) return null;
 
+  const rtpOf = (gameId) => preview?.report?.games.find((game) => game.id === gameId);
+
   const handleApplyDifficulty = async (level) => {
     try {
       const result = await API.updateGameSettings({ applyDifficultyPreset: level });
@@ -55,7 +115,10 @@ export const AdminGameSettings = ({ gameSettings, setGameSettings, onSave }) =>
     <div className="settings-form settings-form--games">
       <section className="settings-section">
         <h4>🎛️ Global Controls</h4>
-        <SettingInput label="House Fee (%)" value={s.houseFee} onChange={(v) => setGameSettings({ ...s, houseFee: v })} />
+        <SettingInput label="House Fee (%)" value={s.houseFee} min={0} max={99} onChange={(v) => setGameSettings({ ...s, houseFee: v })} />
+        <p className="settings-hint">
+          {`Every game draws real outcomes (reels, dice, wheel, coin), and each payout is priced from its true win chance so every bet returns ${preview?.report?.targetRtp ?? '—'}% to players.`}
+        </p>
         <h5>Play Amount Limits</h5>
         <SettingInput label="Minimum Play Amount (GHS)" value={s.minBet} onChange={(v) => setGameSettings({ ...s, minBet: v })} />
         <SettingInput label="Maximum Play Amount (GHS)" value={s.maxBet} onChange={(v) => setGameSettings({ ...s, maxBet: v })} />
@@ -63,6 +126,13 @@ export const AdminGameSettings = ({ gameSettings, setGameSettings, onSave }) =>
         <SettingInput label="Minimum Deposit (GHS)" value={s.minDeposit ?? 1} onChange={(v) => setGameSettings({ ...s, minDeposit: v })} />
         <SettingInput label="Maximum Deposit (GHS)" value={s.maxDeposit ?? 5000} onChange={(v) => setGameSettings({ ...s, maxDeposit: v })} />
         <p className="settings-hint">Play limits apply to all games. Deposit limits apply when users top up their wallet.</p>
+        {canSetApprovalThreshold && (
+          <>
+            <h5>Second Approval</h5>
+            <SettingInput label="Approval Threshold (GHS)" value={s.approvalThreshold} min={0} onChange={(v) => setGameSettings({ ...s, approvalThreshold: v })} />
+            <p className="settings-hint">Credits and withdrawals above this need a second admin to approve them. Set to 0 to turn it off.</p>
+          </>
+        )}
         <div className="setting-item">
           <label>Difficulty Preset</label>
           <select value={s.difficulty || 'medium'} onChange={(e) => setGameSettings({ ...s, difficulty: e.target.value })}>
@@ -79,47 +149,32 @@ export const AdminGameSettings = ({ gameSettings, setGameSettings, onSave }) =>
       <section className="settings-section">
         <h4>🎮 Game Availability</h4>
         <div className="game-toggles">
-          <Toggle label="🎰 Lucky Triple" checked={s.gamesEnabled?.luckyTriple !== false} onChange={(v) => setGameSettings(updateNested(s, 'gamesEnabled', 'luckyTriple', v))} />
-          <Toggle label="🍾 Spin the Bottle" checked={s.gamesEnabled?.spin !== false} onChange={(v) => setGameSettings(updateNested(s, 'gamesEnabled', 'spin', v))} />
-          <Toggle label="🎡 Golden Roulette" checked={s.gamesEnabled?.roulette !== false} onChange={(v) => setGameSettings(updateNested(s, 'gamesEnabled', 'roulette', v))} />
-          <Toggle label="🪙 Coin Flip" checked={s.gamesEnabled?.coin !== false} onChange={(v) => setGameSettings(updateNested(s, 'gamesEnabled', 'coin', v))} />
-          <Toggle label="🎲 Dice Duel" checked={s.gamesEnabled?.dice !== false} onChange={(v) => setGameSettings(updateNested(s, 'gamesEnabled', 'dice', v))} />
-          <Toggle label="🎰 Lucky Slots" checked={s.gamesEnabled?.slots !== false} onChange={(v) => setGameSettings(updateNested(s, 'gamesEnabled', 'slots', v))} />
+          {games.map((game) => (
+            <Toggle
+              key={game.id}
+              label={`${game.emoji} ${game.name}`}
+              checked={s.gamesEnabled?.[game.enabledKey] !== false}
+              onChange={(v) => setGameSettings(updateNested(s, 'gamesEnabled', game.enabledKey, v))}
+            />
+          ))}
         </div>
       </section>
 
-      <section className="settings-section">
-        <h4>🎰 Lucky Triple</h4>
-        <SettingInput label="3 Matches %" value={s.tripleWinChances?.threeMatch} onChange={(v) => setGameSettings(updateNested(s, 'tripleWinChances', 'threeMatch', v))} max={100} />
-        <SettingInput label="2 Matches %" value={s.tripleWinChances?.twoMatch} onChange={(v) => setGameSettings(updateNested(s, 'tripleWinChances', 'twoMatch', v))} max={100} />
-        <SettingInput label="1 Match %" value={s.tripleWinChances?.oneMatch} onChange={(v) => setGameSettings(updateNested(s, 'tripleWinChances', 'oneMatch', v))} max={100} />
-        <SettingInput label="0 Matches %" value={s.tripleWinChances?.zeroMatch} onChange={(v) => setGameSettings(updateNested(s, 'tripleWinChances', 'zeroMatch', v))} max={100} />
-        <h5>Payout Multipliers (win = bet × mult)</h5>
-        <SettingInput label="3 Matches" value={s.payoutMultipliers?.threeMatches} onChange={(v) => setGameSettings(updateNested(s, 'payoutMultipliers', 'threeMatches', v))} />
-        <SettingInput label="2 Matches" value={s.payoutMultipliers?.twoMatches} onChange={(v) => setGameSettings(updateNested(s, 'payoutMultipliers', 'twoMatches', v))} />
-        <SettingInput label="1 Match" value={s.payoutMultipliers?.oneMatch} onChange={(v) => setGameSettings(updateNested(s, 'payoutMultipliers', 'oneMatch', v))} />
-      </section>
-
-      <section className="settings-section">
-        <MultiplierChances title="🍾 Spin the Bottle" chancesKey="spinWinChances" s={s} setGameSettings={setGameSettings} />
-      </section>
-
-      <section className="settings-section">
-        <MultiplierChances title="🎡 Golden Roulette" chancesKey="rouletteWinChances" s={s} setGameSettings={setGameSettings} />
-      </section>
-
-      <section className="settings-section">
-        <MultiplierChances title="🪙 Coin Flip" chancesKey="coinWinChances" s={s} setGameSettings={setGameSettings} />
-      </section>
-
-      <section className="settings-section">
-        <MultiplierChances title="🎲 Dice Duel" chancesKey="diceWinChances" s={s} setGameSettings={setGameSettings} />
-      </section>
-
-      <section className="settings-section">
-        <MultiplierChances title="🎰 Lucky Slots" chancesKey="slotsMultiplierWinChances" s={s} setGameSettings={setGameSettings} />
-        <p className="settings-hint">Player picks a symbol, then multiplier. Win = 3 matching symbols. Payout = bet × multiplier.</p>
-      </section>
+      {games.map((game) => (
+        <section key={game.id} className="settings-section">
+          <h4>{game.emoji} {game.name}</h4>
+          {game.settings.map((block) => (
+            <SettingsBlock key={block.key} block={block} s={s} setGameSettings={setGameSettings} />
+          ))}
+          {rtpOf(game.id) && <RtpTable rtp={rtpOf(game.id)} maxRtp={preview.report.maxRtp} />}
+        </section>
+      ))}
+
+      <SimulatePanel gameSettings={s} games={games} />
+
+      {(preview?.violation || preview?.error) && (
+        <p className="rtp-warning">{preview.violation || preview.error}. These settings can&apos;t be saved.</p>
+      )}
 
       <button type="button" className="save-settings-btn" onClick={onSave}>💾 Save All Game Settings</button>
     </div>
@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react';
+import { API } from '../../api-helper';
+
+const STATUS_FILTERS = ['pending', 'approved', 'rejected', 'cancelled', 'failed', ''];
+
+const KIND_LABELS = {
+  credit: 'Credit',
+  withdrawal: 'Withdrawal',
+  'referrer-withdrawal': 'Referrer withdrawal',
+};
+
+const KIND_PERMISSIONS = {
+  credit: 'users.credit',
+  withdrawal: 'withdrawals.approve',
+  'referrer-withdrawal': 'withdrawals.approve',
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : '—');
+
+// Four-eyes queue: large credits and withdrawals wait here until a second admin approves.
+export const ApprovalsQueue = ({ user }) => {
+  const [status, setStatus] = useState('pending');
+  const [data, setData] = useState(null);
+  const [reload, setReload] = useState(0);
+
+  useEffect(() => {
+    API.getApprovals(status || undefined)
+      .then((response) => response.success && setData(response))
+      .catch((error) => console.error('Failed to load approvals:', error));
+  }, [status, reload]);
+
+  const refresh = () => setReload((count) => count + 1);
+
+  const handleApprove = async (approval) => {
+    if (!confirm(`Approve this ${KIND_LABELS[approval.kind].toLowerCase()} of GHS ${approval.amount.toFixed(2)}?`)) return;
+    try {
+      const result = await API.approveRequest(approval._id);
+      alert(result.message);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to approve request');
+    }
+    refresh();
+  };
+
+  const handleReject = async (approval, own) => {
+    const reason = own ? null : prompt('Rejection reason (optional):');
+    if (own && !confirm('Cancel your request?')) return;
+    try {
+      const result = await API.rejectApprovalRequest(approval._id, reason);
+      alert(result.message);
+    } catch (error) {
+      alert(error.response?.data?.error || 'Failed to update request');
+    }
+    refresh();
+  };
+
+  return (
+    <div className="admin-section">
+      <h3>✅ Approvals</h3>
+      <p className="admin-section-desc">
+        Credits and withdrawals over GHS {data ? data.threshold.toFixed(2) : '…'} need a second admin.
+        You can&apos;t approve your own requests.
+      </p>
+
+      <div className="admin-role-form">
+        <select value={status} onChange={(e) => setStatus(e.target.value)}>
+          {STATUS_FILTERS.map((value) => <option key={value} value={value}>{value || 'all'}</option>)}
+        </select>
+      </div>
+
+      {!data && <div className="loading">Loading...</div>}
+
+      <div className="withdrawals-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Type</th><th>Amount</th><th>For</th><th>Requested by</th><th>Status</th><th>Reviewed by</th><th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {data?.approvals.map((approval) => {
+              const own = String(approval.requestedBy) === String(user._id);
+              const canReview = user.permissions?.includes(KIND_PERMISSIONS[approval.kind]);
+              return (
+                <tr key={approval._id}>
+                  <td>{KIND_LABELS[approval.kind]}</td>
+                  <td>GHS {approval.amount.toFixed(2)}</td>
+                  <td>
+                    {approval.targetLabel || approval.targetId}
+                    {approval.payload?.reason && <div><small>{approval.payload.reason}</small></div>}
+                  </td>
+                  <td>
+                    {approval.requestedByEmail}
+                    <div><small>{formatDate(approval.requestedAt)}</small></div>
+                  </td>
+                  <td>
+                    <span className={`status-badge ${approval.status}`}>{approval.status}</span>
+                    {approval.reviewNote && <div><small>{approval.reviewNote}</small></div>}
+                  </td>
+                  <td>
+                    {approval.reviewedByEmail || '—'}
+                    {approval.reviewedAt && <div><small>{formatDate(approval.reviewedAt)}</small></div>}
+                  </td>
+                  <td>
+                    {approval.status === 'pending' && (own ? (
+                      <button type="button" className="admin-btn-reject" onClick={() => handleReject(approval, true)}>Cancel</button>
+                    ) : canReview && (
+                      <>
+                        <button type="button" className="admin-btn-approve" onClick={() => handleApprove(approval)}>Approve</button>
+                        <button type="button" className="admin-btn-reject" onClick={() => handleReject(approval, false)}>Reject</button>
+                      </>
+                    ))}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {data && !data.approvals.length && <p className="admin-section-desc">Nothing here.</p>}
+    </div>
+  );
+};
@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import { API } from '../../api-helper';
+
+const TARGET_TYPES = ['user', 'withdrawal', 'referrer', 'referrer-withdrawal', 'approval', 'game-settings', 'users', 'ledger', 'database'];
+const EMPTY_FILTERS = { action: '', actor: '', targetType: '', from: '', to: '' };
+
+const formatValue = (value) => (value === null || value === undefined ? '—' : typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+// Read-only view of the append-only admin audit trail.
+export const AuditLogView = () => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    const params = Object.fromEntries(Object.entries(applied).filter(([, value]) => value));
+    // Date inputs give a day; include the whole of the "to" day.
+    if (params.to) params.to = `${params.to}T23:59:59.999`;
+    API.getAuditLog({ ...params, page })
+      .then((response) => response.success && setData(response))
+      .catch((error) => console.error('Failed to load audit log:', error));
+  }, [applied, page]);
+
+  const handleChange = (e) => setFilters((prev) => ({ ...prev, [e.target.name]: e.target.value }));
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setApplied(filters);
+  };
+
+  const handleReset = () => {
+    setFilters(EMPTY_FILTERS);
+    setPage(1);
+    setApplied(EMPTY_FILTERS);
+  };
+
+  return (
+    <div className="admin-section">
+      <h3>📜 Audit Log</h3>
+      <p className="admin-section-desc">Every privileged admin action. Entries cannot be edited or deleted.</p>
+
+      <form className="admin-role-form" onSubmit={handleSearch}>
+        <select name="action" value={filters.action} onChange={handleChange}>
+          <option value="">All actions</option>
+          {data?.actions.map((action) => <option key={action} value={action}>{action}</option>)}
+        </select>
+        <select name="targetType" value={filters.targetType} onChange={handleChange}>
+          <option value="">All targets</option>
+          {TARGET_TYPES.map((type) => <option key={type} value={type}>{type}</option>)}
+        </select>
+        <input name="actor" type="email" value={filters.actor} onChange={handleChange} placeholder="Admin email" />
+        <input name="from" type="date" value={filters.from} onChange={handleChange} aria-label="From" />
+        <input name="to" type="date" value={filters.to} onChange={handleChange} aria-label="To" />
+        <button type="submit" className="admin-btn-small">Filter</button>
+        <button type="button" className="admin-btn-small" onClick={handleReset}>Reset</button>
+      </form>
+
+      {!data && <div className="loading">Loading...</div>}
+
+      <div className="withdrawals-table">
+        <table>
+          <thead>
+            <tr><th>When</th><th>Admin</th><th>Action</th><th>Target</th><th>Changes</th><th>From</th></tr>
+          </thead>
+          <tbody>
+            {data?.entries.map((entry) => (
+              <tr key={entry._id}>
+                <td>{new Date(entry.createdAt).toLocaleString()}</td>
+                <td>
+                  {entry.actorEmail}
+                  {entry.actorRole && <div><small>{entry.actorRole}</small></div>}
+                </td>
+                <td>{entry.action}</td>
+                <td>
+                  {entry.targetType}
+                  {(entry.targetLabel || entry.targetId) && <div><small>{entry.targetLabel || entry.targetId}</small></div>}
+                </td>
+                <td>
+                  {entry.changes.map((change) => (
+                    <div key={change.field}>
+                      <small>{change.field}: {formatValue(change.before)} → {formatValue(change.after)}</small>
+                    </div>
+                  ))}
+                  {entry.metadata && <div><small>{formatValue(entry.metadata)}</small></div>}
+                </td>
+                <td>
+                  <small>{entry.ip}</small>
+                  <div><small title={entry.userAgent}>{entry.userAgent?.slice(0, 40)}</small></div>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {data && (
+        <div className="admin-role-form">
+          <button type="button" className="admin-btn-small" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+            ← Newer
+          </button>
+          <span>Page {data.page} of {data.pages} · {data.total} entries</span>
+          <button type="button" className="admin-btn-small" disabled={page >= data.pages} onClick={() => setPage(page + 1)}>
+            Older →
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,73 @@
+import { useState, useEffect } from 'react';
+import { API } from '../../api-helper';
+
+// Database snapshots. Taking one is safe at any time; restoring is done from the
+// server's command line into an empty database.
+export const BackupsView = () => {
+  const [data, setData] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadBackups = () => API.getBackups()
+    .then((response) => response.success && setData(response))
+    .catch((error) => console.error('Failed to load backups:', error));
+
+  useEffect(() => {
+    loadBackups();
+  }, []);
+
+  const handleBackup = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const response = await API.createBackup();
+      setMessage({ type: 'success', text: response.message });
+      await loadBackups();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to take backup' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="admin-section">
+      <h3>💾 Backups</h3>
+      <p className="admin-section-desc">
+        {data?.schedule.intervalHours
+          ? `A snapshot is taken every ${data.schedule.intervalHours} hours and the newest ${data.schedule.keep} are kept.`
+          : 'Scheduled snapshots are turned off.'}
+        {' '}To restore, run <code>npm run restore -- &lt;snapshot id&gt;</code> on the server against an empty database.
+      </p>
+
+      <button type="button" className="admin-btn-small" onClick={handleBackup} disabled={busy}>
+        {busy ? 'Taking snapshot...' : 'Take snapshot now'}
+      </button>
+
+      {message && <div className={`bank-message ${message.type}`}>{message.text}</div>}
+
+      {!data && <div className="loading">Loading...</div>}
+
+      <div className="withdrawals-table">
+        <table>
+          <thead>
+            <tr><th>Snapshot</th><th>Taken</th><th>Reason</th><th>Collections</th><th>Documents</th></tr>
+          </thead>
+          <tbody>
+            {data?.snapshots.map((snapshot) => (
+              <tr key={snapshot.id}>
+                <td><code>{snapshot.id}</code></td>
+                <td>{new Date(snapshot.createdAt).toLocaleString()}</td>
+                <td>{snapshot.reason}</td>
+                <td>{snapshot.collections}</td>
+                <td>{snapshot.documents}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {data && !data.snapshots.length && <p className="admin-section-desc">No snapshots yet.</p>}
+    </div>
+  );
+};
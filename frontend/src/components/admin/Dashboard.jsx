@@ -4,6 +4,12 @@ import { ReferrerManagement } from './referral/ReferrerManagement';
 import { ReferrerWithdrawals } from './referral/ReferrerWithdrawals';
 import { ReferralStats } from './referral/ReferralStats';
 import { AdminGameSettings } from './AdminGameSettings';
+import { RoleManagement } from './RoleManagement';
+import { AuditLogView } from './AuditLog';
+import { StaffSecurity } from './StaffSecurity';
+import { StepUpPrompt } from './StepUpPrompt';
+import { ApprovalsQueue } from './Approvals';
+import { BackupsView } from './Backups';
 
 // ============================================================================
 // ADMIN DASHBOARD
@@ -15,8 +21,35 @@ const NETWORK_LABELS = {
   airteltigo: 'AirtelTigo',
 };
 
+// Each tab is shown only to staff whose role grants its permission (any one, for a list);
+// Security is for all staff.
+const ADMIN_TABS = [
+  { view: 'stats', label: '📊 Stats', permission: 'reports.view' },
+  { view: 'users', label: '👥 Users', permission: 'users.view' },
+  { view: 'withdrawals', label: '💸 Withdrawals', permission: 'withdrawals.view' },
+  { view: 'approvals', label: '✅ Approvals', permission: ['users.credit', 'withdrawals.approve'] },
+  { view: 'sms', label: '📱 SMS', permission: 'sms.send' },
+  { view: 'spin-history', label: '🍾 Spin', permission: 'games.history' },
+  { view: 'slots-history', label: '🎰 Slots', permission: 'games.history' },
+  { view: 'roulette-history', label: '🎡 Roulette', permission: 'games.history' },
+  { view: 'coin-history', label: '🪙 Coin', permission: 'games.history' },
+  { view: 'dice-history', label: '🎲 Dice', permission: 'games.history' },
+  { view: 'self-exclusions', label: '🔒 Exclusions', permission: 'users.view' },
+  { view: 'settings', label: '⚙️ Game Control', permission: 'games.settings' },
+  { view: 'referral-stats', label: '📊 Referral Stats', permission: 'referrers.manage' },
+  { view: 'referrers', label: '👥 Referrers', permission: 'referrers.manage' },
+  { view: 'referrer-withdrawals', label: '💸 Referrer Withdrawals', permission: 'withdrawals.view' },
+  { view: 'roles', label: '👑 Roles', permission: 'roles.manage' },
+  { view: 'audit', label: '📜 Audit Log', permission: 'audit.view' },
+  { view: 'backups', label: '💾 Backups', permission: 'data.backup' },
+  { view: 'security', label: '🔐 Security', permission: null },
+];
+
 export const AdminDashboard = ({ user, onLogout }) => {
-  const [view, setView] = useState('stats');
+  const can = (permission) => [].concat(permission).some((p) => user.permissions?.includes(p));
+  const isStaff = Boolean(user.permissions?.length);
+  const tabs = ADMIN_TABS.filter((tab) => (tab.permission ? can(tab.permission) : isStaff));
+  const [view, setView] = useState(tabs[0]?.view || null);
   const [users, setUsers] = useState([]);
   const [withdrawals, setWithdrawals] = useState([]);
   const [gameSettings, setGameSettings] = useState(null);
@@ -27,6 +60,7 @@ export const AdminDashboard = ({ user, onLogout }) => {
   const [rouletteHistory, setRouletteHistory] = useState([]);
   const [coinHistory, setCoinHistory] = useState([]);
   const [diceHistory, setDiceHistory] = useState([]);
+  const [selfExclusions, setSelfExclusions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [wipingDatabase, setWipingDatabase] = useState(false);
 
@@ -62,20 +96,23 @@ export const AdminDashboard = ({ user, onLogout }) => {
         if (usersRes.success) setUsers(usersRes.users);
         if (logsRes.success) setSmsLogs(logsRes.logs);
       } else if (view === 'spin-history') {
-        const response = await API.getAdminSpinHistory();
+        const response = await API.getAdminGameHistory('spin');
         if (response.success) setSpinHistory(response.history);
       } else if (view === 'slots-history') {
-        const response = await API.getAdminSlotsHistory();
+        const response = await API.getAdminGameHistory('slots');
         if (response.success) setSlotsHistory(response.history);
       } else if (view === 'roulette-history') {
-        const response = await API.getAdminRouletteHistory();
+        const response = await API.getAdminGameHistory('roulette');
         if (response.success) setRouletteHistory(response.history);
       } else if (view === 'coin-history') {
-        const response = await API.getAdminCoinHistory();
+        const response = await API.getAdminGameHistory('coin');
         if (response.success) setCoinHistory(response.history);
       } else if (view === 'dice-history') {
-        const response = await API.getAdminDiceHistory();
+        const response = await API.getAdminGameHistory('dice');
         if (response.success) setDiceHistory(response.history);
+      } else if (view === 'self-exclusions') {
+        const response = await API.getSelfExclusions();
+        if (response.success) setSelfExclusions(response.exclusions);
       }
     } catch (error) {
       console.error('Failed to load data:', error);
@@ -90,8 +127,8 @@ export const AdminDashboard = ({ user, onLogout }) => {
 
     if (amount && amount > 0) {
       try {
-        await API.creditUser(userId, amount, reason);
-        alert('User credited successfully!');
+        const result = await API.creditUser(userId, amount, reason);
+        alert(result.message);
         loadData();
       } catch (error) {
         alert(error.response?.data?.error || 'Failed to credit user');
@@ -112,7 +149,7 @@ export const AdminDashboard = ({ user, onLogout }) => {
   };
 
   const handleRemoveUser = async (userId) => {
-    if (window.confirm('⚠️ WARNING: This will permanently delete this user and all their game/transaction history. Are you absolutely sure?')) {
+    if (window.confirm('⚠️ WARNING: This will close this account and erase its email, phone and password. Transactions and game history are kept. Are you absolutely sure?')) {
       try {
         const res = await API.removeUser(userId);
         alert(res.message);
@@ -139,7 +176,7 @@ export const AdminDashboard = ({ user, onLogout }) => {
     setWipingDatabase(true);
     try {
       const result = await API.wipeDatabase('DELETE ALL DATA');
-      alert(`${result.message}\n\nDeleted:\n- Users: ${result.deleted.users}\n- Transactions: ${result.deleted.transactions}\n- Game rounds: ${result.deleted.gameHistory + result.deleted.spinHistory + result.deleted.slotsHistory + result.deleted.rouletteHistory + result.deleted.coinHistory + result.deleted.diceHistory}`);
+      alert(`${result.message}\n\nDeleted:\n- Users: ${result.deleted.users}\n- Transactions: ${result.deleted.transactions}\n- Bets: ${result.deleted.bets}`);
       loadData();
     } catch (error) {
       alert(error.response?.data?.error || 'Failed to wipe database');
@@ -151,8 +188,8 @@ export const AdminDashboard = ({ user, onLogout }) => {
   const handleApproveWithdrawal = async (transactionId) => {
     if (window.confirm('Approve this withdrawal?')) {
       try {
-        await API.approveWithdrawal(transactionId);
-        alert('Withdrawal approved! User will receive SMS notification.');
+        const result = await API.approveWithdrawal(transactionId);
+        alert(result.message);
         loadData();
       } catch (error) {
         alert(error.response?.data?.error || 'Failed to approve withdrawal');
@@ -173,7 +210,8 @@ export const AdminDashboard = ({ user, onLogout }) => {
 
   const handleUpdateSettings = async () => {
     try {
-      await API.updateGameSettings(gameSettings);
+      const result = await API.updateGameSettings(gameSettings);
+      if (result.success) setGameSettings(result.settings);
       alert('Settings updated successfully!');
     } catch (error) {
       alert(error.response?.data?.error || 'Failed to update settings');
@@ -228,54 +266,11 @@ export const AdminDashboard = ({ user, onLogout }) => {
       <nav className="admin-nav">
         <h2>👑 Admin Dashboard</h2>
         <div className="admin-nav-buttons">
-          <button
-            className={view === 'stats' ? 'active' : ''}
-            onClick={() => setView('stats')}
-          >
-            📊 Stats
-          </button>
-          <button
-            className={view === 'users' ? 'active' : ''}
-            onClick={() => setView('users')}
-          >
-            👥 Users
-          </button>
-          <button
-            className={view === 'withdrawals' ? 'active' : ''}
-            onClick={() => setView('withdrawals')}
-          >
-            💸 Withdrawals
-          </button>
-          <button
-            className={view === 'sms' ? 'active' : ''}
-            onClick={() => setView('sms')}
-          >
-            📱 SMS
-          </button>
-          <button
-            className={view === 'spin-history' ? 'active' : ''}
-            onClick={() => setView('spin-history')}
-          >
-            🍾 Spin
-          </button>
-          <button
-            className={view === 'slots-history' ? 'active' : ''}
-            onClick={() => setView('slots-history')}
-          >
-            🎰 Slots
-          </button>
-          <button className={view === 'roulette-history' ? 'active' : ''} onClick={() => setView('roulette-history')}>🎡 Roulette</button>
-          <button className={view === 'coin-history' ? 'active' : ''} onClick={() => setView('coin-history')}>🪙 Coin</button>
-          <button className={view === 'dice-history' ? 'active' : ''} onClick={() => setView('dice-history')}>🎲 Dice</button>
-          <button
-            className={view === 'settings' ? 'active' : ''}
-            onClick={() => setView('settings')}
-          >
-            ⚙️ Game Control
-          </button>
-          <button onClick={() => setView('referral-stats')}>📊 Referral Stats</button>
-          <button onClick={() => setView('referrers')}>👥 Referrers</button>
-          <button onClick={() => setView('referrer-withdrawals')}>💸 Referrer Withdrawals</button>
+          {tabs.map((tab) => (
+            <button key={tab.view} className={view === tab.view ? 'active' : ''} onClick={() => setView(tab.view)}>
+              {tab.label}
+            </button>
+          ))}
           <button onClick={onLogout} className="logout-btn">Logout</button>
         </div>
       </nav>
@@ -283,6 +278,13 @@ export const AdminDashboard = ({ user, onLogout }) => {
       <div className="admin-content">
         {loading && <div className="loading">Loading...</div>}
 
+        {tabs.length === 0 && (
+          <div className="admin-section">
+            <h3>No access yet</h3>
+            <p className="admin-section-desc">Your account has no staff role. Ask a superadmin to assign one.</p>
+          </div>
+        )}
+
         {view === 'stats' && stats && (
           <div className="admin-section">
             <h3>Dashboard Statistics</h3>
@@ -329,22 +331,25 @@ export const AdminDashboard = ({ user, onLogout }) => {
               </div>
             </div>
 
-            <div className="admin-danger-zone">
-              <h4>Danger Zone</h4>
-              <p>
-                Permanently delete all database records except admin accounts.
-                This removes users, balances, transactions, game history, SMS logs, and referral data.
-                Game settings are preserved.
-              </p>
-              <button
-                type="button"
-                className="admin-btn-wipe"
-                onClick={handleWipeDatabase}
-                disabled={wipingDatabase}
-              >
-                {wipingDatabase ? 'Wiping database...' : '🗑️ Delete All Data (Keep Admins)'}
-              </button>
-            </div>
+            {can('data.wipe') && (
+              <div className="admin-danger-zone">
+                <h4>Danger Zone</h4>
+                <p>
+                  Permanently delete all database records except admin accounts.
+                  This removes users, balances, transactions, game history, SMS logs, and referral data.
+                  Game settings and the audit log are preserved. A backup is taken first, and nothing is
+                  deleted if it fails.
+                </p>
+                <button
+                  type="button"
+                  className="admin-btn-wipe"
+                  onClick={handleWipeDatabase}
+                  disabled={wipingDatabase}
+                >
+                  {wipingDatabase ? 'Wiping database...' : '🗑️ Delete All Data (Keep Admins)'}
+                </button>
+              </div>
+            )}
           </div>
         )}
 
@@ -373,26 +378,32 @@ export const AdminDashboard = ({ user, onLogout }) => {
                       <td>GHS {u.balance.toFixed(2)}</td>
                       <td>{new Date(u.createdAt).toLocaleDateString()}</td>
                       <td>
-                        <button
-                          className="admin-btn-small"
-                          onClick={() => handleCreditUser(u._id)}
-                        >
-                          💰 Credit
-                        </button>
-                        <button
-                          className="admin-btn-small"
-                          onClick={() => handleToggleBlock(u._id)}
-                          style={{ marginLeft: '5px', backgroundColor: u.isBlocked ? '#4CAF50' : '#f44336' }}
-                        >
-                          {u.isBlocked ? '✅ Unblock' : '🚫 Block'}
-                        </button>
-                        <button
-                          className="admin-btn-small"
-                          onClick={() => handleRemoveUser(u._id)}
-                          style={{ marginLeft: '5px', backgroundColor: '#d32f2f' }}
-                        >
-                          🗑️ Remove
-                        </button>
+                        {can('users.credit') && (
+                          <button
+                            className="admin-btn-small"
+                            onClick={() => handleCreditUser(u._id)}
+                          >
+                            💰 Credit
+                          </button>
+                        )}
+                        {can('users.manage') && (
+                          <>
+                            <button
+                              className="admin-btn-small"
+                              onClick={() => handleToggleBlock(u._id)}
+                              style={{ marginLeft: '5px', backgroundColor: u.isBlocked ? '#4CAF50' : '#f44336' }}
+                            >
+                              {u.isBlocked ? '✅ Unblock' : '🚫 Block'}
+                            </button>
+                            <button
+                              className="admin-btn-small"
+                              onClick={() => handleRemoveUser(u._id)}
+                              style={{ marginLeft: '5px', backgroundColor: '#d32f2f' }}
+                            >
+                              🗑️ Remove
+                            </button>
+                          </>
+                        )}
                       </td>
                     </tr>
                   ))}
@@ -430,9 +441,12 @@ export const AdminDashboard = ({ user, onLogout }) => {
                         <span className={`status-badge ${w.status}`}>
                           {w.status}
                         </span>
+                        {w.payout?.lastError && (
+                          <div className="payout-error">{w.payout.lastError}</div>
+                        )}
                       </td>
                       <td>
-                        {w.status === 'pending' && (
+                        {w.status === 'pending' && can('withdrawals.approve') && (
                           <>
                             <button
                               className="admin-btn-approve"
@@ -581,7 +595,7 @@ export const AdminDashboard = ({ user, onLogout }) => {
                     <th>User</th>
                     <th>Bet</th>
                     <th>Reels</th>
-                    <th>Tier</th>
+                    <th>Pick</th>
                     <th>Multiplier</th>
                     <th>Result</th>
                     <th>Date</th>
@@ -593,7 +607,7 @@ export const AdminDashboard = ({ user, onLogout }) => {
                       <td>{h.userId?.email || 'Unknown'}</td>
                       <td>GHS {h.betAmount.toFixed(2)}</td>
                       <td>{(h.reels || []).join(' ')}</td>
-                      <td>{h.winTier}</td>
+                      <td>{h.chosenSymbol} {h.bet}</td>
                       <td>{h.multiplier}x</td>
                       <td>
                         <span className={`status-badge ${h.won ? 'completed' : 'rejected'}`}>
@@ -700,6 +714,36 @@ export const AdminDashboard = ({ user, onLogout }) => {
           </div>
         )}
 
+        {view === 'self-exclusions' && (
+          <div className="admin-section">
+            <h3>🔒 Self-Exclusions</h3>
+            <p className="admin-section-desc">Set by players themselves. They cannot be lifted early, including by admins.</p>
+            <div className="withdrawals-table">
+              <table>
+                <thead>
+                  <tr><th>Email</th><th>Phone</th><th>Period</th><th>Started</th><th>Ends</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                  {selfExclusions.map((exclusion) => (
+                    <tr key={exclusion._id}>
+                      <td>{exclusion.email}</td>
+                      <td>{exclusion.phone || '—'}</td>
+                      <td>{exclusion.period}</td>
+                      <td>{new Date(exclusion.startsAt).toLocaleString()}</td>
+                      <td>{exclusion.endsAt ? new Date(exclusion.endsAt).toLocaleString() : 'Never'}</td>
+                      <td>
+                        <span className={`status-badge ${exclusion.active ? 'pending' : 'completed'}`}>
+                          {exclusion.active ? 'Active' : 'Ended'}
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         {view === 'settings' && gameSettings && (
           <div className="admin-section">
             <h3>🎛️ Game Control Center</h3>
@@ -708,13 +752,21 @@ export const AdminDashboard = ({ user, onLogout }) => {
               gameSettings={gameSettings}
               setGameSettings={setGameSettings}
               onSave={handleUpdateSettings}
+              canSetApprovalThreshold={can('approvals.configure')}
             />
           </div>
         )}
         {view === 'referral-stats' && <ReferralStats />}
         {view === 'referrers' && <ReferrerManagement />}
-        {view === 'referrer-withdrawals' && <ReferrerWithdrawals />}
+        {view === 'referrer-withdrawals' && <ReferrerWithdrawals canApprove={can('withdrawals.approve')} />}
+        {view === 'approvals' && <ApprovalsQueue user={user} />}
+        {view === 'roles' && <RoleManagement />}
+        {view === 'audit' && <AuditLogView />}
+        {view === 'backups' && <BackupsView />}
+        {view === 'security' && <StaffSecurity />}
       </div>
+
+      <StepUpPrompt />
     </div>
   );
 };
\ No newline at end of file
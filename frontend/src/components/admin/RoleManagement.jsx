@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import { API } from '../../api-helper';
+
+// Superadmin screen: who has which staff role, and what each role can do.
+export const RoleManagement = () => {
+  const [data, setData] = useState(null);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('support');
+  const [message, setMessage] = useState(null);
+
+  const loadRoles = () => API.getAdminRoles()
+    .then((response) => response.success && setData(response))
+    .catch((error) => console.error('Failed to load roles:', error));
+
+  useEffect(() => {
+    loadRoles();
+  }, []);
+
+  const assignRole = async (targetEmail, targetRole) => {
+    if (!targetRole && !confirm(`Remove staff access for ${targetEmail}?`)) return;
+    setMessage(null);
+    try {
+      const response = await API.setStaffRole(targetEmail, targetRole || null);
+      setMessage({ type: 'success', text: response.message });
+      await loadRoles();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to update role' });
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    await assignRole(email.trim(), role);
+    setEmail('');
+  };
+
+  if (!data) return <div className="loading">Loading...</div>;
+
+  const roleNames = Object.keys(data.roles);
+
+  return (
+    <div className="admin-section">
+      <h3>👑 Staff Roles</h3>
+      <p className="admin-section-desc">Changes apply on the staff member&apos;s next request. You cannot change your own role.</p>
+
+      <form className="admin-role-form" onSubmit={handleAdd}>
+        <input
+          type="email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          placeholder="Existing account email"
+          required
+        />
+        <select value={role} onChange={(e) => setRole(e.target.value)}>
+          {roleNames.map((name) => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <button type="submit" className="admin-btn-small">Grant role</button>
+      </form>
+
+      {message && <div className={`bank-message ${message.type}`}>{message.text}</div>}
+
+      <div className="withdrawals-table">
+        <table>
+          <thead>
+            <tr><th>Email</th><th>Role</th><th>Last login</th><th>Actions</th></tr>
+          </thead>
+          <tbody>
+            {data.staff.map((member) => (
+              <tr key={member._id}>
+                <td>{member.email}</td>
+                <td>
+                  <select value={member.role || ''} onChange={(e) => assignRole(member.email, e.target.value)}>
+                    {roleNames.map((name) => <option key={name} value={name}>{name}</option>)}
+                  </select>
+                </td>
+                <td>{member.lastLogin ? new Date(member.lastLogin).toLocaleString() : 'Never'}</td>
+                <td>
+                  <button type="button" className="admin-btn-reject" onClick={() => assignRole(member.email, null)}>
+                    Remove access
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <h4>What each role can do</h4>
+      <div className="withdrawals-table">
+        <table>
+          <thead>
+            <tr>
+              <th>Permission</th>
+              {roleNames.map((name) => <th key={name}>{name}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(data.permissions).map(([permission, label]) => (
+              <tr key={permission}>
+                <td>{label}</td>
+                {roleNames.map((name) => (
+                  <td key={name}>{data.roles[name].includes(permission) ? '✓' : ''}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,106 @@
+import { useState } from 'react';
+import { API } from '../../api-helper';
+
+const money = (value) => `GHS ${value.toFixed(2)}`;
+
+// Runs the unsaved settings form through simulated rounds of the real game logic.
+export const SimulatePanel = ({ gameSettings, games }) => {
+  const [rounds, setRounds] = useState(10000);
+  const [stake, setStake] = useState(10);
+  const [gameId, setGameId] = useState('');
+  const [keepSeed, setKeepSeed] = useState(false);
+  const [running, setRunning] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const handleRun = async () => {
+    setRunning(true);
+    setError('');
+    try {
+      const response = await API.simulateGameSettings({
+        settings: gameSettings,
+        rounds,
+        stake,
+        ...(gameId && { games: [gameId] }),
+        ...(keepSeed && result?.seed && { seed: result.seed }),
+      });
+      if (response.success) setResult(response);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Simulation failed');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <section className="settings-section simulate-panel">
+      <h4>🧪 Simulate</h4>
+      <p className="settings-hint">
+        Plays the settings above, before saving, through simulated rounds of each game&apos;s real logic.
+        Each bet is played separately at a flat stake.
+      </p>
+      <div className="simulate-controls">
+        <div className="setting-item">
+          <label>Rounds per bet</label>
+          <input type="number" min={1} max={100000} value={rounds} onChange={(e) => setRounds(parseInt(e.target.value) || 0)} />
+        </div>
+        <div className="setting-item">
+          <label>Stake (GHS)</label>
+          <input type="number" min={0.01} step="0.01" value={stake} onChange={(e) => setStake(parseFloat(e.target.value) || 0)} />
+        </div>
+        <div className="setting-item">
+          <label>Game</label>
+          <select value={gameId} onChange={(e) => setGameId(e.target.value)}>
+            <option value="">All games</option>
+            {games.map((game) => <option key={game.id} value={game.id}>{game.emoji} {game.name}</option>)}
+          </select>
+        </div>
+      </div>
+      <label className="game-toggle">
+        <input type="checkbox" checked={keepSeed} disabled={!result} onChange={(e) => setKeepSeed(e.target.checked)} />
+        <span>Reuse the last run&apos;s random seed, to compare settings on the same rounds</span>
+      </label>
+      <button type="button" className="preset-btn" onClick={handleRun} disabled={running}>
+        {running ? 'Simulating...' : '▶ Run simulation'}
+      </button>
+
+      {error && <p className="rtp-warning">{error}</p>}
+      {result?.violation && <p className="rtp-warning">{result.violation}</p>}
+
+      {result && (
+        <>
+          <table className="rtp-table simulate-table">
+            <thead>
+              <tr>
+                <th>Game</th>
+                <th>Bet</th>
+                <th>Hit rate</th>
+                <th>RTP (expected)</th>
+                <th>Std dev / round</th>
+                <th>Max drawdown</th>
+                <th>House profit per GHS 1,000</th>
+              </tr>
+            </thead>
+            <tbody>
+              {result.games.flatMap((game) => game.bets.map((bet) => (
+                <tr key={`${game.id}-${bet.key}`} className={bet.rtp > 100 ? 'rtp-over' : ''}>
+                  <td>{game.emoji} {game.name}</td>
+                  <td>{bet.label}</td>
+                  <td>{bet.hitRate}%</td>
+                  <td>{bet.rtp}% ({bet.theoreticalRtp}%)</td>
+                  <td>{money(bet.stdDev)}</td>
+                  <td>{money(bet.maxDrawdown)}</td>
+                  <td>{money(bet.houseProfitPer1000)}</td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+          <p className="settings-hint">
+            {result.rounds.toLocaleString()} rounds per bet at {money(result.stake)}. Max drawdown is the house&apos;s
+            worst fall from a high point during the run. Seed <code>{result.seed.slice(0, 16)}…</code>
+          </p>
+        </>
+      )}
+    </section>
+  );
+};
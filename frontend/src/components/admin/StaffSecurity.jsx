@@ -0,0 +1,65 @@
+import { useState } from 'react';
+import { API } from '../../api-helper';
+import { TwoFactorChallenge, TwoFactorSetup, BackupCodesList } from '../ui/TwoFactor';
+
+// Shown instead of the dashboard until the staff member has turned on 2FA; the
+// server refuses staff tools to sessions that haven't passed it.
+export const StaffTwoFactorSetup = ({ user, onComplete, onLogout }) => (
+  <div className="admin-container">
+    <nav className="admin-nav">
+      <h2>👑 Admin Dashboard</h2>
+      <div className="admin-nav-buttons">
+        <button onClick={onLogout} className="logout-btn">Logout</button>
+      </div>
+    </nav>
+
+    <div className="admin-content">
+      <div className="admin-section two-factor-panel">
+        <h3>🔐 Set up two-factor authentication</h3>
+        <p className="admin-section-desc">
+          Staff accounts need a second sign-in step. Set it up for {user.email} to continue.
+        </p>
+        <TwoFactorSetup onStart={API.startTwoFactorSetup} onEnable={API.enableTwoFactor} onDone={onComplete} />
+      </div>
+    </div>
+  </div>
+);
+
+export const StaffSecurity = () => {
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const handleRegenerate = async (code, method) => {
+    const result = await API.regenerateBackupCodes(code, method);
+    setBackupCodes(result.backupCodes);
+  };
+
+  const handleSaved = () => {
+    setBackupCodes(null);
+    setMessage('New backup codes saved. The old ones no longer work.');
+  };
+
+  return (
+    <div className="admin-section two-factor-panel">
+      <h3>🔐 Security</h3>
+      <p className="admin-section-desc">
+        Two-factor authentication is on. Approving withdrawals, crediting players, changing roles and
+        wiping data ask for a fresh code.
+      </p>
+
+      {message && <div className="bank-message success">{message}</div>}
+
+      <h4>Backup codes</h4>
+      {backupCodes ? (
+        <BackupCodesList codes={backupCodes} onDone={handleSaved} />
+      ) : (
+        <TwoFactorChallenge
+          description="Running low on backup codes? Enter a current code to replace them all."
+          submitLabel="Create new backup codes"
+          onVerify={handleRegenerate}
+          onSendSms={API.sendStepUpSms}
+        />
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,43 @@
+import { useState, useEffect } from 'react';
+import { API, storeStepUpToken } from '../../api-helper';
+import { TwoFactorChallenge } from '../ui/TwoFactor';
+
+// Asks for a fresh 2FA code when the API helper reports that an action needs a step-up.
+// Resolving lets the helper replay the request; cancelling rejects it.
+export const StepUpPrompt = () => {
+  const [pending, setPending] = useState(null);
+
+  useEffect(() => {
+    const handleStepUp = (event) => setPending(event.detail);
+    window.addEventListener('step-up-required', handleStepUp);
+    return () => window.removeEventListener('step-up-required', handleStepUp);
+  }, []);
+
+  if (!pending) return null;
+
+  const handleVerify = async (code, method) => {
+    const result = await API.stepUp(code, method);
+    storeStepUpToken(result);
+    setPending(null);
+    pending.resolve();
+  };
+
+  const handleCancel = () => {
+    setPending(null);
+    pending.reject();
+  };
+
+  return (
+    <div className="ad-interstitial-overlay" role="dialog" aria-modal="true" aria-label="Confirm with two-factor code">
+      <div className="bank-card bank-card--polished reality-check-card">
+        <TwoFactorChallenge
+          title="Confirm it's you"
+          submitLabel="Confirm"
+          onVerify={handleVerify}
+          onSendSms={API.sendStepUpSms}
+          onCancel={handleCancel}
+        />
+      </div>
+    </div>
+  );
+};
@@ -1,7 +1,10 @@
 import { useState, useEffect } from 'react';
 import { API } from '../../../api-helper';
 
-export const ReferrerWithdrawals = () => {
+// Approved withdrawals move through the payout states below.
+const PAID_OUT_STATUSES = ['approved', 'processing', 'paid'];
+
+export const ReferrerWithdrawals = ({ canApprove = true }) => {
   const [withdrawals, setWithdrawals] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState('pending');
@@ -25,12 +28,12 @@ export const ReferrerWithdrawals = () => {
   };
 
   const handleApprove = async (withdrawalId) => {
-    if (!confirm('Approve this withdrawal? This will deduct the amount from referrer balance.')) return;
+    if (!confirm('Approve this withdrawal? The payout will be sent to the referrer\'s mobile money wallet.')) return;
 
     try {
       const response = await API.approveReferrerWithdrawal(withdrawalId);
       if (response.success) {
-        alert('Withdrawal approved! Referrer will receive SMS notification.');
+        alert(response.message);
         loadWithdrawals();
       } else {
         alert(response.error || 'Failed to approve withdrawal');
@@ -57,8 +60,9 @@ export const ReferrerWithdrawals = () => {
 
   const filteredWithdrawals = withdrawals.filter(w => {
     if (filter === 'pending') return w.status === 'pending';
-    if (filter === 'approved') return w.status === 'approved';
+    if (filter === 'approved') return PAID_OUT_STATUSES.includes(w.status);
     if (filter === 'rejected') return w.status === 'rejected';
+    if (filter === 'failed') return w.status === 'failed';
     return true;
   });
 
@@ -79,7 +83,13 @@ export const ReferrerWithdrawals = () => {
             className={filter === 'approved' ? 'active' : ''} 
             onClick={() => setFilter('approved')}
           >
-            Approved ({withdrawals.filter(w => w.status === 'approved').length})
+            Approved ({withdrawals.filter(w => PAID_OUT_STATUSES.includes(w.status)).length})
+          </button>
+          <button 
+            className={filter === 'failed' ? 'active' : ''} 
+            onClick={() => setFilter('failed')}
+          >
+            Payout failed ({withdrawals.filter(w => w.status === 'failed').length})
           </button>
           <button 
             className={filter === 'rejected' ? 'active' : ''} 
@@ -128,7 +138,7 @@ export const ReferrerWithdrawals = () => {
                     </span>
                   </td>
                   <td>
-                    {w.status === 'pending' ? (
+                    {w.status === 'pending' && canApprove ? (
                       <div className="action-buttons">
                         <button 
                           className="btn-small btn-approve"
@@ -147,6 +157,7 @@ export const ReferrerWithdrawals = () => {
                       <small>
                         {w.processedAt && `Processed: ${new Date(w.processedAt).toLocaleDateString()}`}
                         {w.rejectionReason && <div>Reason: {w.rejectionReason}</div>}
+                        {w.payout?.lastError && <div>Payout: {w.payout.lastError}</div>}
                       </small>
                     )}
                   </td>
@@ -1,8 +1,9 @@
 import { motion } from 'framer-motion';
 import { useState, useEffect } from 'react';
-import { API } from '../../api-helper';
+import { API, storeSession } from '../../api-helper';
 import { CasinoBackground } from '../ui/CasinoBackground';
 import { GAME_IMAGES } from '../../assets/gameAssets';
+import { TwoFactorChallenge } from '../ui/TwoFactor';
 
 export const AuthPage = ({ onLogin }) => {
   const [isLogin, setIsLogin] = useState(true);
@@ -12,6 +13,16 @@ export const AuthPage = ({ onLogin }) => {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [referralCode, setReferralCode] = useState('');
+  const [selfExcluded, setSelfExcluded] = useState(false);
+  const [otpSent, setOtpSent] = useState(false);
+  const [otpCode, setOtpCode] = useState('');
+  const [notice, setNotice] = useState('');
+  // null, 'request' (ask for a code) or 'reset' (enter code and new password)
+  const [resetStep, setResetStep] = useState(null);
+  const [resetCode, setResetCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  // Set when the password was right but the account also needs a 2FA code.
+  const [challengeToken, setChallengeToken] = useState(null);
 
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
@@ -22,22 +33,84 @@ export const AuthPage = ({ onLogin }) => {
     }
   }, []);
 
-  const handleSubmit = async (e) => {
+  // Signup confirms the phone first: the first submit sends the code, the second uses it.
+  const sendSignupCode = async () => {
+    const result = await API.requestSignupOtp(phone);
+    setOtpSent(true);
+    setNotice(`${result.message}. Enter it below to finish creating your account.`);
+  };
+
+  const handleSubmit = async (e, purpose) => {
     e.preventDefault();
     setError('');
+    setNotice('');
+    setSelfExcluded(false);
     setLoading(true);
 
     try {
+      if (!isLogin && !otpSent) {
+        await sendSignupCode();
+        return;
+      }
+
       const result = isLogin
-        ? await API.login(email, password)
-        : await API.signup(email, password, phone, referralCode);
+        ? await API.login(email, password, purpose)
+        : await API.signup(email, password, phone, referralCode, otpCode);
 
-      if (result.success) {
-        localStorage.setItem('token', result.token);
+      if (result.twoFactorRequired) {
+        setChallengeToken(result.challengeToken);
+      } else if (result.success) {
+        storeSession(result);
         onLogin(result.user);
       } else {
         setError(result.error);
       }
+    } catch (err) {
+      setError(err.response?.data?.error || 'An error occurred');
+      setSelfExcluded(Boolean(err.response?.data?.selfExclusion));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTwoFactor = async (code, method) => {
+    const result = await API.verifyTwoFactorLogin(challengeToken, code, method);
+    storeSession(result);
+    onLogin(result.user);
+  };
+
+  const openReset = () => {
+    setError('');
+    setNotice('');
+    setSelfExcluded(false);
+    setResetCode('');
+    setNewPassword('');
+    setResetStep('request');
+  };
+
+  const closeReset = (message = '') => {
+    setError('');
+    setNotice(message);
+    setResetStep(null);
+  };
+
+  const handleReset = async (e) => {
+    e.preventDefault();
+    setError('');
+    setNotice('');
+    setLoading(true);
+
+    try {
+      if (resetStep === 'request') {
+        const result = await API.forgotPassword(email);
+        setNotice(result.message);
+        setResetStep('reset');
+        return;
+      }
+
+      const result = await API.resetPassword(email, resetCode, newPassword);
+      setPassword('');
+      closeReset(result.message);
     } catch (err) {
       setError(err.response?.data?.error || 'An error occurred');
     } finally {
@@ -60,71 +133,177 @@ export const AuthPage = ({ onLogin }) => {
           <p>Multiple games. Real wins. Payloqa-powered wallet.</p>
         </div>
 
-        <div className="auth-tabs">
-          <button
-            type="button"
-            className={isLogin ? 'active' : ''}
-            onClick={() => setIsLogin(true)}
-          >
-            Login
-          </button>
-          <button
-            type="button"
-            className={isLogin ? '' : 'active'}
-            onClick={() => setIsLogin(false)}
-          >
-            Sign Up
-          </button>
-        </div>
-
-        {referralCode && !isLogin && (
-          <div className="referral-banner">
-            Signing up with referral code: <strong>{referralCode}</strong>
-          </div>
-        )}
+        {challengeToken ? (
+          <TwoFactorChallenge
+            title="Two-factor authentication"
+            submitLabel="Sign in"
+            onVerify={handleTwoFactor}
+            onSendSms={() => API.sendTwoFactorLoginSms(challengeToken)}
+            onCancel={() => setChallengeToken(null)}
+          />
+        ) : resetStep ? (
+          <form onSubmit={handleReset}>
+            <h3>Reset your password</h3>
 
-        <form onSubmit={handleSubmit}>
-          <div className="input-group">
-            <label>Email</label>
-            <input
-              type="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              placeholder="your@email.com"
-              required
-            />
-          </div>
-
-          <div className="input-group">
-            <label>Password</label>
-            <input
-              type="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              placeholder="Enter your password"
-              required
-            />
-          </div>
-
-          {!isLogin && (
             <div className="input-group">
-              <label>Phone Number</label>
+              <label>Email</label>
               <input
-                type="tel"
-                value={phone}
-                onChange={(e) => setPhone(e.target.value)}
-                placeholder="+233XXXXXXXXX"
+                type="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="your@email.com"
+                disabled={resetStep === 'reset'}
                 required
               />
             </div>
-          )}
 
-          {error && <div className="error-message">{error}</div>}
+            {resetStep === 'reset' && (
+              <>
+                <div className="input-group">
+                  <label>Reset Code</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={resetCode}
+                    onChange={(e) => setResetCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                    placeholder="6-digit code"
+                    maxLength={6}
+                    required
+                  />
+                </div>
+
+                <div className="input-group">
+                  <label>New Password</label>
+                  <input
+                    type="password"
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                    placeholder="At least 6 characters"
+                    minLength={6}
+                    required
+                  />
+                </div>
+              </>
+            )}
+
+            {notice && <div className="referral-banner">{notice}</div>}
+
+            {error && <div className="error-message">{error}</div>}
+
+            <button type="submit" className="submit-btn" disabled={loading}>
+              {loading ? 'Processing...' : (resetStep === 'request' ? 'Send Reset Code' : 'Set New Password')}
+            </button>
+
+            <p className="auth-toggle">
+              <span onClick={() => closeReset()}>Back to login</span>
+            </p>
+          </form>
+        ) : (
+          <>
+            <div className="auth-tabs">
+              <button
+                type="button"
+                className={isLogin ? 'active' : ''}
+                onClick={() => setIsLogin(true)}
+              >
+                Login
+              </button>
+              <button
+                type="button"
+                className={isLogin ? '' : 'active'}
+                onClick={() => setIsLogin(false)}
+              >
+                Sign Up
+              </button>
+            </div>
+
+            {referralCode && !isLogin && (
+              <div className="referral-banner">
+                Signing up with referral code: <strong>{referralCode}</strong>
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit}>
+              <div className="input-group">
+                <label>Email</label>
+                <input
+                  type="email"
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  placeholder="your@email.com"
+                  required
+                />
+              </div>
+
+              <div className="input-group">
+                <label>Password</label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Enter your password"
+                  required
+                />
+              </div>
+
+              {!isLogin && (
+                <div className="input-group">
+                  <label>Phone Number</label>
+                  <input
+                    type="tel"
+                    value={phone}
+                    onChange={(e) => {
+                      setPhone(e.target.value);
+                      setOtpSent(false);
+                    }}
+                    placeholder="+233XXXXXXXXX"
+                    required
+                  />
+                </div>
+              )}
+
+              {!isLogin && otpSent && (
+                <div className="input-group">
+                  <label>Verification Code</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={otpCode}
+                    onChange={(e) => setOtpCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                    placeholder="6-digit code"
+                    maxLength={6}
+                    required
+                  />
+                </div>
+              )}
 
-          <button type="submit" className="submit-btn" disabled={loading}>
-            {loading ? 'Processing...' : (isLogin ? 'Enter Casino' : 'Create Account')}
-          </button>
-        </form>
+              {notice && <div className="referral-banner">{notice}</div>}
+
+              {error && <div className="error-message">{error}</div>}
+
+              {selfExcluded && isLogin && (
+                <button
+                  type="button"
+                  className="submit-btn submit-btn--secondary"
+                  disabled={loading}
+                  onClick={(e) => handleSubmit(e, 'withdrawal')}
+                >
+                  Log in to withdraw my balance
+                </button>
+              )}
+
+              <button type="submit" className="submit-btn" disabled={loading}>
+                {loading ? 'Processing...' : (isLogin ? 'Enter Casino' : (otpSent ? 'Create Account' : 'Send Verification Code'))}
+              </button>
+
+              {isLogin && (
+                <p className="auth-toggle">
+                  <span onClick={openReset}>Forgot password?</span>
+                </p>
+              )}
+            </form>
+          </>
+        )}
 
         <div className="auth-features">
           <span>Lucky Triple</span>
@@ -0,0 +1,19 @@
+import { Link } from 'react-router-dom';
+import { CasinoBackground } from '../ui/CasinoBackground';
+import { FairnessVerifier } from '../ui/Fairness';
+
+// Public verifier: anyone with a revealed seed pair can recompute a round.
+export const FairnessPage = () => (
+  <div className="game-container">
+    <CasinoBackground />
+    <main className="game-main">
+      <div className="bank-view">
+        <div className="bank-card bank-card--polished fairness-card">
+          <h3>Provably Fair Verifier</h3>
+          <FairnessVerifier />
+          <Link to="/" className="fairness-home-link">← Back to Lucky Triple Casino</Link>
+        </div>
+      </div>
+    </main>
+  </div>
+);
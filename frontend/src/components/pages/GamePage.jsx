@@ -5,6 +5,9 @@ import { GameView } from '../ui/Game';
 import { PredictionGameView } from '../ui/PredictionGameView';
 import { SlotsView } from '../ui/SlotsView';
 import { BankView } from '../ui/Bank';
+import { FairnessView } from '../ui/Fairness';
+import { MyBetsView } from '../ui/MyBets';
+import { RealityCheckModal } from '../ui/RealityCheck';
 import { CasinoLobby } from '../ui/CasinoLobby';
 import { CasinoBackground } from '../ui/CasinoBackground';
 import { GAME_IMAGES } from '../../assets/gameAssets';
@@ -12,60 +15,21 @@ import { AdBanner } from '../../ads/AdBanner';
 import { AdInterstitial } from '../../ads/AdInterstitial';
 import { INTERSTITIAL_FREQUENCY, hasInterstitialSlot, isAdsConfigured } from '../../ads/adConfig';
 
-const GAME_NAMES = {
-  'lucky-triple': '🎰 Lucky Triple',
-  spin: '🍾 Spin the Bottle',
-  slots: '🎰 Lucky Slots',
-  roulette: '🎡 Golden Roulette',
-  coin: '🪙 Coin Flip',
-  dice: '🎲 Dice Duel',
-};
-
-const PREDICTION_GAMES = {
-  spin: {
-    title: 'Spin the Bottle',
-    subtitle: 'Predict up or down — pick your multiplier!',
-    emoji: '🍾',
-    imageSrc: GAME_IMAGES.spin,
-    visual: 'bottle',
-    choiceA: { value: 'up', label: 'UP', icon: '⬆️' },
-    choiceB: { value: 'bottom', label: 'BOTTOM', icon: '⬇️' },
-    playLabel: 'SPIN NOW',
-    play: (bet, choice, mult) => API.playSpinGame(bet, choice, mult),
-  },
-  roulette: {
-    title: 'Golden Roulette',
-    subtitle: 'Red or black? Choose your multiplier like Spin the Bottle!',
-    emoji: '🎡',
-    imageSrc: GAME_IMAGES.roulette,
-    visual: 'wheel',
-    choiceA: { value: 'red', label: 'RED', icon: '🔴' },
-    choiceB: { value: 'black', label: 'BLACK', icon: '⚫' },
-    playLabel: 'SPIN WHEEL',
-    play: (bet, choice, mult) => API.playRouletteGame(bet, choice, mult),
-  },
-  coin: {
-    title: 'Coin Flip',
-    subtitle: 'Heads or tails — flip for glory!',
-    emoji: '🪙',
-    imageSrc: GAME_IMAGES.coin,
-    visual: 'coin',
-    choiceA: { value: 'heads', label: 'HEADS', icon: '🪙' },
-    choiceB: { value: 'tails', label: 'TAILS', icon: '✨' },
-    playLabel: 'FLIP COIN',
-    play: (bet, choice, mult) => API.playCoinGame(bet, choice, mult),
-  },
-  dice: {
-    title: 'Dice Duel',
-    subtitle: 'High (4-6) or Low (1-3)? Roll and win!',
-    emoji: '🎲',
-    imageSrc: GAME_IMAGES.dice,
-    visual: 'dice',
-    choiceA: { value: 'high', label: 'HIGH', icon: '📈' },
-    choiceB: { value: 'low', label: 'LOW', icon: '📉' },
-    playLabel: 'ROLL DICE',
-    play: (bet, choice, mult) => API.playDiceGame(bet, choice, mult),
-  },
+// Props for a 'prediction' game (pick a side, pick a bet), from its registry entry.
+const predictionProps = (game) => {
+  const [choiceA, choiceB] = game.params.choice.options;
+  return {
+    title: game.name,
+    subtitle: game.display.subtitle,
+    emoji: game.emoji,
+    imageSrc: GAME_IMAGES[game.id],
+    visual: game.display.visual,
+    choiceA,
+    choiceB,
+    bets: game.payoutTable,
+    playLabel: game.display.playLabel,
+    play: (stake, choice, betType) => API.playGameRound(game.id, stake, { choice, betType }),
+  };
 };
 
 export const GamePage = ({ user, onLogout, onUpdateUser }) => {
@@ -76,15 +40,39 @@ export const GamePage = ({ user, onLogout, onUpdateUser }) => {
   const [playing, setPlaying] = useState(false);
   const [showCelebration, setShowCelebration] = useState(false);
   const [gameSettings, setGameSettings] = useState(null);
+  const [games, setGames] = useState([]);
   const [balanceFlash, setBalanceFlash] = useState(null);
   const [pendingGame, setPendingGame] = useState(null);
   const [showInterstitial, setShowInterstitial] = useState(false);
+  const [realityCheck, setRealityCheck] = useState(null);
   const gameLaunchCountRef = useRef(0);
+  // A self-excluded player only gets the wallet, to withdraw what is left.
+  const selfExcluded = Boolean(user?.selfExclusion);
 
   useEffect(() => {
     loadGameSettings();
   }, []);
 
+  // Polls the play session so the reality check shows on time; a bet refused because
+  // one is due raises it straight away (see the 428 handler in api-helper).
+  useEffect(() => {
+    if (selfExcluded) return undefined;
+
+    const checkSession = () => API.getPlaySession()
+      .then((result) => {
+        if (result.success && result.session?.due) setRealityCheck(result.session);
+      })
+      .catch((error) => console.error('Failed to check play session:', error));
+    const handleRealityCheck = (event) => setRealityCheck(event.detail);
+
+    const timer = window.setInterval(checkSession, 60 * 1000);
+    window.addEventListener('reality-check', handleRealityCheck);
+    return () => {
+      window.clearInterval(timer);
+      window.removeEventListener('reality-check', handleRealityCheck);
+    };
+  }, [selfExcluded]);
+
   const applyBalanceUpdate = useCallback(async (newBalance, profit) => {
     const parsed = Number(newBalance);
     if (Number.isFinite(parsed)) {
@@ -102,11 +90,12 @@ export const GamePage = ({ user, onLogout, onUpdateUser }) => {
 
   const loadGameSettings = async () => {
     try {
-      const response = await API.getGameSettings();
+      const [response, gamesResponse] = await Promise.all([API.getGameSettings(), API.getGames()]);
       if (response.success) {
         setGameSettings(response.settings);
         setBet(response.settings.minBet);
       }
+      if (gamesResponse.success) setGames(gamesResponse.games);
     } catch (error) {
       console.error('Failed to load game settings:', error);
     }
@@ -125,7 +114,7 @@ export const GamePage = ({ user, onLogout, onUpdateUser }) => {
       alert('Please enter all 3 numbers');
       return;
     }
-    if (user.balance < bet) {
+    if (availableBalance < bet) {
       alert('Insufficient balance. Please deposit funds.');
       return;
     }
@@ -134,7 +123,7 @@ export const GamePage = ({ user, onLogout, onUpdateUser }) => {
     setResult(null);
 
     try {
-      const gameResult = await API.playGame(bet, guesses);
+      const gameResult = await API.playGameRound('lucky-triple', bet, { guesses });
       if (gameResult.success) {
         setResult(gameResult);
         await applyBalanceUpdate(gameResult.newBalance, gameResult.profit);
@@ -158,7 +147,7 @@ export const GamePage = ({ user, onLogout, onUpdateUser }) => {
   const openGame = (gameId) => {
     setView(gameId);
     loadGameSettings();
-    if (gameId === 'lucky-triple') {
+    if (games.find((game) => game.id === gameId)?.view === 'triple') {
       setResult(null);
       setGuesses(['', '', '']);
     }
@@ -199,13 +188,17 @@ export const GamePage = ({ user, onLogout, onUpdateUser }) => {
     }
   };
 
-  const isInGame = Object.keys(GAME_NAMES).includes(view);
+  const activeView = selfExcluded ? 'bank' : view;
+  const activeGame = games.find((game) => game.id === activeView);
+  // Funds held for pending withdrawals cannot be bet.
+  const heldBalance = user?.heldBalance || 0;
+  const availableBalance = Math.max(0, (user?.balance || 0) - heldBalance);
 
   if (!user) {
     return <div className="loading-screen">Loading user data...</div>;
   }
 
-  const predictionConfig = PREDICTION_GAMES[view];
+  const predictionConfig = activeGame?.view === 'prediction' ? predictionProps(activeGame) : null;
 
   return (
     <div className="game-container">
@@ -219,32 +212,43 @@ export const GamePage = ({ user, onLogout, onUpdateUser }) => {
           </button>
         </div>
         <div className="nav-center">
-          <button type="button" className={view === 'lobby' ? 'active' : ''} onClick={() => setView('lobby')}>🏠 Lobby</button>
-          <button type="button" className={view === 'bank' ? 'active' : ''} onClick={() => setView('bank')}>💳 Wallet</button>
+          {!selfExcluded && (
+            <button type="button" className={activeView === 'lobby' ? 'active' : ''} onClick={() => setView('lobby')}>🏠 Lobby</button>
+          )}
+          <button type="button" className={activeView === 'bank' ? 'active' : ''} onClick={() => setView('bank')}>💳 Wallet</button>
+          {!selfExcluded && (
+            <button type="button" className={activeView === 'bets' ? 'active' : ''} onClick={() => setView('bets')}>🧾 My Bets</button>
+          )}
+          {!selfExcluded && (
+            <button type="button" className={activeView === 'fairness' ? 'active' : ''} onClick={() => setView('fairness')}>🛡️ Fairness</button>
+          )}
         </div>
         <div className="nav-right">
           <div className={`balance-display ${balanceFlash ? `balance-display--${balanceFlash}` : ''}`}>
             <span className="balance-label">Balance</span>
-            <span className="balance-amount">GHS {user?.balance?.toFixed(2) || '0.00'}</span>
+            <span className="balance-amount">GHS {availableBalance.toFixed(2)}</span>
+            {heldBalance > 0 && (
+              <span className="balance-held">GHS {heldBalance.toFixed(2)} on hold</span>
+            )}
           </div>
           <button type="button" onClick={onLogout} className="logout-btn">Logout</button>
         </div>
       </nav>
 
-      {isInGame && view !== 'bank' && (
+      {activeGame && (
         <motion.div className="game-breadcrumb" initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }}>
           <button type="button" onClick={() => setView('lobby')} className="game-breadcrumb__back">← Back to lobby</button>
-          <span className="game-breadcrumb__current">{GAME_NAMES[view]}</span>
+          <span className="game-breadcrumb__current">{activeGame.emoji} {activeGame.name}</span>
         </motion.div>
       )}
 
       <main className="game-main">
         <AnimatePresence mode="wait">
-          {view === 'lobby' && (
-            <CasinoLobby key="lobby" onSelectGame={handleSelectGame} gameSettings={gameSettings} />
+          {activeView === 'lobby' && (
+            <CasinoLobby key="lobby" games={games} onSelectGame={handleSelectGame} gameSettings={gameSettings} />
           )}
 
-          {view === 'lucky-triple' && (
+          {activeGame?.view === 'triple' && (
             <GameView
               key="game"
               guesses={guesses}
@@ -253,19 +257,20 @@ export const GamePage = ({ user, onLogout, onUpdateUser }) => {
               playing={playing}
               showCelebration={showCelebration}
               gameSettings={gameSettings}
+              payoutTable={activeGame.payoutTable}
               onGuessChange={handleGuessChange}
               onBetChange={setBet}
               onPlay={handlePlay}
               onPlayAgain={handlePlayAgain}
-              userBalance={user.balance || 0}
+              userBalance={availableBalance}
             />
           )}
 
           {predictionConfig && (
             <PredictionGameView
-              key={view}
+              key={activeView}
               {...predictionConfig}
-              userBalance={user.balance || 0}
+              userBalance={availableBalance}
               gameSettings={gameSettings}
               onUpdateUser={handleGameUpdateUser}
               onPlay={predictionConfig.play}
@@ -273,24 +278,30 @@ export const GamePage = ({ user, onLogout, onUpdateUser }) => {
             />
           )}
 
-          {view === 'slots' && (
+          {activeGame?.view === 'slots' && (
             <SlotsView
-              key="slots"
-              userBalance={user.balance || 0}
+              key={activeGame.id}
+              game={activeGame}
+              userBalance={availableBalance}
               gameSettings={gameSettings}
               onUpdateUser={handleGameUpdateUser}
               onRefreshSettings={loadGameSettings}
             />
           )}
 
-          {view === 'bank' && (
+          {activeView === 'bank' && (
             <BankView key="bank" user={user} onUpdateUser={onUpdateUser} gameSettings={gameSettings} />
           )}
+
+          {activeView === 'bets' && <MyBetsView key="bets" games={games} />}
+
+          {activeView === 'fairness' && <FairnessView key="fairness" />}
         </AnimatePresence>
       </main>
 
       <AdBanner className="game-ad-banner" />
       <AdInterstitial open={showInterstitial} onClose={handleInterstitialClose} />
+      <RealityCheckModal session={realityCheck} onAcknowledged={() => setRealityCheck(null)} onLogout={onLogout} />
     </div>
   );
 };
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
 import { ReferralAuth } from './ReferralAuth';
 import { ReferralDashboard } from './ReferralDashboard';
+import { ReferralTwoFactorSetup } from './ReferralTwoFactor';
 
 export const ReferralApp = () => {
   const [referrer, setReferrer] = useState(null);
@@ -49,6 +50,16 @@ export const ReferralApp = () => {
     return <div className="loading-screen">Loading...</div>;
   }
 
+  if (referrer && !referrer.twoFactor?.enabled) {
+    return (
+      <ReferralTwoFactorSetup
+        referrer={referrer}
+        onComplete={() => setReferrer({ ...referrer, twoFactor: { enabled: true } })}
+        onLogout={handleLogout}
+      />
+    );
+  }
+
   return referrer ? (
     <ReferralDashboard referrer={referrer} onLogout={handleLogout} />
   ) : (
@@ -1,5 +1,7 @@
 import { useState } from 'react';
 import { motion } from 'framer-motion';
+import { referralPost } from '../../api-helper';
+import { TwoFactorChallenge } from '../ui/TwoFactor';
 
 export const ReferralAuth = ({ onLogin }) => {
   const [isLogin, setIsLogin] = useState(true);
@@ -12,6 +14,12 @@ export const ReferralAuth = ({ onLogin }) => {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
+  // null, 'request' (ask for a code) or 'reset' (enter code and new password)
+  const [resetStep, setResetStep] = useState(null);
+  const [resetCode, setResetCode] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  // Set when the password was right and the account has 2FA on.
+  const [challengeToken, setChallengeToken] = useState(null);
 
   const handleChange = (e) => {
     setFormData({ ...formData, [e.target.name]: e.target.value });
@@ -38,7 +46,9 @@ export const ReferralAuth = ({ onLogin }) => {
 
       const data = await response.json();
 
-      if (data.success) {
+      if (data.twoFactorRequired) {
+        setChallengeToken(data.challengeToken);
+      } else if (data.success) {
         if (isLogin) {
           localStorage.setItem('referrerToken', data.token);
           onLogin(data.referrer);
@@ -56,6 +66,148 @@ export const ReferralAuth = ({ onLogin }) => {
     }
   };
 
+  const handleReset = async (e) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+    setLoading(true);
+
+    try {
+      const endpoint = resetStep === 'request' ? '/referral/forgot-password' : '/referral/reset-password';
+      const body = resetStep === 'request'
+        ? { email: formData.email }
+        : { email: formData.email, code: resetCode, newPassword };
+
+      const response = await fetch(`${import.meta.env.VITE_API_URL}${endpoint}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+
+      const data = await response.json();
+
+      if (data.success) {
+        setMessage(data.message);
+        if (resetStep === 'request') {
+          setResetStep('reset');
+        } else {
+          setResetStep(null);
+          setResetCode('');
+          setNewPassword('');
+          setFormData({ ...formData, password: '' });
+        }
+      } else {
+        setError(data.error || 'An error occurred');
+      }
+    } catch {
+      setError('Connection error. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleTwoFactor = async (code, method) => {
+    const data = await referralPost('/referral/2fa/login', { challengeToken, code, method });
+    localStorage.setItem('referrerToken', data.token);
+    onLogin(data.referrer);
+  };
+
+  const toggleReset = () => {
+    setError('');
+    setMessage('');
+    setResetStep(resetStep ? null : 'request');
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="auth-container">
+        <motion.div
+          className="auth-card"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+        >
+          <h1>🔗 Referral Portal</h1>
+          <TwoFactorChallenge
+            submitLabel="Login"
+            onVerify={handleTwoFactor}
+            onSendSms={() => referralPost('/referral/2fa/login/sms', { challengeToken })}
+            onCancel={() => setChallengeToken(null)}
+          />
+        </motion.div>
+      </div>
+    );
+  }
+
+  if (resetStep) {
+    return (
+      <div className="auth-container">
+        <motion.div
+          className="auth-card"
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+        >
+          <h1>🔗 Referral Portal</h1>
+          <p className="auth-subtitle">Reset your password with a code sent to your phone</p>
+
+          {error && <div className="error-message">{error}</div>}
+          {message && <div className="success-message">{message}</div>}
+
+          <form onSubmit={handleReset}>
+            <div className="form-group">
+              <label>Email</label>
+              <input
+                type="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                placeholder="your@email.com"
+                disabled={resetStep === 'reset'}
+                required
+              />
+            </div>
+
+            {resetStep === 'reset' && (
+              <>
+                <div className="form-group">
+                  <label>Reset Code</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={resetCode}
+                    onChange={(e) => setResetCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                    placeholder="6-digit code"
+                    maxLength={6}
+                    required
+                  />
+                </div>
+
+                <div className="form-group">
+                  <label>New Password</label>
+                  <input
+                    type="password"
+                    value={newPassword}
+                    onChange={(e) => setNewPassword(e.target.value)}
+                    placeholder="At least 6 characters"
+                    minLength={6}
+                    required
+                  />
+                </div>
+              </>
+            )}
+
+            <button type="submit" disabled={loading} className="btn-primary">
+              {loading ? 'Loading...' : resetStep === 'request' ? 'Send Reset Code' : 'Set New Password'}
+            </button>
+          </form>
+
+          <p className="auth-toggle">
+            <span onClick={toggleReset}>Back to login</span>
+          </p>
+        </motion.div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <motion.div 
@@ -129,6 +281,12 @@ export const ReferralAuth = ({ onLogin }) => {
           </button>
         </form>
 
+        {isLogin && (
+          <p className="auth-toggle">
+            <span onClick={toggleReset}>Forgot password?</span>
+          </p>
+        )}
+
         <p className="auth-toggle">
           {isLogin ? "Don't have an account? " : "Already have an account? "}
           <span onClick={() => setIsLogin(!isLogin)}>
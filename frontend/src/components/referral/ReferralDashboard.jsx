@@ -1,5 +1,7 @@
 import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import { createIdempotencyKey, referralPost } from '../../api-helper';
+import { TwoFactorChallenge, BackupCodesList } from '../ui/TwoFactor';
 
 export const ReferralDashboard = ({ referrer, onLogout }) => {
   const [view, setView] = useState('overview');
@@ -8,8 +10,14 @@ export const ReferralDashboard = ({ referrer, onLogout }) => {
   const [withdrawals, setWithdrawals] = useState([]);
   const [loading, setLoading] = useState(true);
   const [withdrawAmount, setWithdrawAmount] = useState('');
+  const [withdrawNetwork, setWithdrawNetwork] = useState('mtn');
   const [showWithdrawForm, setShowWithdrawForm] = useState(false);
   const [copiedLink, setCopiedLink] = useState(false);
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  // Withdrawals need a fresh 2FA code; the form asks for one when the server does.
+  const [withdrawStepUp, setWithdrawStepUp] = useState(false);
+  const [backupCodes, setBackupCodes] = useState(null);
 
   const token = localStorage.getItem('referrerToken');
   const referralLink = `${window.location.origin}/signup?ref=${referrer.referralCode}`;
@@ -74,26 +82,80 @@ export const ReferralDashboard = ({ referrer, onLogout }) => {
     }
 
     try {
-      const response = await fetch(`${import.meta.env.VITE_API_URL}/referral/withdraw`, {
+      const data = await submitWithdrawal(amount);
+      if (data.stepUpRequired) {
+        setWithdrawStepUp(true);
+      } else {
+        finishWithdrawal(data);
+      }
+    } catch (error) {
+      alert('Request failed.');
+    }
+  };
+
+  const submitWithdrawal = async (amount, stepUpToken) => {
+    const response = await fetch(`${import.meta.env.VITE_API_URL}/referral/withdraw`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json',
+        'Idempotency-Key': createIdempotencyKey(),
+        ...(stepUpToken && { 'X-Step-Up-Token': stepUpToken })
+      },
+      body: JSON.stringify({ amount, network: withdrawNetwork })
+    });
+    return response.json();
+  };
+
+  const finishWithdrawal = (data) => {
+    if (data.success) {
+      alert('Withdrawal request submitted!');
+      setWithdrawAmount('');
+      setShowWithdrawForm(false);
+      loadWithdrawals();
+      loadStats();
+    } else {
+      alert(data.error);
+    }
+  };
+
+  const handleWithdrawStepUp = async (code, method) => {
+    const { stepUpToken } = await referralPost('/referral/2fa/step-up', { code, method });
+    const data = await submitWithdrawal(parseFloat(withdrawAmount), stepUpToken);
+    setWithdrawStepUp(false);
+    finishWithdrawal(data);
+  };
+
+  const handleRegenerateBackupCodes = async (code, method) => {
+    const data = await referralPost('/referral/2fa/backup-codes', { code, method });
+    setBackupCodes(data.backupCodes);
+  };
+
+  // Signs out every other device; this one carries on with the returned token.
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+
+    try {
+      const response = await fetch(`${import.meta.env.VITE_API_URL}/referral/change-password`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${token}`,
-          'Content-Type': 'application/json'
+          'Content-Type': 'application/json',
+          'Idempotency-Key': createIdempotencyKey()
         },
-        body: JSON.stringify({ amount })
+        body: JSON.stringify({ currentPassword, newPassword })
       });
 
       const data = await response.json();
       if (data.success) {
-        alert('Withdrawal request submitted!');
-        setWithdrawAmount('');
-        setShowWithdrawForm(false);
-        loadWithdrawals();
-        loadStats();
+        localStorage.setItem('referrerToken', data.token);
+        setCurrentPassword('');
+        setNewPassword('');
+        alert('Password changed. Other devices have been logged out.');
       } else {
         alert(data.error);
       }
-    } catch (error) {
+    } catch {
       alert('Request failed.');
     }
   };
@@ -120,6 +182,9 @@ export const ReferralDashboard = ({ referrer, onLogout }) => {
           <button className={view === 'withdrawals' ? 'active' : ''} onClick={() => setView('withdrawals')}>
             🏦 Withdrawals
           </button>
+          <button className={view === 'account' ? 'active' : ''} onClick={() => setView('account')}>
+            🔑 Account
+          </button>
         </div>
         <div className="nav-right">
           <div className="balance-display">
@@ -165,13 +230,26 @@ export const ReferralDashboard = ({ referrer, onLogout }) => {
               </div>
 
               <div className="withdraw-section">
-                {!showWithdrawForm ? (
+                {withdrawStepUp ? (
+                  <TwoFactorChallenge
+                    title="Confirm your withdrawal"
+                    submitLabel="Confirm withdrawal"
+                    onVerify={handleWithdrawStepUp}
+                    onSendSms={() => referralPost('/referral/2fa/step-up/sms')}
+                    onCancel={() => setWithdrawStepUp(false)}
+                  />
+                ) : !showWithdrawForm ? (
                   <button className="btn-primary" onClick={() => setShowWithdrawForm(true)} disabled={(stats?.commissionBalance ?? referrer.commissionBalance) < 50}>
                     💸 Request Withdrawal
                   </button>
                 ) : (
                   <form onSubmit={handleWithdraw} className="withdraw-form">
                     <input type="number" placeholder="Amount (min GHS 50)" value={withdrawAmount} onChange={(e) => setWithdrawAmount(e.target.value)} min="50" step="0.01" required />
+                    <select value={withdrawNetwork} onChange={(e) => setWithdrawNetwork(e.target.value)} aria-label={`Mobile money network for ${referrer.phone}`}>
+                      <option value="mtn">MTN Mobile Money</option>
+                      <option value="vodafone">Telecel Cash</option>
+                      <option value="airteltigo">AirtelTigo Money</option>
+                    </select>
                     <button type="submit">Submit</button>
                     <button type="button" onClick={() => setShowWithdrawForm(false)}>Cancel</button>
                   </form>
@@ -239,6 +317,29 @@ export const ReferralDashboard = ({ referrer, onLogout }) => {
               )}
             </motion.div>
           )}
+
+          {view === 'account' && (
+            <motion.div key="account" initial={{ opacity: 0 }} animate={{ opacity: 1 }}>
+              <h3>Change Password</h3>
+              <form onSubmit={handleChangePassword} className="withdraw-form">
+                <input type="password" placeholder="Current password" value={currentPassword} onChange={(e) => setCurrentPassword(e.target.value)} required />
+                <input type="password" placeholder="New password (min 6)" value={newPassword} onChange={(e) => setNewPassword(e.target.value)} minLength={6} required />
+                <button type="submit">Change Password</button>
+              </form>
+
+              <h3>Backup Codes</h3>
+              {backupCodes ? (
+                <BackupCodesList codes={backupCodes} onDone={() => setBackupCodes(null)} />
+              ) : (
+                <TwoFactorChallenge
+                  description="Enter a current code to replace all of your backup codes."
+                  submitLabel="Create new backup codes"
+                  onVerify={handleRegenerateBackupCodes}
+                  onSendSms={() => referralPost('/referral/2fa/step-up/sms')}
+                />
+              )}
+            </motion.div>
+          )}
         </AnimatePresence>
       </div>
     </div>
@@ -0,0 +1,31 @@
+import { referralPost } from '../../api-helper';
+import { TwoFactorSetup } from '../ui/TwoFactor';
+
+// Referrers must turn on 2FA before the dashboard opens. Enabling it signs out other
+// devices and returns a new token for this one.
+export const ReferralTwoFactorSetup = ({ referrer, onComplete, onLogout }) => {
+  const handleEnable = async (code) => {
+    const data = await referralPost('/referral/2fa/enable', { code });
+    localStorage.setItem('referrerToken', data.token);
+    return data;
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h1>🔐 Secure your account</h1>
+        <p className="auth-subtitle">
+          Referral accounts need two-factor authentication. Set it up for {referrer.email} to continue.
+        </p>
+        <TwoFactorSetup
+          onStart={() => referralPost('/referral/2fa/setup')}
+          onEnable={handleEnable}
+          onDone={onComplete}
+        />
+        <p className="auth-toggle">
+          <span onClick={onLogout}>Logout</span>
+        </p>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,92 @@
+import { useState } from 'react';
+import { API, clearSession } from '../../api-helper';
+
+const CLOSE_CONFIRMATION = 'CLOSE MY ACCOUNT';
+
+const saveFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Download everything we hold about the player, or close the account for good.
+// Closing keeps the money records but removes the email, phone and password.
+export const AccountDataCard = ({ user }) => {
+  const [downloading, setDownloading] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [closing, setClosing] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleExport = async (format) => {
+    setDownloading(format);
+    setMessage(null);
+    try {
+      const blob = await API.exportMyData(format);
+      saveFile(blob, `account-export-${new Date().toISOString().slice(0, 10)}.${format}`);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to export your data' });
+    } finally {
+      setDownloading(null);
+    }
+  };
+
+  const handleClose = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Close your account? This cannot be undone.')) return;
+    setClosing(true);
+    setMessage(null);
+    try {
+      const result = await API.closeAccount(password, confirmation);
+      alert(result.message);
+      clearSession();
+      window.dispatchEvent(new CustomEvent('session-ended'));
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to close account' });
+      setClosing(false);
+    }
+  };
+
+  return (
+    <div className="bank-card bank-card--polished">
+      <h3>Your Data</h3>
+      <p className="game-subtitle">
+        Download your profile, transactions, game history and the SMS messages we sent you.
+      </p>
+      <div className="account-data-actions">
+        <button type="button" className="bank-secondary-btn" onClick={() => handleExport('json')} disabled={Boolean(downloading)}>
+          {downloading === 'json' ? 'Preparing...' : 'Download JSON'}
+        </button>
+        <button type="button" className="bank-secondary-btn" onClick={() => handleExport('zip')} disabled={Boolean(downloading)}>
+          {downloading === 'zip' ? 'Preparing...' : 'Download CSV archive'}
+        </button>
+      </div>
+
+      {!user?.isAdmin && (
+        <form className="rg-section" onSubmit={handleClose}>
+          <h4>Close account</h4>
+          <p className="game-subtitle">
+            Withdraw your balance first. Your email, phone number and password are erased; records of
+            payments and games are kept as the law requires.
+          </p>
+          <div className="input-group">
+            <label>Password</label>
+            <input type="password" value={password} onChange={(e) => setPassword(e.target.value)} required />
+          </div>
+          <div className="input-group">
+            <label>Type {CLOSE_CONFIRMATION} to confirm</label>
+            <input type="text" value={confirmation} onChange={(e) => setConfirmation(e.target.value)} required />
+          </div>
+          <button type="submit" className="bank-secondary-btn" disabled={closing || confirmation !== CLOSE_CONFIRMATION}>
+            {closing ? 'Closing...' : 'Close my account'}
+          </button>
+        </form>
+      )}
+
+      {message && <div className={`bank-message ${message.type}`}>{message.text}</div>}
+    </div>
+  );
+};
@@ -1,6 +1,10 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { API } from '../../api-helper';
+import { ResponsibleGamingPanel } from './ResponsibleGaming';
+import { ChangePasswordCard } from './ChangePassword';
+import { SessionsCard } from './Sessions';
+import { AccountDataCard } from './AccountData';
 
 const NETWORKS = [
   { id: 'mtn', label: 'MTN Mobile Money' },
@@ -8,10 +12,18 @@ const NETWORKS = [
   { id: 'airteltigo', label: 'AirtelTigo Money' },
 ];
 
+const DEPOSIT_STATUS_LABELS = {
+  initiated: 'Awaiting OTP',
+  otp_verified: 'Confirming',
+  completed: 'Completed',
+  failed: 'Failed',
+  expired: 'Expired',
+};
+
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 export const BankView = ({ user, onUpdateUser, gameSettings }) => {
-  const [action, setAction] = useState('deposit');
+  const [selectedAction, setAction] = useState('deposit');
   const [amount, setAmount] = useState('');
   const [phone, setPhone] = useState(user?.phone || '');
   const [network, setNetwork] = useState('mtn');
@@ -21,7 +33,16 @@ export const BankView = ({ user, onUpdateUser, gameSettings }) => {
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState('error');
-
+  const [deposits, setDeposits] = useState([]);
+  // Set once the server asks to confirm a new payout number by SMS code.
+  const [withdrawOtpSent, setWithdrawOtpSent] = useState(false);
+  const [withdrawOtp, setWithdrawOtp] = useState('');
+
+  // Self-excluded players can only withdraw.
+  const selfExcluded = Boolean(user?.selfExclusion);
+  const action = selfExcluded ? 'withdraw' : selectedAction;
+  const heldBalance = user?.heldBalance || 0;
+  const availableBalance = Math.max(0, (user?.balance || 0) - heldBalance);
   const minDeposit = gameSettings?.minDeposit ?? 1;
   const maxDeposit = gameSettings?.maxDeposit ?? 5000;
 
@@ -30,12 +51,24 @@ export const BankView = ({ user, onUpdateUser, gameSettings }) => {
     setMessageType(type);
   };
 
+  const loadDeposits = () => API.getMyDeposits()
+    .then((result) => {
+      if (result.success) setDeposits(result.deposits || []);
+    })
+    .catch((error) => console.error('Failed to load deposits:', error));
+
+  useEffect(() => {
+    loadDeposits();
+  }, []);
+
   const resetDepositFlow = () => {
     setPaymentId(null);
     setOtpCode('');
     setDepositStep('form');
   };
 
+  // The server confirms the payment with Payloqa and credits the wallet itself;
+  // this only waits for the deposit to reach a final state.
   const waitForPaymentCompletion = async (activePaymentId) => {
     for (let attempt = 0; attempt < 30; attempt += 1) {
       const statusResult = await API.getPaymentStatus(activePaymentId);
@@ -44,14 +77,14 @@ export const BankView = ({ user, onUpdateUser, gameSettings }) => {
         throw new Error(statusResult.error || 'Could not check payment status');
       }
 
-      const status = statusResult.payment?.status;
+      const status = statusResult.deposit?.status;
 
       if (status === 'completed') {
-        return statusResult.payment;
+        return statusResult;
       }
 
-      if (status === 'failed' || status === 'cancelled' || status === 'expired') {
-        throw new Error(`Payment ${status}. Please try again.`);
+      if (status === 'failed' || status === 'expired') {
+        throw new Error(statusResult.deposit.failureReason || `Payment ${status}. Please try again.`);
       }
 
       await sleep(2000);
@@ -112,6 +145,7 @@ export const BankView = ({ user, onUpdateUser, gameSettings }) => {
 
     setLoading(true);
     setMessage('');
+    let otpVerified = false;
 
     try {
       const verifyResult = await API.verifyPaymentOtp(paymentId, phone.trim(), otpCode.trim());
@@ -121,33 +155,27 @@ export const BankView = ({ user, onUpdateUser, gameSettings }) => {
         return;
       }
 
+      otpVerified = true;
       setDepositStep('processing');
       showMessage('OTP verified. Approve the payment prompt on your phone...', 'success');
 
-      const payment = await waitForPaymentCompletion(paymentId);
-      const depositAmount = Number(payment.amount) || parseFloat(amount);
-
-      const depositResult = await API.recordDeposit({
-        amount: depositAmount,
-        paymentId: payment.payment_id || paymentId,
-        reference: payment.reference || paymentId,
-        network: payment.network || network,
-      });
+      const statusResult = await waitForPaymentCompletion(paymentId);
 
-      if (depositResult.success) {
-        showMessage('Payment successful. Balance updated.', 'success');
-        setAmount('');
-        resetDepositFlow();
-        if (onUpdateUser && depositResult.user) {
-          onUpdateUser(depositResult.user);
-        }
+      showMessage('Payment successful. Balance updated.', 'success');
+      setAmount('');
+      resetDepositFlow();
+      if (onUpdateUser && statusResult.user) {
+        onUpdateUser(statusResult.user);
       }
     } catch (error) {
       console.error('Deposit verify error:', error);
       showMessage(error.response?.data?.error || error.message || 'Payment failed');
-      setDepositStep('otp');
+      // A verified deposit can't take another OTP; its outcome shows under Recent deposits.
+      if (otpVerified) resetDepositFlow();
+      else setDepositStep('otp');
     } finally {
       setLoading(false);
+      loadDeposits();
     }
   };
 
@@ -167,6 +195,17 @@ export const BankView = ({ user, onUpdateUser, gameSettings }) => {
     }
   };
 
+  const sendWithdrawOtp = async () => {
+    const payoutPhone = phone.trim() || user.phone;
+    try {
+      const result = await API.requestOtp('withdrawal', payoutPhone);
+      setWithdrawOtpSent(true);
+      showMessage(`${result.message}. Enter it below to confirm this number.`, 'success');
+    } catch (error) {
+      showMessage(error.response?.data?.error || 'Failed to send verification code');
+    }
+  };
+
   const handleWithdraw = async () => {
     const withdrawAmount = parseFloat(amount);
     if (!withdrawAmount || withdrawAmount <= 0) {
@@ -174,7 +213,7 @@ export const BankView = ({ user, onUpdateUser, gameSettings }) => {
       return;
     }
 
-    if (withdrawAmount > user.balance) {
+    if (withdrawAmount > availableBalance) {
       showMessage('Insufficient balance');
       return;
     }
@@ -183,18 +222,30 @@ export const BankView = ({ user, onUpdateUser, gameSettings }) => {
     setMessage('');
 
     try {
-      const result = await API.requestWithdrawal(withdrawAmount, phone.trim() || user.phone, network);
+      const payoutPhone = phone.trim() || user.phone;
+      const result = await API.requestWithdrawal(
+        withdrawAmount,
+        payoutPhone,
+        network,
+        withdrawOtpSent ? withdrawOtp.trim() : undefined,
+      );
 
       if (result.success) {
         showMessage('Withdrawal request submitted. Awaiting admin approval.', 'success');
         setAmount('');
+        setWithdrawOtpSent(false);
+        setWithdrawOtp('');
         if (onUpdateUser && result.user) {
           onUpdateUser(result.user);
         }
       }
     } catch (error) {
       console.error('Withdrawal error:', error);
-      showMessage(error.response?.data?.error || 'Failed to request withdrawal');
+      if (error.response?.data?.otpRequired) {
+        await sendWithdrawOtp();
+      } else {
+        showMessage(error.response?.data?.error || 'Failed to request withdrawal');
+      }
     } finally {
       setLoading(false);
     }
@@ -224,14 +275,28 @@ export const BankView = ({ user, onUpdateUser, gameSettings }) => {
         <p className="game-subtitle">Deposit with Payloqa mobile money. Withdraw anytime.</p>
 
         <div className="bank-balance">
-          <div className="balance-label">Current Balance</div>
-          <div className="balance-amount">GHS {user?.balance?.toFixed(2) || '0.00'}</div>
+          <div className="balance-label">Available Balance</div>
+          <div className="balance-amount">GHS {availableBalance.toFixed(2)}</div>
+          <div className="bank-balance__split">
+            <span>Total GHS {user?.balance?.toFixed(2) || '0.00'}</span>
+            <span>On hold GHS {heldBalance.toFixed(2)}</span>
+          </div>
         </div>
 
+        {selfExcluded && (
+          <div className="bank-message error">
+            {user.selfExclusion.permanent
+              ? 'You have permanently self-excluded.'
+              : `You are self-excluded until ${new Date(user.selfExclusion.until).toLocaleString()}.`}
+            {' '}Deposits and play are blocked, but you can withdraw your balance.
+          </div>
+        )}
+
         <div className="bank-tabs">
           <button
             type="button"
             className={action === 'deposit' ? 'active' : ''}
+            disabled={selfExcluded}
             onClick={() => {
               setAction('deposit');
               resetDepositFlow();
@@ -333,11 +398,31 @@ export const BankView = ({ user, onUpdateUser, gameSettings }) => {
                 <input
                   type="tel"
                   value={phone}
-                  onChange={(e) => setPhone(e.target.value)}
+                  onChange={(e) => {
+                    setPhone(e.target.value);
+                    setWithdrawOtpSent(false);
+                  }}
                   placeholder="024XXXXXXX"
                 />
               </div>
 
+              {action === 'withdraw' && withdrawOtpSent && (
+                <div className="input-group">
+                  <label>Verification Code</label>
+                  <input
+                    type="text"
+                    inputMode="numeric"
+                    value={withdrawOtp}
+                    onChange={(e) => setWithdrawOtp(e.target.value.replace(/\D/g, '').slice(0, 6))}
+                    placeholder="6-digit code"
+                    maxLength={6}
+                  />
+                  <button type="button" className="bank-secondary-btn" onClick={sendWithdrawOtp} disabled={loading}>
+                    Resend code
+                  </button>
+                </div>
+              )}
+
               <div className="input-group">
                 <label>Network</label>
                 <div className="bank-network-picker">
@@ -376,10 +461,33 @@ export const BankView = ({ user, onUpdateUser, gameSettings }) => {
           <div className="bank-info">
             {action === 'deposit'
               ? 'Payments go through Payloqa via our secure server. Use the phone number linked to your MoMo wallet.'
-              : 'Withdrawals are processed after admin approval, typically within 24 hours.'}
+              : 'Requested amounts are held from your available balance until an admin approves or rejects the withdrawal, typically within 24 hours.'}
           </div>
         </div>
+
+        {action === 'deposit' && deposits.length > 0 && (
+          <div className="bank-deposits">
+            <h4>Recent deposits</h4>
+            {deposits.slice(0, 5).map((deposit) => (
+              <div key={deposit.paymentId} className="bank-deposits__row">
+                <span>{new Date(deposit.createdAt).toLocaleString()}</span>
+                <span>GHS {deposit.amount.toFixed(2)}</span>
+                <span className={`status-badge status-${deposit.status}`}>
+                  {DEPOSIT_STATUS_LABELS[deposit.status] || deposit.status}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
       </div>
+
+      <ResponsibleGamingPanel user={user} onUpdateUser={onUpdateUser} />
+
+      {!user?.selfExclusion && <ChangePasswordCard />}
+
+      <SessionsCard />
+
+      <AccountDataCard user={user} />
     </motion.div>
   );
 };
@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import { API, storeSession } from '../../api-helper';
+
+// Changing the password signs out every other device; this one keeps working with
+// the fresh token the server returns.
+export const ChangePasswordCard = () => {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await API.changePassword(currentPassword, newPassword);
+      if (result.success) {
+        storeSession(result);
+        setCurrentPassword('');
+        setNewPassword('');
+        setMessage({ type: 'success', text: `${result.message}. Other devices have been logged out.` });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to change password' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <form className="bank-card bank-card--polished" onSubmit={handleSubmit}>
+      <h3>Change Password</h3>
+      <div className="input-group">
+        <label>Current password</label>
+        <input
+          type="password"
+          value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)}
+          required
+        />
+      </div>
+      <div className="input-group">
+        <label>New password</label>
+        <input
+          type="password"
+          value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)}
+          placeholder="At least 6 characters"
+          minLength={6}
+          required
+        />
+      </div>
+      {message && <div className={`bank-message ${message.type}`}>{message.text}</div>}
+      <button type="submit" className="bank-action-btn" disabled={busy}>
+        {busy ? 'Saving...' : 'Change Password'}
+      </button>
+    </form>
+  );
+};
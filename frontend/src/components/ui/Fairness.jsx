@@ -0,0 +1,310 @@
+import { useState, useEffect, useCallback } from 'react';
+import { API } from '../../api-helper';
+
+// Each game's random model (stored in a round's odds), picks and bets.
+const FAIR_GAMES = {
+  'lucky-triple': { label: 'Lucky Triple', model: 'three-digits' },
+  spin: { label: 'Spin the Bottle', model: 'bottle-angle', choices: ['up', 'bottom'], bets: ['half', 'third', 'quarter'] },
+  slots: { label: 'Lucky Slots', model: 'reel-strip', choices: ['🍒', '🍋', '🔔', '💎', '7️⃣'], bets: ['one', 'two', 'three'] },
+  roulette: { label: 'Golden Roulette', model: 'european-wheel', choices: ['red', 'black'], bets: ['color', 'high', 'top'] },
+  coin: { label: 'Coin Flip', model: 'fair-coin', choices: ['heads', 'tails'], bets: ['one', 'two', 'three'] },
+  dice: { label: 'Dice Duel', model: 'two-dice', choices: ['high', 'low'], bets: ['sum', 'both', 'double'] },
+};
+
+// The default slots reel strip: stops per symbol on each reel.
+const DEFAULT_STRIP = { cherry: '6', lemon: '5', bell: '4', diamond: '3', seven: '2' };
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 10)}…${hash.slice(-6)}` : '—');
+
+const formatResult = (game, result) => {
+  if (!result) return '';
+  if (game === 'lucky-triple') return `${result.winningNumbers.join(' - ')} (${result.matches} matches)`;
+  if (game === 'slots') return `${result.reels.join(' ')} — ${result.won ? 'win' : 'loss'}`;
+  if (game === 'dice') return `${result.diceRolls.join(' + ')} = ${result.diceRoll} (${result.outcome}) — ${result.won ? 'win' : 'loss'}`;
+  if (game === 'spin' && result.angle !== undefined) return `${result.angle}° (${result.outcome}) — ${result.won ? 'win' : 'loss'}`;
+  if (game === 'roulette' && result.pocket !== undefined) return `${result.pocket} ${result.outcome} — ${result.won ? 'win' : 'loss'}`;
+  if (game === 'coin' && result.flips) return `${result.flips.join(', ')} — ${result.won ? 'win' : 'loss'}`;
+  return `${result.outcome} — ${result.won ? 'win' : 'loss'}`;
+};
+
+const SeedPanel = ({ seed, revealed, onChanged }) => {
+  const [clientSeed, setClientSeed] = useState(seed?.clientSeed || '');
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const run = async (action, successText) => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await action();
+      if (result.success) {
+        setMessage({ type: 'success', text: successText });
+        onChanged();
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Request failed' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="fairness-section">
+      <h4>Your seed pair</h4>
+      <div className="fairness-field">
+        <span>Server seed hash</span>
+        <code>{seed?.serverSeedHash || '—'}</code>
+      </div>
+      <div className="fairness-field">
+        <span>Next nonce</span>
+        <code>{seed?.nonce ?? 0}</code>
+      </div>
+      <div className="input-group">
+        <label>Client seed</label>
+        <input type="text" value={clientSeed} maxLength={64} onChange={(e) => setClientSeed(e.target.value)} />
+      </div>
+      <div className="deposit-otp-actions">
+        <button
+          type="button"
+          className="bank-secondary-btn"
+          disabled={busy || !clientSeed.trim()}
+          onClick={() => run(() => API.setClientSeed(clientSeed.trim()), 'Client seed updated')}
+        >
+          Save client seed
+        </button>
+        <button
+          type="button"
+          className="bank-secondary-btn"
+          disabled={busy}
+          onClick={() => run(() => API.rotateSeed(clientSeed.trim() || undefined), 'Server seed revealed and a new pair started')}
+        >
+          Rotate &amp; reveal server seed
+        </button>
+      </div>
+      {message && <div className={`bank-message ${message.type}`}>{message.text}</div>}
+
+      {revealed.length > 0 && (
+        <>
+          <h4>Revealed seeds</h4>
+          {revealed.map((item) => (
+            <div key={item.serverSeedHash} className="fairness-field fairness-field--stacked">
+              <span>{new Date(item.revealedAt).toLocaleString()} · {item.nonce} rounds · client seed {item.clientSeed}</span>
+              <code>{item.serverSeed}</code>
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+};
+
+const RecentRounds = ({ rounds }) => {
+  const [checks, setChecks] = useState({});
+
+  const verify = async (round) => {
+    try {
+      const result = await API.verifyRound({ game: round.game, roundId: round.roundId });
+      setChecks((prev) => ({ ...prev, [round.roundId]: result }));
+    } catch (error) {
+      setChecks((prev) => ({ ...prev, [round.roundId]: { error: error.response?.data?.error || 'Verification failed' } }));
+    }
+  };
+
+  if (rounds.length === 0) {
+    return <p className="game-subtitle">No provably-fair rounds yet. Play a game to see it here.</p>;
+  }
+
+  return (
+    <div className="fairness-section">
+      <h4>Recent rounds</h4>
+      <table className="fairness-table">
+        <thead>
+          <tr>
+            <th>Game</th>
+            <th>Nonce</th>
+            <th>Server seed hash</th>
+            <th>Check</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rounds.map((round) => {
+            const check = checks[round.roundId];
+            return (
+              <tr key={round.roundId}>
+                <td>{FAIR_GAMES[round.game]?.label || round.game}</td>
+                <td>{round.nonce}</td>
+                <td><code>{shortHash(round.serverSeedHash)}</code></td>
+                <td>
+                  {!check && (
+                    <button type="button" className="bank-secondary-btn" disabled={!round.revealed} onClick={() => verify(round)}>
+                      {round.revealed ? 'Verify' : 'Rotate seed first'}
+                    </button>
+                  )}
+                  {check?.error && <span className="fairness-bad">{check.error}</span>}
+                  {check?.success && (
+                    <span className={check.verified ? 'fairness-ok' : 'fairness-bad'}>
+                      {check.verified ? '✔' : '✘'} {formatResult(round.game, check.result)}
+                    </span>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+// Recomputes any round from raw seeds; works without an account.
+export const FairnessVerifier = () => {
+  const [game, setGame] = useState('lucky-triple');
+  const [serverSeed, setServerSeed] = useState('');
+  const [clientSeed, setClientSeed] = useState('');
+  const [nonce, setNonce] = useState('0');
+  const [guesses, setGuesses] = useState('1,2,3');
+  const [choice, setChoice] = useState('');
+  const [bet, setBet] = useState('');
+  const [strip, setStrip] = useState(DEFAULT_STRIP);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+
+  const { model, choices, bets } = FAIR_GAMES[game];
+
+  const handleVerify = async () => {
+    setError('');
+    setResult(null);
+    const isTriple = game === 'lucky-triple';
+    const payload = {
+      game,
+      serverSeed: serverSeed.trim(),
+      clientSeed: clientSeed.trim(),
+      nonce: Number(nonce),
+      params: isTriple
+        ? { guesses: guesses.split(',').map((g) => parseInt(g.trim(), 10)) }
+        : { [game === 'slots' ? 'symbol' : 'choice']: choice || choices[0], bet: bet || bets[0] },
+      odds: game === 'slots'
+        ? { model, strip: Object.fromEntries(Object.entries(strip).map(([key, value]) => [key, Number(value)])) }
+        : { model },
+    };
+
+    try {
+      const response = await API.verifyRound(payload);
+      if (response.success) setResult(response);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Verification failed');
+    }
+  };
+
+  return (
+    <div className="fairness-section">
+      <h4>Verify a round</h4>
+      <p className="game-subtitle">
+        Outcomes are read from HMAC-SHA256(server seed, &quot;client seed:nonce:cursor&quot;). Paste a revealed
+        seed pair to recompute any round.
+      </p>
+      <div className="input-group">
+        <label>Game</label>
+        <select value={game} onChange={(e) => { setGame(e.target.value); setChoice(''); setBet(''); setResult(null); }}>
+          {Object.entries(FAIR_GAMES).map(([id, { label }]) => <option key={id} value={id}>{label}</option>)}
+        </select>
+      </div>
+      <div className="input-group">
+        <label>Server seed</label>
+        <input type="text" value={serverSeed} onChange={(e) => setServerSeed(e.target.value)} />
+      </div>
+      <div className="input-group">
+        <label>Client seed</label>
+        <input type="text" value={clientSeed} onChange={(e) => setClientSeed(e.target.value)} />
+      </div>
+      <div className="input-group">
+        <label>Nonce</label>
+        <input type="number" min="0" value={nonce} onChange={(e) => setNonce(e.target.value)} />
+      </div>
+
+      {game === 'lucky-triple' ? (
+        <div className="input-group">
+          <label>Guesses (comma separated)</label>
+          <input type="text" value={guesses} onChange={(e) => setGuesses(e.target.value)} />
+        </div>
+      ) : (
+        <>
+          <div className="input-group">
+            <label>Your pick</label>
+            <select value={choice || choices[0]} onChange={(e) => setChoice(e.target.value)}>
+              {choices.map((value) => <option key={value} value={value}>{value}</option>)}
+            </select>
+          </div>
+          <div className="input-group">
+            <label>Your bet</label>
+            <select value={bet || bets[0]} onChange={(e) => setBet(e.target.value)}>
+              {bets.map((value) => <option key={value} value={value}>{value}</option>)}
+            </select>
+          </div>
+        </>
+      )}
+      {game === 'slots' && (
+        <div className="fairness-odds">
+          {Object.keys(strip).map((key) => (
+            <div className="input-group" key={key}>
+              <label>{key} stops</label>
+              <input
+                type="number"
+                min="1"
+                value={strip[key]}
+                onChange={(e) => setStrip((prev) => ({ ...prev, [key]: e.target.value }))}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+
+      <button type="button" className="bank-action-btn" onClick={handleVerify} disabled={!serverSeed.trim() || !clientSeed.trim()}>
+        Recompute outcome
+      </button>
+
+      {error && <div className="bank-message error">{error}</div>}
+      {result && (
+        <div className="bank-message success">
+          <div>Outcome: {formatResult(game, result.result)}</div>
+          <div>Server seed hash: <code>{result.serverSeedHash}</code></div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export const FairnessView = () => {
+  const [seed, setSeed] = useState(null);
+  const [revealed, setRevealed] = useState([]);
+  const [rounds, setRounds] = useState([]);
+
+  const load = useCallback(() => Promise.all([API.getFairnessSeed(), API.getFairRounds()])
+    .then(([seedResponse, roundsResponse]) => {
+      if (seedResponse.success) {
+        setSeed(seedResponse.current);
+        setRevealed(seedResponse.revealed || []);
+      }
+      if (roundsResponse.success) setRounds(roundsResponse.rounds || []);
+    })
+    .catch((error) => console.error('Failed to load fairness data:', error)), []);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  return (
+    <div className="bank-view">
+      <div className="bank-card bank-card--polished fairness-card">
+        <h3>Provably Fair</h3>
+        <p className="game-subtitle">
+          Every round is committed to a hashed server seed before you play. Rotate your seed pair to reveal the
+          server seed and check past rounds yourself.
+        </p>
+        <SeedPanel key={seed?.clientSeed} seed={seed} revealed={revealed} onChanged={load} />
+        <RecentRounds rounds={rounds} />
+        <FairnessVerifier />
+      </div>
+    </div>
+  );
+};
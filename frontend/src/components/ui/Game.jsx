@@ -8,7 +8,7 @@ import { GAME_IMAGES } from '../../assets/gameAssets';
 // ============================================================================
 
 export const GameView = ({ 
-  guesses, bet, result, playing, showCelebration, gameSettings,
+  guesses, bet, result, playing, showCelebration, gameSettings, payoutTable,
   onGuessChange, onBetChange, onPlay, onPlayAgain, userBalance 
 }) => {
   if (!gameSettings) {
@@ -124,24 +124,14 @@ export const GameView = ({
         </div>
 
         <div className="payout-info">
-          <div className="payout-row">
-            <span>3 Matches</span>
-            <span className="payout-value">
-              {gameSettings.payoutMultipliers.threeMatches}x (GHS {(bet * gameSettings.payoutMultipliers.threeMatches).toFixed(0)})
-            </span>
-          </div>
-          <div className="payout-row">
-            <span>2 Matches</span>
-            <span className="payout-value">
-              {gameSettings.payoutMultipliers.twoMatches}x (GHS {(bet * gameSettings.payoutMultipliers.twoMatches).toFixed(0)})
-            </span>
-          </div>
-          <div className="payout-row">
-            <span>1 Match</span>
-            <span className="payout-value">
-              {gameSettings.payoutMultipliers.oneMatch}x (GHS {(bet * gameSettings.payoutMultipliers.oneMatch).toFixed(0)})
-            </span>
-          </div>
+          {payoutTable.map((row) => (
+            <div className="payout-row" key={row.key}>
+              <span>{row.label} ({row.chance}%)</span>
+              <span className="payout-value">
+                {row.multiplier}x (GHS {(bet * row.multiplier).toFixed(2)})
+              </span>
+            </div>
+          ))}
         </div>
 
         {!result ? (
@@ -19,8 +19,9 @@ const DieFace = ({ value }) => (
   </div>
 );
 
-export const BottleVisual = ({ spinning, outcome }) => {
-  const landDeg = outcome === 'bottom' ? 180 : 0;
+// The bottle lands at the angle the round drew; older results only say which way.
+export const BottleVisual = ({ spinning, outcome, angle }) => {
+  const landDeg = angle ?? (outcome === 'bottom' ? 180 : 0);
   const landedStyle = !spinning && outcome
     ? { transform: `rotate(${1440 + landDeg}deg)` }
     : undefined;
@@ -41,8 +42,9 @@ export const BottleVisual = ({ spinning, outcome }) => {
 };
 
 const WHEEL_FULL_ROTATION = 6 * 360;
-// Align the center of each half (not the seam) with the top pointer
-const ROULETTE_LAND_OFFSET = { red: 270, black: 90 };
+// Align the center of each half (not the seam) with the top pointer; the zero
+// pocket lands on the seam
+const ROULETTE_LAND_OFFSET = { red: 270, black: 90, green: 0 };
 
 export const RouletteWheelVisual = ({ spinning, outcome, idleSpin = false }) => {
   const [rotation, setRotation] = useState(0);
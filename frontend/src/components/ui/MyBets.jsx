@@ -0,0 +1,140 @@
+import { useState, useEffect } from 'react';
+import { API } from '../../api-helper';
+
+const EMPTY_FILTERS = { game: '', result: '', from: '', to: '', minAmount: '', maxAmount: '' };
+
+// Only the filters that are set, in the shape GET /api/bets takes.
+const toQuery = (filters) => Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ''));
+
+// Every round the player has played, across all games, newest first.
+export const MyBetsView = ({ games }) => {
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [applied, setApplied] = useState(EMPTY_FILTERS);
+  const [bets, setBets] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchPage = (query, cursor) => API.getBets({ ...toQuery(query), ...(cursor && { cursor }) })
+    .then((response) => {
+      if (response.success) {
+        setBets((prev) => (cursor ? [...prev, ...response.bets] : response.bets));
+        setNextCursor(response.nextCursor);
+        setError('');
+      }
+    })
+    .catch((err) => setError(err.response?.data?.error || 'Failed to load bets'))
+    .finally(() => setLoading(false));
+
+  useEffect(() => {
+    fetchPage(EMPTY_FILTERS);
+  }, []);
+
+  const setFilter = (key) => (e) => setFilters((prev) => ({ ...prev, [key]: e.target.value }));
+
+  const handleApply = (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setApplied(filters);
+    fetchPage(filters);
+  };
+
+  const handleReset = () => {
+    setLoading(true);
+    setFilters(EMPTY_FILTERS);
+    setApplied(EMPTY_FILTERS);
+    fetchPage(EMPTY_FILTERS);
+  };
+
+  const handleLoadMore = () => {
+    setLoading(true);
+    fetchPage(applied, nextCursor);
+  };
+
+  return (
+    <div className="bank-view">
+      <div className="bank-card bank-card--polished my-bets-card">
+        <h3>My Bets</h3>
+        <p className="game-subtitle">Every round you have played, in every game, newest first.</p>
+
+        <form className="my-bets-filters" onSubmit={handleApply}>
+          <div className="input-group">
+            <label>Game</label>
+            <select value={filters.game} onChange={setFilter('game')}>
+              <option value="">All games</option>
+              {games.map((game) => <option key={game.id} value={game.id}>{game.emoji} {game.name}</option>)}
+            </select>
+          </div>
+          <div className="input-group">
+            <label>Result</label>
+            <select value={filters.result} onChange={setFilter('result')}>
+              <option value="">Won or lost</option>
+              <option value="won">Won</option>
+              <option value="lost">Lost</option>
+            </select>
+          </div>
+          <div className="input-group">
+            <label>From</label>
+            <input type="date" value={filters.from} onChange={setFilter('from')} />
+          </div>
+          <div className="input-group">
+            <label>To</label>
+            <input type="date" value={filters.to} onChange={setFilter('to')} />
+          </div>
+          <div className="input-group">
+            <label>Min bet (GHS)</label>
+            <input type="number" min="0" step="0.01" value={filters.minAmount} onChange={setFilter('minAmount')} />
+          </div>
+          <div className="input-group">
+            <label>Max bet (GHS)</label>
+            <input type="number" min="0" step="0.01" value={filters.maxAmount} onChange={setFilter('maxAmount')} />
+          </div>
+          <div className="deposit-otp-actions">
+            <button type="submit" className="bank-secondary-btn" disabled={loading}>Apply filters</button>
+            <button type="button" className="bank-secondary-btn" disabled={loading} onClick={handleReset}>Reset</button>
+          </div>
+        </form>
+
+        {error && <div className="bank-message error">{error}</div>}
+
+        {bets.length > 0 && (
+          <table className="fairness-table my-bets-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Game</th>
+                <th>Round</th>
+                <th>Bet</th>
+                <th>Payout</th>
+                <th>Profit</th>
+              </tr>
+            </thead>
+            <tbody>
+              {bets.map((bet) => (
+                <tr key={bet._id}>
+                  <td>{new Date(bet.createdAt).toLocaleString()}</td>
+                  <td>{bet.gameName}</td>
+                  <td>{bet.summary}</td>
+                  <td>GHS {bet.betAmount.toFixed(2)}</td>
+                  <td>GHS {(bet.winAmount || 0).toFixed(2)}</td>
+                  <td className={bet.profit > 0 ? 'fairness-ok' : 'fairness-bad'}>
+                    {bet.profit > 0 ? '+' : ''}{bet.profit.toFixed(2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {!loading && !error && bets.length === 0 && (
+          <p className="game-subtitle">No bets match. Play a game or change the filters.</p>
+        )}
+        {loading && <div className="loading">Loading...</div>}
+
+        {nextCursor && !loading && (
+          <button type="button" className="bank-secondary-btn my-bets-more" onClick={handleLoadMore}>Load more</button>
+        )}
+      </div>
+    </div>
+  );
+};
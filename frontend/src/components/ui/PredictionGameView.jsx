@@ -2,17 +2,6 @@ import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { GameVisual } from './GameVisuals';
 
-const OUTCOME_LABELS = {
-  up: '⬆️ UP',
-  bottom: '⬇️ BOTTOM',
-  red: '🔴 RED',
-  black: '⚫ BLACK',
-  heads: '🪙 HEADS',
-  tails: '✨ TAILS',
-  high: '📈 HIGH',
-  low: '📉 LOW',
-};
-
 const CHOICE_ACTIVE_CLASS = {
   up: 'pick-up',
   bottom: 'pick-bottom',
@@ -38,6 +27,7 @@ export const PredictionGameView = ({
   visual = 'bottle',
   choiceA,
   choiceB,
+  bets = [],
   userBalance,
   gameSettings,
   onUpdateUser,
@@ -47,7 +37,7 @@ export const PredictionGameView = ({
 }) => {
   const [bet, setBet] = useState(gameSettings?.minBet || 10);
   const [choice, setChoice] = useState(choiceA.value);
-  const [multiplier, setMultiplier] = useState(2);
+  const [betKey, setBetKey] = useState(bets[0]?.key);
   const [playing, setPlaying] = useState(false);
   const [spinning, setSpinning] = useState(false);
   const [result, setResult] = useState(null);
@@ -96,7 +86,7 @@ export const PredictionGameView = ({
       }, 90);
       try {
         await onRefreshSettings?.();
-        const gameResult = await onPlay(bet, choice, multiplier);
+        const gameResult = await onPlay(bet, choice, betKey);
         if (gameResult.success) {
           const rolls = gameResult.diceRolls || [gameResult.diceRoll || 1, gameResult.diceRoll || 1];
           setResult(gameResult);
@@ -119,7 +109,7 @@ export const PredictionGameView = ({
 
     try {
       await onRefreshSettings?.();
-      const gameResult = await onPlay(bet, choice, multiplier);
+      const gameResult = await onPlay(bet, choice, betKey);
 
       if (gameResult.success) {
         setResult(gameResult);
@@ -144,8 +134,14 @@ export const PredictionGameView = ({
 
   const minBet = gameSettings.minBet || 1;
   const maxBet = gameSettings.maxBet || 1000;
-  const potentialWin = (bet * multiplier).toFixed(2);
+  // The chosen bet's true win chance and the payout priced from it (GET /api/games)
+  const odds = bets.find((b) => b.key === betKey) || bets[0];
+  const potentialWin = (bet * (odds?.multiplier || 0)).toFixed(2);
   const pickClass = (value) => CHOICE_ACTIVE_CLASS[value] || 'pick-default';
+  const outcomeLabel = (value) => {
+    const side = [choiceA, choiceB].find((c) => c.value === value);
+    return side ? `${side.icon} ${side.label}` : String(value).toUpperCase();
+  };
 
   return (
     <motion.div
@@ -171,6 +167,7 @@ export const PredictionGameView = ({
             outcome={result?.outcome}
             idleSpin={rouletteIdle}
             diceRolls={displayDice}
+            angle={result?.angle}
           />
         </div>
 
@@ -183,8 +180,9 @@ export const PredictionGameView = ({
               style={{ marginBottom: '20px' }}
             >
               {result.won
-                ? `🎉 WIN! ${OUTCOME_LABELS[result.outcome] || result.outcome} — +GHS ${Number(result.profit).toFixed(2)} (won GHS ${Number(result.winAmount).toFixed(2)})`
-                : `😔 LOST! Landed ${OUTCOME_LABELS[result.outcome] || result.outcome} — -GHS ${Math.abs(Number(result.profit)).toFixed(2)}`}
+                ? `🎉 WIN! ${outcomeLabel(result.outcome)} — +GHS ${Number(result.profit).toFixed(2)} (won GHS ${Number(result.winAmount).toFixed(2)})`
+                : `😔 LOST! Landed ${outcomeLabel(result.outcome)} — -GHS ${Math.abs(Number(result.profit)).toFixed(2)}`}
+              {result.message && <div className="result-detail">{result.message}</div>}
               {visual === 'dice' && displayDice.length === 2 && (
                 <div className="dice-roll-label">Rolled: {displayDice[0]} + {displayDice[1]} = {displayDice[0] + displayDice[1]}</div>
               )}
@@ -221,20 +219,24 @@ export const PredictionGameView = ({
           </div>
 
           <div className="control-group">
-            <label>2. Choose Multiplier</label>
+            <label>2. Choose Your Bet</label>
             <div className="button-group">
-              {[2, 3, 4].map((mult) => (
+              {bets.map((option) => (
                 <button
-                  key={mult}
+                  key={option.key}
                   type="button"
-                  className={`selection-btn mult-btn ${multiplier === mult ? 'active pick-mult' : ''}`}
-                  onClick={() => setMultiplier(mult)}
+                  className={`selection-btn mult-btn ${betKey === option.key ? 'active pick-mult' : ''}`}
+                  onClick={() => setBetKey(option.key)}
                 >
-                  <span className="btn-icon">×{mult}</span>
-                  {multiplier === mult && <span className="pick-check">✓</span>}
+                  <span className="btn-icon">×{option.multiplier}</span>
+                  <span className="btn-label">{option.label}</span>
+                  {betKey === option.key && <span className="pick-check">✓</span>}
                 </button>
               ))}
             </div>
+            {odds && (
+              <p className="game-odds">Win chance {odds.chance}% · pays ×{odds.multiplier}</p>
+            )}
           </div>
 
           <div className="bet-section">
@@ -253,7 +255,7 @@ export const PredictionGameView = ({
           </div>
 
           <div className="potential-win">
-            Bet GHS {Number(bet).toFixed(2)} × {multiplier} = <strong>GHS {potentialWin}</strong> if you win
+            Bet GHS {Number(bet).toFixed(2)} × {odds?.multiplier} = <strong>GHS {potentialWin}</strong> if you win
           </div>
 
           <button type="button" className="play-btn" onClick={handlePlay} disabled={playing}>
@@ -0,0 +1,70 @@
+import { useState } from 'react';
+import { API } from '../../api-helper';
+
+const formatDuration = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+// Shown when the player's reality-check interval has passed. Bets are refused by the
+// server until the player acknowledges it.
+export const RealityCheckModal = ({ session, onAcknowledged, onLogout }) => {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!session) return null;
+
+  const handleContinue = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      const result = await API.acknowledgeRealityCheck();
+      if (result.success) onAcknowledged(result.session);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not confirm. Try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const won = session.netResult >= 0;
+
+  return (
+    <div className="ad-interstitial-overlay" role="dialog" aria-modal="true" aria-label="Reality check">
+      <div className="bank-card bank-card--polished reality-check-card">
+        <h3>Reality Check</h3>
+        <p className="game-subtitle">Here is your session so far.</p>
+
+        <div className="fairness-field">
+          <span>Time played</span>
+          <strong>{formatDuration(session.minutesPlayed)}</strong>
+        </div>
+        <div className="fairness-field">
+          <span>Rounds</span>
+          <strong>{session.rounds}</strong>
+        </div>
+        <div className="fairness-field">
+          <span>Total staked</span>
+          <strong>GHS {session.wagered.toFixed(2)}</strong>
+        </div>
+        <div className="fairness-field">
+          <span>Net result</span>
+          <strong className={won ? 'fairness-ok' : 'fairness-bad'}>
+            {won ? '+' : '-'}GHS {Math.abs(session.netResult).toFixed(2)}
+          </strong>
+        </div>
+
+        {error && <div className="bank-message error">{error}</div>}
+
+        <div className="deposit-otp-actions">
+          <button type="button" className="bank-action-btn" onClick={handleContinue} disabled={busy}>
+            {busy ? 'Saving...' : 'Continue playing'}
+          </button>
+          <button type="button" className="bank-secondary-btn" onClick={onLogout} disabled={busy}>
+            Take a break &amp; log out
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
@@ -0,0 +1,217 @@
+import { useState, useEffect } from 'react';
+import { API } from '../../api-helper';
+
+const LIMIT_KINDS = [
+  { id: 'deposit', label: 'Deposit limit' },
+  { id: 'loss', label: 'Loss limit' },
+  { id: 'wager', label: 'Wager limit' },
+];
+const LIMIT_PERIODS = ['daily', 'weekly', 'monthly'];
+const EXCLUSION_PERIODS = [
+  { id: '24h', label: '24 hours' },
+  { id: '7d', label: '7 days' },
+  { id: '30d', label: '30 days' },
+  { id: '6m', label: '6 months' },
+  { id: 'permanent', label: 'Permanently' },
+];
+
+const toInputs = (limits) => Object.fromEntries(LIMIT_KINDS.map(({ id }) => [
+  id,
+  Object.fromEntries(LIMIT_PERIODS.map((period) => [period, limits?.[id]?.[period] ?? ''])),
+]));
+
+const RealityCheckSetting = ({ minutes, options, onSaved }) => {
+  const [message, setMessage] = useState(null);
+
+  const handleChange = async (value) => {
+    setMessage(null);
+    try {
+      const result = await API.setRealityCheckInterval(Number(value));
+      if (result.success) {
+        onSaved(result.realityCheckMinutes);
+        setMessage({ type: 'success', text: result.message });
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to update reality check' });
+    }
+  };
+
+  return (
+    <div className="rg-section">
+      <h4>Reality check</h4>
+      <p className="game-subtitle">
+        While you play, we pause every so often to show how long you have played and what you have won or lost.
+      </p>
+      <div className="input-group">
+        <label>Show it every</label>
+        <select value={minutes} onChange={(e) => handleChange(e.target.value)}>
+          {options.map((option) => <option key={option} value={option}>{option} minutes</option>)}
+        </select>
+      </div>
+      {message && <div className={`bank-message ${message.type}`}>{message.text}</div>}
+    </div>
+  );
+};
+
+const SelfExclusionSection = ({ user, onUpdateUser }) => {
+  const [period, setPeriod] = useState('24h');
+  const [confirmed, setConfirmed] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const handleExclude = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      const result = await API.selfExclude(period);
+      if (result.success) {
+        setMessage({ type: 'success', text: result.message });
+        setConfirmed(false);
+        if (onUpdateUser && result.user) onUpdateUser(result.user);
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to start self-exclusion' });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="rg-section">
+      <h4>Take a break</h4>
+      <p className="game-subtitle">
+        Lock yourself out of playing and depositing. A break cannot be cancelled or shortened, only extended.
+        You can still log in to withdraw your balance.
+      </p>
+      {user?.selfExclusion && !user.selfExclusion.permanent && (
+        <p className="rg-pending">Current break ends {new Date(user.selfExclusion.until).toLocaleString()}.</p>
+      )}
+      {!user?.selfExclusion?.permanent && (
+        <>
+          <div className="input-group">
+            <label>Exclude me for</label>
+            <select value={period} onChange={(e) => setPeriod(e.target.value)}>
+              {EXCLUSION_PERIODS.map((item) => <option key={item.id} value={item.id}>{item.label}</option>)}
+            </select>
+          </div>
+          <label className="rg-confirm">
+            <input type="checkbox" checked={confirmed} onChange={(e) => setConfirmed(e.target.checked)} />
+            I understand this cannot be undone early.
+          </label>
+          <button type="button" className="bank-secondary-btn" onClick={handleExclude} disabled={busy || !confirmed}>
+            {busy ? 'Saving...' : 'Start self-exclusion'}
+          </button>
+        </>
+      )}
+      {message && <div className={`bank-message ${message.type}`}>{message.text}</div>}
+    </div>
+  );
+};
+
+export const ResponsibleGamingPanel = ({ user, onUpdateUser }) => {
+  const [data, setData] = useState(null);
+  const [inputs, setInputs] = useState(toInputs(null));
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const applyData = (result) => {
+    if (!result.success) return;
+    setData(result);
+    setInputs(toInputs(result.limits));
+  };
+
+  useEffect(() => {
+    API.getResponsibleGaming()
+      .then(applyData)
+      .catch((error) => console.error('Failed to load limits:', error));
+  }, []);
+
+  const handleChange = (kind, period, value) => {
+    setInputs((prev) => ({ ...prev, [kind]: { ...prev[kind], [period]: value } }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+    try {
+      const limits = Object.fromEntries(LIMIT_KINDS.map(({ id }) => [
+        id,
+        Object.fromEntries(LIMIT_PERIODS.map((period) => [period, inputs[id][period] === '' ? null : Number(inputs[id][period])])),
+      ]));
+      const result = await API.setGamingLimits(limits);
+      applyData(result);
+      setMessage({ type: 'success', text: result.message || 'Limits updated' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to update limits' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bank-card bank-card--polished rg-card">
+      <h3>Play Limits</h3>
+      <p className="game-subtitle">
+        Cap what you deposit, wager or lose over a rolling day, week or month. Leave a box empty for no limit.
+        Lowering a limit applies immediately; raising or removing one waits
+        {data ? ` ${data.coolingOffHours} hours` : ' for a cooling-off period'}.
+      </p>
+
+      <table className="fairness-table rg-table">
+        <thead>
+          <tr>
+            <th />
+            {LIMIT_PERIODS.map((period) => <th key={period}>{period}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {LIMIT_KINDS.map(({ id, label }) => (
+            <tr key={id}>
+              <td>{label}</td>
+              {LIMIT_PERIODS.map((period) => (
+                <td key={period}>
+                  <input
+                    type="number"
+                    min="1"
+                    step="0.01"
+                    placeholder="No limit"
+                    value={inputs[id][period]}
+                    onChange={(e) => handleChange(id, period, e.target.value)}
+                  />
+                  {data && <div className="rg-usage">Used GHS {Math.max(0, data.usage[id][period]).toFixed(2)}</div>}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {data?.pending?.length > 0 && (
+        <div className="rg-pending">
+          {data.pending.map((change) => (
+            <div key={`${change.kind}-${change.period}`}>
+              {change.period} {change.kind} limit changes to {change.amount === null ? 'no limit' : `GHS ${change.amount}`} on{' '}
+              {new Date(change.effectiveAt).toLocaleString()}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {message && <div className={`bank-message ${message.type}`}>{message.text}</div>}
+
+      <button type="button" className="bank-action-btn" onClick={handleSave} disabled={saving || !data}>
+        {saving ? 'Saving...' : 'Save Limits'}
+      </button>
+
+      {data && (
+        <RealityCheckSetting
+          minutes={data.realityCheckMinutes}
+          options={data.realityCheckOptions}
+          onSaved={(realityCheckMinutes) => setData((prev) => ({ ...prev, realityCheckMinutes }))}
+        />
+      )}
+
+      <SelfExclusionSection user={user} onUpdateUser={onUpdateUser} />
+    </div>
+  );
+};
@@ -33,7 +33,7 @@ export const RouletteView = ({ userBalance, gameSettings, onUpdateUser }) => {
 
     try {
       await new Promise((r) => setTimeout(r, 2000));
-      const gameResult = await API.playRouletteGame(bet, betType, betType === 'number' ? betNumber : undefined);
+      const gameResult = await API.playGameRound('roulette', bet, { choice: betType, number: betType === 'number' ? betNumber : undefined });
 
       if (gameResult.success) {
         setResult(gameResult);
@@ -0,0 +1,76 @@
+import { useState, useEffect } from 'react';
+import { API, clearSession } from '../../api-helper';
+
+// Rough device label from the user agent; enough to tell a phone from a laptop.
+const describeDevice = (userAgent = '') => {
+  const browser = ['Edg', 'OPR', 'Chrome', 'Firefox', 'Safari'].find((name) => userAgent.includes(name));
+  const platform = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find((name) => userAgent.includes(name));
+  if (!browser && !platform) return 'Unknown device';
+  return [browser === 'Edg' ? 'Edge' : browser === 'OPR' ? 'Opera' : browser, platform].filter(Boolean).join(' on ');
+};
+
+export const SessionsCard = () => {
+  const [sessions, setSessions] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadSessions = () => API.getSessions()
+    .then((result) => result.success && setSessions(result.sessions))
+    .catch((error) => console.error('Failed to load sessions:', error));
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const handleRevoke = async (sessionId) => {
+    setMessage(null);
+    try {
+      await API.revokeSession(sessionId);
+      await loadSessions();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to sign out device' });
+    }
+  };
+
+  // Ends this session too, so the app returns to the login screen.
+  const handleLogoutEverywhere = async () => {
+    setBusy(true);
+    setMessage(null);
+    try {
+      await API.logoutEverywhere();
+      clearSession();
+      window.dispatchEvent(new CustomEvent('session-ended'));
+    } catch (error) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to sign out' });
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bank-card bank-card--polished">
+      <h3>Signed-in Devices</h3>
+      <div className="bank-deposits">
+        {sessions.map((session) => (
+          <div key={session.id} className="bank-deposits__row">
+            <span>
+              {describeDevice(session.userAgent)}
+              {session.ip && ` · ${session.ip}`}
+            </span>
+            <span>{new Date(session.lastUsedAt).toLocaleString()}</span>
+            {session.current ? (
+              <span className="status-badge status-completed">This device</span>
+            ) : (
+              <button type="button" className="bank-secondary-btn" onClick={() => handleRevoke(session.id)}>
+                Sign out
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      {message && <div className={`bank-message ${message.type}`}>{message.text}</div>}
+      <button type="button" className="bank-secondary-btn" onClick={handleLogoutEverywhere} disabled={busy}>
+        {busy ? 'Signing out...' : 'Log out everywhere'}
+      </button>
+    </div>
+  );
+};
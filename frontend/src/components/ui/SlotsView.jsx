@@ -2,18 +2,14 @@ import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { API } from '../../api-helper';
 
-const SLOT_SYMBOLS = [
-  { value: '🍒', label: 'Cherry' },
-  { value: '🍋', label: 'Lemon' },
-  { value: '🔔', label: 'Bell' },
-  { value: '💎', label: 'Diamond' },
-  { value: '7️⃣', label: 'Lucky 7' },
-];
-
-export const SlotsView = ({ userBalance, gameSettings, onUpdateUser, onRefreshSettings }) => {
+// Symbols and bets come from the slots module's parameter schema, and each symbol's
+// odds and payouts from its payout table (GET /api/games).
+export const SlotsView = ({ game, userBalance, gameSettings, onUpdateUser, onRefreshSettings }) => {
+  const symbols = game.params.symbol.options;
+  const bets = game.params.betType.options;
   const [bet, setBet] = useState(gameSettings?.minBet || 10);
-  const [symbol, setSymbol] = useState('🍒');
-  const [multiplier, setMultiplier] = useState(2);
+  const [symbol, setSymbol] = useState(symbols[0].value);
+  const [betKey, setBetKey] = useState(bets[0].value);
   const [spinning, setSpinning] = useState(false);
   const [reels, setReels] = useState(['🎰', '🎰', '🎰']);
   const [result, setResult] = useState(null);
@@ -38,15 +34,15 @@ export const SlotsView = ({ userBalance, gameSettings, onUpdateUser, onRefreshSe
 
     const spinInterval = setInterval(() => {
       setReels([
-        SLOT_SYMBOLS[Math.floor(Math.random() * SLOT_SYMBOLS.length)].value,
-        SLOT_SYMBOLS[Math.floor(Math.random() * SLOT_SYMBOLS.length)].value,
-        SLOT_SYMBOLS[Math.floor(Math.random() * SLOT_SYMBOLS.length)].value,
+        symbols[Math.floor(Math.random() * symbols.length)].value,
+        symbols[Math.floor(Math.random() * symbols.length)].value,
+        symbols[Math.floor(Math.random() * symbols.length)].value,
       ]);
     }, 80);
 
     try {
       await onRefreshSettings?.();
-      const gameResult = await API.playSlotsGame(bet, symbol, multiplier);
+      const gameResult = await API.playGameRound(game.id, bet, { symbol, betType: betKey });
       await new Promise((r) => setTimeout(r, 2000));
       clearInterval(spinInterval);
 
@@ -69,7 +65,9 @@ export const SlotsView = ({ userBalance, gameSettings, onUpdateUser, onRefreshSe
 
   const minBet = gameSettings.minBet || 1;
   const maxBet = gameSettings.maxBet || 1000;
-  const potentialWin = (bet * multiplier).toFixed(2);
+  const oddsFor = (value) => game.payoutTable.find((row) => row.symbol === symbol && row.bet === value);
+  const odds = oddsFor(betKey);
+  const potentialWin = (bet * (odds?.multiplier || 0)).toFixed(2);
 
   return (
     <motion.div
@@ -81,10 +79,10 @@ export const SlotsView = ({ userBalance, gameSettings, onUpdateUser, onRefreshSe
     >
       <div className="game-card">
         <div className="game-card__header-art">
-          <span className="game-card__emoji">🎰</span>
+          <span className="game-card__emoji">{game.emoji}</span>
           <div>
-            <h3>Lucky Slots</h3>
-            <p className="game-subtitle">Pick your symbol, choose a multiplier, then spin!</p>
+            <h3>{game.name}</h3>
+            <p className="game-subtitle">{game.display.subtitle}</p>
           </div>
         </div>
 
@@ -112,8 +110,8 @@ export const SlotsView = ({ userBalance, gameSettings, onUpdateUser, onRefreshSe
               animate={{ scale: 1, opacity: 1 }}
             >
               {result.won
-                ? `🎉 MATCH! ${symbol}${symbol}${symbol} — +GHS ${result.winAmount.toFixed(2)} (×${multiplier})`
-                : `😔 No triple ${symbol} — lost GHS ${Math.abs(result.profit).toFixed(2)}`}
+                ? `🎉 WIN! ${odds?.label} — +GHS ${result.winAmount.toFixed(2)} (×${odds?.multiplier})`
+                : `😔 Not enough ${symbol} — lost GHS ${Math.abs(result.profit).toFixed(2)}`}
               {result.newBalance !== undefined && (
                 <div className="new-balance-display">Balance: GHS {Number(result.newBalance).toFixed(2)}</div>
               )}
@@ -125,7 +123,7 @@ export const SlotsView = ({ userBalance, gameSettings, onUpdateUser, onRefreshSe
           <div className="control-group control-group--pick">
             <label>1. Pick Your Symbol</label>
             <div className="button-group slots-symbol-grid">
-              {SLOT_SYMBOLS.map((item) => (
+              {symbols.map((item) => (
                 <button
                   key={item.value}
                   type="button"
@@ -141,20 +139,24 @@ export const SlotsView = ({ userBalance, gameSettings, onUpdateUser, onRefreshSe
           </div>
 
           <div className="control-group">
-            <label>2. Choose Multiplier</label>
+            <label>2. How Many Reels</label>
             <div className="button-group">
-              {[2, 3, 4].map((mult) => (
+              {bets.map((option) => (
                 <button
-                  key={mult}
+                  key={option.value}
                   type="button"
-                  className={`selection-btn mult-btn ${multiplier === mult ? 'active pick-mult' : ''}`}
-                  onClick={() => setMultiplier(mult)}
+                  className={`selection-btn mult-btn ${betKey === option.value ? 'active pick-mult' : ''}`}
+                  onClick={() => setBetKey(option.value)}
                 >
-                  <span className="btn-icon">×{mult}</span>
-                  {multiplier === mult && <span className="pick-check">✓</span>}
+                  <span className="btn-icon">×{oddsFor(option.value)?.multiplier}</span>
+                  <span className="btn-label">{option.label}</span>
+                  {betKey === option.value && <span className="pick-check">✓</span>}
                 </button>
               ))}
             </div>
+            {odds && (
+              <p className="game-odds">Win chance {odds.chance}% · pays ×{odds.multiplier}</p>
+            )}
           </div>
 
           <div className="bet-section">
@@ -174,11 +176,11 @@ export const SlotsView = ({ userBalance, gameSettings, onUpdateUser, onRefreshSe
           </div>
 
           <div className="potential-win">
-            Bet GHS {Number(bet).toFixed(2)} × {multiplier} = <strong>GHS {potentialWin}</strong> if you hit 3× {symbol}
+            Bet GHS {Number(bet).toFixed(2)} × {odds?.multiplier} = <strong>GHS {potentialWin}</strong> if {symbol} lands {bets.find((b) => b.value === betKey)?.label}
           </div>
 
           <button type="button" className="play-btn slots-spin-btn" onClick={handleSpin} disabled={spinning}>
-            {spinning ? '🎰 Spinning...' : '🎰 SPIN!'}
+            {spinning ? `${game.emoji} Spinning...` : `${game.emoji} ${game.display.playLabel}`}
           </button>
         </div>
       </div>
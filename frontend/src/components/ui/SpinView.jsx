@@ -37,7 +37,7 @@ export const SpinView = ({
             // Simulate spinning time before API call
             await new Promise(r => setTimeout(r, 1500));
 
-            const gameResult = await API.playSpinGame(bet, direction, multiplier);
+            const gameResult = await API.playGameRound('spin', bet, { choice: direction, multiplier });
 
             if (gameResult.success) {
                 setSpinResult(gameResult);
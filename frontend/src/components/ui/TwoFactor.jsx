@@ -0,0 +1,174 @@
+import { useState } from 'react';
+
+const errorText = (error, fallback) => error.response?.data?.error || error.message || fallback;
+
+// Code entry for the second step of sign-in and for step-up checks. Takes a code from
+// the authenticator app or a backup code, or switches to a code sent by SMS.
+// onVerify(code, method) and onSendSms() should throw with the server's error.
+export const TwoFactorChallenge = ({ title, description, submitLabel = 'Verify', onVerify, onSendSms, onCancel }) => {
+  const [code, setCode] = useState('');
+  const [useSms, setUseSms] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await onVerify(code.trim(), useSms ? 'sms' : undefined);
+    } catch (err) {
+      setError(errorText(err, 'Verification failed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSendSms = async () => {
+    setError('');
+    setNotice('');
+    try {
+      const result = await onSendSms();
+      setUseSms(true);
+      setCode('');
+      setNotice(result.message);
+    } catch (err) {
+      setError(errorText(err, 'Could not send a code'));
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {title && <h3>{title}</h3>}
+      <p className="auth-subtitle">
+        {description || (useSms
+          ? 'Enter the 6-digit code we texted to you.'
+          : 'Enter the 6-digit code from your authenticator app, or one of your backup codes.')}
+      </p>
+
+      <div className="input-group">
+        <label>{useSms ? 'SMS code' : 'Authentication code'}</label>
+        <input
+          type="text"
+          inputMode={useSms ? 'numeric' : 'text'}
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value.slice(0, 12))}
+          placeholder={useSms ? '6-digit code' : '123456 or xxxx-xxxx'}
+          autoFocus
+          required
+        />
+      </div>
+
+      {notice && <div className="referral-banner">{notice}</div>}
+      {error && <div className="error-message">{error}</div>}
+
+      <button type="submit" className="submit-btn" disabled={busy}>
+        {busy ? 'Checking...' : submitLabel}
+      </button>
+
+      <p className="auth-toggle">
+        {onSendSms && <span onClick={handleSendSms}>{useSms ? 'Send another code' : 'Text me a code instead'}</span>}
+        {useSms && <span onClick={() => setUseSms(false)}> · Use authenticator app</span>}
+        {onCancel && <span onClick={onCancel}> · Cancel</span>}
+      </p>
+    </form>
+  );
+};
+
+// Backup codes are only ever shown right after they are created.
+export const BackupCodesList = ({ codes, onDone }) => (
+  <div className="two-factor-backup">
+    <p className="auth-subtitle">
+      Save these backup codes somewhere safe. Each one signs you in once if you lose your phone.
+      They won&apos;t be shown again.
+    </p>
+    <ul className="two-factor-codes">
+      {codes.map((code) => <li key={code}>{code}</li>)}
+    </ul>
+    <button type="button" className="submit-btn" onClick={onDone}>I&apos;ve saved these codes</button>
+  </div>
+);
+
+// Enrollment: scan the QR code (or type the key), confirm a code, then save the backup
+// codes. onStart() resolves to { qrCode, secret }; onEnable(code) to { backupCodes }.
+export const TwoFactorSetup = ({ onStart, onEnable, onDone }) => {
+  const [setup, setSetup] = useState(null);
+  const [code, setCode] = useState('');
+  const [backupCodes, setBackupCodes] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleStart = async () => {
+    setBusy(true);
+    setError('');
+    try {
+      setSetup(await onStart());
+    } catch (err) {
+      setError(errorText(err, 'Could not start setup'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const result = await onEnable(code.trim());
+      setBackupCodes(result.backupCodes);
+    } catch (err) {
+      setError(errorText(err, 'Could not turn on two-factor authentication'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (backupCodes) return <BackupCodesList codes={backupCodes} onDone={() => onDone(backupCodes)} />;
+
+  if (!setup) {
+    return (
+      <div>
+        <p className="auth-subtitle">
+          You&apos;ll need an authenticator app such as Google Authenticator, Microsoft Authenticator or Authy.
+        </p>
+        {error && <div className="error-message">{error}</div>}
+        <button type="button" className="submit-btn" onClick={handleStart} disabled={busy}>
+          {busy ? 'Preparing...' : 'Set up authenticator app'}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleEnable}>
+      <p className="auth-subtitle">Scan this QR code with your authenticator app.</p>
+      <img className="two-factor-qr" src={setup.qrCode} alt="Authenticator QR code" />
+      <p className="auth-subtitle">
+        Can&apos;t scan it? Enter this key instead: <code className="two-factor-secret">{setup.secret}</code>
+      </p>
+
+      <div className="input-group">
+        <label>Code from the app</label>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          value={code}
+          onChange={(e) => setCode(e.target.value.replace(/\D/g, '').slice(0, 6))}
+          placeholder="6-digit code"
+          maxLength={6}
+          required
+        />
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      <button type="submit" className="submit-btn" disabled={busy}>
+        {busy ? 'Checking...' : 'Turn on two-factor authentication'}
+      </button>
+    </form>
+  );
+};